@@ -0,0 +1,133 @@
+// Tests for account-manager.js
+const { AccountManager } = require('../account-manager');
+const { SigningPipeline } = require('../signing-pipeline');
+const { ErrorCodes } = require('../errors');
+
+const MNEMONIC = 'test test test test test test test test test test test junk';
+// First two addresses of the mnemonic above (m/44'/60'/0'/0/0 and /1)
+const FIRST = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const SECOND = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+function createManager() {
+  const activated = [];
+  const accounts = new AccountManager({ activate: (privateKey) => activated.push(privateKey) });
+  accounts.loadMnemonic(MNEMONIC);
+  return { accounts, activated };
+}
+
+// Signer stub that records the nonces of what it broadcasts (the node knows every broadcast)
+function createSigner(address, sent) {
+  const provider = {
+    async getTransactionCount() {
+      return 0;
+    },
+    async getTransaction(hash) {
+      return { hash };
+    }
+  };
+  return {
+    provider,
+    address,
+    async getAddress() {
+      return address;
+    },
+    async populateTransaction(tx) {
+      return { ...tx, from: address };
+    },
+    async sendTransaction(tx) {
+      sent.push(tx.nonce);
+      return { hash: `0x${tx.nonce}`, nonce: tx.nonce, from: address };
+    }
+  };
+}
+
+describe('AccountManager', () => {
+  test('derives accounts at the next unused BIP-44 index', () => {
+    const { accounts } = createManager();
+
+    expect(accounts.derive({ name: 'main' }).address).toBe(FIRST);
+    expect(accounts.derive({ name: 'trading' })).toMatchObject({ address: SECOND, path: "m/44'/60'/0'/0/1" });
+    expect(() => accounts.derive({ name: 'main' })).toThrow('already exists');
+  });
+
+  test('selects the first account and resolves accounts by name or address', () => {
+    const { accounts, activated } = createManager();
+    accounts.derive({ name: 'main' });
+    accounts.derive({ name: 'trading' });
+
+    expect(accounts.getActive().name).toBe('main');
+    expect(activated).toHaveLength(1);
+    expect(accounts.resolve(SECOND.toLowerCase()).name).toBe('trading');
+    expect(() => accounts.resolve('savings')).toThrow('Unknown account: savings');
+  });
+
+  test('never exposes key material', () => {
+    const { accounts } = createManager();
+    accounts.derive({ name: 'main' });
+
+    expect(JSON.stringify(accounts.list())).not.toMatch(/privateKey/);
+  });
+
+  test('refuses to sign with a locked keystore account', async () => {
+    const { accounts } = createManager();
+    accounts.addKeystore({ name: 'cold', address: SECOND, file: 'cold.json' });
+
+    await expect(accounts.ensureUnlocked('cold')).rejects.toMatchObject({ code: ErrorCodes.UNAUTHORIZED });
+    expect(() => accounts.getSigner('cold')).toThrow('is locked');
+  });
+
+  test('runs calls for one account one at a time and calls for other accounts alongside', async () => {
+    const { accounts } = createManager();
+    accounts.derive({ name: 'main' });
+    accounts.derive({ name: 'trading' });
+    const order = [];
+    let finishFirst;
+
+    const first = accounts.withAccount('main', async () => {
+      order.push('main 1 start');
+      await new Promise(resolve => { finishFirst = resolve; });
+      order.push('main 1 end');
+    });
+    const second = accounts.withAccount('main', async () => order.push('main 2'));
+    const other = accounts.withAccount('trading', async () => {
+      order.push('trading');
+      finishFirst();
+    });
+
+    await Promise.all([first, second, other]);
+    expect(order).toEqual(['main 1 start', 'trading', 'main 1 end', 'main 2']);
+  });
+
+  test('keeps the account of a tool call that sends two transactions until its handler returns', async () => {
+    const { accounts } = createManager();
+    accounts.derive({ name: 'main' });
+    const sent = [];
+    const pipeline = new SigningPipeline({ getWallet: () => createSigner(FIRST, sent) });
+    const order = [];
+    let approvalMined;
+
+    // Like runWriteTool: the tool call runs in the account queue with the pipeline context
+    const call = (tool, handler) => accounts.withAccount('main', (release) =>
+      pipeline.run({ tool, releaseAccount: release }, handler));
+
+    const swap = call('swap-tokens', async () => {
+      await pipeline.getSigner('polygon').sendTransaction({ to: SECOND });
+      order.push('approve sent');
+      await new Promise(resolve => { approvalMined = resolve; });
+      await pipeline.getSigner('polygon').sendTransaction({ to: SECOND });
+      order.push('swap sent');
+    });
+    const transfer = call('transfer-funds', async () => {
+      order.push('transfer started');
+      await pipeline.getSigner('polygon').sendTransaction({ to: SECOND });
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(order).toEqual(['approve sent']);
+    approvalMined();
+    await Promise.all([swap, transfer]);
+
+    expect(order).toEqual(['approve sent', 'swap sent', 'transfer started']);
+    expect(sent).toEqual([0, 1, 2]);
+  });
+});
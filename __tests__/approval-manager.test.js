@@ -0,0 +1,99 @@
+// Tests for approval-manager.js
+const { ApprovalManager, parseApprovalRules } = require('../approval-manager');
+const { SigningPipeline } = require('../signing-pipeline');
+const { ErrorCodes } = require('../errors');
+
+const ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const RECIPIENT = '0x2222222222222222222222222222222222222222';
+const USDC = '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359';
+
+function createManager(spec) {
+  return new ApprovalManager({
+    rules: parseApprovalRules(spec),
+    resolveToken: (token) => (token.toUpperCase() === 'USDC' ? USDC : token)
+  });
+}
+
+// Signer stub that records the nonces of what it broadcasts
+function createSigner(sent) {
+  const provider = {
+    async getTransactionCount() {
+      return 0;
+    },
+    async getTransaction(hash) {
+      return { hash };
+    }
+  };
+  return {
+    provider,
+    address: ADDRESS,
+    async getAddress() {
+      return ADDRESS;
+    },
+    async populateTransaction(tx) {
+      return { ...tx, from: ADDRESS };
+    },
+    async sendTransaction(tx) {
+      sent.push(tx.nonce);
+      return { hash: `0x${tx.nonce}`, nonce: tx.nonce, from: ADDRESS };
+    }
+  };
+}
+
+describe('ApprovalManager', () => {
+  test('compares thresholds with the amount of the token the call spends', () => {
+    const approvals = createManager('transfer-funds:100,transfer-funds:500:USDC');
+    const transfer = (amount, token) => ({ tool: 'transfer-funds', spend: { amount, token } });
+
+    expect(approvals.requiresApproval(transfer('50'))).toBe(false);
+    expect(approvals.requiresApproval(transfer('150', 'POL'))).toBe(true);
+    // 150 USDC is below the USDC threshold, matched by symbol or address
+    expect(approvals.requiresApproval(transfer('150', 'usdc'))).toBe(false);
+    expect(approvals.requiresApproval(transfer('600', USDC))).toBe(true);
+    expect(approvals.requiresApproval({ tool: 'deploy-contract' })).toBe(false);
+  });
+
+  test('always asks for a token without a threshold of its own or an undeclared spend', () => {
+    const approvals = createManager('transfer-funds:100,add-liquidity:10,deploy-contract');
+
+    expect(approvals.requiresApproval({ tool: 'transfer-funds', spend: { amount: '1', token: 'WETH' } })).toBe(true);
+    expect(approvals.requiresApproval({ tool: 'add-liquidity' })).toBe(true);
+    expect(approvals.requiresApproval({ tool: 'deploy-contract' })).toBe(true);
+  });
+
+  test('asks for approval before the nonce lock, so other sends from the account go ahead', async () => {
+    const approvals = createManager('transfer-funds:100');
+    const sent = [];
+    const pipeline = new SigningPipeline({ getWallet: () => createSigner(sent) });
+    pipeline.use('approval', (tx, context) => approvals.check(tx, context));
+    let answer;
+    const mcpServer = {
+      server: {
+        getClientCapabilities: () => ({ elicitation: {} }),
+        elicitInput: () => new Promise(resolve => { answer = resolve; })
+      }
+    };
+    const send = (amount) => pipeline.run({ tool: 'transfer-funds', spend: { amount }, mcpServer }, () =>
+      pipeline.getSigner('polygon').sendTransaction({ to: RECIPIENT }));
+
+    const large = send('500');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await send('1');
+    expect(sent).toEqual([0]);
+
+    answer({ action: 'accept', content: { approve: true } });
+    await large;
+    expect(sent).toEqual([0, 1]);
+  });
+
+  test('queues the call when the client cannot be asked', async () => {
+    const approvals = createManager('*');
+    const rerun = jest.fn(async () => 'done');
+
+    const context = { tool: 'deploy-contract', rerun };
+    await expect(approvals.check(null, context)).rejects.toMatchObject({ code: ErrorCodes.APPROVAL_REQUIRED });
+    expect(approvals.list()).toHaveLength(1);
+    expect(await approvals.approve(context.pendingApproval.id)).toBe('done');
+    expect(approvals.list()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,72 @@
+// Tests for balance-changes.js
+const { BalanceChangeSet } = require('../balance-changes');
+
+const SENDER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const POOL = '0x1111111111111111111111111111111111111111';
+const TOKEN = '0x2222222222222222222222222222222222222222';
+const WPOL = '0x3333333333333333333333333333333333333333';
+const NFT = '0x4444444444444444444444444444444444444444';
+
+// Decoded log in the shape EventDecoder.decodeLog produces
+function log(address, signature, args, topicCount = 3) {
+  return { address, topics: new Array(topicCount).fill('0x'), event: { signature, args } };
+}
+
+describe('BalanceChangeSet', () => {
+  test('counts native value of successful call frames only', () => {
+    const changes = new BalanceChangeSet();
+    changes.addCallTrace({
+      type: 'CALL',
+      from: SENDER,
+      to: POOL,
+      value: '100',
+      calls: [
+        { type: 'CALL', from: POOL, to: SENDER, value: '30' },
+        { type: 'CALL', from: POOL, to: TOKEN, value: '50', error: 'execution reverted' },
+        { type: 'DELEGATECALL', from: POOL, to: TOKEN, value: '70' }
+      ]
+    });
+
+    const [sender] = changes.toJSON({ sender: SENDER }).accounts;
+    expect(sender).toMatchObject({ isSender: true, native: { in: '30', out: '100', net: '-70' } });
+  });
+
+  test('credits wrapped tokens only when the wrapper received native value', () => {
+    const deposit = log(WPOL, 'Deposit(address,uint256)', { dst: SENDER, wad: 5n }, 2);
+    const unbacked = new BalanceChangeSet();
+    unbacked.addLogs([deposit]);
+    expect(unbacked.toJSON().accounts).toEqual([]);
+
+    const backed = new BalanceChangeSet();
+    backed.addNative(SENDER, WPOL, 5n);
+    backed.addLogs([deposit]);
+    const [sender] = backed.toJSON({ sender: SENDER, tokenInfo: { [WPOL]: { symbol: 'WPOL', decimals: 0 } } }).accounts;
+    expect(sender.tokens).toEqual([expect.objectContaining({ token: WPOL, net: '5', netFormatted: '5' })]);
+  });
+
+  test('summarizes token movements for the sender and leaves amounts unformatted without decimals', () => {
+    const changes = new BalanceChangeSet();
+    changes.addLogs([
+      log(TOKEN, 'Transfer(address,address,uint256)', { from: SENDER, to: POOL, value: 1500000n }),
+      log(NFT, 'Transfer(address,address,uint256)', { from: POOL, to: SENDER, tokenId: 7n }, 4)
+    ]);
+
+    const unknown = changes.toJSON({ sender: SENDER });
+    expect(unknown.accounts[0].tokens[0]).toMatchObject({ decimals: null, net: '-1500000', netFormatted: null });
+    expect(unknown.summary).toEqual([`-1500000 base units of ${TOKEN}`, `+${NFT} #7 (ERC721)`]);
+
+    const known = changes.toJSON({ sender: SENDER, tokenInfo: { [TOKEN]: { symbol: 'USDC', decimals: 6 } } });
+    expect(known.summary[0]).toBe('-1.5 USDC');
+  });
+
+  test('merges the changes of several steps', () => {
+    const first = new BalanceChangeSet();
+    const second = new BalanceChangeSet();
+    first.addFungible('ERC20', TOKEN, null, SENDER, POOL, 10n);
+    second.addFungible('ERC20', TOKEN, null, POOL, SENDER, 4n);
+    first.merge(second);
+
+    const [sender] = first.toJSON({ sender: SENDER }).accounts;
+    expect(sender.tokens[0]).toMatchObject({ in: '4', out: '10', net: '-6' });
+  });
+});
@@ -0,0 +1,45 @@
+// Tests for contract-address.js
+const {
+  predictCreateAddress,
+  predictCreate2Address,
+  parseDeterministicDeployment,
+  DETERMINISTIC_DEPLOYER
+} = require('../contract-address');
+const { ErrorCodes } = require('../errors');
+
+const ZERO_SALT = `0x${'00'.repeat(32)}`;
+const ZERO = '0x0000000000000000000000000000000000000000';
+
+describe('contract address prediction', () => {
+  test('predicts CREATE addresses from the sender and nonce', () => {
+    expect(predictCreateAddress('0x6ac7ea33f8831ea9dcc53393aaa88b25a785dbf0', 0))
+      .toBe('0xcd234A471b72ba2F1Ccf0A70FCABA648a5eeCD8d');
+    expect(() => predictCreateAddress('0x1234', 0)).toThrow('Invalid deployer address');
+  });
+
+  test('predicts CREATE2 addresses from init code or its hash (EIP-1014 example 0)', () => {
+    const fromCode = predictCreate2Address(ZERO, ZERO_SALT, { initCode: '0x00' });
+    expect(fromCode.address).toBe('0x4D1A2e2bB4F88F0250f26Ffff098B0b30B26BF38');
+
+    const fromHash = predictCreate2Address(ZERO, ZERO_SALT, { initCodeHash: fromCode.initCodeHash });
+    expect(fromHash).toEqual(fromCode);
+  });
+
+  test('hashes salts that are not hex and rejects hex salts of the wrong length', () => {
+    const named = predictCreate2Address(ZERO, 'my-token', { initCode: '0x00' });
+    expect(named.salt).toMatch(/^0x[0-9a-f]{64}$/);
+    expect(predictCreate2Address(ZERO, 'my-token', { initCode: '0x00' }).address).toBe(named.address);
+
+    expect(() => predictCreate2Address(ZERO, '0x12', { initCode: '0x00' }))
+      .toThrow(expect.objectContaining({ code: ErrorCodes.INVALID_PARAMETERS, message: 'Hex salt must be 32 bytes, got 1' }));
+    expect(() => predictCreate2Address(ZERO, '', { initCode: '0x00' })).toThrow('A salt is required');
+    expect(() => predictCreate2Address(ZERO, ZERO_SALT)).toThrow('requires initCode or a 32-byte initCodeHash');
+  });
+
+  test('splits deterministic deployer calldata into salt and init code', () => {
+    expect(parseDeterministicDeployment(DETERMINISTIC_DEPLOYER.toLowerCase(), `${ZERO_SALT}6080`))
+      .toEqual({ salt: ZERO_SALT, initCode: '0x6080' });
+    expect(parseDeterministicDeployment(DETERMINISTIC_DEPLOYER, ZERO_SALT)).toBeNull();
+    expect(parseDeterministicDeployment(ZERO, `${ZERO_SALT}6080`)).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+// Tests for fee-strategy.js
+const { parseUnits } = require('ethers');
+const { FeeStrategy } = require('../fee-strategy');
+const { ErrorCodes } = require('../errors');
+
+const gwei = (value) => parseUnits(String(value), 'gwei');
+const hex = (value) => `0x${value.toString(16)}`;
+
+// Provider stub answering eth_feeHistory with one reward row per block ([slow, standard, fast])
+function createProvider({ baseFeeGwei = 30, rewardsGwei = [[1, 2, 3]], gasEstimate = 100000n } = {}) {
+  return {
+    requests: 0,
+    async send(method) {
+      expect(method).toBe('eth_feeHistory');
+      this.requests++;
+      return {
+        baseFeePerGas: [hex(gwei(baseFeeGwei)), hex(gwei(baseFeeGwei))],
+        reward: rewardsGwei.map(row => row.map(value => hex(gwei(value))))
+      };
+    },
+    async estimateGas() {
+      return gasEstimate;
+    }
+  };
+}
+
+describe('FeeStrategy', () => {
+  test('derives each tier from the median reward and twice the base fee', async () => {
+    const fees = new FeeStrategy();
+    const provider = createProvider({ baseFeeGwei: 30, rewardsGwei: [[1, 2, 9], [3, 4, 5], [2, 3, 7]] });
+
+    const tiers = await fees.getFeeTiers(provider);
+
+    expect(tiers.baseFeePerGas).toBe(gwei(30));
+    expect(tiers.slow).toEqual({ maxPriorityFeePerGas: gwei(2), maxFeePerGas: gwei(62) });
+    expect(tiers.standard).toEqual({ maxPriorityFeePerGas: gwei(3), maxFeePerGas: gwei(63) });
+    expect(tiers.fast).toEqual({ maxPriorityFeePerGas: gwei(7), maxFeePerGas: gwei(67) });
+  });
+
+  test('reuses the tiers of a provider for a few seconds', async () => {
+    const fees = new FeeStrategy();
+    const provider = createProvider();
+
+    await fees.getFees(provider);
+    await fees.getFees(provider, 'fast');
+
+    expect(provider.requests).toBe(1);
+  });
+
+  test('uses the configured speed unless the call names a valid one', async () => {
+    const fees = new FeeStrategy({ speed: 'fast' });
+    const provider = createProvider({ rewardsGwei: [[1, 2, 3]] });
+
+    expect((await fees.getFees(provider)).maxPriorityFeePerGas).toBe(gwei(3));
+    expect((await fees.getFees(provider, 'slow')).maxPriorityFeePerGas).toBe(gwei(1));
+    expect((await fees.getFees(provider, 'warp')).maxPriorityFeePerGas).toBe(gwei(3));
+  });
+
+  test('caps fees at the ceiling while the base fee stays under it', async () => {
+    const fees = new FeeStrategy({ maxFeeGwei: 40 });
+    const provider = createProvider({ baseFeeGwei: 30, rewardsGwei: [[20, 20, 20]] });
+
+    expect(await fees.getFees(provider)).toEqual({ maxFeePerGas: gwei(40), maxPriorityFeePerGas: gwei(10) });
+  });
+
+  test('refuses to send when the base fee alone reaches the ceiling', async () => {
+    const fees = new FeeStrategy({ maxFeeGwei: 25 });
+    const provider = createProvider({ baseFeeGwei: 30 });
+
+    await expect(fees.getFees(provider)).rejects.toMatchObject({ code: ErrorCodes.FEE_TOO_HIGH });
+  });
+
+  test('adds the buffer to the gas estimate and keeps fees set by the caller', async () => {
+    const fees = new FeeStrategy({ gasLimitBufferPercent: 10 });
+    const provider = createProvider({ gasEstimate: 50000n });
+
+    const prepared = await fees.apply({ to: '0x1111111111111111111111111111111111111111', gasPrice: gwei(5) }, provider);
+
+    expect(prepared.gasLimit).toBe(55000n);
+    expect(prepared.gasPrice).toBe(gwei(5));
+    expect(prepared.maxFeePerGas).toBeUndefined();
+    expect(provider.requests).toBe(0);
+  });
+
+  test('rejects caller fees above the ceiling', async () => {
+    const fees = new FeeStrategy({ maxFeeGwei: 40 });
+    const provider = createProvider();
+
+    await expect(fees.apply({ gasLimit: 21000n, maxFeePerGas: gwei(50), maxPriorityFeePerGas: gwei(1) }, provider))
+      .rejects.toMatchObject({ code: ErrorCodes.FEE_TOO_HIGH });
+  });
+});
@@ -0,0 +1,77 @@
+// Tests for gas-oracle.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseUnits } = require('ethers');
+const { GasOracle } = require('../gas-oracle');
+
+const MINUTE = 60 * 1000;
+const gwei = (value) => Number(parseUnits(String(value), 'gwei'));
+const hex = (value) => `0x${BigInt(value).toString(16)}`;
+
+// Provider stub answering eth_feeHistory for two blocks at a base fee, with rewards per percentile
+function createProvider(baseFeeGwei, gasUsedRatio = [0.5, 0.7]) {
+  return {
+    async send(method) {
+      expect(method).toBe('eth_feeHistory');
+      return {
+        oldestBlock: '0x64',
+        baseFeePerGas: [hex(gwei(baseFeeGwei)), hex(gwei(baseFeeGwei)), hex(gwei(baseFeeGwei))],
+        gasUsedRatio,
+        reward: gasUsedRatio.map(() => [1, 2, 3, 4, 5].map(value => hex(gwei(value))))
+      };
+    }
+  };
+}
+
+// Samples of a steady or changing base fee, one every five minutes up to now
+function samples(baseFeesGwei) {
+  const now = Date.now();
+  return baseFeesGwei.map((baseFee, index) => ({
+    at: now - (baseFeesGwei.length - 1 - index) * 5 * MINUTE,
+    block: index,
+    baseFeePerGas: gwei(baseFee),
+    gasUsedRatio: 0.5,
+    priorityFees: { p10: 0, p25: 0, p50: 0, p75: 0, p90: 0 }
+  }));
+}
+
+describe('GasOracle', () => {
+  test('samples the next base fee, congestion and median priority fee percentiles', async () => {
+    const oracle = new GasOracle({ provider: createProvider(30), sampleIntervalMs: 0 });
+
+    const sample = await oracle.sample();
+
+    expect(sample).toMatchObject({ block: 102, baseFeePerGas: gwei(30), gasUsedRatio: 0.6 });
+    expect(sample.priorityFees).toEqual({ p10: gwei(1), p25: gwei(2), p50: gwei(3), p75: gwei(4), p90: gwei(5) });
+  });
+
+  test('reports a rising trend and advises waiting while the base fee is above its usual level', async () => {
+    const oracle = new GasOracle({ provider: createProvider(100, [0.95, 0.95]), sampleIntervalMs: 0 });
+    oracle.samples = samples([30, 30, 30, 40, 60, 80]);
+
+    const report = await oracle.report({ minutes: 60 });
+
+    expect(report.baseFeeGwei).toBe(100);
+    expect(report.trends.last15Minutes.direction).toBe('rising');
+    expect(report.congestion.level).toBe('severe');
+    expect(report.forecast.cheapest.inMinutes).toBe(60);
+    expect(report.forecast.recommendation).toMatch(/^Wait about 60 minutes/);
+  });
+
+  test('keeps its samples across restarts in the history file', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'gas-')), 'history.jsonl');
+    try {
+      const oracle = new GasOracle({ provider: createProvider(30), sampleIntervalMs: 0, historyFile: file });
+      await oracle.sample();
+      await oracle.sample();
+      await oracle.writing;
+      // A line cut short by a crash is skipped
+      fs.appendFileSync(file, '{"at":');
+
+      expect(new GasOracle({ historyFile: file }).samples).toHaveLength(2);
+    } finally {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,49 @@
+// Tests for http-transport.js
+const http = require('http');
+const { startHttpTransport } = require('../http-transport');
+
+// Send a request to the transport and resolve with its status code
+function request(port, { path = '/mcp', method = 'POST', headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path, method, headers }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end(method === 'POST' ? '{}' : undefined);
+  });
+}
+
+describe('startHttpTransport', () => {
+  let transport;
+  let port;
+  const createMcpServer = jest.fn();
+
+  beforeAll(async () => {
+    transport = await startHttpTransport(createMcpServer, {
+      port: 0,
+      allowedOrigins: 'http://localhost:5173',
+      sessionIdleTimeout: 0
+    });
+    port = transport.httpServer.address().port;
+  });
+
+  afterAll(() => new Promise(resolve => transport.httpServer.close(resolve)));
+
+  test('rejects browser requests from origins that are not allowlisted', async () => {
+    expect(await request(port, { headers: { Origin: 'https://evil.example' } })).toBe(403);
+    // An allowlisted origin gets through to the MCP endpoint (no session yet, so a bad request)
+    expect(await request(port, { headers: { Origin: 'http://localhost:5173' } })).toBe(400);
+    expect(createMcpServer).not.toHaveBeenCalled();
+  });
+
+  test('rejects host names other than loopback ones while bound to loopback', async () => {
+    expect(await request(port, { headers: { Host: `rebound.example:${port}` } })).toBe(403);
+    expect(await request(port, { headers: { Host: `localhost:${port}` } })).toBe(400);
+    expect(await request(port, { headers: { Host: `[::1]:${port}` } })).toBe(400);
+  });
+
+  test('refuses to bind beyond loopback without an auth token', async () => {
+    await expect(startHttpTransport(createMcpServer, { host: '0.0.0.0', port: 0 })).rejects.toThrow('without an auth token');
+  });
+});
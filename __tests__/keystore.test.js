@@ -0,0 +1,84 @@
+// Tests for keystore.js and keystore accounts in account-manager.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KeystoreDirectory, readPassphrase } = require('../keystore');
+const { AccountManager } = require('../account-manager');
+const { ErrorCodes } = require('../errors');
+
+const PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const PASSPHRASE = 'correct horse battery staple';
+
+// Scrypt makes every encryption and decryption take a while
+jest.setTimeout(60000);
+
+describe('KeystoreDirectory', () => {
+  let dir;
+  let keystore;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+    keystore = new KeystoreDirectory(dir);
+    await keystore.create('cold', PASSPHRASE, PRIVATE_KEY);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('lists keystore files without decrypting them and skips other files', () => {
+    fs.writeFileSync(path.join(dir, 'notes.json'), '{"not":"a keystore"}');
+
+    expect(keystore.list()).toEqual([{ file: path.join(dir, 'cold.json'), name: 'cold', address: ADDRESS }]);
+  });
+
+  test('writes keystore files readable by the owner only and never overwrites them', async () => {
+    expect(fs.statSync(path.join(dir, 'cold.json')).mode & 0o777).toBe(0o600);
+    await expect(keystore.create('cold', PASSPHRASE)).rejects.toThrow('already exists');
+  });
+
+  test('decrypts with the right passphrase only', async () => {
+    await expect(keystore.decrypt(path.join(dir, 'cold.json'), 'wrong'))
+      .rejects.toMatchObject({ code: ErrorCodes.UNAUTHORIZED });
+    expect((await keystore.decrypt(path.join(dir, 'cold.json'), PASSPHRASE)).address).toBe(ADDRESS);
+  });
+
+  test('keystore accounts start locked and sign only between unlock and lock', async () => {
+    const deactivated = [];
+    const accounts = new AccountManager({
+      keystore,
+      activate: () => {},
+      deactivate: () => deactivated.push(true)
+    });
+    accounts.addKeystore(keystore.list()[0]);
+
+    await expect(accounts.ensureUnlocked('cold')).rejects.toThrow('unlock it with unlock-account');
+    await expect(accounts.unlock('cold', { passphrase: 'wrong' })).rejects.toMatchObject({ code: ErrorCodes.UNAUTHORIZED });
+
+    expect(await accounts.unlock('cold', { passphrase: PASSPHRASE })).toMatchObject({ locked: false, active: true });
+    expect(accounts.getSigner('cold').address).toBe(ADDRESS);
+
+    expect(accounts.lock('cold').locked).toBe(true);
+    // The wallet manager no longer holds the key of the locked active account
+    expect(deactivated).toHaveLength(1);
+    await expect(accounts.ensureUnlocked('cold')).rejects.toMatchObject({ code: ErrorCodes.UNAUTHORIZED });
+  });
+});
+
+describe('readPassphrase', () => {
+  test('prefers KEYSTORE_PASSPHRASE, then reads KEYSTORE_PASSPHRASE_FILE without its trailing newline', async () => {
+    const file = path.join(os.tmpdir(), `passphrase-${process.pid}`);
+    fs.writeFileSync(file, `${PASSPHRASE}\n`);
+    try {
+      expect(await readPassphrase({ KEYSTORE_PASSPHRASE: 'env', KEYSTORE_PASSPHRASE_FILE: file })).toBe('env');
+      expect(await readPassphrase({ KEYSTORE_PASSPHRASE_FILE: file })).toBe(PASSPHRASE);
+    } finally {
+      fs.rmSync(file);
+    }
+  });
+
+  test('returns null without a source when prompting is off', async () => {
+    expect(await readPassphrase({}, { prompt: false })).toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+// Tests for multicall.js
+const { Interface } = require('ethers');
+const { Multicall, MULTICALL3_ADDRESS } = require('../multicall');
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const USDC = '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359';
+const BROKEN = '0x4444444444444444444444444444444444444444';
+
+const multicallInterface = new Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) view returns (uint256 balance)'
+]);
+const tokenInterface = new Interface([
+  'function balanceOf(address owner) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function name() view returns (string)'
+]);
+
+// Answer one read: USDC answers everything, BROKEN reverts
+function answer(target, data) {
+  if (target.toLowerCase() === MULTICALL3_ADDRESS.toLowerCase()) {
+    return multicallInterface.encodeFunctionResult('getEthBalance', [5n]);
+  }
+  if (target.toLowerCase() !== USDC.toLowerCase()) {
+    return null;
+  }
+  const { name } = tokenInterface.parseTransaction({ data });
+  const values = { balanceOf: [1500000n], decimals: [6], symbol: ['USDC'], name: ['USD Coin'] };
+  return tokenInterface.encodeFunctionResult(name, values[name]);
+}
+
+// Provider stub with or without a Multicall3 deployment, counting eth_calls
+function createProvider({ deployed }) {
+  return {
+    calls: 0,
+    async getCode() {
+      return deployed ? '0x6080' : '0x';
+    },
+    async getBalance() {
+      return 5n;
+    },
+    async call({ to, data }) {
+      this.calls++;
+      if (deployed) {
+        const [calls] = multicallInterface.decodeFunctionData('aggregate3', data);
+        const results = calls.map(({ target, callData }) => {
+          const returnData = answer(target, callData);
+          return [returnData !== null, returnData ?? '0x'];
+        });
+        return multicallInterface.encodeFunctionResult('aggregate3', [results]);
+      }
+      const returnData = answer(to, data);
+      if (returnData === null) {
+        throw new Error('execution reverted');
+      }
+      return returnData;
+    }
+  };
+}
+
+describe('Multicall', () => {
+  test.each([true, false])('reads balances and metadata, keeping failed reads apart (Multicall3 deployed: %s)', async (deployed) => {
+    const provider = createProvider({ deployed });
+    const multicall = new Multicall({ provider });
+
+    const { native, tokens, balances } = await multicall.getBalances([OWNER], [USDC, BROKEN], { fields: ['decimals', 'symbol'] });
+
+    expect(native.get(OWNER)).toBe(5n);
+    expect(tokens.get(USDC)).toEqual({ decimals: 6, symbol: 'USDC', name: null });
+    expect(tokens.get(BROKEN)).toEqual({ decimals: null, symbol: null, name: null });
+    expect(balances.get(OWNER).get(USDC)).toBe(1500000n);
+    expect(balances.get(OWNER).get(BROKEN)).toBeNull();
+    // One aggregate3 call, or one eth_call per read without a deployment
+    expect(provider.calls).toBe(deployed ? 1 : 6);
+  });
+
+  test('splits large batches and still reads all metadata with the metadata option', async () => {
+    const provider = createProvider({ deployed: true });
+    const multicall = new Multicall({ provider, batchSize: 2 });
+
+    const { tokens } = await multicall.getBalances([], [USDC], { metadata: true });
+
+    expect(tokens.get(USDC)).toEqual({ decimals: 6, symbol: 'USDC', name: 'USD Coin' });
+    expect(provider.calls).toBe(2);
+  });
+});
@@ -0,0 +1,144 @@
+// Tests for nonce-manager.js
+const { NonceManager } = require('../nonce-manager');
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+
+// Provider stub: pending/latest transaction counts and the hashes the node knows
+function createProvider({ pending = 0, latest = 0, known = [] } = {}) {
+  return {
+    pending,
+    latest,
+    known: new Set(known),
+    async getTransactionCount(address, blockTag) {
+      return blockTag === 'pending' ? this.pending : this.latest;
+    },
+    async getTransaction(hash) {
+      return this.known.has(hash) ? { hash } : null;
+    }
+  };
+}
+
+// Send function stub that records the nonces it was called with
+function createSend(hashes = {}) {
+  const nonces = [];
+  const send = async (tx) => {
+    nonces.push(tx.nonce);
+    if (hashes[tx.nonce] instanceof Error) {
+      throw hashes[tx.nonce];
+    }
+    return { hash: hashes[tx.nonce] || `0x${tx.nonce}` };
+  };
+  return { send, nonces };
+}
+
+describe('NonceManager', () => {
+  test('reserves the higher of the local nonce and the node pending count', async () => {
+    const nonces = new NonceManager();
+    const provider = createProvider({ pending: 3 });
+    const account = nonces.getAccount('polygon', ADDRESS, provider);
+
+    expect(await nonces.reserve(account)).toBe(3);
+    account.next = 2;
+    expect(await nonces.reserve(account)).toBe(3);
+  });
+
+  test('tracks sent transactions and hands out the following nonce', async () => {
+    const nonces = new NonceManager();
+    const provider = createProvider({ pending: 0, known: ['0x0'] });
+    const account = nonces.getAccount('polygon', ADDRESS, provider);
+    const { send } = createSend();
+
+    await nonces.send(account, { nonce: await nonces.reserve(account), to: ADDRESS }, send, { tool: 'transfer-funds' });
+
+    expect(account.pending.get(0)).toMatchObject({ hash: '0x0', nonce: 0, tool: 'transfer-funds', replaces: [] });
+    // The node has not counted the first transaction yet but still knows it
+    expect(await nonces.reserve(account)).toBe(1);
+  });
+
+  test('renumbers a transaction when the node reports nonce too low', async () => {
+    const nonces = new NonceManager();
+    const provider = createProvider({ pending: 0 });
+    const account = nonces.getAccount('polygon', ADDRESS, provider);
+    const tooLow = Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+    const { send, nonces: sent } = createSend({ 0: tooLow });
+
+    provider.pending = 1;
+    const response = await nonces.send(account, { nonce: 0 }, send);
+
+    expect(sent).toEqual([0, 1]);
+    expect(response.hash).toBe('0x1');
+    expect(account.next).toBe(2);
+  });
+
+  test('never renumbers a transaction with an explicit nonce', async () => {
+    const nonces = new NonceManager();
+    const account = nonces.getAccount('polygon', ADDRESS, createProvider());
+    const tooLow = Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+    const { send, nonces: sent } = createSend({ 4: tooLow });
+
+    await expect(nonces.send(account, { nonce: 4 }, send, { explicitNonce: true })).rejects.toThrow('nonce too low');
+    expect(sent).toEqual([4]);
+  });
+
+  test('records replaced broadcasts of the same nonce', async () => {
+    const nonces = new NonceManager();
+    const account = nonces.getAccount('polygon', ADDRESS, createProvider());
+
+    nonces.track(account, { nonce: 2 }, { hash: '0xa' });
+    nonces.track(account, { nonce: 2 }, { hash: '0xb' });
+
+    expect(account.pending.get(2)).toMatchObject({ hash: '0xb', replaces: ['0xa'] });
+  });
+
+  test('moves the nonce back when the node dropped the transaction at its pending count', async () => {
+    const nonces = new NonceManager();
+    const provider = createProvider({ pending: 5, known: ['0x6'] });
+    const account = nonces.getAccount('polygon', ADDRESS, provider);
+    nonces.track(account, { nonce: 5 }, { hash: '0x5' });
+    nonces.track(account, { nonce: 6 }, { hash: '0x6' });
+
+    expect(await nonces.reserve(account)).toBe(5);
+    // The dropped transaction is forgotten; the queued one behind it is kept
+    expect([...account.pending.keys()]).toEqual([6]);
+  });
+
+  test('keeps the local nonce while the node still knows the transaction at its pending count', async () => {
+    const nonces = new NonceManager();
+    const provider = createProvider({ pending: 5, known: ['0x5b'] });
+    const account = nonces.getAccount('polygon', ADDRESS, provider);
+    nonces.track(account, { nonce: 5 }, { hash: '0x5a' });
+    // A speed-up replaced the original; the node knows the replacement
+    nonces.track(account, { nonce: 5 }, { hash: '0x5b' });
+
+    expect(await nonces.reserve(account)).toBe(6);
+    expect(account.pending.has(5)).toBe(true);
+  });
+
+  test('drops pending entries once their nonce is mined', async () => {
+    const nonces = new NonceManager();
+    const provider = createProvider({ pending: 2, latest: 1, known: ['0x0', '0x1'] });
+    const account = nonces.getAccount('polygon', ADDRESS, provider);
+    nonces.track(account, { nonce: 0 }, { hash: '0x0' });
+    nonces.track(account, { nonce: 1 }, { hash: '0x1' });
+
+    const pending = await nonces.listPending(ADDRESS);
+
+    expect(pending.map(entry => entry.nonce)).toEqual([1]);
+  });
+
+  test('runs work for one account one at a time', async () => {
+    const nonces = new NonceManager();
+    const provider = createProvider();
+    const order = [];
+    const first = nonces.runExclusive('polygon', ADDRESS, provider, async () => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      order.push('first');
+    });
+    const second = nonces.runExclusive('polygon', ADDRESS, provider, async () => {
+      order.push('second');
+    });
+
+    await Promise.all([first, second]);
+    expect(order).toEqual(['first', 'second']);
+  });
+});
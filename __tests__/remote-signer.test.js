@@ -0,0 +1,79 @@
+// Tests for remote-signer.js against the local-signer.js stand-in
+const { Transaction, Wallet, parseUnits, verifyMessage } = require('ethers');
+const { RemoteSigner } = require('../remote-signer');
+const { LocalSigner } = require('../local-signer');
+const { AccountManager } = require('../account-manager');
+const { ErrorCodes } = require('../errors');
+
+const PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const RECIPIENT = '0x2222222222222222222222222222222222222222';
+const AUTH_TOKEN = 'secret';
+
+// A complete transaction, so the signer needs no provider to populate it
+const transaction = {
+  to: RECIPIENT,
+  value: parseUnits('1', 'ether'),
+  nonce: 3,
+  chainId: 137,
+  gasLimit: 21000n,
+  maxFeePerGas: parseUnits('50', 'gwei'),
+  maxPriorityFeePerGas: parseUnits('30', 'gwei'),
+  type: 2
+};
+
+describe('RemoteSigner', () => {
+  let local;
+  let url;
+
+  beforeAll(async () => {
+    local = new LocalSigner({ privateKeys: [PRIVATE_KEY], port: 0, authToken: AUTH_TOKEN });
+    url = await local.start();
+  });
+
+  afterAll(() => local.stop());
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lists the accounts the signer holds', async () => {
+    expect(await RemoteSigner.listAccounts({ url, authToken: AUTH_TOKEN })).toEqual([ADDRESS]);
+  });
+
+  test('signs transactions and messages with the remote key', async () => {
+    const signer = new RemoteSigner({ url, address: ADDRESS, authToken: AUTH_TOKEN });
+
+    const signed = Transaction.from(await signer.signTransaction(transaction));
+    expect(signed.from).toBe(ADDRESS);
+    expect(signed.to).toBe(RECIPIENT);
+    expect(signed.nonce).toBe(3);
+    expect(verifyMessage('hello', await signer.signMessage('hello'))).toBe(ADDRESS);
+  });
+
+  test('rejects a transaction signed by another account', async () => {
+    const other = Wallet.createRandom();
+    jest.spyOn(local, 'handle').mockImplementation(async () => await other.signTransaction({ ...transaction, from: other.address }));
+    const signer = new RemoteSigner({ url, address: ADDRESS, authToken: AUTH_TOKEN });
+
+    await expect(signer.signTransaction(transaction)).rejects.toThrow(`signed with ${other.address} instead of ${ADDRESS}`);
+  });
+
+  test('reports wrong credentials and refused requests', async () => {
+    const unauthorized = new RemoteSigner({ url, address: ADDRESS, authToken: 'wrong' });
+    const refusing = new RemoteSigner({ url, address: RECIPIENT, authToken: AUTH_TOKEN });
+
+    await expect(unauthorized.signMessage('hello')).rejects.toMatchObject({ code: ErrorCodes.UNAUTHORIZED });
+    await expect(refusing.signMessage('hello')).rejects.toMatchObject({ code: ErrorCodes.TRANSACTION_REJECTED });
+  });
+
+  test('signs for an external signer account without the key entering the account manager', async () => {
+    const accounts = new AccountManager({ activate: () => {}, activateSigner: () => {} });
+    await accounts.addSigner({ name: 'remote', signer: new RemoteSigner({ url, address: ADDRESS, authToken: AUTH_TOKEN }) });
+
+    expect(accounts.resolve('remote').privateKey).toBeNull();
+    const signer = accounts.getSigner('remote', null);
+    expect(signer).toBeInstanceOf(RemoteSigner);
+    expect(Transaction.from(await signer.signTransaction(transaction)).from).toBe(ADDRESS);
+  });
+});
@@ -0,0 +1,60 @@
+// Tests for revert-decoder.js
+const { AbiCoder, Interface } = require('ethers');
+const { RevertDecoder, extractRevertData } = require('../revert-decoder');
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x2222222222222222222222222222222222222222';
+const SENDER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+const coder = AbiCoder.defaultAbiCoder();
+
+describe('RevertDecoder', () => {
+  const decoder = new RevertDecoder();
+
+  test('decodes Error(string) and Panic(uint256)', () => {
+    const message = `0x08c379a0${coder.encode(['string'], ['Not owner']).slice(2)}`;
+    const panic = `0x4e487b71${coder.encode(['uint256'], [0x11]).slice(2)}`;
+
+    expect(decoder.decode(message)).toMatchObject({ type: 'Error', reason: 'Not owner' });
+    expect(decoder.decode(panic)).toMatchObject({
+      type: 'Panic',
+      panicCode: '0x11',
+      reason: 'Panic: Arithmetic overflow or underflow'
+    });
+    expect(decoder.decode('0x')).toMatchObject({ type: 'Empty' });
+  });
+
+  test('decodes the errors of well-known contracts without a registered ABI', () => {
+    const iface = new Interface(['error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)']);
+    const data = iface.encodeErrorResult('ERC20InsufficientBalance', [SENDER, 1n, 2n]);
+
+    expect(decoder.decode(data)).toMatchObject({
+      type: 'CustomError',
+      name: 'ERC20InsufficientBalance',
+      source: 'ERC20',
+      args: { sender: SENDER, balance: '1', needed: '2' }
+    });
+  });
+
+  test('reports unknown selectors until the contract ABI is registered for the called address', () => {
+    const abi = ['error Paused(uint256 until)'];
+    const data = new Interface(abi).encodeErrorResult('Paused', [42n]);
+    const local = new RevertDecoder();
+
+    expect(local.decode(data, { to: TOKEN })).toMatchObject({ type: 'Unknown', selector: data.slice(0, 10) });
+    expect(local.registerAbi(abi, { address: TOKEN })).toBe(1);
+    expect(local.decode(data, { to: TOKEN })).toMatchObject({ type: 'CustomError', source: TOKEN, reason: 'Paused(until="42")' });
+    // Still decoded for other contracts, as a fallback
+    expect(local.decode(data, { to: OTHER })).toMatchObject({ type: 'CustomError', name: 'Paused' });
+  });
+
+  test('finds revert data in nested provider errors and falls back to the message', () => {
+    const nested = { info: { error: { data: { data: '0xdeadbeef' } } } };
+    expect(extractRevertData(nested)).toBe('0xdeadbeef');
+    expect(extractRevertData(new Error('timeout'))).toBeNull();
+
+    expect(decoder.decodeError(new Error('execution reverted: Too late'))).toMatchObject({ type: 'Error', reason: 'Too late' });
+    expect(decoder.decodeError(new Error('execution reverted'))).toMatchObject({ type: 'Empty' });
+    expect(decoder.decodeError(new Error('timeout'))).toBeNull();
+  });
+});
@@ -0,0 +1,51 @@
+// Tests for dry runs through signing-pipeline.js
+const { VoidSigner, parseEther } = require('ethers');
+const { SigningPipeline } = require('../signing-pipeline');
+const { SpendingPolicy } = require('../spending-policy');
+const { AccountManager } = require('../account-manager');
+
+const ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const RECIPIENT = '0x2222222222222222222222222222222222222222';
+
+describe('SigningPipeline dry runs', () => {
+  let accounts;
+  let captured;
+  let pipeline;
+
+  beforeEach(() => {
+    accounts = new AccountManager({ activate: () => {} });
+    accounts.addKeystore({ name: 'cold', address: ADDRESS, file: 'cold.json' });
+    captured = [];
+    // Like the server in dry-run mode: a signer for the account's address, never its key
+    pipeline = new SigningPipeline({
+      getWallet: () => new VoidSigner(accounts.resolve(pipeline.getContext().account).address, null),
+      dryRun: async (tx) => {
+        captured.push(tx);
+        return { hash: `0x${captured.length}`, wait: async () => ({ status: 1 }) };
+      }
+    });
+  });
+
+  test('captures the transactions of a locked account without unlocking it', async () => {
+    const response = await pipeline.run({ tool: 'transfer-funds', account: 'cold' }, () =>
+      pipeline.getSigner('polygon').sendTransaction({ to: RECIPIENT, value: parseEther('1') }));
+
+    expect(accounts.list().find(account => account.name === 'cold').locked).toBe(true);
+    expect(response.hash).toBe('0x1');
+    expect(captured).toEqual([expect.objectContaining({ from: ADDRESS, to: RECIPIENT, value: parseEther('1') })]);
+  });
+
+  test('checks dry-run transactions against the policy without counting them', async () => {
+    const policy = new SpendingPolicy({ policy: { limits: { POL: { perTransaction: '5', perDay: '5' } } } });
+    pipeline.use('policy', (tx, context, network) => policy.check(tx, context, network),
+      (tx, context) => policy.signed(tx, context), (tx, context) => policy.release(tx, context));
+    const send = (amount) => pipeline.run({ tool: 'transfer-funds', account: 'cold' }, () =>
+      pipeline.getSigner('polygon').sendTransaction({ to: RECIPIENT, value: parseEther(amount) }));
+
+    await send('4');
+    await send('4');
+    await expect(send('6')).rejects.toThrow('rule "limits.POL.perTransaction"');
+    expect(captured).toHaveLength(2);
+    expect(policy.spentToday('native')).toBe(0n);
+  });
+});
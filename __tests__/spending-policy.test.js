@@ -0,0 +1,163 @@
+// Tests for spending-policy.js
+const { parseEther, parseUnits } = require('ethers');
+const { SpendingPolicy } = require('../spending-policy');
+const { SigningPipeline } = require('../signing-pipeline');
+const { ErrorCodes } = require('../errors');
+
+const SENDER = '0x1111111111111111111111111111111111111111';
+const FRIEND = '0x2222222222222222222222222222222222222222';
+const STRANGER = '0x3333333333333333333333333333333333333333';
+
+// Native transfer of `amount` POL
+const transfer = (to, amount, extra = {}) => ({ from: SENDER, to, value: parseEther(amount), data: '0x', ...extra });
+
+// Check a transaction and record it as signed
+async function send(policy, tx, context = {}) {
+  await policy.check(tx, context);
+  policy.signed(tx, context);
+}
+
+// A broadcast of nonce 7 that is known by its hash
+const broadcast = (to, amount, hash) => transfer(to, amount, { nonce: 7, hash });
+const mined = (hash) => ({ hash, network: 'polygon', from: SENDER, nonce: 7 });
+
+describe('SpendingPolicy', () => {
+  test('blocks listed tools, also for tools that sign outside the pipeline', async () => {
+    const policy = new SpendingPolicy({ policy: { blockedTools: ['deploy-contract', 'deposit-eth'] } });
+
+    await expect(policy.check(transfer(FRIEND, '1'), { tool: 'deploy-contract' }))
+      .rejects.toMatchObject({ code: ErrorCodes.UNAUTHORIZED, details: expect.objectContaining({ rule: 'blockedTools' }) });
+    await expect(policy.check(null, { tool: 'deposit-eth' })).rejects.toThrow('deposit-eth is blocked');
+    await expect(policy.check(transfer(FRIEND, '1'), { tool: 'transfer-funds' })).resolves.toBeUndefined();
+  });
+
+  test('rejects gas prices above maxGasPriceGwei', async () => {
+    const policy = new SpendingPolicy({ policy: { maxGasPriceGwei: 100 } });
+
+    await expect(policy.check(transfer(FRIEND, '1', { maxFeePerGas: parseUnits('101', 'gwei') }), {}))
+      .rejects.toThrow('rule "maxGasPriceGwei"');
+    await expect(policy.check(transfer(FRIEND, '1', { gasPrice: parseUnits('100', 'gwei') }), {})).resolves.toBeUndefined();
+  });
+
+  test('applies the recipient denylist and allowlist', async () => {
+    const denying = new SpendingPolicy({ policy: { recipients: { deny: [STRANGER] } } });
+    const allowing = new SpendingPolicy({ policy: { recipients: { allow: [FRIEND] } } });
+
+    await expect(denying.check(transfer(STRANGER, '1'), {})).rejects.toThrow('rule "recipients.deny"');
+    await expect(denying.check(transfer(FRIEND, '1'), {})).resolves.toBeUndefined();
+    await expect(allowing.check(transfer(STRANGER, '1'), {})).rejects.toThrow('rule "recipients.allow"');
+    await expect(allowing.check(transfer(FRIEND, '1'), {})).resolves.toBeUndefined();
+    // Sending to yourself is never a counterparty
+    await expect(allowing.check(transfer(SENDER, '1'), {})).resolves.toBeUndefined();
+  });
+
+  test('enforces the per-transaction and daily caps of the native token', async () => {
+    const policy = new SpendingPolicy({ policy: { limits: { POL: { perTransaction: '10', perDay: '15' } } } });
+
+    await expect(policy.check(transfer(FRIEND, '11'), {})).rejects.toThrow('rule "limits.POL.perTransaction"');
+    await send(policy, transfer(FRIEND, '10'));
+    await expect(policy.check(transfer(FRIEND, '6'), {})).rejects.toThrow('rule "limits.POL.perDay"');
+    await send(policy, transfer(FRIEND, '5'));
+    expect(policy.spentToday('native')).toBe(parseEther('15'));
+  });
+
+  test('reserves the spend of a checked transaction until it is signed or released', async () => {
+    const policy = new SpendingPolicy({ policy: { limits: { POL: { perDay: '10' } } } });
+    const context = {};
+
+    await policy.check(transfer(FRIEND, '8'), context);
+    expect(policy.spentToday('native')).toBe(parseEther('8'));
+    await expect(policy.check(transfer(FRIEND, '8'), {})).rejects.toThrow('rule "limits.POL.perDay"');
+
+    policy.release(null, context);
+    await send(policy, transfer(FRIEND, '8'));
+    expect(policy.spentToday('native')).toBe(parseEther('8'));
+  });
+
+  test('lets only one of two concurrent checks fit under a daily cap', async () => {
+    const policy = new SpendingPolicy({ policy: { limits: { POL: { perDay: '10' } } } });
+
+    const results = await Promise.allSettled([
+      policy.check(transfer(FRIEND, '8'), {}),
+      policy.check(transfer(FRIEND, '8'), {})
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+  });
+
+  test('releases the reservation when the broadcast fails', async () => {
+    const policy = new SpendingPolicy({ policy: { limits: { POL: { perDay: '10' } } } });
+    const pipeline = new SigningPipeline({
+      getWallet: () => ({
+        provider: { getTransactionCount: async () => 0 },
+        address: SENDER,
+        getAddress: async () => SENDER,
+        populateTransaction: async (tx) => ({ ...tx, from: SENDER }),
+        sendTransaction: async () => {
+          throw new Error('insufficient funds');
+        }
+      })
+    });
+    pipeline.use('policy', (tx, context, network) => policy.check(tx, context, network),
+      (tx, context) => policy.signed(tx, context), (tx, context) => policy.release(tx, context));
+
+    await expect(pipeline.run({ tool: 'transfer-funds' }, () =>
+      pipeline.getSigner('polygon').sendTransaction({ to: FRIEND, value: parseEther('8') }))).rejects.toThrow('insufficient funds');
+    expect(policy.spentToday('native')).toBe(0n);
+  });
+
+  test('counts the broadcasts of a nonce once, at the largest, until the cancel is mined', async () => {
+    const policy = new SpendingPolicy({ policy: { limits: { POL: { perDay: '15' } } } });
+
+    await send(policy, broadcast(FRIEND, '10', '0xa'));
+    // A speed-up of the same 10 POL fits the cap, an unrelated 10 POL does not
+    await send(policy, broadcast(FRIEND, '10', '0xb'));
+    expect(policy.spentToday('native')).toBe(parseEther('10'));
+    await expect(policy.check(transfer(FRIEND, '10', { nonce: 8 }), {})).rejects.toThrow('rule "limits.POL.perDay"');
+    // A speed-up that sends more only adds the difference
+    await expect(policy.check(broadcast(FRIEND, '16', '0xc'), {})).rejects.toThrow('rule "limits.POL.perDay"');
+
+    // A cancel frees nothing until it is the one mined
+    await send(policy, broadcast(SENDER, '0', '0xd'));
+    expect(policy.spentToday('native')).toBe(parseEther('10'));
+    policy.settle(mined('0xd'));
+    expect(policy.spentToday('native')).toBe(0n);
+  });
+
+  test('keeps the spend of an original mined after it was cancelled', async () => {
+    const policy = new SpendingPolicy({ policy: { limits: { POL: { perDay: '15' } } } });
+
+    await send(policy, broadcast(FRIEND, '10', '0xa'));
+    await send(policy, broadcast(SENDER, '0', '0xd'));
+    policy.settle(mined('0xa'));
+
+    expect(policy.spentToday('native')).toBe(parseEther('10'));
+    await expect(policy.check(transfer(FRIEND, '10', { nonce: 8 }), {})).rejects.toThrow('rule "limits.POL.perDay"');
+  });
+
+  test('forgets spends older than a day', async () => {
+    const policy = new SpendingPolicy({ policy: { limits: { POL: { perDay: '10' } } } });
+    policy.ledger.push({ token: 'native', amount: parseEther('10').toString(), at: Date.now() - 25 * 60 * 60 * 1000 });
+
+    await expect(policy.check(transfer(FRIEND, '10'), {})).resolves.toBeUndefined();
+  });
+
+  test('checks and records the spend declared by tools that sign outside the pipeline', async () => {
+    const policy = new SpendingPolicy({ policy: { limits: { POL: { perTransaction: '5', perDay: '8' } } } });
+
+    await send(policy, null, { tool: 'withdraw-eth', spend: { amount: '4' } });
+    await expect(policy.check(null, { tool: 'withdraw-eth', spend: { amount: '6' } })).rejects.toThrow('rule "limits.POL.perTransaction"');
+    await expect(policy.check(null, { tool: 'withdraw-eth', spend: { amount: '5' } })).rejects.toThrow('rule "limits.POL.perDay"');
+  });
+
+  test('blocks tools that sign outside the pipeline while a contract allowlist is configured', async () => {
+    const policy = new SpendingPolicy({ policy: { contracts: { '*': ['transfer'] } } });
+
+    await expect(policy.check(null, { tool: 'deposit-eth' })).rejects.toThrow('rule "contracts"');
+  });
+
+  test('rejects unknown token symbols without a simulator to resolve them', () => {
+    expect(() => new SpendingPolicy({ policy: { limits: { USDC: { perDay: '100' } } } }))
+      .toThrow('Unknown token in spending policy: USDC');
+  });
+});
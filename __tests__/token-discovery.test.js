@@ -0,0 +1,76 @@
+// Tests for the Transfer log scans of token-discovery.js
+const { id, zeroPadValue, toBeHex } = require('ethers');
+const { TokenDiscovery } = require('../token-discovery');
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const SENDER = '0x2222222222222222222222222222222222222222';
+const USDC = '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359';
+const NFT = '0x4444444444444444444444444444444444444444';
+const TRANSFER_TOPIC = id('Transfer(address,address,uint256)');
+
+// Transfer logs to OWNER: USDC at block 150, NFT #7 at block 900
+const LOGS = [
+  { blockNumber: 150, address: USDC, topics: [TRANSFER_TOPIC, zeroPadValue(SENDER, 32), zeroPadValue(OWNER, 32)] },
+  { blockNumber: 900, address: NFT, topics: [TRANSFER_TOPIC, zeroPadValue(SENDER, 32), zeroPadValue(OWNER, 32), toBeHex(7, 32)] }
+];
+
+// Provider stub at block 1000 whose eth_getLogs rejects ranges over maxRange blocks
+function createProvider(maxRange) {
+  return {
+    ranges: [],
+    async getBlockNumber() {
+      return 1000;
+    },
+    async getLogs({ fromBlock, toBlock, topics }) {
+      if (toBlock - fromBlock + 1 > maxRange) {
+        throw new Error('block range too large');
+      }
+      if (topics[0] !== TRANSFER_TOPIC) {
+        return [];
+      }
+      this.ranges.push([fromBlock, toBlock]);
+      return LOGS.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+    }
+  };
+}
+
+function createDiscovery(provider, options = {}) {
+  return new TokenDiscovery({
+    provider,
+    tokens: { getChainId: async () => 137 },
+    checkpointFile: false,
+    ...options
+  });
+}
+
+describe('TokenDiscovery scans', () => {
+  test('records received ERC20 and ERC721 tokens, retrying rejected ranges in smaller chunks', async () => {
+    const provider = createProvider(300);
+    const discovery = createDiscovery(provider, { chunkSize: 1000 });
+
+    const scan = await discovery.scan(OWNER);
+
+    expect(scan).toMatchObject({ fromBlock: 0, scannedTo: 1000, latestBlock: 1000, complete: true });
+    expect(provider.ranges[0]).toEqual([0, 249]);
+    expect(discovery.checkpoints[`137:${OWNER}`]).toMatchObject({ erc20: [USDC], erc721: { [NFT]: ['7'] } });
+  });
+
+  test('stops at the block budget and resumes from the checkpoint', async () => {
+    const provider = createProvider(1000);
+    const discovery = createDiscovery(provider, { chunkSize: 1000, maxBlocks: 500 });
+
+    expect(await discovery.scan(OWNER, { fromBlock: 100 })).toMatchObject({ scannedTo: 599, complete: false });
+    expect(await discovery.scan(OWNER)).toMatchObject({ fromBlock: 600, scannedTo: 1000, complete: true });
+    expect(discovery.checkpoints[`137:${OWNER}`].erc20).toEqual([USDC]);
+  });
+
+  test('shares one scan between concurrent calls for an address', async () => {
+    const provider = createProvider(2000);
+    const discovery = createDiscovery(provider, { chunkSize: 2000 });
+
+    const [first, second] = await Promise.all([discovery.scan(OWNER), discovery.scan(OWNER)]);
+
+    expect(first).toBe(second);
+    expect(provider.ranges).toHaveLength(1);
+  });
+});
@@ -0,0 +1,110 @@
+// Tests for token-lists.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TokenResolver, loadTokenList } = require('../token-lists');
+const { ErrorCodes } = require('../errors');
+
+const USDC = '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359';
+const USDC_E = '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174';
+const WETH = '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619';
+
+const list = (tokens, name = 'Test List') => ({
+  name,
+  version: '1.0.0',
+  tokens: tokens.map(([address, symbol, chainId = 137]) => ({ chainId, address, symbol, name: symbol, decimals: 6 }))
+});
+
+describe('TokenResolver', () => {
+  test('returns addresses checksummed', () => {
+    const resolver = new TokenResolver({ chainId: 137 });
+
+    expect(resolver.resolve(USDC.toLowerCase())).toBe(USDC);
+  });
+
+  test('resolves configured symbols case-insensitively', () => {
+    const resolver = new TokenResolver({ chainId: 137, tokenAddresses: { USDC } });
+
+    expect(resolver.resolve('usdc')).toBe(USDC);
+  });
+
+  test('resolves symbols from token lists of the server chain only', () => {
+    const resolver = new TokenResolver({ chainId: 137 });
+    resolver.addList(list([[WETH, 'WETH'], [USDC, 'USDC', 1]]), 'list.json');
+
+    expect(resolver.resolve('WETH')).toBe(WETH);
+    expect(() => resolver.resolve('USDC')).toThrow('Unknown token: USDC');
+  });
+
+  test('refuses ambiguous symbols and names the candidates', () => {
+    const resolver = new TokenResolver({ chainId: 137, tokenAddresses: { USDC } });
+    resolver.addList(list([[USDC_E, 'USDC']], 'Bridged'), 'bridged.json');
+
+    let error;
+    try {
+      resolver.resolve('USDC');
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.code).toBe(ErrorCodes.INVALID_PARAMETERS);
+    expect(error.message).toContain('ambiguous');
+    expect(error.details.candidates.map(candidate => candidate.address).sort()).toEqual([USDC_E, USDC].sort());
+    expect(Object.keys(resolver.ambiguousSymbols())).toEqual(['USDC']);
+  });
+
+  test('treats a configured token listed under the same address as one token', () => {
+    const resolver = new TokenResolver({ chainId: 137, tokenAddresses: { USDC } });
+    resolver.addList(list([[USDC, 'USDC']]), 'list.json');
+
+    expect(resolver.resolve('USDC')).toBe(USDC);
+    expect(resolver.candidates('USDC')).toEqual([{ address: USDC, symbol: 'USDC', name: 'USDC', list: 'Test List' }]);
+    expect(resolver.ambiguousSymbols()).toEqual({});
+  });
+
+  test('falls back for symbols found nowhere else', () => {
+    const resolver = new TokenResolver({ chainId: 137, fallback: () => WETH });
+
+    expect(resolver.resolve('ETH')).toBe(WETH);
+  });
+});
+
+describe('loadTokenList', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-lists-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keeps valid entries and skips invalid ones', () => {
+    const file = path.join(dir, 'list.json');
+    fs.writeFileSync(file, JSON.stringify({
+      name: 'Mixed',
+      version: { major: 2, minor: 1, patch: 0 },
+      tokens: [
+        { chainId: 137, address: USDC.toLowerCase(), symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+        { chainId: 137, address: 'not-an-address', symbol: 'BAD', decimals: 18 },
+        { chainId: 137, address: WETH, symbol: 'WETH' }
+      ]
+    }));
+
+    const loaded = loadTokenList(file);
+
+    expect(loaded.name).toBe('Mixed');
+    expect(loaded.version).toBe('2.1.0');
+    expect(loaded.tokens).toEqual([
+      { chainId: 137, address: USDC, symbol: 'USDC', name: 'USD Coin', decimals: 6, logoURI: null }
+    ]);
+  });
+
+  test('rejects files without a tokens array', () => {
+    const file = path.join(dir, 'empty.json');
+    fs.writeFileSync(file, JSON.stringify({ name: 'Empty' }));
+
+    expect(() => loadTokenList(file)).toThrow('has no tokens array');
+    expect(() => loadTokenList(path.join(dir, 'missing.json'))).toThrow('Could not load token list');
+  });
+});
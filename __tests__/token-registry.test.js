@@ -0,0 +1,55 @@
+// Tests for token-registry.js
+const { TokenRegistry } = require('../token-registry');
+const { ErrorCodes } = require('../errors');
+
+const USDC = '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359';
+const ODD = '0x4444444444444444444444444444444444444444';
+
+// Multicall stub answering metadata reads from a table (null for a failed read), counting the batches
+function createMulticall(metadata) {
+  return {
+    batches: 0,
+    async getBalances(owners, tokens) {
+      this.batches++;
+      return {
+        native: new Map(),
+        balances: new Map(),
+        tokens: new Map(tokens.map(token => [token, { decimals: null, symbol: null, name: null, ...metadata[token] }]))
+      };
+    }
+  };
+}
+
+function createRegistry(metadata) {
+  const multicall = createMulticall(metadata);
+  const registry = new TokenRegistry({ provider: { getNetwork: async () => ({ chainId: 137n }) }, multicall, file: false });
+  return { registry, multicall };
+}
+
+describe('TokenRegistry', () => {
+  test('reads unknown tokens once, in one batch', async () => {
+    const { registry, multicall } = createRegistry({ [USDC]: { decimals: 6, symbol: 'USDC', name: 'USD Coin' } });
+
+    expect(await registry.get(USDC)).toMatchObject({ symbol: 'USDC', decimals: 6, chainId: 137, verified: false });
+    expect(await registry.getDecimals(USDC)).toBe(6);
+    expect(multicall.batches).toBe(1);
+  });
+
+  test('refuses to convert amounts of a token that does not report its decimals, and reads it again later', async () => {
+    const { registry, multicall } = createRegistry({ [ODD]: { symbol: 'ODD' } });
+
+    expect((await registry.get(ODD)).decimals).toBeNull();
+    await expect(registry.getDecimals(ODD)).rejects.toMatchObject({ code: ErrorCodes.CONTRACT_ERROR });
+    expect(multicall.batches).toBe(2);
+  });
+
+  test('marks configured tokens verified and lists tokens sharing their symbol', async () => {
+    const { registry } = createRegistry({ [USDC]: { decimals: 6, symbol: 'USDC' }, [ODD]: { decimals: 6, symbol: 'usdc' } });
+    registry.registerConfigured({ USDC });
+
+    const tokens = await registry.getMany([USDC, ODD]);
+
+    expect(tokens.get(USDC)).toMatchObject({ verified: true, collidesWith: [ODD] });
+    expect(tokens.get(ODD)).toMatchObject({ verified: false, collidesWith: [USDC] });
+  });
+});
@@ -0,0 +1,78 @@
+// Tests for transaction-tracker.js
+const { TransactionTracker } = require('../transaction-tracker');
+const { ErrorCodes } = require('../errors');
+
+const SENDER = '0x1111111111111111111111111111111111111111';
+
+// Transaction response stub whose wait settles the way the node reports it
+function createResponse(hash, nonce, wait) {
+  return { hash, nonce, from: SENDER, provider: null, wait };
+}
+
+describe('TransactionTracker', () => {
+  test('tells which broadcast took the nonce when a transaction is mined or replaced', async () => {
+    const mined = [];
+    const tracker = new TransactionTracker({ onMined: (tx) => mined.push(tx) });
+    const receipt = { hash: '0xa', blockNumber: 1, confirmations: async () => 1 };
+    const replaced = Object.assign(new Error('transaction was replaced'), {
+      code: 'TRANSACTION_REPLACED',
+      cancelled: true,
+      receipt: { hash: '0xd' }
+    });
+
+    await tracker.watch(createResponse('0xa', 7, async () => receipt), {}, 'polygon').wait();
+    await expect(tracker.watch(createResponse('0xb', 8, async () => { throw replaced; }), {}, 'polygon').wait())
+      .rejects.toBe(replaced);
+
+    expect(mined).toEqual([
+      { hash: '0xa', network: 'polygon', from: SENDER, nonce: 7 },
+      { hash: '0xd', network: 'polygon', from: SENDER, nonce: 8 }
+    ]);
+  });
+
+  test('answers a background tool call at its first broadcast and keeps running it', async () => {
+    const tracker = new TransactionTracker({});
+    const context = { tool: 'swap-tokens' };
+    let finish;
+
+    const { job } = await tracker.runInBackground(context, async () => {
+      tracker.record('0xa', context, 'polygon', { from: SENDER, nonce: 1 });
+      await new Promise(resolve => { finish = resolve; });
+      tracker.record('0xb', context, 'polygon', { from: SENDER, nonce: 2 });
+      return { content: [{ type: 'text', text: '{"swapped":true}' }] };
+    });
+    expect(job).toMatchObject({ tool: 'swap-tokens', state: 'running', hashes: ['0xa'] });
+
+    finish();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(job).toMatchObject({ state: 'completed', hashes: ['0xa', '0xb'], result: { swapped: true } });
+  });
+
+  test('returns the result of a background call that broadcasts nothing, and its error', async () => {
+    const tracker = new TransactionTracker({});
+
+    expect(await tracker.runInBackground({}, async () => 'pending approval')).toEqual({ result: 'pending approval' });
+    await expect(tracker.runInBackground({}, async () => { throw new Error('blocked'); })).rejects.toThrow('blocked');
+    expect(tracker.jobs.size).toBe(0);
+  });
+
+  test('reports pending, mined, dropped and replaced transactions', async () => {
+    const receipts = { '0xa': { status: 1, blockNumber: 5, gasUsed: 21000n, confirmations: async () => 3 } };
+    const provider = {
+      getTransactionReceipt: async (hash) => receipts[hash] || null,
+      getTransaction: async (hash) => (hash === '0xp' ? { from: SENDER, nonce: 9 } : null),
+      getTransactionCount: async () => 8
+    };
+    const tracker = new TransactionTracker({ provider });
+    for (const [hash, nonce] of [['0xa', 7], ['0xb', 7], ['0xc', 8], ['0xd', 6]]) {
+      tracker.record(hash, {}, 'polygon', { from: SENDER, nonce });
+    }
+
+    expect(await tracker.getTransactionStatus('0xa')).toMatchObject({ status: 'mined', confirmations: 3, gasUsed: '21000' });
+    expect(await tracker.getTransactionStatus('0xp')).toMatchObject({ status: 'pending', nonce: 9 });
+    expect(await tracker.getTransactionStatus('0xb')).toMatchObject({ status: 'replaced', replacedBy: '0xa' });
+    expect(await tracker.getTransactionStatus('0xc')).toMatchObject({ status: 'dropped' });
+    expect(await tracker.getTransactionStatus('0xd')).toMatchObject({ status: 'replaced', replacedBy: null });
+    await expect(tracker.getTransactionStatus('0xe')).rejects.toMatchObject({ code: ErrorCodes.INVALID_PARAMETERS });
+  });
+});
@@ -0,0 +1,52 @@
+// abi-utils.js - ABI parsing and decoded value formatting shared by the revert, event and function decoders
+const { Interface } = require('ethers');
+
+/**
+ * Build an Interface from an ABI given as a JSON array, a JSON string or human-readable
+ * fragments (one per line or separated by semicolons)
+ * @param {Array|string} abi - ABI
+ * @returns {Interface}
+ */
+function parseAbi(abi) {
+  if (typeof abi !== 'string') {
+    return new Interface(abi);
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(abi);
+  } catch {
+    parsed = abi.split(/[\n;]/).map(fragment => fragment.trim()).filter(Boolean);
+  }
+  return new Interface(parsed);
+}
+
+// Convert decoded ABI values (including structs) into JSON-friendly values
+function toPlainValue(value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value, toPlainValue);
+  }
+  return value;
+}
+
+// Map decoded arguments to an object keyed by parameter name (or index when unnamed)
+function formatArgs(inputs, values) {
+  const args = {};
+  inputs.forEach((input, index) => {
+    const value = values[index];
+    if (input.baseType === 'tuple' && input.components.every(component => component.name)) {
+      args[input.name || String(index)] = formatArgs(input.components, value);
+    } else {
+      args[input.name || String(index)] = toPlainValue(value);
+    }
+  });
+  return args;
+}
+
+module.exports = {
+  parseAbi,
+  toPlainValue,
+  formatArgs,
+};
@@ -0,0 +1,522 @@
+// account-manager.js - Named accounts from a BIP-39 mnemonic (BIP-44 paths), encrypted keystores,
+// external signers and raw private keys
+const {
+  HDNodeWallet,
+  Mnemonic,
+  Wallet,
+  getIndexedAccountPath,
+  getAddress,
+  isAddress
+} = require('ethers');
+const { ErrorCodes, createWalletError } = require('./errors');
+const { defaultLogger } = require('./logger');
+
+const ACCOUNT_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/;
+
+// Parse "treasury:0,ops:1,test:m/44'/60'/1'/0/0" into [{ name, index | path }]
+function parseAccountSpec(spec) {
+  if (!spec) {
+    return [];
+  }
+  return spec.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    const name = separator === -1 ? entry : entry.slice(0, separator);
+    const target = separator === -1 ? '' : entry.slice(separator + 1);
+    if (target.startsWith('m/')) {
+      return { name, path: target };
+    }
+    return { name, index: target === '' ? undefined : parseInt(target, 10) };
+  });
+}
+
+class AccountManager {
+  /**
+   * @param {Object} options - Account manager options
+   * @param {Function} options.activate - Called with the private key of the account being selected
+   *   (connects it to the wallet manager and the modules that cache wallet addresses)
+   * @param {Function} options.activateSigner - Called with the ethers Signer of an external signer account being selected
+   * @param {Function} options.deactivate - Called when the selected account is locked (removes its key from the wallet manager)
+   * @param {KeystoreDirectory} options.keystore - Keystore directory for keystore accounts
+   * @param {Function} options.passphrase - async ({ prompt, question }) => passphrase|null, used to unlock keystores
+   * @param {number} options.idleTimeoutMs - Re-lock keystore accounts after this long without use (0 disables)
+   */
+  constructor(options = {}) {
+    this.activate = options.activate;
+    this.activateSigner = options.activateSigner;
+    this.deactivate = options.deactivate || (() => {});
+    this.keystore = options.keystore || null;
+    this.passphrase = options.passphrase || (async () => null);
+    this.idleTimeoutMs = options.idleTimeoutMs || 0;
+    // name -> { name, label, address, path, index, source, privateKey, file, signer }
+    // Keystore accounts hold a null privateKey while locked; external signer accounts never hold one
+    this.accounts = new Map();
+    // name -> idle re-lock timer
+    this.lockTimers = new Map();
+    this.mnemonic = null;
+    this.activeName = null;
+    // name -> tail of the account's tool call queue
+    this.queues = new Map();
+    // Tool calls that switch the selected account (signers outside the signing pipeline) run one at a time
+    this.selection = Promise.resolve();
+  }
+
+  /**
+   * Use a BIP-39 mnemonic for account derivation
+   * @param {string} phrase - Mnemonic phrase
+   * @param {string} passphrase - Optional BIP-39 passphrase
+   */
+  loadMnemonic(phrase, passphrase = '') {
+    try {
+      this.mnemonic = Mnemonic.fromPhrase(phrase.trim(), passphrase);
+    } catch (error) {
+      throw createWalletError(ErrorCodes.INVALID_PARAMETERS, `Invalid mnemonic: ${error.message}`);
+    }
+  }
+
+  validateName(name) {
+    if (!name || !ACCOUNT_NAME_PATTERN.test(name)) {
+      throw createWalletError(
+        ErrorCodes.INVALID_PARAMETERS,
+        `Invalid account name "${name}": use up to 32 letters, digits, '_', '-' or '.'`
+      );
+    }
+    if (this.accounts.has(name)) {
+      throw createWalletError(ErrorCodes.INVALID_PARAMETERS, `Account "${name}" already exists`, { name });
+    }
+  }
+
+  // Register an account; the first usable one added becomes active
+  addAccount(entry) {
+    const duplicate = [...this.accounts.values()].find(account => account.address === entry.address);
+    if (duplicate) {
+      throw createWalletError(
+        ErrorCodes.INVALID_PARAMETERS,
+        `Address ${entry.address} is already registered as "${duplicate.name}"`,
+        { name: duplicate.name }
+      );
+    }
+    this.accounts.set(entry.name, entry);
+    defaultLogger.info(`Account "${entry.name}" added`, { address: entry.address, source: entry.source });
+    if (!this.activeName && this.canSign(entry)) {
+      this.select(entry.name);
+    }
+    return this.describe(entry);
+  }
+
+  /**
+   * Derive a named account from the mnemonic
+   * @param {Object} params - Derivation parameters
+   * @param {string} params.name - Account name
+   * @param {number} params.index - BIP-44 address index (m/44'/60'/0'/0/index); defaults to the next unused index
+   * @param {string} params.path - Full derivation path (overrides index)
+   * @param {string} params.label - Free-form description
+   * @returns {Object} The new account (without key material)
+   */
+  derive({ name, index, path, label } = {}) {
+    if (!this.mnemonic) {
+      throw createWalletError(
+        ErrorCodes.WALLET_NOT_CONNECTED,
+        'No mnemonic configured; set WALLET_MNEMONIC to derive accounts'
+      );
+    }
+    this.validateName(name);
+
+    let derivationPath = path;
+    let addressIndex = null;
+    if (!derivationPath) {
+      addressIndex = index ?? this.nextIndex();
+      if (!Number.isInteger(addressIndex) || addressIndex < 0) {
+        throw createWalletError(ErrorCodes.INVALID_PARAMETERS, `Invalid account index: ${index}`);
+      }
+      derivationPath = getIndexedAccountPath(addressIndex);
+    }
+
+    let wallet;
+    try {
+      wallet = HDNodeWallet.fromMnemonic(this.mnemonic, derivationPath);
+    } catch (error) {
+      throw createWalletError(ErrorCodes.INVALID_PARAMETERS, `Invalid derivation path ${derivationPath}: ${error.message}`);
+    }
+
+    return this.addAccount({
+      name,
+      label: label || null,
+      address: wallet.address,
+      path: derivationPath,
+      index: addressIndex,
+      source: 'mnemonic',
+      privateKey: wallet.privateKey
+    });
+  }
+
+  // Register a raw private key (e.g. PRIVATE_KEY) under a name
+  addPrivateKey(name, privateKey, label) {
+    this.validateName(name);
+    let wallet;
+    try {
+      wallet = new Wallet(privateKey);
+    } catch (error) {
+      throw createWalletError(ErrorCodes.INVALID_PARAMETERS, `Invalid private key for account "${name}"`);
+    }
+    return this.addAccount({
+      name,
+      label: label || null,
+      address: wallet.address,
+      path: null,
+      index: null,
+      source: 'privateKey',
+      privateKey: wallet.privateKey
+    });
+  }
+
+  /**
+   * Register an account held by an external signer
+   * @param {Object} params - Account parameters
+   * @param {string} params.name - Account name
+   * @param {Signer} params.signer - Signer that delegates to the external signer (e.g. RemoteSigner)
+   * @param {string} params.label - Free-form description
+   * @returns {Promise<Object>} The new account (without key material)
+   */
+  async addSigner({ name, signer, label }) {
+    this.validateName(name);
+    return this.addAccount({
+      name,
+      label: label || null,
+      address: getAddress(await signer.getAddress()),
+      path: null,
+      index: null,
+      source: 'remote',
+      privateKey: null,
+      signer
+    });
+  }
+
+  // Whether an account can sign right now
+  canSign(account) {
+    return Boolean(account.privateKey || account.signer);
+  }
+
+  // Register a keystore file as a locked account
+  addKeystore({ name, address, file, label }) {
+    this.validateName(name);
+    return this.addAccount({
+      name,
+      label: label || null,
+      address,
+      path: null,
+      index: null,
+      source: 'keystore',
+      privateKey: null,
+      file
+    });
+  }
+
+  /**
+   * Generate a new key, encrypt it into the keystore directory and register it unlocked
+   * @param {Object} params - Account parameters
+   * @param {string} params.name - Account name (also the keystore file name)
+   * @param {string} params.label - Free-form description
+   * @param {string} params.passphrase - Encryption passphrase (read from the configured source when omitted)
+   * @returns {Promise<Object>} The new account (without key material)
+   */
+  async createKeystore({ name, label, passphrase } = {}) {
+    if (!this.keystore) {
+      throw createWalletError(ErrorCodes.NOT_IMPLEMENTED, 'No keystore directory configured');
+    }
+    this.validateName(name);
+    const secret = passphrase ?? await this.passphrase({ question: `Passphrase for new keystore "${name}": ` });
+    if (!secret) {
+      throw createWalletError(
+        ErrorCodes.UNAUTHORIZED,
+        'No keystore passphrase available; set KEYSTORE_PASSPHRASE or KEYSTORE_PASSPHRASE_FILE'
+      );
+    }
+
+    const { file, address, wallet } = await this.keystore.create(name, secret);
+    const account = this.addKeystore({ name, address, file, label });
+    return this.unlockWith(this.accounts.get(account.name), wallet);
+  }
+
+  /**
+   * Decrypt a keystore account so it can sign
+   * @param {string} nameOrAddress - Keystore account
+   * @param {Object} options - Unlock options
+   * @param {string} options.passphrase - Passphrase (read from the configured source when omitted)
+   * @param {boolean} options.prompt - Allow an interactive terminal prompt (default true)
+   * @returns {Promise<Object>} The account (without key material)
+   */
+  async unlock(nameOrAddress, options = {}) {
+    const account = this.resolve(nameOrAddress);
+    if (account.source !== 'keystore') {
+      throw createWalletError(ErrorCodes.INVALID_PARAMETERS, `Account "${account.name}" is not a keystore account`);
+    }
+    if (account.privateKey) {
+      this.touch(account);
+      return this.describe(account);
+    }
+
+    const passphrase = options.passphrase ?? await this.passphrase({
+      prompt: options.prompt,
+      question: `Passphrase for keystore "${account.name}": `
+    });
+    if (!passphrase) {
+      throw createWalletError(
+        ErrorCodes.UNAUTHORIZED,
+        `Account "${account.name}" is locked and no keystore passphrase is available`,
+        { name: account.name }
+      );
+    }
+
+    const wallet = await this.keystore.decrypt(account.file, passphrase);
+    if (wallet.address !== account.address) {
+      throw createWalletError(
+        ErrorCodes.UNAUTHORIZED,
+        `Keystore for "${account.name}" decrypted to unexpected address ${wallet.address}`,
+        { name: account.name, expected: account.address }
+      );
+    }
+    return this.unlockWith(account, wallet);
+  }
+
+  unlockWith(account, wallet) {
+    account.privateKey = wallet.privateKey;
+    defaultLogger.info(`Account "${account.name}" unlocked`, { address: account.address });
+    if (!this.activeName || this.activeName === account.name) {
+      // Reconnect so a re-locked active account signs with its key again
+      this.activeName = null;
+      this.select(account.name);
+    }
+    this.touch(account);
+    return this.describe(account);
+  }
+
+  /**
+   * Discard the decrypted key of a keystore account. Write tools refuse to run on a locked
+   * account until unlock-account is called.
+   * @param {string} nameOrAddress - Keystore account
+   * @returns {Object} The account (without key material)
+   */
+  lock(nameOrAddress) {
+    const account = this.resolve(nameOrAddress);
+    if (account.source !== 'keystore') {
+      throw createWalletError(ErrorCodes.INVALID_PARAMETERS, `Account "${account.name}" is not a keystore account`);
+    }
+    clearTimeout(this.lockTimers.get(account.name));
+    this.lockTimers.delete(account.name);
+    if (account.privateKey) {
+      account.privateKey = null;
+      if (account.name === this.activeName) {
+        this.deactivate();
+      }
+      defaultLogger.info(`Account "${account.name}" locked`, { address: account.address });
+    }
+    return this.describe(account);
+  }
+
+  // Restart the idle re-lock timer of a keystore account
+  touch(account) {
+    if (account.source !== 'keystore' || !this.idleTimeoutMs) {
+      return;
+    }
+    clearTimeout(this.lockTimers.get(account.name));
+    const timer = setTimeout(() => {
+      this.lockTimers.delete(account.name);
+      defaultLogger.info(`Account "${account.name}" idle for ${this.idleTimeoutMs / 1000}s`);
+      this.lock(account.name);
+    }, this.idleTimeoutMs);
+    timer.unref();
+    this.lockTimers.set(account.name, timer);
+  }
+
+  /**
+   * Make sure an account can sign. A locked keystore account (never unlocked, or locked
+   * explicitly or after being idle) is not unlocked implicitly; it needs unlock-account first
+   * @param {string} nameOrAddress - Account (the active account when omitted)
+   * @returns {Promise<Object>} The account (without key material)
+   */
+  async ensureUnlocked(nameOrAddress) {
+    if (!nameOrAddress && !this.activeName) {
+      throw createWalletError(ErrorCodes.WALLET_NOT_CONNECTED, 'No unlocked account selected');
+    }
+    const account = this.resolve(nameOrAddress || this.activeName);
+    if (!this.canSign(account)) {
+      throw createWalletError(
+        ErrorCodes.UNAUTHORIZED,
+        `Account "${account.name}" is locked; unlock it with unlock-account`,
+        { name: account.name }
+      );
+    }
+    this.touch(account);
+    return this.describe(account);
+  }
+
+  /**
+   * Signer of an account connected to a provider (signing pipelines wrap it)
+   * @param {string} nameOrAddress - Account (the active account when omitted)
+   * @param {Provider} provider - Provider of the network to sign for
+   * @returns {Signer}
+   */
+  getSigner(nameOrAddress, provider) {
+    if (!nameOrAddress && !this.activeName) {
+      throw createWalletError(ErrorCodes.WALLET_NOT_CONNECTED, 'No unlocked account selected');
+    }
+    const account = this.resolve(nameOrAddress || this.activeName);
+    if (!this.canSign(account)) {
+      throw createWalletError(
+        ErrorCodes.WALLET_NOT_CONNECTED,
+        `Account "${account.name}" is locked; unlock it first`,
+        { name: account.name }
+      );
+    }
+    return account.signer ? account.signer.connect(provider) : new Wallet(account.privateKey, provider);
+  }
+
+  // Lowest BIP-44 index not used by a derived account
+  nextIndex() {
+    const used = new Set([...this.accounts.values()].map(account => account.index).filter(index => index !== null));
+    let index = 0;
+    while (used.has(index)) index++;
+    return index;
+  }
+
+  // Find an account by name or address
+  resolve(nameOrAddress) {
+    if (this.accounts.has(nameOrAddress)) {
+      return this.accounts.get(nameOrAddress);
+    }
+    if (isAddress(nameOrAddress)) {
+      const address = getAddress(nameOrAddress);
+      const account = [...this.accounts.values()].find(entry => entry.address === address);
+      if (account) {
+        return account;
+      }
+    }
+    throw createWalletError(
+      ErrorCodes.INVALID_PARAMETERS,
+      `Unknown account: ${nameOrAddress}`,
+      { available: [...this.accounts.keys()] }
+    );
+  }
+
+  // Make an account the one used by wallet tools
+  select(nameOrAddress) {
+    const account = this.resolve(nameOrAddress);
+    if (!this.canSign(account)) {
+      throw createWalletError(
+        ErrorCodes.WALLET_NOT_CONNECTED,
+        `Account "${account.name}" is locked; unlock it first`,
+        { name: account.name }
+      );
+    }
+    if (this.activeName !== account.name) {
+      if (account.signer) {
+        this.activateSigner(account.signer);
+      } else {
+        this.activate(account.privateKey);
+      }
+      this.activeName = account.name;
+      defaultLogger.info(`Active account: ${account.name}`, { address: account.address });
+    }
+    return this.describe(account);
+  }
+
+  setLabel(nameOrAddress, label) {
+    const account = this.resolve(nameOrAddress);
+    account.label = label || null;
+    return this.describe(account);
+  }
+
+  getActive() {
+    return this.activeName ? this.describe(this.accounts.get(this.activeName)) : null;
+  }
+
+  list() {
+    return [...this.accounts.values()].map(account => this.describe(account));
+  }
+
+  // Public view of an account (never includes key material)
+  describe(account) {
+    return {
+      name: account.name,
+      label: account.label,
+      address: account.address,
+      path: account.path,
+      source: account.source,
+      locked: !this.canSign(account),
+      active: account.name === this.activeName
+    };
+  }
+
+  /**
+   * Run fn in an account's queue: calls for the same account start one at a time, calls for
+   * other accounts run alongside. fn gets a release callback that lets the next call start
+   * early (once the last transaction of the call is broadcast); otherwise the queue moves on when fn settles.
+   * @param {string} nameOrAddress - Account to use (the active account when omitted)
+   * @param {Function} fn - async (release) => result
+   * @returns {Promise<*>} The result of fn
+   */
+  withAccount(nameOrAddress, fn) {
+    let name;
+    try {
+      name = nameOrAddress ? this.resolve(nameOrAddress).name : this.activeName;
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    if (!name) {
+      return Promise.reject(createWalletError(ErrorCodes.WALLET_NOT_CONNECTED, 'No unlocked account selected'));
+    }
+
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+    const run = (this.queues.get(name) || Promise.resolve()).then(() => fn(release));
+    run.then(release, release);
+    this.queues.set(name, released);
+    released.then(() => {
+      if (this.queues.get(name) === released) {
+        this.queues.delete(name);
+      }
+    });
+    return run;
+  }
+
+  /**
+   * Run fn with an account selected in the wallet manager, restoring the previous selection
+   * afterwards. For signers that read the selected wallet (the maticjs bridge); calls are
+   * serialized so a switched account never leaks into another of them. fn gets a release callback
+   * that restores the selection and lets the next call start once its transaction is broadcast.
+   * @param {string} nameOrAddress - Account to select
+   * @param {Function} fn - async (release) => result
+   * @returns {Promise<*>} The result of fn
+   */
+  withSelected(nameOrAddress, fn) {
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+    const run = this.selection.then(async () => {
+      const previous = this.activeName;
+      this.select(nameOrAddress);
+      let restored = false;
+      const restore = () => {
+        if (!restored) {
+          restored = true;
+          if (previous && previous !== this.activeName && this.canSign(this.accounts.get(previous))) {
+            this.select(previous);
+          }
+        }
+        release();
+      };
+      try {
+        return await fn(restore);
+      } finally {
+        restore();
+      }
+    });
+    run.then(release, release);
+    this.selection = released;
+    return run;
+  }
+}
+
+module.exports = {
+  AccountManager,
+  parseAccountSpec,
+};
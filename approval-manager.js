@@ -0,0 +1,294 @@
+// approval-manager.js - Human confirmation for value-moving tools (MCP elicitation or a pending queue)
+const { randomUUID } = require('crypto');
+const { formatEther, formatUnits, getAddress } = require('ethers');
+const { ErrorCodes, createTransactionError } = require('./errors');
+const { defaultLogger } = require('./logger');
+
+const DEFAULT_APPROVAL_TTL_MS = 15 * 60 * 1000;
+const NATIVE = 'native';
+const NATIVE_SYMBOLS = ['POL', 'MATIC', 'NATIVE'];
+
+// Parse "transfer-funds:100,transfer-funds:500:USDC,deploy-contract,*:0.5" into tool -> [{ minAmount, token }].
+// A threshold is in units of its token (the native token when none is given); a tool listed
+// without a threshold always needs approval, and "*" covers every write tool.
+function parseApprovalRules(spec) {
+  const rules = new Map();
+  if (!spec) {
+    return rules;
+  }
+  for (const entry of spec.split(',').map(item => item.trim()).filter(Boolean)) {
+    const [tool, amount, token] = entry.split(':').map(part => part.trim());
+    const threshold = amount === undefined ? NaN : parseFloat(amount);
+    rules.set(tool, [
+      ...(rules.get(tool) || []),
+      { minAmount: Number.isNaN(threshold) ? null : threshold, token: token || NATIVE }
+    ]);
+  }
+  return rules;
+}
+
+class ApprovalManager {
+  /**
+   * @param {Object} options - Approval options
+   * @param {Map} options.rules - tool -> [{ minAmount, token }] (see parseApprovalRules)
+   * @param {string} options.mode - 'auto' (elicitation when the client supports it, else the queue) or 'queue'
+   * @param {number} options.ttlMs - How long a queued approval stays valid
+   * @param {TransactionSimulator} options.simulator - Simulates transactions for the summary
+   * @param {Function} options.resolveToken - Token symbol or address -> address, to match thresholds to calls
+   */
+  constructor(options = {}) {
+    this.rules = options.rules || new Map();
+    this.mode = options.mode === 'queue' ? 'queue' : 'auto';
+    this.ttlMs = options.ttlMs || DEFAULT_APPROVAL_TTL_MS;
+    this.simulator = options.simulator || null;
+    this.resolveToken = options.resolveToken || (token => token);
+    // id -> { id, tool, summary, createdAt, expiresAt, run }
+    this.pending = new Map();
+  }
+
+  // Comparable key of a token: 'native', a checksummed address, or the upper-case symbol when it does not resolve
+  tokenKey(token) {
+    if (!token || NATIVE_SYMBOLS.includes(token.toUpperCase()) || token === NATIVE) {
+      return NATIVE;
+    }
+    try {
+      return getAddress(this.resolveToken(token));
+    } catch {
+      return token.toUpperCase();
+    }
+  }
+
+  /**
+   * Whether a tool call needs approval. Thresholds compare against the token and amount the call
+   * declares it spends (context.spend); a call spending a token without a threshold of its own,
+   * or not declaring what it spends, always needs approval.
+   * @param {Object} context - Tool call context ({ tool, spend })
+   * @returns {boolean}
+   */
+  requiresApproval(context) {
+    if (!context.tool) {
+      return false;
+    }
+    const rules = this.rules.get(context.tool) || this.rules.get('*');
+    if (!rules) {
+      return false;
+    }
+    if (rules.some(rule => rule.minAmount === null)) {
+      return true;
+    }
+    const amount = parseFloat(context.spend?.amount);
+    if (Number.isNaN(amount)) {
+      return true;
+    }
+    const token = this.tokenKey(context.spend.token);
+    const rule = rules.find(candidate => this.tokenKey(candidate.token) === token);
+    return !rule || amount >= rule.minAmount;
+  }
+
+  /**
+   * Signing pipeline stage: ask for confirmation before the first transaction of a tool call.
+   * One approval covers every transaction the tool call sends (e.g. a token approval and the swap).
+   * @param {Object|null} tx - Populated transaction, or null for tools that sign outside the pipeline
+   * @param {Object} context - Tool call context ({ tool, args, account, mcpServer, extra, rerun })
+   */
+  async check(tx, context) {
+    if (context.approved || !this.requiresApproval(context)) {
+      return;
+    }
+
+    const summary = await this.summarize(tx, context);
+
+    if (this.mode === 'auto' && context.mcpServer?.server.getClientCapabilities()?.elicitation) {
+      const approved = await this.elicit(summary, context);
+      if (approved === true) {
+        context.approved = true;
+        return;
+      }
+      if (approved === false) {
+        throw createTransactionError(
+          ErrorCodes.TRANSACTION_REJECTED,
+          `${context.tool} was rejected by the user`,
+          { tool: context.tool }
+        );
+      }
+    }
+
+    const pending = this.enqueue(summary, context.rerun);
+    context.pendingApproval = pending;
+    throw createTransactionError(
+      ErrorCodes.APPROVAL_REQUIRED,
+      `${context.tool} needs approval; call approve-pending or reject-pending with id ${pending.id}`,
+      { approvalId: pending.id, tool: context.tool }
+    );
+  }
+
+  // Ask the user through MCP elicitation; returns true/false, or null when elicitation is unavailable
+  async elicit(summary, context) {
+    try {
+      const result = await context.mcpServer.server.elicitInput({
+        message: this.describe(summary),
+        requestedSchema: {
+          type: 'object',
+          properties: {
+            approve: { type: 'boolean', title: 'Approve', description: 'Sign and broadcast this transaction' }
+          },
+          required: ['approve']
+        }
+      }, { relatedRequestId: context.extra?.requestId });
+      return result.action === 'accept' && result.content?.approve === true;
+    } catch (error) {
+      defaultLogger.warn(`Elicitation failed, queueing approval instead: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Build a human-readable summary of what a tool call is about to sign
+   * @param {Object|null} tx - Populated transaction
+   * @param {Object} context - Tool call context
+   * @returns {Promise<Object>} { tool, account, args, transaction, estimatedFee, simulation }
+   */
+  async summarize(tx, context) {
+    const summary = {
+      tool: context.tool,
+      account: context.account || null,
+      args: context.args || {},
+      transaction: null,
+      estimatedFee: null,
+      simulation: null
+    };
+    if (!tx) {
+      return summary;
+    }
+
+    const feePerGas = tx.maxFeePerGas ?? tx.gasPrice ?? null;
+    summary.transaction = {
+      from: tx.from,
+      to: tx.to || null,
+      value: formatEther(tx.value || 0n),
+      call: this.simulator ? this.simulator.functionDecoder.decode(tx.data, { to: tx.to }) : null,
+      data: tx.data || '0x',
+      nonce: tx.nonce ?? null,
+      gasLimit: tx.gasLimit != null ? tx.gasLimit.toString() : null,
+      maxFeePerGas: feePerGas != null ? formatUnits(feePerGas, 'gwei') : null,
+      chainId: tx.chainId != null ? tx.chainId.toString() : null
+    };
+    if (tx.gasLimit != null && feePerGas != null) {
+      summary.estimatedFee = formatEther(BigInt(tx.gasLimit) * BigInt(feePerGas));
+    }
+
+    if (this.simulator) {
+      const simulation = await this.simulator.simulateTransaction({
+        from: tx.from,
+        to: tx.to,
+        data: tx.data,
+        value: tx.value
+      });
+      summary.simulation = {
+        success: simulation.success,
+        errorMessage: simulation.errorMessage || null,
+        gasUsed: simulation.gasUsed,
+        balanceChanges: simulation.balanceChanges?.summary || []
+      };
+    }
+    return summary;
+  }
+
+  // Render a summary as the text shown to the user
+  describe(summary) {
+    const lines = [`Approve ${summary.tool}${summary.account ? ` from account "${summary.account}"` : ''}?`];
+    const { transaction, simulation } = summary;
+    if (transaction) {
+      lines.push(`From: ${transaction.from}`);
+      lines.push(`To: ${transaction.to || '(contract creation)'}`);
+      lines.push(`Value: ${transaction.value} POL`);
+      if (transaction.call?.name) {
+        lines.push(`Call: ${transaction.call.signature}`);
+      }
+    }
+    for (const [key, value] of Object.entries(summary.args)) {
+      lines.push(`${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+    }
+    if (summary.estimatedFee) {
+      lines.push(`Max network fee: ${summary.estimatedFee} POL`);
+    }
+    if (simulation) {
+      lines.push(simulation.success ? 'Simulation: succeeds' : `Simulation: fails (${simulation.errorMessage})`);
+      if (simulation.balanceChanges.length > 0) {
+        lines.push(`Balance changes: ${simulation.balanceChanges.join(', ')}`);
+      }
+    }
+    return lines.join('\n');
+  }
+
+  // Queue a tool call until approve-pending or reject-pending
+  enqueue(summary, run) {
+    this.prune();
+    const now = Date.now();
+    const pending = {
+      id: randomUUID(),
+      tool: summary.tool,
+      summary,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString(),
+      run
+    };
+    this.pending.set(pending.id, pending);
+    defaultLogger.info(`Approval requested for ${summary.tool}`, { approvalId: pending.id });
+    return pending;
+  }
+
+  // Drop expired approvals
+  prune() {
+    const now = Date.now();
+    for (const [id, pending] of this.pending) {
+      if (Date.parse(pending.expiresAt) <= now) {
+        this.pending.delete(id);
+      }
+    }
+  }
+
+  take(id) {
+    this.prune();
+    const pending = this.pending.get(id);
+    if (!pending) {
+      throw createTransactionError(ErrorCodes.INVALID_PARAMETERS, `No pending approval ${id} (it may have expired)`, { id });
+    }
+    this.pending.delete(id);
+    return pending;
+  }
+
+  /**
+   * Approve a queued tool call and run it
+   * @param {string} id - Approval ID
+   * @returns {Promise<*>} The tool result
+   */
+  async approve(id) {
+    const pending = this.take(id);
+    defaultLogger.info(`Approval ${id} granted for ${pending.tool}`);
+    return await pending.run();
+  }
+
+  reject(id, reason) {
+    const pending = this.take(id);
+    defaultLogger.info(`Approval ${id} rejected for ${pending.tool}`, { reason: reason || null });
+    return { id, tool: pending.tool, rejected: true, reason: reason || null };
+  }
+
+  list() {
+    this.prune();
+    return [...this.pending.values()].map(pending => ({
+      id: pending.id,
+      tool: pending.tool,
+      summary: pending.summary,
+      createdAt: pending.createdAt,
+      expiresAt: pending.expiresAt
+    }));
+  }
+}
+
+module.exports = {
+  ApprovalManager,
+  parseApprovalRules,
+  DEFAULT_APPROVAL_TTL_MS,
+};
@@ -0,0 +1,280 @@
+// balance-changes.js - Per-address balance change accounting for simulated transactions
+const { ZeroAddress, formatUnits, getAddress } = require('ethers');
+
+// Call types that move native value (DELEGATECALL/STATICCALL only carry context)
+const VALUE_CALL_TYPES = ['CALL', 'CALLCODE', 'CREATE', 'CREATE2', 'SELFDESTRUCT'];
+
+/**
+ * Accumulates native, ERC20, ERC721 and ERC1155 movements per address
+ */
+class BalanceChangeSet {
+  constructor() {
+    // address -> { native: { in, out }, fungible: Map(key -> entry), nft: Map(token -> { in, out }) }
+    this.accounts = new Map();
+  }
+
+  // Get (or create) the accumulator for an address; the zero address (mint/burn) is not tracked
+  getAccount(address) {
+    if (!address || address === ZeroAddress) {
+      return null;
+    }
+    const key = getAddress(address);
+    if (!this.accounts.has(key)) {
+      this.accounts.set(key, {
+        native: { in: 0n, out: 0n },
+        fungible: new Map(),
+        nft: new Map()
+      });
+    }
+    return this.accounts.get(key);
+  }
+
+  addNative(from, to, amount) {
+    const value = BigInt(amount);
+    if (value === 0n) {
+      return;
+    }
+    const sender = this.getAccount(from);
+    const receiver = this.getAccount(to);
+    if (sender) sender.native.out += value;
+    if (receiver) receiver.native.in += value;
+  }
+
+  // ERC20 amounts (id = null) and ERC1155 amounts (per token id)
+  addFungible(standard, token, id, from, to, amount) {
+    const value = BigInt(amount);
+    if (value === 0n) {
+      return;
+    }
+    const tokenAddress = getAddress(token);
+    const key = id === null ? tokenAddress : `${tokenAddress}:${id}`;
+
+    for (const [address, direction] of [[from, 'out'], [to, 'in']]) {
+      const account = this.getAccount(address);
+      if (!account) {
+        continue;
+      }
+      if (!account.fungible.has(key)) {
+        account.fungible.set(key, { standard, token: tokenAddress, id, in: 0n, out: 0n });
+      }
+      account.fungible.get(key)[direction] += value;
+    }
+  }
+
+  addNft(token, tokenId, from, to) {
+    const tokenAddress = getAddress(token);
+    for (const [address, direction] of [[from, 'out'], [to, 'in']]) {
+      const account = this.getAccount(address);
+      if (!account) {
+        continue;
+      }
+      if (!account.nft.has(tokenAddress)) {
+        account.nft.set(tokenAddress, { in: [], out: [] });
+      }
+      account.nft.get(tokenAddress)[direction].push(String(tokenId));
+    }
+  }
+
+  /**
+   * Record native value moved by every successful frame of a call trace
+   * @param {Object} frame - Formatted call frame (see CallTracer.formatFrame)
+   */
+  addCallTrace(frame) {
+    if (!frame || frame.error) {
+      return;
+    }
+    if (VALUE_CALL_TYPES.includes(frame.type)) {
+      this.addNative(frame.from, frame.to, frame.value);
+    }
+    for (const call of frame.calls || []) {
+      this.addCallTrace(call);
+    }
+  }
+
+  /**
+   * Record token movements from decoded logs. Call addCallTrace first: wrap/unwrap events
+   * are only trusted when the emitter actually received or sent native value.
+   * @param {Array} logs - Logs with decoded `event` (see EventDecoder.decodeLog)
+   */
+  addLogs(logs) {
+    for (const log of logs) {
+      const event = log.event;
+      if (!event) {
+        continue;
+      }
+      // Match by signature and positional arguments so ABIs with other parameter names still count
+      const values = Object.values(event.args);
+
+      switch (event.signature) {
+        case 'Transfer(address,address,uint256)':
+          if (log.topics.length === 4) {
+            this.addNft(log.address, values[2], values[0], values[1]);
+          } else {
+            this.addFungible('ERC20', log.address, null, values[0], values[1], values[2]);
+          }
+          break;
+        case 'TransferSingle(address,address,address,uint256,uint256)':
+          this.addFungible('ERC1155', log.address, values[3], values[1], values[2], values[4]);
+          break;
+        case 'TransferBatch(address,address,address,uint256[],uint256[])':
+          values[3].forEach((id, index) => {
+            this.addFungible('ERC1155', log.address, id, values[1], values[2], values[4][index]);
+          });
+          break;
+        // WETH-style wrapping mints/burns without a Transfer event
+        case 'Deposit(address,uint256)':
+          if (this.movedNative(log.address, 'in')) {
+            this.addFungible('ERC20', log.address, null, ZeroAddress, values[0], values[1]);
+          }
+          break;
+        case 'Withdrawal(address,uint256)':
+          if (this.movedNative(log.address, 'out')) {
+            this.addFungible('ERC20', log.address, null, values[0], ZeroAddress, values[1]);
+          }
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  // Add every movement recorded in another change set (e.g. one step of a bundle)
+  merge(other) {
+    for (const [address, account] of other.accounts) {
+      const target = this.getAccount(address);
+      target.native.in += account.native.in;
+      target.native.out += account.native.out;
+      for (const [key, entry] of account.fungible) {
+        if (!target.fungible.has(key)) {
+          target.fungible.set(key, { ...entry, in: 0n, out: 0n });
+        }
+        target.fungible.get(key).in += entry.in;
+        target.fungible.get(key).out += entry.out;
+      }
+      for (const [token, ids] of account.nft) {
+        if (!target.nft.has(token)) {
+          target.nft.set(token, { in: [], out: [] });
+        }
+        target.nft.get(token).in.push(...ids.in);
+        target.nft.get(token).out.push(...ids.out);
+      }
+    }
+  }
+
+  // Whether an address received ('in') or sent ('out') native value
+  movedNative(address, direction) {
+    const account = this.accounts.get(getAddress(address));
+    return Boolean(account && account.native[direction] > 0n);
+  }
+
+  // Addresses of every token contract with a recorded movement
+  getTokenAddresses() {
+    const tokens = new Set();
+    for (const account of this.accounts.values()) {
+      for (const entry of account.fungible.values()) tokens.add(entry.token);
+      for (const token of account.nft.keys()) tokens.add(token);
+    }
+    return [...tokens];
+  }
+
+  /**
+   * Build the JSON summary
+   * @param {Object} options - Summary options
+   * @param {string} options.sender - Transaction sender (listed first and flagged)
+   * @param {Object} options.tokenInfo - token address -> { symbol, decimals }
+   * @param {string} options.nativeSymbol - Native currency symbol (default POL)
+   * @param {string} options.source - How the changes were derived ('trace' or 'calldata')
+   * @returns {Object} Balance changes per account plus a readable summary for the sender
+   */
+  toJSON({ sender, tokenInfo = {}, nativeSymbol = 'POL', source = 'trace' } = {}) {
+    const senderAddress = sender ? getAddress(sender) : null;
+    const accounts = [];
+
+    for (const [address, account] of this.accounts) {
+      const entry = { address, isSender: address === senderAddress, native: null, tokens: [] };
+
+      const nativeNet = account.native.in - account.native.out;
+      if (account.native.in !== 0n || account.native.out !== 0n) {
+        entry.native = {
+          symbol: nativeSymbol,
+          in: account.native.in.toString(),
+          out: account.native.out.toString(),
+          net: nativeNet.toString(),
+          netFormatted: formatUnits(nativeNet, 18)
+        };
+      }
+
+      for (const fungible of account.fungible.values()) {
+        const info = tokenInfo[fungible.token] || {};
+        const net = fungible.in - fungible.out;
+        // null for a token that does not report its decimals; only the raw amounts are known then
+        const decimals = fungible.standard === 'ERC20' ? (info.decimals ?? null) : 0;
+        entry.tokens.push({
+          standard: fungible.standard,
+          token: fungible.token,
+          symbol: info.symbol || null,
+          id: fungible.id,
+          decimals,
+          in: fungible.in.toString(),
+          out: fungible.out.toString(),
+          net: net.toString(),
+          netFormatted: decimals === null ? null : formatUnits(net, decimals)
+        });
+      }
+
+      for (const [token, ids] of account.nft) {
+        const info = tokenInfo[token] || {};
+        entry.tokens.push({
+          standard: 'ERC721',
+          token,
+          symbol: info.symbol || null,
+          in: ids.in,
+          out: ids.out
+        });
+      }
+
+      if (entry.native || entry.tokens.length > 0) {
+        accounts.push(entry);
+      }
+    }
+
+    accounts.sort((a, b) => Number(b.isSender) - Number(a.isSender));
+
+    return {
+      source,
+      sender: senderAddress,
+      accounts,
+      summary: this.describe(accounts.find(account => account.isSender))
+    };
+  }
+
+  // Human-readable lines describing the sender's gains and losses
+  describe(account) {
+    if (!account) {
+      return [];
+    }
+
+    const lines = [];
+    const signed = (formatted) => (formatted.startsWith('-') ? formatted : `+${formatted}`);
+
+    if (account.native && account.native.net !== '0') {
+      lines.push(`${signed(account.native.netFormatted)} ${account.native.symbol}`);
+    }
+    for (const token of account.tokens) {
+      const label = token.symbol || token.token;
+      if (token.standard === 'ERC721') {
+        token.in.forEach(id => lines.push(`+${label} #${id} (ERC721)`));
+        token.out.forEach(id => lines.push(`-${label} #${id} (ERC721)`));
+      } else if (token.net !== '0') {
+        const idLabel = token.id !== null ? ` #${token.id}` : '';
+        const amount = token.netFormatted ?? `${token.net} base units of`;
+        lines.push(`${signed(amount)} ${label}${idLabel}${token.standard === 'ERC1155' ? ' (ERC1155)' : ''}`);
+      }
+    }
+    return lines;
+  }
+}
+
+module.exports = {
+  BalanceChangeSet,
+};
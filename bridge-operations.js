@@ -10,6 +10,15 @@ class PolygonBridge {
     this.childRpcUrl = config.childRpcUrl;
     this.posRootChainManager = config.posRootChainManager;
     this.polygonApiUrl = config.polygonApiUrl;
+    // async (tx, provider) => tx with its gas limit and fees from the fee strategy (FeeStrategy.apply)
+    this.prepare = config.prepare || null;
+    // async (tx, network) => stand-in response; set in dry-run mode, where maticjs only builds transactions
+    this.dryRun = config.dryRun || null;
+    // async (tx, network) => void; called once maticjs has broadcast a transaction
+    this.onBroadcast = config.onBroadcast || null;
+    // (network) => address to build transactions for instead of the wallet manager's; dry runs sign
+    // nothing and use it so they need no connected wallet
+    this.getAccountAddress = config.getAddress || null;
     
     // Initialize providers
     this.rootProvider = new JsonRpcProvider(this.rootRpcUrl);
@@ -79,8 +88,49 @@ class PolygonBridge {
     });
   }
   
+  // Address the bridge sends from on a network
+  getAddress(network) {
+    return this.getAccountAddress ? this.getAccountAddress(network) : walletManager.getAddress(network);
+  }
+  
+  // maticjs send options: the gas limit and fees the fee strategy sets for the transaction (gas estimate
+  // plus its buffer, fees under its ceiling), like every transaction of the signing pipeline. maticjs
+  // builds the transaction unsent first (returnTransaction) so it can be estimated
+  async sendOptions(network, method, args) {
+    const provider = network === 'ethereum' ? this.rootProvider : this.childProvider;
+    const options = { from: this.getAddress(network) };
+    if (!this.prepare) {
+      return options;
+    }
+    const built = await this.maticPOSClient[method](...args, { ...options, returnTransaction: true });
+    const prepared = await this.prepare({ from: options.from, to: built.to, data: built.data, value: built.value ?? 0 }, provider);
+    return {
+      ...options,
+      gasLimit: prepared.gasLimit,
+      maxFeePerGas: prepared.maxFeePerGas,
+      maxPriorityFeePerGas: prepared.maxPriorityFeePerGas
+    };
+  }
+  
+  // Send a maticjs transaction. In dry-run mode maticjs returns it unsent (returnTransaction)
+  // and it goes to the dry-run callback instead; gas and fees are left to the simulation there
+  async send(network, method, ...args) {
+    if (!this.dryRun) {
+      const tx = await this.maticPOSClient[method](...args, await this.sendOptions(network, method, args));
+      if (this.onBroadcast) {
+        await this.onBroadcast(tx, network);
+      }
+      return tx;
+    }
+    const tx = await this.maticPOSClient[method](...args, { from: this.getAddress(network), returnTransaction: true });
+    return await this.dryRun(tx, network);
+  }
+  
   // Check if wallet is connected for both networks
   checkWalletConnected() {
+    if (this.getAccountAddress) {
+      return true;
+    }
     if (!walletManager.isWalletConnected('ethereum') || !walletManager.isWalletConnected('polygon')) {
       throw createWalletError(
         ErrorCodes.WALLET_NOT_CONNECTED,
@@ -100,10 +150,7 @@ class PolygonBridge {
       const amountWei = parseEther(amount.toString());
       
       // Deposit ETH to Polygon using MaticPOSClient
-      const tx = await this.maticPOSClient.depositEther(amountWei, {
-        from: walletManager.getAddress('ethereum'),
-        gasLimit: 300000
-      });
+      const tx = await this.send('ethereum', 'depositEther', amountWei);
       
       // Wait for transaction confirmation
       const receipt = await tx.wait();
@@ -137,14 +184,12 @@ class PolygonBridge {
       const amountInTokenUnits = parseUnits(amount.toString(), decimals);
       
       // Deposit tokens to Polygon using MaticPOSClient
-      const tx = await this.maticPOSClient.depositERC20ForUser(
+      const tx = await this.send(
+        'ethereum',
+        'depositERC20ForUser',
         tokenAddress,
-        walletManager.getAddress('ethereum'),
-        amountInTokenUnits,
-        {
-          from: walletManager.getAddress('ethereum'),
-          gasLimit: 300000
-        }
+        this.getAddress('ethereum'),
+        amountInTokenUnits
       );
       
       // Wait for transaction confirmation
@@ -176,10 +221,7 @@ class PolygonBridge {
       const amountWei = parseEther(amount.toString());
       
       // Withdraw POL using MaticPOSClient
-      const tx = await this.maticPOSClient.withdrawMatic(amountWei, {
-        from: walletManager.getAddress('polygon'),
-        gasLimit: 300000
-      });
+      const tx = await this.send('polygon', 'withdrawMatic', amountWei);
       
       // Wait for transaction confirmation
       const receipt = await tx.wait();
@@ -218,14 +260,7 @@ class PolygonBridge {
       const amountInTokenUnits = parseUnits(amount.toString(), decimals);
       
       // Withdraw tokens using MaticPOSClient
-      const tx = await this.maticPOSClient.withdrawERC20(
-        tokenAddress,
-        amountInTokenUnits,
-        {
-          from: walletManager.getAddress('polygon'),
-          gasLimit: 300000
-        }
-      );
+      const tx = await this.send('polygon', 'withdrawERC20', tokenAddress, amountInTokenUnits);
       
       // Wait for transaction confirmation
       const receipt = await tx.wait();
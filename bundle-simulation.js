@@ -0,0 +1,363 @@
+// bundle-simulation.js - Simulation of ordered, dependent transaction sequences
+const {
+  formatUnits,
+  formatEther,
+  parseUnits,
+  toQuantity,
+  getAddress,
+  dataSlice
+} = require('ethers');
+const { ErrorCodes, createSimulationError } = require('./errors');
+const { defaultLogger } = require('./logger');
+const { BalanceChangeSet } = require('./balance-changes');
+const { isUnsupportedError, mergeStateOverrides } = require('./call-tracer');
+
+// eth_simulateV1 reports native transfers (traceTransfers) as ERC20-style Transfer logs from this address
+const NATIVE_TRANSFER_EMITTER = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+// Maximum number of transactions in a bundle
+const MAX_BUNDLE_SIZE = 20;
+
+class BundleSimulator {
+  /**
+   * @param {TransactionSimulator} simulator - Single-transaction simulator (provider, decoders, tracer)
+   */
+  constructor(simulator) {
+    this.simulator = simulator;
+    this.provider = simulator.provider;
+    // null until the first bundle tells us whether the node supports eth_simulateV1
+    this.simulateV1Supported = null;
+  }
+
+  /**
+   * Simulate transactions in order, each one running on the state left by the previous ones
+   * @param {Array<Object>} transactions - Transaction requests (ethers format); `label` is echoed back per step
+   * @param {Object} options - Bundle options
+   * @param {boolean} options.stopOnFailure - Skip the remaining steps after a failed step (default true)
+   * @param {Object} options.stateOverrides - State overrides applied before the first step
+   * @param {Array<Object>} options.tokenBalances - ERC20 balances to pretend accounts hold before the first step
+   * @param {string} options.backend - 'rpc' or 'fork' (defaults to the simulator's backend)
+   * @returns {Promise<Object>} Per-step success, gas and balance changes plus bundle totals
+   */
+  async simulateBundle(transactions, options = {}) {
+    if (!Array.isArray(transactions) || transactions.length === 0) {
+      throw createSimulationError(ErrorCodes.INVALID_PARAMETERS, 'A bundle needs at least one transaction');
+    }
+    if (transactions.length > MAX_BUNDLE_SIZE) {
+      throw createSimulationError(
+        ErrorCodes.INVALID_PARAMETERS,
+        `A bundle may contain at most ${MAX_BUNDLE_SIZE} transactions`,
+        { count: transactions.length }
+      );
+    }
+
+    const stopOnFailure = options.stopOnFailure !== false;
+    const defaultFrom = this.simulator.getDefaultFrom() || undefined;
+    const steps = transactions.map(({ label, ...tx }) => ({ label, tx: { ...tx, from: tx.from || defaultFrom } }));
+    const context = {
+      // Pin every step to the same block so the bundle sees a consistent starting state
+      blockNumber: await this.provider.getBlockNumber(),
+      stopOnFailure,
+      stateOverrides: await this.simulator.buildStateOverrides(options, steps[0].tx.from)
+    };
+
+    let outcome = null;
+    if ((options.backend || this.simulator.backend) === 'fork') {
+      outcome = await this.runFork(steps, context);
+    }
+    if (!outcome) {
+      outcome = await this.runSimulateV1(steps, context);
+    }
+    if (!outcome) {
+      outcome = await this.runTraceChain(steps, context);
+    }
+    if (!outcome) {
+      outcome = await this.runIndependent(steps, context);
+    }
+
+    return this.formatResult(steps, outcome, context);
+  }
+
+  // Send the transactions for real on the local fork inside one snapshot
+  async runFork(steps, { stopOnFailure, stateOverrides }) {
+    const executed = await this.simulator.forkBackend.execute(steps.map(step => step.tx), { stateOverrides, stopOnFailure });
+
+    const results = executed.map((result, index) => {
+      if (!result) {
+        return this.skippedStep();
+      }
+      const { tx } = steps[index];
+      const changes = new BalanceChangeSet();
+      if (result.callTrace) {
+        changes.addCallTrace(result.callTrace);
+      } else if (result.success && tx.value && tx.to) {
+        changes.addNative(tx.from, tx.to, tx.value);
+      }
+      changes.addLogs(result.logs);
+      return {
+        success: result.success,
+        executed: true,
+        gasUsed: result.gasUsed,
+        logs: result.logs,
+        changes,
+        revert: result.revert,
+        errorMessage: result.errorMessage,
+        receipt: result.receipt
+      };
+    });
+
+    return { mode: 'fork', stateCarried: true, results };
+  }
+
+  // Execute the whole bundle in one eth_simulateV1 call (state is carried by the node)
+  async runSimulateV1(steps, { blockNumber, stopOnFailure, stateOverrides }) {
+    if (this.simulateV1Supported === false) {
+      return null;
+    }
+
+    let blocks;
+    try {
+      blocks = await this.provider.send('eth_simulateV1', [
+        {
+          blockStateCalls: [{
+            ...(stateOverrides ? { stateOverrides } : {}),
+            calls: steps.map(step => this.provider.getRpcTransaction(step.tx))
+          }],
+          traceTransfers: true,
+          validation: false
+        },
+        toQuantity(blockNumber)
+      ]);
+      this.simulateV1Supported = true;
+    } catch (error) {
+      if (isUnsupportedError(error)) {
+        this.simulateV1Supported = false;
+        defaultLogger.info('eth_simulateV1 not supported by RPC node, chaining traced calls instead');
+      } else {
+        defaultLogger.warn(`eth_simulateV1 failed: ${error.message}`);
+      }
+      return null;
+    }
+
+    const results = blocks[0].calls.map((call, index) => {
+      const success = BigInt(call.status) === 1n;
+      const changes = new BalanceChangeSet();
+      const logs = [];
+
+      for (const log of call.logs || []) {
+        if (getAddress(log.address) === NATIVE_TRANSFER_EMITTER) {
+          changes.addNative(dataSlice(log.topics[1], 12), dataSlice(log.topics[2], 12), log.data);
+        } else {
+          logs.push(this.simulator.callTracer.formatLog(log));
+        }
+      }
+      changes.addLogs(logs);
+
+      const revert = success ? null : this.decodeCallError(call.error, steps[index].tx.to);
+      return {
+        success,
+        executed: true,
+        gasUsed: BigInt(call.gasUsed).toString(),
+        logs,
+        changes,
+        revert,
+        errorMessage: success ? null : (revert ? `Transaction would revert: ${revert.reason}` : call.error?.message || 'Execution failed')
+      };
+    });
+
+    // The node runs every call; report the ones after a failure as skipped, like the other modes
+    const firstFailure = results.findIndex(result => !result.success);
+    if (stopOnFailure && firstFailure !== -1) {
+      results.splice(firstFailure + 1, results.length, ...steps.slice(firstFailure + 1).map(() => this.skippedStep()));
+    }
+
+    return { mode: 'eth_simulateV1', stateCarried: true, results };
+  }
+
+  // Trace each step with debug_traceCall, feeding the previous steps' post-state in as state overrides
+  async runTraceChain(steps, context) {
+    const { blockNumber, stopOnFailure } = context;
+    if (!this.simulator.useDebugTrace) {
+      return null;
+    }
+
+    const results = [];
+    let overrides = context.stateOverrides || {};
+    let stateCarried = true;
+
+    for (let index = 0; index < steps.length; index++) {
+      if (stopOnFailure && results.some(result => !result.success)) {
+        results.push(this.skippedStep());
+        continue;
+      }
+
+      const trace = await this.simulator.callTracer.trace(steps[index].tx, blockNumber, {
+        stateOverrides: Object.keys(overrides).length > 0 ? overrides : undefined
+      });
+      if (!trace) {
+        if (index === 0) {
+          return null;
+        }
+        // Tracing broke mid-bundle; the remaining steps run without the earlier state
+        defaultLogger.warn(`debug_traceCall failed at bundle step ${index}; remaining steps are simulated independently`);
+        return {
+          mode: 'debug_traceCall',
+          stateCarried: false,
+          results: await this.finishIndependent(steps, results, context)
+        };
+      }
+
+      const success = !trace.callTrace.error;
+      const changes = new BalanceChangeSet();
+      changes.addCallTrace(trace.callTrace);
+      changes.addLogs(trace.logs);
+
+      if (trace.postState) {
+        overrides = mergeStateOverrides(overrides, trace.postState);
+      } else {
+        stateCarried = false;
+      }
+
+      const revert = trace.callTrace.revert;
+      results.push({
+        success,
+        executed: true,
+        gasUsed: trace.callTrace.gasUsed,
+        logs: trace.logs,
+        changes,
+        revert,
+        errorMessage: success ? null : (revert ? `Transaction would revert: ${revert.reason}` : trace.callTrace.error)
+      });
+    }
+
+    if (!stateCarried) {
+      defaultLogger.warn('prestateTracer unavailable; bundle steps did not see each other\'s state changes');
+    }
+    return { mode: 'debug_traceCall', stateCarried, results };
+  }
+
+  // Last resort: eth_call each step against the same block without carrying state
+  async runIndependent(steps, context) {
+    defaultLogger.warn('No state-carrying simulation available; bundle steps are simulated independently');
+    return { mode: 'eth_call', stateCarried: false, results: await this.finishIndependent(steps, [], context) };
+  }
+
+  // Simulate the steps not yet in results with plain eth_call
+  async finishIndependent(steps, results, { blockNumber, stopOnFailure, stateOverrides }) {
+    for (let index = results.length; index < steps.length; index++) {
+      if (stopOnFailure && results.some(result => !result.success)) {
+        results.push(this.skippedStep());
+        continue;
+      }
+
+      const { tx } = steps[index];
+      const changes = new BalanceChangeSet();
+      try {
+        await this.simulator.callWithOverrides(tx, blockNumber, stateOverrides);
+        const gasUsed = await this.simulator.estimateGasWithOverrides(tx, stateOverrides, blockNumber).catch(() => tx.gasLimit || 0n);
+        if (tx.value && tx.to) {
+          changes.addNative(tx.from, tx.to, tx.value);
+        }
+        results.push({ success: true, executed: true, gasUsed: gasUsed.toString(), logs: [], changes, revert: null, errorMessage: null });
+      } catch (error) {
+        const revert = this.simulator.revertDecoder.decodeError(error, { to: tx.to });
+        results.push({
+          success: false,
+          executed: true,
+          gasUsed: '0',
+          logs: [],
+          changes,
+          revert,
+          errorMessage: revert ? `Transaction would revert: ${revert.reason}` : error.message
+        });
+      }
+    }
+    return results;
+  }
+
+  skippedStep() {
+    return {
+      success: false,
+      executed: false,
+      gasUsed: '0',
+      logs: [],
+      changes: new BalanceChangeSet(),
+      revert: null,
+      errorMessage: 'Skipped: an earlier step failed'
+    };
+  }
+
+  // Decode the error object of an eth_simulateV1 call result
+  decodeCallError(error, to) {
+    if (!error) {
+      return null;
+    }
+    if (error.data) {
+      return this.simulator.revertDecoder.decode(error.data, { to });
+    }
+    return this.simulator.revertDecoder.decodeError({ message: error.message }, { to });
+  }
+
+  // Build the bundle report: per-step results plus totals across the executed steps
+  async formatResult(steps, outcome, { blockNumber, stopOnFailure, stateOverrides }) {
+    const total = new BalanceChangeSet();
+    const tokens = new Set();
+    for (const result of outcome.results) {
+      if (result.success) {
+        total.merge(result.changes);
+      }
+      result.changes.getTokenAddresses().forEach(token => tokens.add(token));
+    }
+    const tokenInfo = await this.simulator.getTokenInfo([...tokens]);
+    const source = outcome.mode === 'eth_call' ? 'calldata' : 'trace';
+
+    let totalGas = 0n;
+    const stepResults = outcome.results.map((result, index) => {
+      const { tx, label } = steps[index];
+      totalGas += BigInt(result.gasUsed);
+      return {
+        index,
+        label: label || null,
+        from: tx.from || null,
+        to: tx.to || null,
+        success: result.success,
+        executed: result.executed,
+        gasUsed: result.gasUsed,
+        errorMessage: result.errorMessage,
+        revert: result.revert,
+        receipt: result.receipt || null,
+        logs: result.logs,
+        tokenTransfers: this.simulator.tokenTransfersFromLogs(result.logs, tokenInfo),
+        balanceChanges: result.changes.toJSON({ sender: tx.from, tokenInfo, source })
+      };
+    });
+
+    const feeData = await this.provider.getFeeData().catch(() => ({}));
+    const gasPrice = feeData.maxFeePerGas || feeData.gasPrice || parseUnits('50', 'gwei');
+    const gasCost = totalGas * BigInt(gasPrice);
+    const failed = stepResults.find(step => !step.success);
+
+    return {
+      success: !failed,
+      mode: outcome.mode,
+      stateCarried: outcome.stateCarried,
+      blockNumber,
+      stopOnFailure,
+      stateOverrides: stateOverrides || null,
+      failedStep: failed ? failed.index : null,
+      steps: stepResults,
+      totalGasUsed: totalGas.toString(),
+      gasCost: {
+        wei: gasCost.toString(),
+        gwei: formatUnits(gasCost, 'gwei'),
+        ether: formatEther(gasCost)
+      },
+      balanceChanges: total.toJSON({ sender: steps[0].tx.from, tokenInfo, source })
+    };
+  }
+}
+
+module.exports = {
+  BundleSimulator,
+  MAX_BUNDLE_SIZE,
+};
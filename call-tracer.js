@@ -0,0 +1,317 @@
+// call-tracer.js - debug_traceCall based call tracing and state diffs
+const { toQuantity, formatEther, getAddress } = require('ethers');
+const { defaultLogger } = require('./logger');
+
+// Patterns of RPC errors meaning the node does not expose debug_traceCall (or a tracer)
+const UNSUPPORTED_PATTERNS = [
+  /method not found/i,
+  /does not exist/i,
+  /not available/i,
+  /not supported/i,
+  /unsupported/i,
+  /unknown method/i,
+  /not enabled/i,
+  /tracer not found/i
+];
+
+const ZERO_SLOT = '0x' + '0'.repeat(64);
+
+// Convert an RPC quantity (hex) to a decimal string
+function quantityToString(value) {
+  return value === undefined || value === null ? '0' : BigInt(value).toString();
+}
+
+// Heuristic: did the RPC call fail because the debug namespace is unavailable?
+function isUnsupportedError(error) {
+  const rpcCode = error?.error?.code ?? error?.info?.error?.code;
+  if (rpcCode === -32601) {
+    return true;
+  }
+  const message = error?.error?.message || error?.info?.error?.message || error?.message || '';
+  return UNSUPPORTED_PATTERNS.some(pattern => pattern.test(message));
+}
+
+class CallTracer {
+  /**
+   * @param {JsonRpcProvider} provider - Provider to send debug_traceCall through
+   * @param {Object} options - Tracer options
+   * @param {Object} options.eventDecoder - EventDecoder used to decode emitted logs
+   * @param {Object} options.revertDecoder - RevertDecoder used to decode reverted frames
+   * @param {string} options.timeout - Tracer timeout passed to the node (default '10s')
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.eventDecoder = options.eventDecoder;
+    this.revertDecoder = options.revertDecoder;
+    this.timeout = options.timeout || '10s';
+    // null until the first trace tells us whether the node supports the debug namespace
+    this.debugSupported = null;
+  }
+
+  /**
+   * Trace a call with callTracer and prestateTracer
+   * @param {Object} transaction - Transaction request (ethers format)
+   * @param {number|string} blockTag - Block to trace against
+   * @param {Object} options - Extra tracer options
+   * @param {Object} options.stateOverrides - RPC state overrides applied to both tracers
+   * @returns {Promise<Object|null>} { callTrace, logs, stateChanges, postState } or null when tracing is unavailable
+   */
+  async trace(transaction, blockTag = 'latest', options = {}) {
+    if (this.debugSupported === false) {
+      return null;
+    }
+
+    const rpcTx = this.provider.getRpcTransaction(transaction);
+    const block = typeof blockTag === 'number' ? toQuantity(blockTag) : blockTag;
+    const overrides = options.stateOverrides ? { stateOverrides: options.stateOverrides } : {};
+
+    let callFrame;
+    try {
+      callFrame = await this.provider.send('debug_traceCall', [
+        rpcTx,
+        block,
+        { tracer: 'callTracer', tracerConfig: { withLog: true }, timeout: this.timeout, ...overrides }
+      ]);
+      this.debugSupported = true;
+    } catch (error) {
+      if (isUnsupportedError(error)) {
+        this.debugSupported = false;
+        defaultLogger.info('debug_traceCall not supported by RPC node, falling back to eth_call simulation');
+      } else {
+        defaultLogger.warn(`debug_traceCall failed: ${error.message}`);
+      }
+      return null;
+    }
+
+    // The prestate diff is optional: some nodes only ship callTracer
+    let prestate = null;
+    try {
+      prestate = await this.provider.send('debug_traceCall', [
+        rpcTx,
+        block,
+        { tracer: 'prestateTracer', tracerConfig: { diffMode: true }, timeout: this.timeout, ...overrides }
+      ]);
+    } catch (error) {
+      defaultLogger.warn(`prestateTracer failed, state diff unavailable: ${error.message}`);
+    }
+
+    const logs = [];
+    const callTrace = this.formatFrame(callFrame, logs);
+
+    return {
+      callTrace,
+      logs,
+      stateChanges: prestate ? this.formatStateDiff(prestate) : [],
+      // Post-call state as RPC state overrides, so a follow-up call can run on top of this one
+      postState: prestate ? this.toStateOverrides(prestate) : null
+    };
+  }
+
+  /**
+   * Trace a mined transaction with callTracer
+   * @param {string} txHash - Transaction hash
+   * @returns {Promise<Object|null>} { callTrace, logs } or null when tracing is unavailable
+   */
+  async traceTransaction(txHash) {
+    if (this.debugSupported === false) {
+      return null;
+    }
+
+    try {
+      const callFrame = await this.provider.send('debug_traceTransaction', [
+        txHash,
+        { tracer: 'callTracer', tracerConfig: { withLog: true }, timeout: this.timeout }
+      ]);
+      this.debugSupported = true;
+      const logs = [];
+      return { callTrace: this.formatFrame(callFrame, logs), logs };
+    } catch (error) {
+      if (isUnsupportedError(error)) {
+        this.debugSupported = false;
+        defaultLogger.info('debug_traceTransaction not supported by RPC node, using receipt logs');
+      } else {
+        defaultLogger.warn(`debug_traceTransaction failed: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  // Normalize a callTracer frame (recursively), collecting logs of successful frames in execution order
+  formatFrame(frame, logs, reverted = false) {
+    const frameReverted = reverted || Boolean(frame.error);
+    const formatted = {
+      type: frame.type,
+      from: frame.from,
+      to: frame.to,
+      value: quantityToString(frame.value),
+      gas: quantityToString(frame.gas),
+      gasUsed: quantityToString(frame.gasUsed),
+      selector: frame.input && frame.input.length >= 10 ? frame.input.slice(0, 10) : null,
+      input: frame.input,
+      output: frame.output || null,
+      error: frame.error || null,
+      revert: null,
+      calls: []
+    };
+
+    if (frame.error && this.revertDecoder) {
+      formatted.revert = frame.output
+        ? this.revertDecoder.decode(frame.output, { to: frame.to })
+        : (frame.revertReason ? { type: 'Error', reason: frame.revertReason } : null);
+    }
+
+    // Logs carry the index of the subcall they were emitted before
+    const frameLogs = frame.logs || [];
+    const subcalls = frame.calls || [];
+    const emitLogs = (position) => {
+      for (const log of frameLogs) {
+        const logPosition = log.position === undefined ? subcalls.length : Number(log.position);
+        if (logPosition === position && !frameReverted) {
+          logs.push(this.formatLog(log));
+        }
+      }
+    };
+
+    for (let i = 0; i < subcalls.length; i++) {
+      emitLogs(i);
+      formatted.calls.push(this.formatFrame(subcalls[i], logs, frameReverted));
+    }
+    emitLogs(subcalls.length);
+
+    return formatted;
+  }
+
+  // Normalize a traced log and decode it when the event is known
+  formatLog(log) {
+    const formatted = {
+      address: log.address,
+      topics: log.topics,
+      data: log.data,
+      event: null
+    };
+    if (this.eventDecoder) {
+      formatted.event = this.eventDecoder.decodeLog(log);
+    }
+    return formatted;
+  }
+
+  // Turn a prestateTracer diff ({ pre, post }) into per-address changes
+  formatStateDiff({ pre = {}, post = {} }) {
+    const changes = [];
+    const addresses = new Set([...Object.keys(pre), ...Object.keys(post)]);
+
+    for (const address of addresses) {
+      const before = pre[address] || {};
+      const after = post[address] || {};
+      const change = { address: getAddress(address) };
+
+      // diffMode only reports changed fields in post; a missing post entry means the account was deleted
+      const deleted = !post[address];
+      const balanceBefore = BigInt(before.balance || 0);
+      const balanceAfter = deleted ? 0n : BigInt(after.balance ?? before.balance ?? 0);
+      if (balanceBefore !== balanceAfter) {
+        const delta = balanceAfter - balanceBefore;
+        change.balance = {
+          before: balanceBefore.toString(),
+          after: balanceAfter.toString(),
+          delta: delta.toString(),
+          deltaEther: formatEther(delta)
+        };
+      }
+
+      if (after.nonce !== undefined && after.nonce !== before.nonce) {
+        change.nonce = { before: before.nonce ?? 0, after: after.nonce };
+      }
+
+      if (after.code !== undefined && after.code !== before.code) {
+        change.code = before.code ? 'modified' : 'created';
+      } else if (deleted && before.code) {
+        change.code = 'destroyed';
+      }
+
+      // pre/post only list modified slots: a slot missing on either side holds zero
+      const slots = new Set([...Object.keys(before.storage || {}), ...Object.keys(after.storage || {})]);
+      const storage = [];
+      for (const slot of slots) {
+        const slotBefore = before.storage?.[slot] ?? ZERO_SLOT;
+        const slotAfter = after.storage?.[slot] ?? ZERO_SLOT;
+        if (slotBefore !== slotAfter) {
+          storage.push({ slot, before: slotBefore, after: slotAfter });
+        }
+      }
+      if (storage.length > 0) {
+        change.storage = storage;
+      }
+
+      if (Object.keys(change).length > 1) {
+        changes.push(change);
+      }
+    }
+
+    return changes;
+  }
+
+  // Turn a prestateTracer diff into RPC state overrides ({ address: { balance, nonce, code, stateDiff } })
+  toStateOverrides({ pre = {}, post = {} }) {
+    const overrides = {};
+    const addresses = new Set([...Object.keys(pre), ...Object.keys(post)]);
+
+    for (const address of addresses) {
+      const before = pre[address] || {};
+      const after = post[address];
+      const override = {};
+
+      if (!after) {
+        // Deleted (self-destructed) account
+        override.balance = '0x0';
+        override.nonce = '0x0';
+        override.code = '0x';
+      } else {
+        if (after.balance !== undefined) override.balance = toQuantity(after.balance);
+        if (after.nonce !== undefined) override.nonce = toQuantity(after.nonce);
+        if (after.code !== undefined) override.code = after.code;
+      }
+
+      const slots = new Set([...Object.keys(before.storage || {}), ...Object.keys(after?.storage || {})]);
+      if (slots.size > 0) {
+        override.stateDiff = {};
+        for (const slot of slots) {
+          override.stateDiff[slot] = after?.storage?.[slot] ?? ZERO_SLOT;
+        }
+      }
+
+      if (Object.keys(override).length > 0) {
+        overrides[getAddress(address)] = override;
+      }
+    }
+
+    return overrides;
+  }
+}
+
+// Layer state overrides: later values win, storage diffs merge per slot
+function mergeStateOverrides(base = {}, next = {}) {
+  const merged = { ...base };
+  for (const [address, override] of Object.entries(next)) {
+    const key = getAddress(address);
+    const current = merged[key] || {};
+    const combined = { ...current, ...override };
+    if (override.state) {
+      // A full storage replacement discards earlier slot diffs
+      delete combined.stateDiff;
+    } else if (current.state && override.stateDiff) {
+      combined.state = { ...current.state, ...override.stateDiff };
+      delete combined.stateDiff;
+    } else if (current.stateDiff || override.stateDiff) {
+      combined.stateDiff = { ...current.stateDiff, ...override.stateDiff };
+    }
+    merged[key] = combined;
+  }
+  return merged;
+}
+
+module.exports = {
+  CallTracer,
+  isUnsupportedError,
+  mergeStateOverrides,
+};
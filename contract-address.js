@@ -0,0 +1,107 @@
+// contract-address.js - CREATE and CREATE2 contract address prediction
+const {
+  getCreateAddress,
+  getCreate2Address,
+  getAddress,
+  isAddress,
+  isHexString,
+  keccak256,
+  dataLength,
+  dataSlice,
+  id
+} = require('ethers');
+const { ErrorCodes, createSimulationError } = require('./errors');
+
+// Deterministic deployment proxy (Arachnid), deployed at the same address on Polygon and most EVM chains.
+// Calldata is salt (32 bytes) followed by the init code; it deploys with CREATE2.
+const DETERMINISTIC_DEPLOYER = '0x4e59b44847b379578588920cA78FbF26c0B4956C';
+
+// Accept a bytes32 hex salt, or derive one from any other string with keccak256
+function normalizeSalt(salt) {
+  if (salt === undefined || salt === null || salt === '') {
+    throw createSimulationError(
+      ErrorCodes.INVALID_PARAMETERS,
+      'A salt is required for CREATE2 address prediction'
+    );
+  }
+  if (isHexString(salt, 32)) {
+    return salt.toLowerCase();
+  }
+  if (isHexString(salt)) {
+    throw createSimulationError(
+      ErrorCodes.INVALID_PARAMETERS,
+      `Hex salt must be 32 bytes, got ${dataLength(salt)}`,
+      { salt }
+    );
+  }
+  return id(String(salt));
+}
+
+/**
+ * Address of a contract deployed with CREATE: keccak256(rlp([sender, nonce]))[12:]
+ * @param {string} from - Deploying account (EOA or contract)
+ * @param {number|bigint} nonce - Nonce of the deploying transaction (or contract nonce)
+ * @returns {string} Checksummed contract address
+ */
+function predictCreateAddress(from, nonce) {
+  if (!isAddress(from)) {
+    throw createSimulationError(ErrorCodes.INVALID_ADDRESS, `Invalid deployer address: ${from}`);
+  }
+  return getCreateAddress({ from, nonce: BigInt(nonce) });
+}
+
+/**
+ * Address of a contract deployed with CREATE2: keccak256(0xff ++ factory ++ salt ++ keccak256(initCode))[12:]
+ * @param {string} factory - Contract executing CREATE2
+ * @param {string} salt - bytes32 salt (other strings are hashed with keccak256)
+ * @param {Object} code - Init code or its hash
+ * @param {string} code.initCode - Creation bytecode including constructor arguments
+ * @param {string} code.initCodeHash - keccak256 of the init code (used when initCode is omitted)
+ * @returns {Object} { address, salt, initCodeHash }
+ */
+function predictCreate2Address(factory, salt, { initCode, initCodeHash } = {}) {
+  if (!isAddress(factory)) {
+    throw createSimulationError(ErrorCodes.INVALID_ADDRESS, `Invalid factory address: ${factory}`);
+  }
+
+  let codeHash = initCodeHash;
+  if (initCode) {
+    if (!isHexString(initCode)) {
+      throw createSimulationError(ErrorCodes.INVALID_PARAMETERS, 'initCode must be a hex string');
+    }
+    codeHash = keccak256(initCode);
+  } else if (!codeHash || !isHexString(codeHash, 32)) {
+    throw createSimulationError(
+      ErrorCodes.INVALID_PARAMETERS,
+      'CREATE2 prediction requires initCode or a 32-byte initCodeHash'
+    );
+  }
+
+  const saltHex = normalizeSalt(salt);
+  return {
+    address: getCreate2Address(factory, saltHex, codeHash),
+    salt: saltHex,
+    initCodeHash: codeHash.toLowerCase()
+  };
+}
+
+// Split calldata sent to the deterministic deployer into salt and init code (null if it is not such a call)
+function parseDeterministicDeployment(to, data) {
+  if (!to || !isAddress(to) || getAddress(to) !== DETERMINISTIC_DEPLOYER) {
+    return null;
+  }
+  if (!data || !isHexString(data) || dataLength(data) <= 32) {
+    return null;
+  }
+  return {
+    salt: dataSlice(data, 0, 32),
+    initCode: dataSlice(data, 32)
+  };
+}
+
+module.exports = {
+  predictCreateAddress,
+  predictCreate2Address,
+  parseDeterministicDeployment,
+  DETERMINISTIC_DEPLOYER,
+};
@@ -328,6 +328,8 @@ class ContractTemplates {
     // Initialize provider
     this.provider = new JsonRpcProvider(this.rpcUrl);
     this.networkName = config.networkName || 'polygon'; // Store network name
+    // Signers come from the server's signing pipeline (falls back to the wallet manager)
+    this.getSigner = config.getSigner || (network => walletManager.getWallet(network));
 
     // Initialize templates
     this.templates = {
@@ -375,13 +377,15 @@ class ContractTemplates {
 
   // Removed redundant connectWallet method - relies on central walletManager
 
-  // Check if wallet is connected using walletManager
+  // Check a signer is available (the signer source throws when the account cannot sign)
   checkWalletConnected() {
     // Use the network name stored during construction
-    if (!walletManager.isWalletConnected(this.networkName)) {
+    try {
+      this.getSigner(this.networkName);
+    } catch (error) {
       throw createWalletError(
         ErrorCodes.WALLET_NOT_CONNECTED,
-        `Wallet not connected for network: ${this.networkName}`,
+        `Wallet not connected for network ${this.networkName}: ${error.message}`,
         { context: 'ContractTemplates', network: this.networkName }
       );
     }
@@ -518,7 +522,7 @@ class ContractTemplates {
       const compiledContract = await this.compileContract(contract.code, contract.name);
       
       // Deploy the contract
-      const wallet = walletManager.getWallet(this.networkName); // Get wallet for deployment
+      const wallet = this.getSigner(this.networkName); // Get wallet for deployment
       return await this.deployCompiledContract(
         contract.name,
         compiledContract.abi,
@@ -543,7 +547,7 @@ class ContractTemplates {
     // Wallet check is done before calling this or passed in
     if (!wallet) {
        this.checkWalletConnected(); // Ensure connected if not passed
-       wallet = walletManager.getWallet(this.networkName);
+       wallet = this.getSigner(this.networkName);
     }
 
     try {
@@ -553,19 +557,9 @@ class ContractTemplates {
       // Deploy the contract
       const deployTransaction = await factory.getDeployTransaction(...constructorArgs);
       
-      // Estimate gas
-      const gasEstimate = await this.provider.estimateGas({
-        from: wallet.address,
-        data: deployTransaction.data
-      });
-      
-      // Add 20% buffer to gas estimate
-      const gasLimit = BigInt(gasEstimate) * 120n / 100n;
-      
-      // Deploy with gas limit
+      // Deploy (the signer's fee strategy estimates the gas limit with a buffer)
       const tx = await wallet.sendTransaction({
-        data: deployTransaction.data,
-        gasLimit
+        data: deployTransaction.data
       });
       
       // Wait for transaction to be mined
@@ -600,7 +594,7 @@ class ContractTemplates {
       const compiledContract = await this.compileContract(contractCode, contractName);
 
       // Deploy the contract
-      const wallet = walletManager.getWallet(this.networkName); // Get wallet for deployment
+      const wallet = this.getSigner(this.networkName); // Get wallet for deployment
       return await this.deployCompiledContract(
         contractName,
         compiledContract.abi,
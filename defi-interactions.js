@@ -5,7 +5,8 @@ const {
   Contract,
   parseUnits,
   formatUnits,
-  MaxUint256
+  MaxUint256,
+  ZeroAddress
   // isAddress // Removed unused import
 } = require('ethers');
 const { ErrorCodes, createWalletError, createDeFiError } = require('./errors');
@@ -91,9 +92,27 @@ const UNISWAP_V2_ROUTER_ABI = [
   'function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)',
   'function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
   'function addLiquidity(address tokenA, address tokenB, uint amountADesired, uint amountBDesired, uint amountAMin, uint amountBMin, address to, uint deadline) external returns (uint amountA, uint amountB, uint liquidity)',
-  'function removeLiquidity(address tokenA, address tokenB, uint liquidity, uint amountAMin, uint amountBMin, address to, uint deadline) external returns (uint amountA, uint amountB)'
+  'function removeLiquidity(address tokenA, address tokenB, uint liquidity, uint amountAMin, uint amountBMin, address to, uint deadline) external returns (uint amountA, uint amountB)',
+  'function factory() external view returns (address)'
 ];
 
+// Uniswap V2 Factory and Pair ABIs (simplified)
+const UNISWAP_V2_FACTORY_ABI = [
+  'function getPair(address tokenA, address tokenB) external view returns (address pair)'
+];
+const UNISWAP_V2_PAIR_ABI = [
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function totalSupply() view returns (uint256)',
+  'function token0() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+];
+
+// Minimum amount after slippage (percent), in basis points so fractional percentages stay exact
+function applySlippage(amount, slippage) {
+  return amount * (10000n - BigInt(Math.round(slippage * 100))) / 10000n;
+}
+
 class DeFiProtocols {
   constructor(config) {
     this.rpcUrl = config.rpcUrl;
@@ -102,6 +121,12 @@ class DeFiProtocols {
     this.uniswapV2Router = config.uniswapV2Router;
     this.tokenAddresses = config.tokenAddresses;
     this.polymarketFactory = config.polymarketFactory;
+    // Signers come from the server's signing pipeline (falls back to the wallet manager)
+    this.getSigner = config.getSigner || (network => walletManager.getWallet(network));
+    // Optional TokenRegistry caching token decimals and symbols
+    this.tokens = config.tokens || null;
+    // Optional TokenResolver (configured tokens plus token lists)
+    this.tokenResolver = config.tokenResolver || null;
     
     // Set default configuration values
     this.defaultSlippage = config.defaultSlippage || DEFAULT_CONFIG.defaultSlippage;
@@ -132,27 +157,56 @@ class DeFiProtocols {
 
   // Removed connectWallet method - relies on central walletManager
 
-  // Check if wallet is connected using walletManager
+  // Check a signer is available (the signer source throws when the account cannot sign)
   checkWalletConnected() {
-    if (!walletManager.isWalletConnected('polygon')) {
+    try {
+      this.getSigner('polygon');
+    } catch (error) {
       throw createWalletError(
         ErrorCodes.WALLET_NOT_CONNECTED,
-        'Wallet not connected',
+        `Wallet not connected: ${error.message}`,
         { context: 'DeFiProtocols' }
       );
     }
     return true;
   }
 
-  // Use the centralized resolveTokenAddress function
+  // Use the token resolver when set, the centralized resolveTokenAddress function otherwise
   resolveTokenAddress(token) {
+    if (this.tokenResolver) {
+      return this.tokenResolver.resolve(token);
+    }
     // Pass the tokenAddresses map from this instance's config
     return commonResolveTokenAddress(token, this.tokenAddresses);
   }
 
+  // Token decimals from the token registry when configured (cached), otherwise from the contract
+  async getTokenDecimals(tokenAddress) {
+    if (this.tokens) {
+      return await this.tokens.getDecimals(tokenAddress);
+    }
+    try {
+      return Number(await this.getTokenContract(tokenAddress).decimals());
+    } catch (error) {
+      throw createDeFiError(
+        ErrorCodes.CONTRACT_ERROR,
+        `Token ${tokenAddress} does not report its decimals, so amounts of it cannot be converted: ${error.message}`,
+        { token: tokenAddress }
+      );
+    }
+  }
+
+  // Token symbol from the token registry when configured, otherwise from the contract
+  async getTokenSymbol(tokenAddress, fallback) {
+    if (this.tokens) {
+      return (await this.tokens.get(tokenAddress)).symbol ?? fallback;
+    }
+    return await this.getTokenContract(tokenAddress).symbol().catch(() => fallback);
+  }
+
   // Helper to get token contract, optionally with signer
   getTokenContract(tokenAddress, withSigner = false) {
-    const providerOrSigner = withSigner ? walletManager.getWallet('polygon') : this.provider;
+    const providerOrSigner = withSigner ? this.getSigner('polygon') : this.provider;
     if (withSigner) {
       this.checkWalletConnected(); // Ensure wallet is connected if signer is requested
     }
@@ -175,14 +229,11 @@ class DeFiProtocols {
       const toTokenAddress = this.resolveTokenAddress(toToken);
       
       // Get token details
-      const fromTokenContract = this.getTokenContract(fromTokenAddress);
-      const toTokenContract = this.getTokenContract(toTokenAddress);
-      
       const [fromDecimals, toDecimals, fromSymbol, toSymbol] = await Promise.all([
-        fromTokenContract.decimals().catch(() => 18),
-        toTokenContract.decimals().catch(() => 18),
-        fromTokenContract.symbol().catch(() => fromToken),
-        toTokenContract.symbol().catch(() => toToken)
+        this.getTokenDecimals(fromTokenAddress),
+        this.getTokenDecimals(toTokenAddress),
+        this.getTokenSymbol(fromTokenAddress, fromToken),
+        this.getTokenSymbol(toTokenAddress, toToken)
       ]);
       
       // Convert amount to token units
@@ -244,7 +295,7 @@ class DeFiProtocols {
 
       // Get token details (use helper with signer=true for approval check/tx)
       const fromTokenContract = this.getTokenContract(fromTokenAddress, true);
-      const fromDecimals = await fromTokenContract.decimals().catch(() => 18);
+      const fromDecimals = await this.getTokenDecimals(fromTokenAddress);
 
       // Convert amount to token units
       const amountIn = parseUnits(amount.toString(), fromDecimals);
@@ -252,10 +303,10 @@ class DeFiProtocols {
       // Calculate minimum amount out with slippage
       const amountOutMin = parseUnits(
         (parseFloat(quote.toToken.amount) * (1 - slippage / 100)).toFixed(18),
-        await this.getTokenContract(toTokenAddress).decimals().catch(() => 18)
+        await this.getTokenDecimals(toTokenAddress)
       );
       // Check if we need to approve the router
-      const walletAddress = walletManager.getAddress('polygon');
+      const walletAddress = await this.getSigner('polygon').getAddress();
       const allowance = await fromTokenContract.allowance(
         walletAddress,
         this.uniswapRouter // Use address directly
@@ -285,7 +336,7 @@ class DeFiProtocols {
       };
 
       // Execute swap using router contract connected to the wallet
-      const routerWithSigner = this.uniswapRouterContract.connect(walletManager.getWallet('polygon'));
+      const routerWithSigner = this.uniswapRouterContract.connect(this.getSigner('polygon'));
       const tx = await routerWithSigner.exactInputSingle(params);
 
       const receipt = await tx.wait();
@@ -295,7 +346,7 @@ class DeFiProtocols {
         fromToken: quote.fromToken,
         toToken: quote.toToken,
         expectedAmount: quote.toToken.amount,
-        minAmount: formatUnits(amountOutMin, await this.getTokenContract(toTokenAddress).decimals().catch(() => 18))
+        minAmount: formatUnits(amountOutMin, await this.getTokenDecimals(toTokenAddress))
       };
     } catch (error) {
       throw createDeFiError(ErrorCodes.SWAP_FAILED, `Uniswap swap failed: ${error.message}`);
@@ -315,14 +366,11 @@ class DeFiProtocols {
       const intermediateAddresses = intermediateTokens.map(token => this.resolveTokenAddress(token));
       
       // Get token details
-      const fromTokenContract = this.getTokenContract(fromTokenAddress);
-      const toTokenContract = this.getTokenContract(toTokenAddress);
-      
       const [fromDecimals, toDecimals, fromSymbol, toSymbol] = await Promise.all([
-        fromTokenContract.decimals().catch(() => 18),
-        toTokenContract.decimals().catch(() => 18),
-        fromTokenContract.symbol().catch(() => fromToken),
-        toTokenContract.symbol().catch(() => toToken)
+        this.getTokenDecimals(fromTokenAddress),
+        this.getTokenDecimals(toTokenAddress),
+        this.getTokenSymbol(fromTokenAddress, fromToken),
+        this.getTokenSymbol(toTokenAddress, toToken)
       ]);
       
       // Convert amount to token units
@@ -398,7 +446,7 @@ class DeFiProtocols {
 
       // Get token details (use helper with signer=true for approval check/tx)
       const fromTokenContract = this.getTokenContract(fromTokenAddress, true);
-      const fromDecimals = await fromTokenContract.decimals().catch(() => 18);
+      const fromDecimals = await this.getTokenDecimals(fromTokenAddress);
 
       // Convert amount to token units
       const amountIn = parseUnits(amount.toString(), fromDecimals);
@@ -406,10 +454,10 @@ class DeFiProtocols {
       // Calculate minimum amount out with slippage
       const amountOutMin = parseUnits(
         (parseFloat(quote.toToken.amount) * (1 - slippage / 100)).toFixed(18),
-        await this.getTokenContract(toTokenAddress).decimals().catch(() => 18)
+        await this.getTokenDecimals(toTokenAddress)
       );
       // Check if we need to approve the router
-      const walletAddress = walletManager.getAddress('polygon');
+      const walletAddress = await this.getSigner('polygon').getAddress();
       const allowance = await fromTokenContract.allowance(
         walletAddress,
         this.uniswapRouter // Use address directly
@@ -442,7 +490,7 @@ class DeFiProtocols {
       };
 
       // Execute swap using router contract connected to the wallet
-      const routerWithSigner = this.uniswapRouterContract.connect(walletManager.getWallet('polygon'));
+      const routerWithSigner = this.uniswapRouterContract.connect(this.getSigner('polygon'));
       const tx = await routerWithSigner.exactInput(params);
 
       const receipt = await tx.wait();
@@ -452,7 +500,7 @@ class DeFiProtocols {
         fromToken: quote.fromToken,
         toToken: quote.toToken,
         expectedAmount: quote.toToken.amount,
-        minAmount: formatUnits(amountOutMin, await this.getTokenContract(toTokenAddress).decimals().catch(() => 18)),
+        minAmount: formatUnits(amountOutMin, await this.getTokenDecimals(toTokenAddress)),
         path: quote.path,
         fees: quote.fees
       };
@@ -473,14 +521,11 @@ class DeFiProtocols {
       const toTokenAddress = this.resolveTokenAddress(toToken);
       
       // Get token details
-      const fromTokenContract = this.getTokenContract(fromTokenAddress);
-      const toTokenContract = this.getTokenContract(toTokenAddress);
-      
       const [fromDecimals, toDecimals, fromSymbol, toSymbol] = await Promise.all([
-        fromTokenContract.decimals().catch(() => 18),
-        toTokenContract.decimals().catch(() => 18),
-        fromTokenContract.symbol().catch(() => fromToken),
-        toTokenContract.symbol().catch(() => toToken)
+        this.getTokenDecimals(fromTokenAddress),
+        this.getTokenDecimals(toTokenAddress),
+        this.getTokenSymbol(fromTokenAddress, fromToken),
+        this.getTokenSymbol(toTokenAddress, toToken)
       ]);
       
       // Convert amount to token units
@@ -531,7 +576,7 @@ class DeFiProtocols {
 
       // Get token details (use helper with signer=true for approval check/tx)
       const fromTokenContract = this.getTokenContract(fromTokenAddress, true);
-      const fromDecimals = await fromTokenContract.decimals().catch(() => 18);
+      const fromDecimals = await this.getTokenDecimals(fromTokenAddress);
 
       // Convert amount to token units
       const amountIn = parseUnits(amount.toString(), fromDecimals);
@@ -539,10 +584,10 @@ class DeFiProtocols {
       // Calculate minimum amount out with slippage
       const amountOutMin = parseUnits(
         (parseFloat(quote.toToken.amount) * (1 - slippage / 100)).toFixed(18),
-        await this.getTokenContract(toTokenAddress).decimals().catch(() => 18)
+        await this.getTokenDecimals(toTokenAddress)
       );
       // Check if we need to approve the router
-      const walletAddress = walletManager.getAddress('polygon');
+      const walletAddress = await this.getSigner('polygon').getAddress();
       const allowance = await fromTokenContract.allowance(
         walletAddress,
         this.quickswapRouter // Use address directly
@@ -560,7 +605,7 @@ class DeFiProtocols {
       const deadline = Math.floor(Date.now() / 1000) + 20 * 60;
       
       // Execute swap using router contract connected to the wallet
-      const routerWithSigner = this.quickswapRouterContract.connect(walletManager.getWallet('polygon'));
+      const routerWithSigner = this.quickswapRouterContract.connect(this.getSigner('polygon'));
       const tx = await routerWithSigner.swapExactTokensForTokens(
         amountIn,
         amountOutMin,
@@ -576,7 +621,7 @@ class DeFiProtocols {
         fromToken: quote.fromToken,
         toToken: quote.toToken,
         expectedAmount: quote.toToken.amount,
-        minAmount: formatUnits(amountOutMin, await this.getTokenContract(toTokenAddress).decimals().catch(() => 18))
+        minAmount: formatUnits(amountOutMin, await this.getTokenDecimals(toTokenAddress))
       };
     } catch (error) {
       throw createDeFiError(ErrorCodes.SWAP_FAILED, `Swap failed: ${error.message}`);
@@ -601,10 +646,10 @@ class DeFiProtocols {
       const tokenBContract = this.getTokenContract(tokenBAddress, true);
 
       const [tokenADecimals, tokenBDecimals, tokenASymbol, tokenBSymbol] = await Promise.all([
-        tokenAContract.decimals().catch(() => 18),
-        tokenBContract.decimals().catch(() => 18),
-        tokenAContract.symbol().catch(() => tokenA),
-        tokenBContract.symbol().catch(() => tokenB)
+        this.getTokenDecimals(tokenAAddress),
+        this.getTokenDecimals(tokenBAddress),
+        this.getTokenSymbol(tokenAAddress, tokenA),
+        this.getTokenSymbol(tokenBAddress, tokenB)
       ]);
       
       // Convert amounts to token units
@@ -612,11 +657,11 @@ class DeFiProtocols {
       const amountBDesired = parseUnits(amountB.toString(), tokenBDecimals);
       
       // Calculate minimum amounts with slippage
-      const amountAMin = amountADesired * (1000 - slippage * 10) / 1000;
-      const amountBMin = amountBDesired * (1000n - BigInt(slippage * 10)) / 1000n; // Use BigInt for precision
+      const amountAMin = applySlippage(amountADesired, slippage);
+      const amountBMin = applySlippage(amountBDesired, slippage);
 
       // Check approvals
-      const walletAddress = walletManager.getAddress('polygon');
+      const walletAddress = await this.getSigner('polygon').getAddress();
       const routerAddress = this.quickswapRouter; // Use address directly
 
       const allowanceA = await tokenAContract.allowance(walletAddress, routerAddress);
@@ -635,7 +680,7 @@ class DeFiProtocols {
       const deadline = Math.floor(Date.now() / 1000) + 20 * 60;
       
       // Add liquidity using router contract connected to the wallet
-      const routerWithSigner = this.quickswapRouterContract.connect(walletManager.getWallet('polygon'));
+      const routerWithSigner = this.quickswapRouterContract.connect(this.getSigner('polygon'));
       const tx = await routerWithSigner.addLiquidity(
         tokenAAddress,
         tokenBAddress,
@@ -680,14 +725,11 @@ class DeFiProtocols {
       const intermediateAddresses = intermediateTokens.map(token => this.resolveTokenAddress(token));
       
       // Get token details
-      const fromTokenContract = this.getTokenContract(fromTokenAddress);
-      const toTokenContract = this.getTokenContract(toTokenAddress);
-      
       const [fromDecimals, toDecimals, fromSymbol, toSymbol] = await Promise.all([
-        fromTokenContract.decimals().catch(() => 18),
-        toTokenContract.decimals().catch(() => 18),
-        fromTokenContract.symbol().catch(() => fromToken),
-        toTokenContract.symbol().catch(() => toToken)
+        this.getTokenDecimals(fromTokenAddress),
+        this.getTokenDecimals(toTokenAddress),
+        this.getTokenSymbol(fromTokenAddress, fromToken),
+        this.getTokenSymbol(toTokenAddress, toToken)
       ]);
       
       // Convert amount to token units
@@ -707,7 +749,7 @@ class DeFiProtocols {
       // Get intermediate amounts with proper async handling
       const intermediateAmounts = await Promise.all(
         amounts.slice(1, -1).map(async (amount, index) => {
-          const decimals = await this.getTokenContract(intermediateAddresses[index]).decimals().catch(() => 18);
+          const decimals = await this.getTokenDecimals(intermediateAddresses[index]);
           return {
             token: intermediateTokens[index],
             amount: formatUnits(amount, decimals)
@@ -753,7 +795,7 @@ class DeFiProtocols {
 
       // Get token details (use helper with signer=true for approval check/tx)
       const fromTokenContract = this.getTokenContract(fromTokenAddress, true);
-      const fromDecimals = await fromTokenContract.decimals().catch(() => 18);
+      const fromDecimals = await this.getTokenDecimals(fromTokenAddress);
 
       // Convert amount to token units
       const amountIn = parseUnits(amount.toString(), fromDecimals);
@@ -761,10 +803,10 @@ class DeFiProtocols {
       // Calculate minimum amount out with slippage
       const amountOutMin = parseUnits(
         (parseFloat(quote.toToken.amount) * (1 - slippage / 100)).toFixed(18),
-        await this.getTokenContract(toTokenAddress).decimals().catch(() => 18)
+        await this.getTokenDecimals(toTokenAddress)
       );
       // Check if we need to approve the router
-      const walletAddress = walletManager.getAddress('polygon');
+      const walletAddress = await this.getSigner('polygon').getAddress();
       const routerAddress = this.quickswapRouter; // Use address directly
       const allowance = await fromTokenContract.allowance(walletAddress, routerAddress);
 
@@ -777,7 +819,7 @@ class DeFiProtocols {
       const deadline = Math.floor(Date.now() / 1000) + 20 * 60;
       
       // Execute swap using router contract connected to the wallet
-      const routerWithSigner = this.quickswapRouterContract.connect(walletManager.getWallet('polygon'));
+      const routerWithSigner = this.quickswapRouterContract.connect(this.getSigner('polygon'));
       const tx = await routerWithSigner.swapExactTokensForTokens(
         amountIn,
         amountOutMin,
@@ -793,7 +835,7 @@ class DeFiProtocols {
         fromToken: quote.fromToken,
         toToken: quote.toToken,
         expectedAmount: quote.toToken.amount,
-        minAmount: formatUnits(amountOutMin, await this.getTokenContract(toTokenAddress).decimals().catch(() => 18)),
+        minAmount: formatUnits(amountOutMin, await this.getTokenDecimals(toTokenAddress)),
         path: quote.path,
         intermediateAmounts: quote.intermediateAmounts
       };
@@ -962,7 +1004,7 @@ class DeFiProtocols {
       const amountIn = parseUnits(amount.toString(), decimals);
 
       // Check if we need to approve the position token contract
-      const walletAddress = walletManager.getAddress('polygon');
+      const walletAddress = await this.getSigner('polygon').getAddress();
       const allowance = await positionTokenContract.allowance(walletAddress, marketAddress);
 
       if (allowance < amountIn) {
@@ -1040,7 +1082,7 @@ class DeFiProtocols {
       const amountIn = parseUnits(amount.toString(), decimals);
 
       // Check if we need to approve the market contract
-      const walletAddress = walletManager.getAddress('polygon');
+      const walletAddress = await this.getSigner('polygon').getAddress();
       const allowance = await positionTokenContract.allowance(walletAddress, marketAddress);
 
       if (allowance < amountIn) {
@@ -1105,7 +1147,7 @@ class DeFiProtocols {
       const marketInfo = await this.getPolymarketInfo(marketAddress);
       
       // Get balances for each position token
-      const walletAddress = walletManager.getAddress('polygon');
+      const walletAddress = await this.getSigner('polygon').getAddress();
       const positions = await Promise.all(
         marketInfo.positionTokens.map(async (tokenAddress, index) => {
           // Use helper without signer for balance check
@@ -1198,14 +1240,11 @@ class DeFiProtocols {
       const toTokenAddress = this.resolveTokenAddress(toToken);
       
       // Get token details
-      const fromTokenContract = this.getTokenContract(fromTokenAddress);
-      const toTokenContract = this.getTokenContract(toTokenAddress);
-      
       const [fromDecimals, toDecimals, fromSymbol, toSymbol] = await Promise.all([
-        fromTokenContract.decimals().catch(() => 18),
-        toTokenContract.decimals().catch(() => 18),
-        fromTokenContract.symbol().catch(() => fromToken),
-        toTokenContract.symbol().catch(() => toToken)
+        this.getTokenDecimals(fromTokenAddress),
+        this.getTokenDecimals(toTokenAddress),
+        this.getTokenSymbol(fromTokenAddress, fromToken),
+        this.getTokenSymbol(toTokenAddress, toToken)
       ]);
       
       // Convert amount to token units
@@ -1256,7 +1295,7 @@ class DeFiProtocols {
 
       // Get token details (use helper with signer=true for approval check/tx)
       const fromTokenContract = this.getTokenContract(fromTokenAddress, true);
-      const fromDecimals = await fromTokenContract.decimals().catch(() => 18);
+      const fromDecimals = await this.getTokenDecimals(fromTokenAddress);
 
       // Convert amount to token units
       const amountIn = parseUnits(amount.toString(), fromDecimals);
@@ -1264,10 +1303,10 @@ class DeFiProtocols {
       // Calculate minimum amount out with slippage
       const amountOutMin = parseUnits(
         (parseFloat(quote.toToken.amount) * (1 - slippage / 100)).toFixed(18),
-        await this.getTokenContract(toTokenAddress).decimals().catch(() => 18)
+        await this.getTokenDecimals(toTokenAddress)
       );
       // Check if we need to approve the router
-      const walletAddress = walletManager.getAddress('polygon');
+      const walletAddress = await this.getSigner('polygon').getAddress();
       const routerAddress = this.uniswapV2Router; // Use address directly
       const allowance = await fromTokenContract.allowance(walletAddress, routerAddress);
 
@@ -1280,7 +1319,7 @@ class DeFiProtocols {
       const deadline = Math.floor(Date.now() / 1000) + 20 * 60;
       
       // Execute swap using router contract connected to the wallet
-      const routerWithSigner = this.uniswapV2RouterContract.connect(walletManager.getWallet('polygon'));
+      const routerWithSigner = this.uniswapV2RouterContract.connect(this.getSigner('polygon'));
       const tx = await routerWithSigner.swapExactTokensForTokens(
         amountIn,
         amountOutMin,
@@ -1296,7 +1335,7 @@ class DeFiProtocols {
         fromToken: quote.fromToken,
         toToken: quote.toToken,
         expectedAmount: quote.toToken.amount,
-        minAmount: formatUnits(amountOutMin, await this.getTokenContract(toTokenAddress).decimals().catch(() => 18))
+        minAmount: formatUnits(amountOutMin, await this.getTokenDecimals(toTokenAddress))
       };
     } catch (error) {
       throw createDeFiError(ErrorCodes.SWAP_FAILED, `Uniswap V2 swap failed: ${error.message}`);
@@ -1321,10 +1360,10 @@ class DeFiProtocols {
       const tokenBContract = this.getTokenContract(tokenBAddress, true);
 
       const [tokenADecimals, tokenBDecimals, tokenASymbol, tokenBSymbol] = await Promise.all([
-        tokenAContract.decimals().catch(() => 18),
-        tokenBContract.decimals().catch(() => 18),
-        tokenAContract.symbol().catch(() => tokenA),
-        tokenBContract.symbol().catch(() => tokenB)
+        this.getTokenDecimals(tokenAAddress),
+        this.getTokenDecimals(tokenBAddress),
+        this.getTokenSymbol(tokenAAddress, tokenA),
+        this.getTokenSymbol(tokenBAddress, tokenB)
       ]);
       
       // Convert amounts to token units
@@ -1332,11 +1371,11 @@ class DeFiProtocols {
       const amountBDesired = parseUnits(amountB.toString(), tokenBDecimals);
       
       // Calculate minimum amounts with slippage
-      const amountAMin = amountADesired * (1000 - slippage * 10) / 1000;
-      const amountBMin = amountBDesired * (1000n - BigInt(slippage * 10)) / 1000n; // Use BigInt for precision
+      const amountAMin = applySlippage(amountADesired, slippage);
+      const amountBMin = applySlippage(amountBDesired, slippage);
 
       // Check approvals
-      const walletAddress = walletManager.getAddress('polygon');
+      const walletAddress = await this.getSigner('polygon').getAddress();
       const routerAddress = this.uniswapV2Router; // Use address directly
 
       const allowanceA = await tokenAContract.allowance(walletAddress, routerAddress);
@@ -1355,7 +1394,7 @@ class DeFiProtocols {
       const deadline = Math.floor(Date.now() / 1000) + 20 * 60;
       
       // Add liquidity using router contract connected to the wallet
-      const routerWithSigner = this.uniswapV2RouterContract.connect(walletManager.getWallet('polygon'));
+      const routerWithSigner = this.uniswapV2RouterContract.connect(this.getSigner('polygon'));
       const tx = await routerWithSigner.addLiquidity(
         tokenAAddress,
         tokenBAddress,
@@ -1400,35 +1439,42 @@ class DeFiProtocols {
       const tokenAAddress = this.resolveTokenAddress(tokenA);
       const tokenBAddress = this.resolveTokenAddress(tokenB);
 
-      // Get token details (use helper with signer=true for approval checks/tx)
-      const tokenAContract = this.getTokenContract(tokenAAddress, true);
-      const tokenBContract = this.getTokenContract(tokenBAddress, true);
-
       const [tokenADecimals, tokenBDecimals, tokenASymbol, tokenBSymbol] = await Promise.all([
-        tokenAContract.decimals().catch(() => 18),
-        tokenBContract.decimals().catch(() => 18),
-        tokenAContract.symbol().catch(() => tokenA),
-        tokenBContract.symbol().catch(() => tokenB)
+        this.getTokenDecimals(tokenAAddress),
+        this.getTokenDecimals(tokenBAddress),
+        this.getTokenSymbol(tokenAAddress, tokenA),
+        this.getTokenSymbol(tokenBAddress, tokenB)
       ]);
       
       // Convert liquidity to token units
       const liquidityAmount = parseUnits(liquidity.toString(), 18); // LP tokens are always 18 decimals
-      // Get current balances to calculate minimum amounts
-      const walletAddress = walletManager.getAddress('polygon');
-      const [balanceA, balanceB] = await Promise.all([
-        tokenAContract.balanceOf(walletAddress),
-        tokenBContract.balanceOf(walletAddress)
+      const walletAddress = await this.getSigner('polygon').getAddress();
+
+      // The pair contract is the LP token
+      const factory = new Contract(await this.uniswapV2RouterContract.factory(), UNISWAP_V2_FACTORY_ABI, this.provider);
+      const pairAddress = await factory.getPair(tokenAAddress, tokenBAddress);
+      if (pairAddress === ZeroAddress) {
+        throw createDeFiError(ErrorCodes.LIQUIDITY_ERROR, `No Uniswap V2 pair for ${tokenASymbol}/${tokenBSymbol}`);
+      }
+      const lpTokenContract = new Contract(pairAddress, UNISWAP_V2_PAIR_ABI, this.getSigner('polygon'));
+
+      // Expected amounts are the burned share of the pair's reserves
+      const [token0, [reserve0, reserve1], totalSupply] = await Promise.all([
+        lpTokenContract.token0(),
+        lpTokenContract.getReserves(),
+        lpTokenContract.totalSupply()
       ]);
+      const [reserveA, reserveB] = token0.toLowerCase() === tokenAAddress.toLowerCase()
+        ? [reserve0, reserve1]
+        : [reserve1, reserve0];
+      const expectedA = reserveA * liquidityAmount / totalSupply;
+      const expectedB = reserveB * liquidityAmount / totalSupply;
 
-      // Calculate minimum amounts with slippage using BigInt
-      const amountAMin = balanceA * (1000n - BigInt(slippage * 10)) / 1000n;
-      const amountBMin = balanceB * (1000n - BigInt(slippage * 10)) / 1000n;
+      // Calculate minimum amounts with slippage
+      const amountAMin = applySlippage(expectedA, slippage);
+      const amountBMin = applySlippage(expectedB, slippage);
 
-      // Check if we need to approve the router for LP tokens
-      // Assuming LP token address needs to be fetched or known. Using tokenA for now is incorrect.
-      // This part needs correction - requires knowing the LP token address.
-      // For now, let's assume approval is handled or use tokenA as placeholder.
-      const lpTokenContract = this.getTokenContract(tokenAAddress, true); // Placeholder - Needs LP token address
+      // Approve the router for the LP tokens if needed
       const routerAddress = this.uniswapV2Router; // Use address directly
       const allowance = await lpTokenContract.allowance(walletAddress, routerAddress);
 
@@ -1441,7 +1487,7 @@ class DeFiProtocols {
       const deadline = Math.floor(Date.now() / 1000) + 20 * 60;
       
       // Remove liquidity using router contract connected to the wallet
-      const routerWithSigner = this.uniswapV2RouterContract.connect(walletManager.getWallet('polygon'));
+      const routerWithSigner = this.uniswapV2RouterContract.connect(this.getSigner('polygon'));
       const tx = await routerWithSigner.removeLiquidity(
         tokenAAddress,
         tokenBAddress,
@@ -1459,12 +1505,12 @@ class DeFiProtocols {
         tokenA: {
           address: tokenAAddress,
           symbol: tokenASymbol,
-          amount: formatUnits(balanceA, tokenADecimals)
+          amount: formatUnits(expectedA, tokenADecimals)
         },
         tokenB: {
           address: tokenBAddress,
           symbol: tokenBSymbol,
-          amount: formatUnits(balanceB, tokenBDecimals)
+          amount: formatUnits(expectedB, tokenBDecimals)
         }
       };
     } catch (error) {
@@ -22,6 +22,8 @@ const ErrorCodes = {
   TRANSACTION_FAILED: 'TRANSACTION_FAILED',
   TRANSACTION_REJECTED: 'TRANSACTION_REJECTED',
   TRANSACTION_TIMEOUT: 'TRANSACTION_TIMEOUT',
+  APPROVAL_REQUIRED: 'APPROVAL_REQUIRED',
+  FEE_TOO_HIGH: 'FEE_TOO_HIGH',
   
   // Contract errors
   CONTRACT_ERROR: 'CONTRACT_ERROR',
@@ -0,0 +1,132 @@
+// event-decoder.js - Event log decoding for simulations and transaction analysis
+const { getAddress, isAddress } = require('ethers');
+const { defaultLogger } = require('./logger');
+const { parseAbi, formatArgs } = require('./abi-utils');
+
+// Events of common token and DEX contracts. ERC20 and ERC721 Transfer/Approval share a
+// topic hash and differ only in which parameters are indexed, so both variants are listed.
+const KNOWN_EVENT_ABIS = {
+  ERC20: [
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event Approval(address indexed owner, address indexed spender, uint256 value)'
+  ],
+  ERC721: [
+    'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+    'event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)',
+    'event ApprovalForAll(address indexed owner, address indexed operator, bool approved)'
+  ],
+  ERC1155: [
+    'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+    'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)',
+    'event URI(string value, uint256 indexed id)'
+  ],
+  WrappedNative: [
+    'event Deposit(address indexed dst, uint256 wad)',
+    'event Withdrawal(address indexed src, uint256 wad)'
+  ],
+  UniswapV2Pair: [
+    'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+    'event Sync(uint112 reserve0, uint112 reserve1)',
+    'event Mint(address indexed sender, uint256 amount0, uint256 amount1)',
+    'event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)'
+  ],
+  UniswapV3Pool: [
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+    'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+    'event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+    'event Collect(address indexed owner, address recipient, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount0, uint128 amount1)'
+  ],
+  Ownable: [
+    'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)'
+  ]
+};
+
+class EventDecoder {
+  constructor() {
+    // topic0 -> [{ iface, fragment, source, address }]
+    this.eventsByTopic = new Map();
+
+    for (const [source, abi] of Object.entries(KNOWN_EVENT_ABIS)) {
+      this.registerAbi(abi, { name: source });
+    }
+  }
+
+  /**
+   * Register the events of an ABI
+   * @param {Array|string} abi - ABI as JSON array, JSON string or human-readable fragments
+   * @param {Object} options - Registration options
+   * @param {string} options.address - Contract address the ABI belongs to (preferred when decoding its logs)
+   * @param {string} options.name - Label reported as the event source
+   * @returns {number} Number of event fragments registered
+   */
+  registerAbi(abi, options = {}) {
+    const { address, name } = options;
+    const iface = parseAbi(abi);
+    const contractAddress = address && isAddress(address) ? getAddress(address) : null;
+    let count = 0;
+
+    for (const fragment of iface.fragments) {
+      if (fragment.type !== 'event' || fragment.anonymous) {
+        continue;
+      }
+
+      const entries = this.eventsByTopic.get(fragment.topicHash) || [];
+      const signature = fragment.format('full');
+      const existing = entries.find(entry => entry.fragment.format('full') === signature && entry.address === contractAddress);
+      if (!existing) {
+        entries.push({ iface, fragment, source: name || contractAddress || 'custom', address: contractAddress });
+        this.eventsByTopic.set(fragment.topicHash, entries);
+      }
+      count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Decode a log against the registered events
+   * @param {Object} log - Log with address, topics and data
+   * @returns {Object|null} Decoded event ({ name, signature, source, args }) or null if unknown
+   */
+  decodeLog(log) {
+    if (!log || !log.topics || log.topics.length === 0) {
+      return null;
+    }
+
+    const entries = this.eventsByTopic.get(log.topics[0].toLowerCase()) || [];
+    const emitter = log.address && isAddress(log.address) ? getAddress(log.address) : null;
+    // Prefer events registered for the emitting contract, then global ones
+    const ordered = [
+      ...entries.filter(entry => emitter && entry.address === emitter),
+      ...entries.filter(entry => !entry.address)
+    ];
+
+    for (const { iface, fragment, source } of ordered) {
+      // The indexed parameter count must match, which separates ERC20 from ERC721 Transfer
+      const indexedCount = fragment.inputs.filter(input => input.indexed).length;
+      if (indexedCount !== log.topics.length - 1) {
+        continue;
+      }
+
+      try {
+        const values = iface.decodeEventLog(fragment, log.data, log.topics);
+        const args = formatArgs(fragment.inputs, values);
+        return {
+          name: fragment.name,
+          signature: fragment.format('sighash'),
+          source,
+          args
+        };
+      } catch (error) {
+        defaultLogger.debug(`Failed to decode ${fragment.name} log: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = {
+  EventDecoder,
+  KNOWN_EVENT_ABIS,
+};
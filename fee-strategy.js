@@ -0,0 +1,160 @@
+// fee-strategy.js - EIP-1559 fees and gas limits for every transaction the server sends
+const { formatUnits, parseUnits } = require('ethers');
+const { ErrorCodes, createTransactionError } = require('./errors');
+const { defaultLogger } = require('./logger');
+
+// Priority fee percentile (of the rewards paid in recent blocks) for each speed
+const SPEED_PERCENTILES = { slow: 10, standard: 50, fast: 90 };
+const DEFAULT_SPEED = 'standard';
+const DEFAULT_HISTORY_BLOCKS = 20;
+const DEFAULT_GAS_LIMIT_BUFFER_PERCENT = 20;
+// Fee tiers are reused for this long so multi-transaction tool calls make one eth_feeHistory request
+const TIER_CACHE_MS = 5000;
+
+// Median of a list of BigInts
+function median(values) {
+  if (values.length === 0) {
+    return 0n;
+  }
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+class FeeStrategy {
+  /**
+   * @param {Object} options - Strategy options
+   * @param {string} options.speed - Default speed: slow, standard or fast
+   * @param {string|number} options.maxFeeGwei - Hard ceiling on maxFeePerGas (gwei); unset for none
+   * @param {number} options.gasLimitBufferPercent - Added to gas estimates (default 20)
+   * @param {number} options.historyBlocks - Blocks sampled with eth_feeHistory (default 20)
+   */
+  constructor(options = {}) {
+    this.speed = SPEED_PERCENTILES[options.speed] ? options.speed : DEFAULT_SPEED;
+    this.maxFee = options.maxFeeGwei ? parseUnits(String(options.maxFeeGwei), 'gwei') : null;
+    this.gasLimitBuffer = BigInt(options.gasLimitBufferPercent ?? DEFAULT_GAS_LIMIT_BUFFER_PERCENT);
+    this.historyBlocks = options.historyBlocks || DEFAULT_HISTORY_BLOCKS;
+    // provider -> { at, tiers }
+    this.cache = new WeakMap();
+  }
+
+  /**
+   * Fee tiers from eth_feeHistory: the priority fee is the median over recent blocks of the
+   * speed's reward percentile, and maxFeePerGas leaves room for the base fee to double
+   * @param {Provider} provider - Provider of the network
+   * @returns {Promise<Object>} { baseFeePerGas, slow, standard, fast } with { maxFeePerGas, maxPriorityFeePerGas } per speed
+   */
+  async getFeeTiers(provider) {
+    const cached = this.cache.get(provider);
+    if (cached && Date.now() - cached.at < TIER_CACHE_MS) {
+      return cached.tiers;
+    }
+
+    const speeds = Object.keys(SPEED_PERCENTILES);
+    const history = await provider.send('eth_feeHistory', [
+      `0x${this.historyBlocks.toString(16)}`,
+      'latest',
+      speeds.map(speed => SPEED_PERCENTILES[speed])
+    ]);
+    // The last entry is the base fee of the next block
+    const baseFeePerGas = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+
+    const tiers = { baseFeePerGas };
+    speeds.forEach((speed, index) => {
+      const rewards = (history.reward || []).map(block => BigInt(block[index]));
+      const maxPriorityFeePerGas = median(rewards);
+      tiers[speed] = { maxFeePerGas: baseFeePerGas * 2n + maxPriorityFeePerGas, maxPriorityFeePerGas };
+    });
+    this.cache.set(provider, { at: Date.now(), tiers });
+    return tiers;
+  }
+
+  /**
+   * Fee fields for a transaction at a speed, capped at the ceiling
+   * @param {Provider} provider - Provider of the network
+   * @param {string} speed - slow, standard or fast (defaults to the configured speed)
+   * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas }
+   */
+  async getFees(provider, speed) {
+    const tiers = await this.getFeeTiers(provider);
+    const { maxFeePerGas, maxPriorityFeePerGas } = tiers[SPEED_PERCENTILES[speed] ? speed : this.speed];
+    if (this.maxFee === null || maxFeePerGas <= this.maxFee) {
+      return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+    if (tiers.baseFeePerGas >= this.maxFee) {
+      throw this.ceilingError(tiers.baseFeePerGas, 'The current base fee');
+    }
+    // Less headroom for base fee increases, but still includable at the current base fee
+    const priority = maxPriorityFeePerGas < this.maxFee - tiers.baseFeePerGas
+      ? maxPriorityFeePerGas
+      : this.maxFee - tiers.baseFeePerGas;
+    return { maxFeePerGas: this.maxFee, maxPriorityFeePerGas: priority };
+  }
+
+  ceilingError(fee, what) {
+    return createTransactionError(
+      ErrorCodes.FEE_TOO_HIGH,
+      `${what} (${formatUnits(fee, 'gwei')} gwei) exceeds the max fee ceiling of ${formatUnits(this.maxFee, 'gwei')} gwei`,
+      { fee: fee.toString(), ceiling: this.maxFee.toString() }
+    );
+  }
+
+  // Gas estimate plus the buffer
+  async estimateGasLimit(provider, tx) {
+    const estimate = await provider.estimateGas(tx);
+    return BigInt(estimate) * (100n + this.gasLimitBuffer) / 100n;
+  }
+
+  /**
+   * Fill in the gas limit and fees of a transaction. Fees set by the caller (e.g. a speed-up)
+   * are kept, but every transaction must stay under the ceiling.
+   * @param {Object} tx - Transaction request
+   * @param {Provider} provider - Provider of the network
+   * @param {Object} options - { from, speed }
+   * @returns {Promise<Object>} The completed transaction request
+   */
+  async apply(tx, provider, options = {}) {
+    const prepared = { ...tx };
+    if (prepared.gasLimit == null) {
+      prepared.gasLimit = await this.estimateGasLimit(provider, { ...prepared, from: prepared.from || options.from });
+    }
+    if (prepared.maxFeePerGas == null && prepared.gasPrice == null) {
+      Object.assign(prepared, await this.getFees(provider, options.speed));
+    }
+
+    const fee = prepared.maxFeePerGas ?? prepared.gasPrice;
+    if (this.maxFee !== null && BigInt(fee) > this.maxFee) {
+      throw this.ceilingError(BigInt(fee), 'The transaction fee');
+    }
+    defaultLogger.debug('Fee strategy applied', {
+      gasLimit: prepared.gasLimit.toString(),
+      maxFeePerGas: prepared.maxFeePerGas != null ? formatUnits(prepared.maxFeePerGas, 'gwei') : null,
+      gasPrice: prepared.gasPrice != null ? formatUnits(prepared.gasPrice, 'gwei') : null
+    });
+    return prepared;
+  }
+
+  // Describe the strategy and the current tiers (in gwei) for a network
+  async describe(provider) {
+    const tiers = await this.getFeeTiers(provider);
+    const gwei = (value) => formatUnits(value, 'gwei');
+    const described = {
+      speed: this.speed,
+      maxFeeCeilingGwei: this.maxFee !== null ? gwei(this.maxFee) : null,
+      gasLimitBufferPercent: Number(this.gasLimitBuffer),
+      baseFeePerGasGwei: gwei(tiers.baseFeePerGas),
+      tiers: {}
+    };
+    for (const speed of Object.keys(SPEED_PERCENTILES)) {
+      described.tiers[speed] = {
+        maxFeePerGasGwei: gwei(tiers[speed].maxFeePerGas),
+        maxPriorityFeePerGasGwei: gwei(tiers[speed].maxPriorityFeePerGas)
+      };
+    }
+    return described;
+  }
+}
+
+module.exports = {
+  FeeStrategy,
+  SPEED_PERCENTILES,
+};
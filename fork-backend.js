@@ -0,0 +1,314 @@
+// fork-backend.js - Local fork simulation backend (anvil / hardhat node)
+const { spawn } = require('child_process');
+const { JsonRpcProvider, toQuantity, getAddress } = require('ethers');
+const { ErrorCodes, createSimulationError } = require('./errors');
+const { defaultLogger } = require('./logger');
+
+// Default fork settings
+const DEFAULT_FORK_OPTIONS = {
+  // Node to spawn when no url is given: 'anvil' or 'hardhat'
+  command: 'anvil',
+  host: '127.0.0.1',
+  port: 8546,
+  // How long to wait for a spawned node to answer RPC calls
+  startupTimeoutMs: 30000,
+  // How long to wait for a sent transaction's receipt
+  receiptTimeoutMs: 15000,
+  // Re-fork at the latest upstream block once the fork is this old (0 re-forks before every simulation)
+  maxAgeMs: 60000
+};
+
+// Build the command line for a forking node
+function forkCommand(settings, upstreamRpcUrl) {
+  if (settings.command === 'hardhat') {
+    const args = ['hardhat', 'node', '--fork', upstreamRpcUrl, '--hostname', settings.host, '--port', String(settings.port)];
+    if (settings.blockNumber) args.push('--fork-block-number', String(settings.blockNumber));
+    return { file: 'npx', args };
+  }
+  const args = ['--fork-url', upstreamRpcUrl, '--host', settings.host, '--port', String(settings.port), '--silent'];
+  if (settings.blockNumber) args.push('--fork-block-number', String(settings.blockNumber));
+  return { file: settings.command, args };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Executes transactions on a local forking node: snapshot, impersonate the sender,
+ * send the real transaction, collect receipt and trace, then revert the snapshot.
+ * Uses the hardhat_* / evm_* RPC methods, which anvil also implements.
+ */
+class ForkSimulationBackend {
+  /**
+   * @param {Object} options - Fork options
+   * @param {string} options.upstreamRpcUrl - RPC the spawned node forks from
+   * @param {string} options.url - Attach to an already running fork at this URL instead of spawning one
+   * @param {string} options.command - Node to spawn: 'anvil' (default) or 'hardhat'
+   * @param {number} options.port - Port for a spawned node (default 8546)
+   * @param {number} options.blockNumber - Pin a spawned fork to this block
+   * @param {number} options.maxAgeMs - Re-fork at the latest block once the fork is this old (ignored when pinned)
+   * @param {Object} options.callTracer - CallTracer used to format traces and logs
+   */
+  constructor(options = {}) {
+    this.settings = { ...DEFAULT_FORK_OPTIONS };
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined && value !== null && value !== '') {
+        this.settings[key] = value;
+      }
+    }
+    this.callTracer = options.callTracer;
+    this.provider = null;
+    this.child = null;
+    this.starting = null;
+    // When the fork was created or last reset to the latest upstream block
+    this.forkedAt = 0;
+    this.exitHandlerRegistered = false;
+    // Simulations share one node; snapshots must not interleave
+    this.queue = Promise.resolve();
+  }
+
+  // Attach to the configured fork, spawning it first if needed
+  async start() {
+    if (this.provider) {
+      return this.provider;
+    }
+    if (!this.starting) {
+      this.starting = this.connect().finally(() => {
+        this.starting = null;
+      });
+    }
+    return await this.starting;
+  }
+
+  async connect() {
+    let url = this.settings.url;
+
+    if (!url) {
+      if (!this.settings.upstreamRpcUrl) {
+        throw createSimulationError(ErrorCodes.INVALID_PARAMETERS, 'Fork backend needs an upstream RPC URL or a fork URL');
+      }
+      const { file, args } = forkCommand(this.settings, this.settings.upstreamRpcUrl);
+      defaultLogger.info(`Starting local fork: ${file} on port ${this.settings.port}`);
+      this.child = spawn(file, args, { stdio: 'ignore' });
+      this.child.on('exit', (code) => {
+        defaultLogger.info(`Local fork exited with code ${code}`);
+        this.child = null;
+        this.provider = null;
+      });
+      this.child.on('error', (error) => {
+        defaultLogger.error(`Local fork failed to start: ${error.message}`);
+      });
+      // Do not leave an orphaned node behind when the server exits
+      if (!this.exitHandlerRegistered) {
+        process.once('exit', () => this.stop());
+        this.exitHandlerRegistered = true;
+      }
+      url = `http://${this.settings.host}:${this.settings.port}`;
+    }
+
+    const provider = new JsonRpcProvider(url, undefined, { staticNetwork: true, cacheTimeout: -1 });
+    const deadline = Date.now() + Number(this.settings.startupTimeoutMs);
+    for (;;) {
+      try {
+        await provider.send('eth_chainId', []);
+        break;
+      } catch (error) {
+        if (Date.now() > deadline || (!this.settings.url && !this.child)) {
+          provider.destroy();
+          this.stop();
+          throw createSimulationError(
+            ErrorCodes.NETWORK_ERROR,
+            `Local fork at ${url} is not reachable: ${error.message}`,
+            { url }
+          );
+        }
+        await sleep(250);
+      }
+    }
+
+    defaultLogger.info(`Simulating on local fork at ${url}`);
+    this.provider = provider;
+    this.forkedAt = Date.now();
+    return provider;
+  }
+
+  // Re-fork at the latest upstream block when the fork is older than maxAgeMs (forks pinned to a block are kept)
+  async refresh(provider) {
+    if (this.settings.blockNumber || Date.now() - this.forkedAt < Number(this.settings.maxAgeMs)) {
+      return;
+    }
+    const forking = this.settings.upstreamRpcUrl ? { jsonRpcUrl: this.settings.upstreamRpcUrl } : {};
+    // anvil_reset on anvil, hardhat_reset on hardhat (an attached node may be either)
+    const methods = this.settings.command === 'hardhat' ? ['hardhat_reset'] : ['anvil_reset', 'hardhat_reset'];
+    for (const method of methods) {
+      try {
+        await provider.send(method, [{ forking }]);
+        this.forkedAt = Date.now();
+        return;
+      } catch (error) {
+        defaultLogger.debug(`${method} failed on fork: ${error.message}`);
+      }
+    }
+    defaultLogger.warn('Could not reset the local fork to the latest block; simulating on its current state');
+    // Do not retry on every simulation
+    this.forkedAt = Date.now();
+  }
+
+  // Stop a spawned node (an attached node is left running)
+  stop() {
+    if (this.provider) {
+      this.provider.destroy();
+      this.provider = null;
+    }
+    if (this.child) {
+      this.child.kill();
+      this.child = null;
+    }
+  }
+
+  // Run fn with exclusive use of the fork
+  runExclusive(fn) {
+    const run = this.queue.then(fn, fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Execute transactions in order inside one snapshot, then roll back
+   * @param {Array<Object>} transactions - Transaction requests; `from` is impersonated
+   * @param {Object} options - Execution options
+   * @param {Object} options.stateOverrides - RPC state overrides applied before the first transaction
+   * @param {boolean} options.stopOnFailure - Stop after the first failed transaction
+   * @returns {Promise<Array<Object>>} Per-transaction { success, gasUsed, receipt, logs, callTrace, revert, errorMessage }
+   */
+  async execute(transactions, options = {}) {
+    const provider = await this.start();
+
+    return await this.runExclusive(async () => {
+      await this.refresh(provider);
+      const snapshot = await provider.send('evm_snapshot', []);
+      const impersonated = new Set();
+      try {
+        if (options.stateOverrides) {
+          await this.applyStateOverrides(provider, options.stateOverrides);
+        }
+
+        const results = [];
+        for (const tx of transactions) {
+          if (options.stopOnFailure && results.some(result => !result.success)) {
+            results.push(null);
+            continue;
+          }
+          if (!tx.from) {
+            throw createSimulationError(ErrorCodes.INVALID_PARAMETERS, 'Fork simulation needs a sender (from) address');
+          }
+          const sender = getAddress(tx.from);
+          if (!impersonated.has(sender)) {
+            await provider.send('hardhat_impersonateAccount', [sender]);
+            impersonated.add(sender);
+          }
+          results.push(await this.executeOne(provider, { ...tx, from: sender }));
+        }
+        return results;
+      } finally {
+        for (const sender of impersonated) {
+          await provider.send('hardhat_stopImpersonatingAccount', [sender]).catch(() => {});
+        }
+        await provider.send('evm_revert', [snapshot]);
+      }
+    });
+  }
+
+  // Send one transaction from an impersonated account and collect its receipt and trace
+  async executeOne(provider, tx) {
+    const rpcTx = provider.getRpcTransaction(tx);
+
+    let hash;
+    try {
+      hash = await provider.send('eth_sendTransaction', [rpcTx]);
+    } catch (error) {
+      // Hardhat rejects reverting transactions instead of mining them
+      const revert = this.callTracer?.revertDecoder?.decodeError(error, { to: tx.to }) || null;
+      return {
+        success: false,
+        gasUsed: '0',
+        receipt: null,
+        logs: [],
+        callTrace: null,
+        revert,
+        errorMessage: revert ? `Transaction would revert: ${revert.reason}` : error.message
+      };
+    }
+
+    const receipt = await this.waitForReceipt(provider, hash);
+    const success = BigInt(receipt.status) === 1n;
+
+    // Prefer the call trace (internal value transfers, reverted frames); fall back to receipt logs
+    let callTrace = null;
+    let logs;
+    try {
+      const frame = await provider.send('debug_traceTransaction', [hash, { tracer: 'callTracer', tracerConfig: { withLog: true } }]);
+      logs = [];
+      callTrace = this.callTracer.formatFrame(frame, logs);
+    } catch (error) {
+      defaultLogger.debug(`debug_traceTransaction unavailable on fork: ${error.message}`);
+      logs = receipt.logs.map(log => this.callTracer.formatLog(log));
+    }
+
+    const revert = success ? null : (callTrace?.revert || null);
+    return {
+      success,
+      gasUsed: BigInt(receipt.gasUsed).toString(),
+      receipt: {
+        transactionHash: hash,
+        status: success ? 'Success' : 'Failed',
+        blockNumber: Number(receipt.blockNumber),
+        gasUsed: BigInt(receipt.gasUsed).toString(),
+        effectiveGasPrice: receipt.effectiveGasPrice ? BigInt(receipt.effectiveGasPrice).toString() : null,
+        contractAddress: receipt.contractAddress || null,
+        logCount: receipt.logs.length
+      },
+      logs,
+      callTrace,
+      revert,
+      errorMessage: success ? null : (revert ? `Transaction would revert: ${revert.reason}` : 'Transaction reverted')
+    };
+  }
+
+  // Poll for a receipt (forks usually automine, so it is normally available at once)
+  async waitForReceipt(provider, hash) {
+    const deadline = Date.now() + Number(this.settings.receiptTimeoutMs);
+    for (;;) {
+      const receipt = await provider.send('eth_getTransactionReceipt', [hash]);
+      if (receipt) {
+        return receipt;
+      }
+      if (Date.now() > deadline) {
+        throw createSimulationError(
+          ErrorCodes.SIMULATION_FAILED,
+          `Fork did not mine ${hash}; is automining disabled?`,
+          { hash }
+        );
+      }
+      await provider.send('evm_mine', []).catch(() => {});
+      await sleep(100);
+    }
+  }
+
+  // Apply RPC-format state overrides with the hardhat_set* methods
+  async applyStateOverrides(provider, stateOverrides) {
+    for (const [address, override] of Object.entries(stateOverrides)) {
+      if (override.balance !== undefined) await provider.send('hardhat_setBalance', [address, toQuantity(override.balance)]);
+      if (override.nonce !== undefined) await provider.send('hardhat_setNonce', [address, toQuantity(override.nonce)]);
+      if (override.code !== undefined) await provider.send('hardhat_setCode', [address, override.code]);
+      // A full storage replacement cannot be expressed slot by slot; only the given slots are set
+      for (const [slot, value] of Object.entries(override.state || override.stateDiff || {})) {
+        await provider.send('hardhat_setStorageAt', [address, toQuantity(slot), value]);
+      }
+    }
+  }
+}
+
+module.exports = {
+  ForkSimulationBackend,
+  DEFAULT_FORK_OPTIONS,
+};
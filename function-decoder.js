@@ -0,0 +1,134 @@
+// function-decoder.js - Calldata decoding for transaction analysis
+const { getAddress, isAddress } = require('ethers');
+const { defaultLogger } = require('./logger');
+const { parseAbi, formatArgs } = require('./abi-utils');
+
+// Functions of common token, wrapper and DEX router contracts
+const KNOWN_FUNCTION_ABIS = {
+  ERC20: [
+    'function transfer(address to, uint256 amount)',
+    'function approve(address spender, uint256 amount)',
+    'function transferFrom(address from, address to, uint256 amount)'
+  ],
+  ERC721: [
+    'function safeTransferFrom(address from, address to, uint256 tokenId)',
+    'function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)',
+    'function setApprovalForAll(address operator, bool approved)',
+    'function mint(address to, uint256 tokenId)'
+  ],
+  ERC1155: [
+    'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)',
+    'function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)'
+  ],
+  WrappedNative: [
+    'function deposit() payable',
+    'function withdraw(uint256 amount)'
+  ],
+  UniswapV2Router: [
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+    'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable',
+    'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapETHForExactTokens(uint256 amountOut, address[] path, address to, uint256 deadline) payable',
+    'function swapTokensForExactETH(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+    'function addLiquidity(address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)',
+    'function addLiquidityETH(address token, uint256 amountTokenDesired, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline) payable',
+    'function removeLiquidity(address tokenA, address tokenB, uint256 liquidity, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)',
+    'function removeLiquidityETH(address token, uint256 liquidity, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline)'
+  ],
+  UniswapV3Router: [
+    'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable',
+    'function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params) payable',
+    'function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params) payable',
+    'function exactOutput((bytes path, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum) params) payable',
+    'function multicall(bytes[] data) payable'
+  ]
+};
+
+class FunctionDecoder {
+  constructor() {
+    // selector -> [{ iface, fragment, source, address }]
+    this.functionsBySelector = new Map();
+
+    for (const [source, abi] of Object.entries(KNOWN_FUNCTION_ABIS)) {
+      this.registerAbi(abi, { name: source });
+    }
+  }
+
+  /**
+   * Register the functions of an ABI
+   * @param {Array|string} abi - ABI as JSON array, JSON string or human-readable fragments
+   * @param {Object} options - Registration options
+   * @param {string} options.address - Contract address the ABI belongs to (preferred when decoding calls to it)
+   * @param {string} options.name - Label reported as the function source
+   * @returns {number} Number of function fragments registered
+   */
+  registerAbi(abi, options = {}) {
+    const { address, name } = options;
+    const iface = parseAbi(abi);
+    const contractAddress = address && isAddress(address) ? getAddress(address) : null;
+    let count = 0;
+
+    for (const fragment of iface.fragments) {
+      if (fragment.type !== 'function') {
+        continue;
+      }
+
+      const entries = this.functionsBySelector.get(fragment.selector) || [];
+      const signature = fragment.format('sighash');
+      const existing = entries.find(entry => entry.fragment.format('sighash') === signature && entry.address === contractAddress);
+      if (!existing) {
+        entries.push({ iface, fragment, source: name || contractAddress || 'custom', address: contractAddress });
+        this.functionsBySelector.set(fragment.selector, entries);
+      }
+      count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Decode calldata against the registered functions
+   * @param {string} data - Transaction input
+   * @param {Object} options - Decoding options
+   * @param {string} options.to - Called contract, used to prefer its registered ABI
+   * @returns {Object|null} { name, signature, selector, source, args }, { selector, name: null } when unknown,
+   *   or null for plain transfers without calldata
+   */
+  decode(data, options = {}) {
+    if (!data || data === '0x' || data.length < 10) {
+      return null;
+    }
+
+    const selector = data.slice(0, 10).toLowerCase();
+    const entries = this.functionsBySelector.get(selector) || [];
+    const target = options.to && isAddress(options.to) ? getAddress(options.to) : null;
+    const ordered = [
+      ...entries.filter(entry => target && entry.address === target),
+      ...entries.filter(entry => !entry.address),
+      ...entries.filter(entry => entry.address && entry.address !== target)
+    ];
+
+    for (const { iface, fragment, source } of ordered) {
+      try {
+        const values = iface.decodeFunctionData(fragment, data);
+        return {
+          name: fragment.name,
+          signature: fragment.format('sighash'),
+          selector,
+          source,
+          args: formatArgs(fragment.inputs, values)
+        };
+      } catch (error) {
+        defaultLogger.debug(`Failed to decode ${fragment.name} calldata: ${error.message}`);
+      }
+    }
+
+    return { selector, name: null, signature: null, source: null, args: null };
+  }
+}
+
+module.exports = {
+  FunctionDecoder,
+  KNOWN_FUNCTION_ABIS,
+};
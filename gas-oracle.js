@@ -0,0 +1,306 @@
+// gas-oracle.js - Rolling eth_feeHistory samples with base fee trends, congestion and cheapest-time forecasts
+const fs = require('fs');
+const { formatUnits } = require('ethers');
+const { defaultLogger } = require('./logger');
+
+const PERCENTILES = [10, 25, 50, 75, 90];
+const DEFAULT_HISTORY_BLOCKS = 20;
+const DEFAULT_SAMPLE_INTERVAL_MS = 60 * 1000;
+// A week, so time-of-day forecasts have several earlier days to draw on
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+// Samples are appended to the history file, which is rewritten without expired ones this often
+const COMPACT_INTERVAL_MS = 60 * 60 * 1000;
+// Forecast candidates are this far apart
+const FORECAST_STEP_MS = 5 * 60 * 1000;
+// How fast an unusual base fee is expected to return to its usual level
+const MEAN_REVERSION_HALF_LIFE_MS = 15 * 60 * 1000;
+// Time-of-day slots from earlier days within this distance count towards a forecast
+const TIME_OF_DAY_WINDOW_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Relative change over the window reported as rising or falling
+const TREND_THRESHOLD = 0.05;
+// Waiting is only recommended for at least this saving
+const MIN_SAVING = 0.05;
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+const gwei = (value) => Number(formatUnits(BigInt(Math.round(value)), 'gwei'));
+
+// Congestion from the share of the gas target blocks used (EIP-1559 targets half of the gas limit)
+function congestionLevel(gasUsedRatio) {
+  if (gasUsedRatio < 0.3) {
+    return 'low';
+  }
+  if (gasUsedRatio < 0.6) {
+    return 'moderate';
+  }
+  if (gasUsedRatio < 0.9) {
+    return 'high';
+  }
+  return 'severe';
+}
+
+class GasOracle {
+  /**
+   * @param {Object} options - Oracle options
+   * @param {Provider} options.provider - Provider of the network
+   * @param {number} options.historyBlocks - Blocks per eth_feeHistory sample (default 20)
+   * @param {number} options.sampleIntervalMs - Background sampling interval (0 samples on demand only)
+   * @param {number} options.retentionMs - How long samples are kept (default 7 days)
+   * @param {string} options.historyFile - Optional file the samples are kept in across restarts (one JSON sample per line)
+   */
+  constructor(options = {}) {
+    this.provider = options.provider;
+    this.historyBlocks = options.historyBlocks || DEFAULT_HISTORY_BLOCKS;
+    this.sampleIntervalMs = options.sampleIntervalMs ?? DEFAULT_SAMPLE_INTERVAL_MS;
+    this.retentionMs = options.retentionMs || DEFAULT_RETENTION_MS;
+    this.historyFile = options.historyFile || null;
+    // [{ at, block, baseFeePerGas, gasUsedRatio, priorityFees: { p10, ... } }] oldest first, fees in wei
+    this.samples = this.loadHistory();
+    // History writes run one at a time off the sampling path; the first compaction drops expired samples
+    this.writing = Promise.resolve();
+    this.compactedAt = 0;
+    this.writeFailed = false;
+    // Per-block data of the latest eth_feeHistory call
+    this.recentBlocks = [];
+    this.timer = null;
+  }
+
+  loadHistory() {
+    if (!this.historyFile || !fs.existsSync(this.historyFile)) {
+      return [];
+    }
+    try {
+      const text = fs.readFileSync(this.historyFile, 'utf8');
+      if (text.trimStart().startsWith('[')) {
+        return JSON.parse(text);
+      }
+      // Skip a line cut short by a crash mid-append
+      return text.split('\n').filter(line => line.trim()).flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+    } catch (error) {
+      defaultLogger.warn(`Could not read gas history ${this.historyFile}: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Append a sample to the history file, or rewrite it with the retained samples once per
+  // COMPACT_INTERVAL_MS. A failed write is logged and the samples stay in memory
+  saveHistory(sample) {
+    if (!this.historyFile) {
+      return;
+    }
+    const compact = sample.at - this.compactedAt >= COMPACT_INTERVAL_MS;
+    const lines = (compact ? this.samples : [sample]).map(entry => `${JSON.stringify(entry)}\n`).join('');
+    if (compact) {
+      this.compactedAt = sample.at;
+    }
+    this.writing = this.writing
+      .then(() => (compact ? fs.promises.writeFile : fs.promises.appendFile)(this.historyFile, lines))
+      .then(() => {
+        this.writeFailed = false;
+      })
+      .catch(error => {
+        // Warn once per run of failures instead of every sample
+        if (!this.writeFailed) {
+          defaultLogger.warn(`Could not write gas history ${this.historyFile}: ${error.message}`);
+        }
+        this.writeFailed = true;
+        // Rewrite the whole history once writes work again
+        this.compactedAt = 0;
+      });
+  }
+
+  // Sample in the background (the timer does not keep the process alive)
+  start() {
+    if (this.timer || !this.sampleIntervalMs) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.sample().catch(error => defaultLogger.warn(`Gas oracle sample failed: ${error.message}`));
+    }, this.sampleIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Take a sample from eth_feeHistory: the next block's base fee, the average gas used ratio
+   * and the median priority fee percentiles of the recent blocks
+   * @returns {Promise<Object>} The new sample
+   */
+  async sample() {
+    const history = await this.provider.send('eth_feeHistory', [
+      `0x${this.historyBlocks.toString(16)}`,
+      'latest',
+      PERCENTILES
+    ]);
+    const oldest = Number(history.oldestBlock);
+    this.recentBlocks = history.gasUsedRatio.map((gasUsedRatio, index) => ({
+      block: oldest + index,
+      baseFeePerGas: Number(BigInt(history.baseFeePerGas[index])),
+      gasUsedRatio,
+      rewards: (history.reward?.[index] || []).map(reward => Number(BigInt(reward)))
+    }));
+
+    const priorityFees = {};
+    PERCENTILES.forEach((percentile, index) => {
+      const values = this.recentBlocks.map(block => block.rewards[index] ?? 0).sort((a, b) => a - b);
+      priorityFees[`p${percentile}`] = values.length ? values[Math.floor(values.length / 2)] : 0;
+    });
+
+    const sample = {
+      at: Date.now(),
+      block: oldest + history.gasUsedRatio.length,
+      // The last entry is the base fee of the next block
+      baseFeePerGas: Number(BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1])),
+      gasUsedRatio: average(history.gasUsedRatio),
+      priorityFees
+    };
+    this.samples.push(sample);
+    const cutoff = sample.at - this.retentionMs;
+    this.samples = this.samples.filter(entry => entry.at >= cutoff);
+    this.saveHistory(sample);
+    return sample;
+  }
+
+  // Sample unless the latest sample is recent enough
+  async ensureFresh() {
+    const latest = this.samples[this.samples.length - 1];
+    const maxAge = this.sampleIntervalMs || DEFAULT_SAMPLE_INTERVAL_MS;
+    if (!latest || this.recentBlocks.length === 0 || Date.now() - latest.at >= maxAge) {
+      await this.sample();
+    }
+  }
+
+  // Base fee trend over the samples of the last windowMs (least-squares slope)
+  trend(windowMs) {
+    const since = Date.now() - windowMs;
+    const points = this.samples.filter(sample => sample.at >= since);
+    if (points.length < 2) {
+      return { direction: 'unknown', changePercent: null, samples: points.length };
+    }
+    const meanTime = average(points.map(point => point.at));
+    const meanFee = average(points.map(point => point.baseFeePerGas));
+    let covariance = 0;
+    let variance = 0;
+    for (const point of points) {
+      covariance += (point.at - meanTime) * (point.baseFeePerGas - meanFee);
+      variance += (point.at - meanTime) ** 2;
+    }
+    const slope = variance ? covariance / variance : 0;
+    const change = meanFee ? (slope * (points[points.length - 1].at - points[0].at)) / meanFee : 0;
+    return {
+      direction: change > TREND_THRESHOLD ? 'rising' : change < -TREND_THRESHOLD ? 'falling' : 'stable',
+      changePercent: Math.round(change * 1000) / 10,
+      samples: points.length
+    };
+  }
+
+  // Usual base fee at a time of day, from samples of earlier days (null without such samples)
+  timeOfDayBaseFee(at) {
+    const values = this.samples
+      .filter(sample => at - sample.at >= DAY_MS - TIME_OF_DAY_WINDOW_MS)
+      .filter(sample => {
+        const offset = Math.abs((at - sample.at) % DAY_MS);
+        return Math.min(offset, DAY_MS - offset) <= TIME_OF_DAY_WINDOW_MS;
+      })
+      .map(sample => sample.baseFeePerGas);
+    return values.length ? average(values) : null;
+  }
+
+  /**
+   * Expected base fee every 5 minutes over the next minutes: the current base fee decays
+   * towards its usual level, taken from the same time on earlier days when the history covers
+   * it and from the average of the history otherwise
+   * @param {number} minutes - Forecast horizon
+   * @returns {Object} { cheapest, points }
+   */
+  forecast(minutes) {
+    const now = Date.now();
+    const current = this.samples[this.samples.length - 1].baseFeePerGas;
+    const usual = average(this.samples.map(sample => sample.baseFeePerGas));
+
+    const points = [];
+    for (let offset = 0; offset <= minutes * 60 * 1000; offset += FORECAST_STEP_MS) {
+      const timeOfDay = this.timeOfDayBaseFee(now + offset);
+      const target = timeOfDay ?? usual;
+      const expected = target + (current - target) * 0.5 ** (offset / MEAN_REVERSION_HALF_LIFE_MS);
+      points.push({
+        inMinutes: offset / 60000,
+        at: new Date(now + offset).toISOString(),
+        expectedBaseFeeGwei: gwei(expected),
+        basis: timeOfDay !== null ? 'time-of-day history' : 'mean reversion'
+      });
+    }
+    const cheapest = points.reduce((best, point) => (point.expectedBaseFeeGwei < best.expectedBaseFeeGwei ? point : best));
+    return { cheapest, points };
+  }
+
+  /**
+   * Gas report: current base fee, trends, priority fee percentiles, congestion and the cheapest
+   * time to send within the next minutes
+   * @param {Object} options - { minutes } forecast horizon (default 60)
+   * @returns {Promise<Object>}
+   */
+  async report(options = {}) {
+    await this.ensureFresh();
+    const minutes = options.minutes || 60;
+    const latest = this.samples[this.samples.length - 1];
+    const baseFees = this.samples.map(sample => sample.baseFeePerGas);
+    const recentRatio = average(this.recentBlocks.map(block => block.gasUsedRatio));
+
+    const priorityFeePercentilesGwei = {};
+    for (const [percentile, value] of Object.entries(latest.priorityFees)) {
+      priorityFeePercentilesGwei[percentile] = gwei(value);
+    }
+
+    const { cheapest, points } = this.forecast(minutes);
+    const now = points[0].expectedBaseFeeGwei;
+    const saving = now ? (now - cheapest.expectedBaseFeeGwei) / now : 0;
+
+    return {
+      block: latest.block,
+      baseFeeGwei: gwei(latest.baseFeePerGas),
+      baseFeeHistory: {
+        samples: this.samples.length,
+        since: new Date(this.samples[0].at).toISOString(),
+        minGwei: gwei(Math.min(...baseFees)),
+        averageGwei: gwei(average(baseFees)),
+        maxGwei: gwei(Math.max(...baseFees))
+      },
+      trends: {
+        last15Minutes: this.trend(15 * 60 * 1000),
+        lastHour: this.trend(60 * 60 * 1000),
+        last24Hours: this.trend(DAY_MS)
+      },
+      priorityFeePercentilesGwei,
+      congestion: {
+        level: congestionLevel(recentRatio),
+        gasUsedRatio: Math.round(recentRatio * 1000) / 1000,
+        blocks: this.recentBlocks.length
+      },
+      forecast: {
+        minutes,
+        cheapest,
+        expectedSavingPercent: Math.round(saving * 1000) / 10,
+        recommendation: saving >= MIN_SAVING && cheapest.inMinutes > 0
+          ? `Wait about ${cheapest.inMinutes} minutes for non-urgent transactions`
+          : 'Send now',
+        points
+      }
+    };
+  }
+}
+
+module.exports = {
+  GasOracle,
+  congestionLevel,
+};
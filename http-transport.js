@@ -0,0 +1,320 @@
+// http-transport.js - Streamable HTTP and legacy SSE transports for Polygon MCP Server
+const http = require('http');
+const { randomUUID, timingSafeEqual } = require('crypto');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+const { defaultLogger } = require('./logger');
+
+// Default HTTP transport settings
+const DEFAULT_HTTP_OPTIONS = {
+  host: '127.0.0.1',
+  port: 3000,
+  // Streamable HTTP endpoint (MCP spec 2025-03-26)
+  mcpPath: '/mcp',
+  // Legacy HTTP+SSE endpoints (MCP spec 2024-11-05)
+  ssePath: '/sse',
+  messagesPath: '/messages',
+  // Maximum accepted JSON-RPC request body size in bytes
+  maxBodySize: 4 * 1024 * 1024,
+  // Sessions without a request for this long are closed (0 keeps them until the client leaves)
+  sessionIdleTimeout: 30 * 60 * 1000,
+  // Browser origins allowed to call the server (requests without an Origin header are not from browsers)
+  allowedOrigins: []
+};
+
+// How often idle sessions are looked for
+const SESSION_SWEEP_INTERVAL_MS = 60 * 1000;
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+// Write a JSON-RPC error response (used before a request reaches a transport)
+function sendJsonRpcError(res, statusCode, code, message) {
+  if (res.headersSent) {
+    return;
+  }
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  }));
+}
+
+// Error answered with a specific HTTP status and JSON-RPC error code
+function httpError(statusCode, code, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.jsonRpcCode = code;
+  return error;
+}
+
+// Read and parse a JSON request body
+function readJsonBody(req, maxBodySize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBodySize) {
+        reject(httpError(413, -32600, `Request body exceeds ${maxBodySize} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw) {
+        resolve(undefined);
+        return;
+      }
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        reject(httpError(400, -32700, `Parse error: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Reject browser requests from origins that are not allowlisted (DNS rebinding and cross-site requests)
+function isAllowedOrigin(req, allowedOrigins) {
+  const origin = req.headers.origin;
+  return origin === undefined || allowedOrigins.includes(origin);
+}
+
+// Bound to loopback, only loopback host names are answered, so a page whose DNS name was rebound
+// to 127.0.0.1 cannot reach the server through its own name
+function isAllowedHost(req, bindHost) {
+  if (!LOOPBACK_HOSTS.includes(bindHost)) {
+    return true;
+  }
+  try {
+    const hostname = new URL(`http://${req.headers.host}`).hostname.replace(/^\[|\]$/g, '');
+    return LOOPBACK_HOSTS.includes(hostname);
+  } catch {
+    return false;
+  }
+}
+
+// Check the request's bearer token against the configured token
+function isAuthorized(req, authToken) {
+  if (!authToken) {
+    return true;
+  }
+
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  if (!match) {
+    return false;
+  }
+
+  const provided = Buffer.from(match[1].trim());
+  const expected = Buffer.from(authToken);
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
+
+/**
+ * Serve MCP over HTTP. Each client session gets its own McpServer instance
+ * (from createMcpServer) and transport; blockchain state such as the wallet
+ * manager is shared between sessions.
+ * @param {Function} createMcpServer - Factory returning a new McpServer with all tools registered
+ * @param {Object} options - HTTP options
+ * @param {string} options.host - Bind address (default 127.0.0.1)
+ * @param {number} options.port - Port to listen on (default 3000)
+ * @param {string} options.authToken - Bearer token required on every request (required unless bound to loopback)
+ * @param {Array<string>|string} options.allowedOrigins - Browser origins allowed to call the server (comma-separated or array)
+ * @param {number} options.sessionIdleTimeout - Milliseconds after which idle sessions are closed
+ * @returns {Promise<Object>} The listening http.Server and the session map
+ */
+async function startHttpTransport(createMcpServer, options = {}) {
+  const settings = { ...DEFAULT_HTTP_OPTIONS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined && value !== null && value !== '') {
+      settings[key] = value;
+    }
+  }
+  settings.port = parseInt(settings.port, 10);
+  settings.sessionIdleTimeout = parseInt(settings.sessionIdleTimeout, 10) || 0;
+  if (typeof settings.allowedOrigins === 'string') {
+    settings.allowedOrigins = settings.allowedOrigins.split(',').map(origin => origin.trim()).filter(Boolean);
+  }
+
+  if (!settings.authToken && !LOOPBACK_HOSTS.includes(settings.host)) {
+    throw new Error(`Refusing to serve HTTP on ${settings.host} without an auth token; set MCP_AUTH_TOKEN or bind to 127.0.0.1`);
+  }
+
+  // sessionId -> { type, transport, mcpServer, createdAt, lastActivity }
+  const sessions = new Map();
+
+  const closeSession = (sessionId) => {
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+    sessions.delete(sessionId);
+    session.mcpServer.close().catch(error => {
+      defaultLogger.warn(`Failed to close MCP session ${sessionId}: ${error.message}`);
+    });
+    defaultLogger.info(`MCP ${session.type} session closed`, { sessionId });
+  };
+
+  const touchSession = (sessionId) => {
+    const session = sessions.get(sessionId);
+    if (session) {
+      session.lastActivity = Date.now();
+    }
+    return session;
+  };
+
+  // Streamable HTTP: POST/GET/DELETE on the MCP endpoint
+  const handleStreamableRequest = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJsonBody(req, settings.maxBodySize) : undefined;
+
+    if (sessionId) {
+      const session = touchSession(sessionId);
+      if (!session || session.type !== 'streamable-http') {
+        sendJsonRpcError(res, 404, -32001, 'Session not found');
+        return;
+      }
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: no valid session ID provided');
+      return;
+    }
+
+    const mcpServer = createMcpServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (newSessionId) => {
+        sessions.set(newSessionId, {
+          type: 'streamable-http',
+          transport,
+          mcpServer,
+          createdAt: Date.now(),
+          lastActivity: Date.now()
+        });
+        defaultLogger.info('MCP streamable-http session opened', { sessionId: newSessionId });
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        closeSession(transport.sessionId);
+      }
+    };
+
+    await mcpServer.connect(transport);
+    await transport.handleRequest(req, res, body);
+  };
+
+  // Legacy SSE: GET opens the event stream, POST delivers client messages
+  const handleSseConnect = async (req, res) => {
+    const mcpServer = createMcpServer();
+    const transport = new SSEServerTransport(settings.messagesPath, res);
+    const sessionId = transport.sessionId;
+
+    sessions.set(sessionId, {
+      type: 'sse',
+      transport,
+      mcpServer,
+      createdAt: Date.now(),
+      lastActivity: Date.now()
+    });
+    res.on('close', () => closeSession(sessionId));
+
+    defaultLogger.info('MCP sse session opened', { sessionId });
+    await mcpServer.connect(transport);
+  };
+
+  const handleSseMessage = async (req, res, url) => {
+    const sessionId = url.searchParams.get('sessionId');
+    const session = sessionId ? touchSession(sessionId) : null;
+    if (!session || session.type !== 'sse') {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return;
+    }
+
+    const body = await readJsonBody(req, settings.maxBodySize);
+    await session.transport.handlePostMessage(req, res, body);
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      if (!isAllowedOrigin(req, settings.allowedOrigins) || !isAllowedHost(req, settings.host)) {
+        defaultLogger.warn('HTTP request rejected', { origin: req.headers.origin || null, host: req.headers.host || null });
+        sendJsonRpcError(res, 403, -32001, 'Forbidden origin or host');
+        return;
+      }
+
+      if (!isAuthorized(req, settings.authToken)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendJsonRpcError(res, 401, -32001, 'Unauthorized');
+        return;
+      }
+
+      if (url.pathname === settings.mcpPath && ['POST', 'GET', 'DELETE'].includes(req.method)) {
+        await handleStreamableRequest(req, res);
+      } else if (url.pathname === settings.ssePath && req.method === 'GET') {
+        await handleSseConnect(req, res);
+      } else if (url.pathname === settings.messagesPath && req.method === 'POST') {
+        await handleSseMessage(req, res, url);
+      } else {
+        sendJsonRpcError(res, 404, -32601, `Not found: ${req.method} ${url.pathname}`);
+      }
+    } catch (error) {
+      // Malformed or oversized requests are the client's fault
+      const log = error.statusCode < 500 ? 'warn' : 'error';
+      defaultLogger[log](`HTTP transport error: ${error.message}`, { path: url.pathname });
+      sendJsonRpcError(res, error.statusCode || 500, error.jsonRpcCode || -32603, error.message);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(settings.port, settings.host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  // Close sessions whose client went away without closing them
+  const sweepTimer = settings.sessionIdleTimeout ? setInterval(() => {
+    const cutoff = Date.now() - settings.sessionIdleTimeout;
+    for (const [sessionId, session] of sessions) {
+      if (session.lastActivity < cutoff) {
+        defaultLogger.info(`MCP ${session.type} session idle for ${Math.round(settings.sessionIdleTimeout / 1000)}s`, { sessionId });
+        closeSession(sessionId);
+      }
+    }
+  }, Math.min(SESSION_SWEEP_INTERVAL_MS, settings.sessionIdleTimeout)) : null;
+  sweepTimer?.unref();
+
+  httpServer.on('close', () => {
+    clearInterval(sweepTimer);
+    for (const sessionId of [...sessions.keys()]) {
+      closeSession(sessionId);
+    }
+  });
+
+  defaultLogger.info(`MCP HTTP transport listening on http://${settings.host}:${settings.port}`, {
+    streamableHttp: settings.mcpPath,
+    sse: settings.ssePath,
+    auth: settings.authToken ? 'bearer' : 'none'
+  });
+
+  return { httpServer, sessions };
+}
+
+module.exports = {
+  startHttpTransport,
+  DEFAULT_HTTP_OPTIONS,
+};
@@ -0,0 +1,166 @@
+// keystore.js - Encrypted JSON V3 keystore files and passphrase sources
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { Wallet, getAddress, isKeystoreJson } = require('ethers');
+const { ErrorCodes, createWalletError } = require('./errors');
+const { defaultLogger } = require('./logger');
+
+const DEFAULT_KEYSTORE_DIR = './keystore';
+
+class KeystoreDirectory {
+  /**
+   * @param {string} dir - Directory holding JSON V3 keystore files
+   */
+  constructor(dir = DEFAULT_KEYSTORE_DIR) {
+    this.dir = path.resolve(dir);
+  }
+
+  /**
+   * List keystore files without decrypting them
+   * @returns {Array<Object>} [{ file, name, address }]; name is the file name without extension
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    const entries = [];
+    for (const fileName of fs.readdirSync(this.dir).sort()) {
+      const file = path.join(this.dir, fileName);
+      try {
+        if (!fs.statSync(file).isFile()) {
+          continue;
+        }
+        const json = fs.readFileSync(file, 'utf8');
+        if (!isKeystoreJson(json)) {
+          continue;
+        }
+        const { address } = JSON.parse(json);
+        entries.push({
+          file,
+          name: path.basename(fileName, '.json'),
+          address: getAddress(address.startsWith('0x') ? address : `0x${address}`)
+        });
+      } catch (error) {
+        defaultLogger.warn(`Skipping unreadable keystore file ${fileName}: ${error.message}`);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Decrypt a keystore file
+   * @param {string} file - Keystore file path
+   * @param {string} passphrase - Keystore passphrase
+   * @returns {Promise<Wallet>} Decrypted wallet
+   */
+  async decrypt(file, passphrase) {
+    try {
+      return await Wallet.fromEncryptedJson(fs.readFileSync(file, 'utf8'), passphrase);
+    } catch (error) {
+      throw createWalletError(
+        ErrorCodes.UNAUTHORIZED,
+        `Could not unlock keystore ${path.basename(file)}: ${error.message}`,
+        { file: path.basename(file) }
+      );
+    }
+  }
+
+  /**
+   * Encrypt a key into a new keystore file named <name>.json
+   * @param {string} name - Account name (used as the file name)
+   * @param {string} passphrase - Passphrase to encrypt with
+   * @param {string} privateKey - Key to store (a new random key when omitted)
+   * @returns {Promise<Object>} { file, name, address, wallet }
+   */
+  async create(name, passphrase, privateKey) {
+    if (!passphrase) {
+      throw createWalletError(ErrorCodes.INVALID_PARAMETERS, 'A passphrase is required to create a keystore');
+    }
+    const file = path.join(this.dir, `${name}.json`);
+    if (fs.existsSync(file)) {
+      throw createWalletError(ErrorCodes.INVALID_PARAMETERS, `Keystore ${name}.json already exists`, { file });
+    }
+
+    const wallet = privateKey ? new Wallet(privateKey) : Wallet.createRandom();
+    const json = await wallet.encrypt(passphrase);
+
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(file, json, { mode: 0o600, flag: 'wx' });
+    defaultLogger.info(`Keystore created: ${file}`, { address: wallet.address });
+
+    return { file, name, address: wallet.address, wallet };
+  }
+}
+
+// Ask for a passphrase on the controlling terminal without echoing it.
+// stdin/stdout carry the MCP stdio transport, so the prompt uses /dev/tty directly.
+function promptPassphrase(question) {
+  let input;
+  try {
+    input = fs.createReadStream('/dev/tty');
+  } catch (error) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve) => {
+    let muted = false;
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        if (!muted) process.stderr.write(chunk);
+        callback();
+      }
+    });
+    const rl = readline.createInterface({ input, output, terminal: true });
+    input.on('error', () => {
+      rl.close();
+      resolve(null);
+    });
+    rl.question(question, (answer) => {
+      rl.close();
+      input.destroy();
+      process.stderr.write('\n');
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+/**
+ * Read the keystore passphrase from the configured source: KEYSTORE_PASSPHRASE,
+ * then KEYSTORE_PASSPHRASE_FILE, then an interactive prompt when a terminal is attached
+ * @param {Object} env - Environment variables
+ * @param {Object} options - Options
+ * @param {boolean} options.prompt - Allow prompting on the terminal (default true)
+ * @param {string} options.question - Prompt text
+ * @returns {Promise<string|null>} The passphrase, or null when no source is available
+ */
+async function readPassphrase(env = process.env, options = {}) {
+  if (env.KEYSTORE_PASSPHRASE) {
+    return env.KEYSTORE_PASSPHRASE;
+  }
+  if (env.KEYSTORE_PASSPHRASE_FILE) {
+    try {
+      // Re-read on every unlock so the passphrase does not have to stay in memory
+      return fs.readFileSync(env.KEYSTORE_PASSPHRASE_FILE, 'utf8').replace(/\r?\n$/, '');
+    } catch (error) {
+      throw createWalletError(
+        ErrorCodes.INVALID_PARAMETERS,
+        `Could not read KEYSTORE_PASSPHRASE_FILE: ${error.message}`
+      );
+    }
+  }
+  if (options.prompt !== false && process.stderr.isTTY) {
+    return await promptPassphrase(options.question || 'Keystore passphrase: ');
+  }
+  return null;
+}
+
+module.exports = {
+  KeystoreDirectory,
+  readPassphrase,
+  promptPassphrase,
+  DEFAULT_KEYSTORE_DIR,
+};
@@ -0,0 +1,264 @@
+// local-signer.js - Local stand-in for an external signer (Clef/web3signer-style JSON-RPC)
+// Runs as a separate process so keys stay out of the MCP server: node local-signer.js
+const http = require('http');
+const { timingSafeEqual } = require('crypto');
+const { Transaction, Wallet, getAddress, getBytes, isHexString } = require('ethers');
+const { KeystoreDirectory, readPassphrase } = require('./keystore');
+const { defaultLogger } = require('./logger');
+
+// Default local signer settings (8550 is Clef's default HTTP port)
+const DEFAULT_LOCAL_SIGNER_OPTIONS = {
+  host: '127.0.0.1',
+  port: 8550,
+  maxBodySize: 1024 * 1024
+};
+
+// JSON-RPC error codes
+const RPC_INVALID_REQUEST = -32600;
+const RPC_METHOD_NOT_FOUND = -32601;
+const RPC_INVALID_PARAMS = -32602;
+const RPC_UNAUTHORIZED = -32001;
+
+class SignerRpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Build an ethers transaction from the JSON-RPC fields sent to eth_signTransaction
+function fromRpcTransaction(rpcTx) {
+  const tx = {
+    to: rpcTx.to || null,
+    data: rpcTx.data || rpcTx.input || '0x',
+    value: rpcTx.value || 0,
+    nonce: rpcTx.nonce != null ? Number(rpcTx.nonce) : undefined,
+    gasLimit: rpcTx.gas ?? rpcTx.gasLimit,
+    chainId: rpcTx.chainId,
+    accessList: rpcTx.accessList
+  };
+  if (rpcTx.maxFeePerGas != null) {
+    tx.type = 2;
+    tx.maxFeePerGas = rpcTx.maxFeePerGas;
+    tx.maxPriorityFeePerGas = rpcTx.maxPriorityFeePerGas;
+  } else {
+    tx.type = rpcTx.type != null ? Number(rpcTx.type) : 0;
+    tx.gasPrice = rpcTx.gasPrice;
+  }
+  for (const field of ['nonce', 'gasLimit', 'chainId']) {
+    if (tx[field] == null) {
+      throw new SignerRpcError(RPC_INVALID_PARAMS, `Transaction is missing ${field === 'gasLimit' ? 'gas' : field}`);
+    }
+  }
+  return Transaction.from(tx);
+}
+
+class LocalSigner {
+  /**
+   * @param {Object} options - Signer options
+   * @param {Array<string>} options.privateKeys - Keys held by the signer
+   * @param {Array<Wallet>} options.wallets - Already decrypted wallets (alternative to privateKeys)
+   * @param {string} options.host - Bind address (loopback by default)
+   * @param {number} options.port - Port (0 picks a free port)
+   * @param {string} options.authToken - Bearer token required from clients
+   */
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_LOCAL_SIGNER_OPTIONS,
+      host: options.host || DEFAULT_LOCAL_SIGNER_OPTIONS.host,
+      port: options.port ?? DEFAULT_LOCAL_SIGNER_OPTIONS.port
+    };
+    this.authToken = options.authToken || null;
+    this.wallets = new Map();
+    for (const wallet of [...(options.wallets || []), ...(options.privateKeys || []).map(key => new Wallet(key))]) {
+      this.wallets.set(wallet.address, wallet);
+    }
+    this.server = null;
+  }
+
+  getWallet(address) {
+    const wallet = isHexString(address, 20) ? this.wallets.get(getAddress(address)) : null;
+    if (!wallet) {
+      throw new SignerRpcError(RPC_UNAUTHORIZED, `Unknown account ${address}`);
+    }
+    return wallet;
+  }
+
+  // Handle a single JSON-RPC call
+  async handle(method, params = []) {
+    switch (method) {
+      case 'eth_accounts':
+        return [...this.wallets.keys()];
+      case 'eth_signTransaction': {
+        const [rpcTx] = params;
+        if (!rpcTx || !rpcTx.from) {
+          throw new SignerRpcError(RPC_INVALID_PARAMS, 'Transaction with a from address is required');
+        }
+        const wallet = this.getWallet(rpcTx.from);
+        const raw = await wallet.signTransaction(fromRpcTransaction(rpcTx));
+        defaultLogger.info(`Signed transaction for ${wallet.address}`, { to: rpcTx.to || null, nonce: rpcTx.nonce });
+        return raw;
+      }
+      case 'eth_sign': {
+        const [address, data] = params;
+        return await this.getWallet(address).signMessage(getBytes(data));
+      }
+      case 'eth_signTypedData_v4': {
+        const [address, json] = params;
+        const { domain, types, message } = typeof json === 'string' ? JSON.parse(json) : json;
+        // ethers derives the domain type itself
+        const messageTypes = { ...types };
+        delete messageTypes.EIP712Domain;
+        return await this.getWallet(address).signTypedData(domain, messageTypes, message);
+      }
+      default:
+        throw new SignerRpcError(RPC_METHOD_NOT_FOUND, `Method ${method} is not supported`);
+    }
+  }
+
+  isAuthorized(req) {
+    if (!this.authToken) {
+      return true;
+    }
+    const expected = Buffer.from(`Bearer ${this.authToken}`);
+    const provided = Buffer.from(req.headers.authorization || '');
+    return provided.length === expected.length && timingSafeEqual(provided, expected);
+  }
+
+  async handleRequest(req, res) {
+    const send = (statusCode, body) => {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    // web3signer-style health check
+    if (req.method === 'GET' && req.url === '/upcheck') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('OK');
+      return;
+    }
+    if (req.method !== 'POST') {
+      send(405, { jsonrpc: '2.0', error: { code: RPC_INVALID_REQUEST, message: 'Method not allowed' }, id: null });
+      return;
+    }
+    if (!this.isAuthorized(req)) {
+      send(401, { jsonrpc: '2.0', error: { code: RPC_UNAUTHORIZED, message: 'Unauthorized' }, id: null });
+      return;
+    }
+
+    let body = '';
+    for await (const chunk of req) {
+      body += chunk;
+      if (body.length > this.options.maxBodySize) {
+        send(413, { jsonrpc: '2.0', error: { code: RPC_INVALID_REQUEST, message: 'Request body too large' }, id: null });
+        return;
+      }
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      send(400, { jsonrpc: '2.0', error: { code: -32700, message: 'Parse error' }, id: null });
+      return;
+    }
+
+    try {
+      const result = await this.handle(payload.method, payload.params);
+      send(200, { jsonrpc: '2.0', id: payload.id ?? null, result });
+    } catch (error) {
+      defaultLogger.warn(`Local signer ${payload.method} failed: ${error.message}`);
+      send(200, {
+        jsonrpc: '2.0',
+        id: payload.id ?? null,
+        error: { code: error.code && Number.isInteger(error.code) ? error.code : RPC_INVALID_PARAMS, message: error.message }
+      });
+    }
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} JSON-RPC URL of the signer
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => {
+        this.handleRequest(req, res).catch(error => {
+          defaultLogger.error(`Local signer request failed: ${error.message}`);
+          if (!res.headersSent) {
+            res.writeHead(500);
+          }
+          res.end();
+        });
+      });
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        const { port } = this.server.address();
+        this.url = `http://${this.options.host}:${port}`;
+        defaultLogger.info(`Local signer listening on ${this.url}`, { accounts: [...this.wallets.keys()] });
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+}
+
+// Load keys from LOCAL_SIGNER_PRIVATE_KEYS or the keystores in LOCAL_SIGNER_KEYSTORE_DIR
+async function loadLocalSignerWallets(env = process.env) {
+  const wallets = (env.LOCAL_SIGNER_PRIVATE_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean)
+    .map(key => new Wallet(key));
+
+  if (env.LOCAL_SIGNER_KEYSTORE_DIR) {
+    const keystore = new KeystoreDirectory(env.LOCAL_SIGNER_KEYSTORE_DIR);
+    const files = keystore.list();
+    const passphrase = files.length > 0 ? await readPassphrase(env) : null;
+    for (const { file } of files) {
+      if (passphrase) {
+        wallets.push(await keystore.decrypt(file, passphrase));
+      }
+    }
+  }
+  return wallets;
+}
+
+// Only run if this file is executed directly
+if (require.main === module) {
+  require('dotenv').config();
+  loadLocalSignerWallets(process.env)
+    .then(wallets => {
+      if (wallets.length === 0) {
+        throw new Error('No keys configured; set LOCAL_SIGNER_PRIVATE_KEYS or LOCAL_SIGNER_KEYSTORE_DIR');
+      }
+      const signer = new LocalSigner({
+        wallets,
+        host: process.env.LOCAL_SIGNER_HOST,
+        port: process.env.LOCAL_SIGNER_PORT ? parseInt(process.env.LOCAL_SIGNER_PORT, 10) : undefined,
+        authToken: process.env.LOCAL_SIGNER_AUTH_TOKEN
+      });
+      return signer.start();
+    })
+    .catch(err => {
+      console.error('Failed to start local signer:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  LocalSigner,
+  loadLocalSignerWallets,
+  fromRpcTransaction,
+  DEFAULT_LOCAL_SIGNER_OPTIONS,
+};
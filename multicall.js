@@ -0,0 +1,167 @@
+// multicall.js - Batched contract reads through Multicall3
+const { Contract, Interface, getAddress } = require('ethers');
+const { defaultLogger } = require('./logger');
+
+// Multicall3 is deployed at the same address on Polygon, Ethereum and most other chains
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+// Calls per aggregate3 request (keeps each eth_call well under node gas and response limits)
+const DEFAULT_BATCH_SIZE = 500;
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) view returns (uint256 balance)'
+];
+
+const TOKEN_READ_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function name() view returns (string)'
+];
+
+const ERC1155_READ_ABI = [
+  'function balanceOf(address account, uint256 id) view returns (uint256)'
+];
+
+const multicallInterface = new Interface(MULTICALL3_ABI);
+const tokenInterface = new Interface(TOKEN_READ_ABI);
+const erc1155Interface = new Interface(ERC1155_READ_ABI);
+
+class Multicall {
+  /**
+   * @param {Object} options - Multicall options
+   * @param {Provider} options.provider - Provider of the network
+   * @param {string} options.address - Multicall3 address (defaults to the canonical deployment)
+   * @param {number} options.batchSize - Calls per aggregate3 request
+   */
+  constructor(options = {}) {
+    this.provider = options.provider;
+    this.address = options.address || MULTICALL3_ADDRESS;
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.contract = new Contract(this.address, MULTICALL3_ABI, this.provider);
+    // Whether Multicall3 is deployed (checked once; individual calls are used otherwise)
+    this.available = null;
+  }
+
+  async isAvailable() {
+    if (this.available === null) {
+      const code = await this.provider.getCode(this.address).catch(() => '0x');
+      this.available = code !== '0x';
+      if (!this.available) {
+        defaultLogger.warn(`Multicall3 not found at ${this.address}; reads are sent one by one`);
+      }
+    }
+    return this.available;
+  }
+
+  /**
+   * Run read calls in as few eth_calls as possible. A failing call does not fail the others.
+   * @param {Array<Object>} calls - [{ target, iface, method, args }] (iface is an ethers Interface)
+   * @returns {Promise<Array<Object>>} [{ success, value }] in call order; value is the first return
+   *   value (or the Result when the function returns several), null on failure
+   */
+  async aggregate(calls) {
+    const encoded = calls.map(call => ({
+      target: call.target,
+      allowFailure: true,
+      callData: call.iface.encodeFunctionData(call.method, call.args || [])
+    }));
+
+    let raw;
+    if (await this.isAvailable()) {
+      raw = [];
+      for (let start = 0; start < encoded.length; start += this.batchSize) {
+        const batch = encoded.slice(start, start + this.batchSize);
+        const results = await this.contract.aggregate3.staticCall(batch);
+        raw.push(...results.map(result => ({ success: result.success, returnData: result.returnData })));
+      }
+    } else {
+      raw = await Promise.all(encoded.map(call => this.provider.call({ to: call.target, data: call.callData })
+        .then(returnData => ({ success: true, returnData }))
+        .catch(() => ({ success: false, returnData: '0x' }))));
+    }
+
+    return raw.map((result, index) => {
+      const { iface, method } = calls[index];
+      if (!result.success || result.returnData === '0x') {
+        return { success: false, value: null };
+      }
+      try {
+        const decoded = iface.decodeFunctionResult(method, result.returnData);
+        return { success: true, value: decoded.length === 1 ? decoded[0] : decoded };
+      } catch {
+        return { success: false, value: null };
+      }
+    });
+  }
+
+  /**
+   * Native balances, ERC20 balances and token metadata for any number of owners and tokens in
+   * one batch
+   * @param {Array<string>} owners - Addresses to read balances of
+   * @param {Array<string>} tokens - ERC20 token addresses
+   * @param {Object} options - { fields: token metadata to read (default ['decimals']; also 'symbol' and 'name'),
+   *   metadata: read all three (the earlier form of fields) }
+   * @returns {Promise<Object>} { native: Map(owner -> bigint), tokens: Map(token -> { decimals, symbol, name }),
+   *   balances: Map(owner -> Map(token -> bigint|null)) }
+   */
+  async getBalances(owners, tokens, options = {}) {
+    const calls = [];
+    const readers = [];
+    const result = { native: new Map(), tokens: new Map(), balances: new Map() };
+
+    for (const owner of owners) {
+      result.balances.set(owner, new Map());
+      if (await this.isAvailable()) {
+        calls.push({ target: this.address, iface: multicallInterface, method: 'getEthBalance', args: [owner] });
+        readers.push(value => result.native.set(owner, value));
+      }
+    }
+    const fields = options.fields || (options.metadata ? ['decimals', 'symbol', 'name'] : ['decimals']);
+    for (const token of tokens) {
+      const metadata = { decimals: null, symbol: null, name: null };
+      result.tokens.set(token, metadata);
+      for (const field of fields) {
+        calls.push({ target: token, iface: tokenInterface, method: field });
+        readers.push(value => { metadata[field] = field === 'decimals' && value !== null ? Number(value) : value; });
+      }
+      for (const owner of owners) {
+        calls.push({ target: token, iface: tokenInterface, method: 'balanceOf', args: [owner] });
+        readers.push(value => result.balances.get(owner).set(token, value));
+      }
+    }
+
+    const values = await this.aggregate(calls);
+    values.forEach(({ value }, index) => readers[index](value));
+
+    // Without Multicall3, native balances come from eth_getBalance
+    for (const owner of owners) {
+      if (!result.native.has(owner)) {
+        result.native.set(owner, await this.provider.getBalance(owner));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * ERC1155 balances of one account for several token IDs
+   * @param {string} contract - ERC1155 contract address
+   * @param {string} account - Owner address
+   * @param {Array} tokenIds - Token IDs
+   * @returns {Promise<Array<bigint|null>>} Balances in tokenIds order (null when the call failed)
+   */
+  async getERC1155Balances(contract, account, tokenIds) {
+    const values = await this.aggregate(tokenIds.map(tokenId => ({
+      target: getAddress(contract),
+      iface: erc1155Interface,
+      method: 'balanceOf',
+      args: [account, tokenId]
+    })));
+    return values.map(({ value }) => value);
+  }
+}
+
+module.exports = {
+  Multicall,
+  MULTICALL3_ADDRESS,
+};
@@ -0,0 +1,187 @@
+// nonce-manager.js - Per-account nonce assignment, send serialization and pending transaction tracking
+const { getAddress } = require('ethers');
+const { defaultLogger } = require('./logger');
+
+// Send attempts per transaction when the node reports a nonce conflict
+const MAX_NONCE_RETRIES = 3;
+
+// Whether an error means the nonce was already used by a mined transaction
+function isNonceTooLow(error) {
+  return error?.code === 'NONCE_EXPIRED' || /nonce too low|nonce has already been used/i.test(error?.message || '');
+}
+
+// Whether an error means another pending transaction holds the nonce
+function isReplacementUnderpriced(error) {
+  return error?.code === 'REPLACEMENT_UNDERPRICED' ||
+    /replacement (transaction )?underpriced|already known/i.test(error?.message || '');
+}
+
+class NonceManager {
+  constructor() {
+    // "network:address" -> { network, address, provider, next, pending: Map(nonce -> entry), queue }
+    this.accounts = new Map();
+  }
+
+  getAccount(network, address, provider) {
+    const key = `${network}:${getAddress(address)}`;
+    if (!this.accounts.has(key)) {
+      this.accounts.set(key, {
+        network,
+        address: getAddress(address),
+        provider,
+        next: null,
+        pending: new Map(),
+        queue: Promise.resolve()
+      });
+    }
+    const account = this.accounts.get(key);
+    account.provider = provider || account.provider;
+    return account;
+  }
+
+  /**
+   * Run fn with exclusive use of an account's nonces (sends from one account are serialized)
+   * @param {string} network - Network name
+   * @param {string} address - Sender address
+   * @param {Provider} provider - Provider of that network
+   * @param {Function} fn - async (account) => result
+   * @returns {Promise<*>} The result of fn
+   */
+  runExclusive(network, address, provider, fn) {
+    const account = this.getAccount(network, address, provider);
+    const run = account.queue.then(() => fn(account));
+    account.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Next nonce to use: the higher of the locally tracked nonce and the node's pending count
+   * (so transactions sent outside the server are respected). When the node has lost the
+   * transaction at its pending count (dropped from the mempool), the local nonce is moved back
+   * to fill the gap, since nothing after it could be mined.
+   * @param {Object} account - Account state from runExclusive
+   * @returns {Promise<number>}
+   */
+  async reserve(account) {
+    const onChain = await account.provider.getTransactionCount(account.address, 'pending');
+    if (account.next !== null && account.next > onChain) {
+      const entry = account.pending.get(onChain);
+      if (!entry || !await this.isKnown(account, entry)) {
+        defaultLogger.warn(`Nonce ${onChain} of ${account.address} is not pending on the node; resyncing from ${account.next}`);
+        for (const [nonce, pending] of account.pending) {
+          if (nonce >= onChain && !await this.isKnown(account, pending)) {
+            account.pending.delete(nonce);
+          }
+        }
+        account.next = onChain;
+      }
+    }
+    account.next = Math.max(account.next ?? 0, onChain);
+    return account.next;
+  }
+
+  // Whether the node still knows a pending transaction (its latest broadcast or one it replaced)
+  async isKnown(account, entry) {
+    for (const hash of [entry.hash, ...entry.replaces]) {
+      if (await account.provider.getTransaction(hash)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Broadcast a transaction, retrying with a fresh nonce when the node reports a conflict.
+   * Transactions with a caller-chosen nonce (replacements) are never renumbered.
+   * @param {Object} account - Account state from runExclusive
+   * @param {Object} tx - Populated transaction
+   * @param {Function} send - async (tx) => TransactionResponse
+   * @param {Object} meta - { explicitNonce, tool } recorded with the pending transaction
+   * @returns {Promise<TransactionResponse>}
+   */
+  async send(account, tx, send, meta = {}) {
+    let request = tx;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await send(request);
+        this.track(account, request, response, meta);
+        return response;
+      } catch (error) {
+        const conflict = isNonceTooLow(error) || (isReplacementUnderpriced(error) && !account.pending.has(request.nonce));
+        if (meta.explicitNonce || !conflict || attempt >= MAX_NONCE_RETRIES) {
+          throw error;
+        }
+        // Nonce was taken by a mined or unknown pending transaction: resync and renumber
+        const onChain = await account.provider.getTransactionCount(account.address, 'pending');
+        account.next = Math.max(onChain, request.nonce + 1);
+        defaultLogger.warn(`Nonce ${request.nonce} for ${account.address} is taken (${error.message}); retrying with ${account.next}`);
+        request = { ...request, nonce: account.next };
+      }
+    }
+  }
+
+  // Record a broadcast transaction as pending
+  track(account, tx, response, meta = {}) {
+    const nonce = Number(tx.nonce);
+    const previous = account.pending.get(nonce);
+    account.pending.set(nonce, {
+      hash: response.hash,
+      nonce,
+      network: account.network,
+      from: account.address,
+      to: tx.to || null,
+      value: (tx.value ?? 0n).toString(),
+      data: tx.data || '0x',
+      gasLimit: tx.gasLimit != null ? tx.gasLimit.toString() : null,
+      maxFeePerGas: tx.maxFeePerGas != null ? tx.maxFeePerGas.toString() : null,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas != null ? tx.maxPriorityFeePerGas.toString() : null,
+      gasPrice: tx.gasPrice != null ? tx.gasPrice.toString() : null,
+      chainId: tx.chainId != null ? tx.chainId.toString() : null,
+      tool: meta.tool || null,
+      sentAt: new Date().toISOString(),
+      // Hashes of earlier broadcasts with the same nonce (replaced by this one)
+      replaces: previous ? [...previous.replaces, previous.hash] : []
+    });
+    account.next = Math.max(account.next ?? 0, nonce + 1);
+  }
+
+  // Drop pending entries whose nonce has been used on chain
+  async refresh(account) {
+    if (account.pending.size === 0) {
+      return;
+    }
+    const mined = await account.provider.getTransactionCount(account.address, 'latest');
+    for (const nonce of account.pending.keys()) {
+      if (nonce < mined) {
+        account.pending.delete(nonce);
+      }
+    }
+  }
+
+  /**
+   * List transactions broadcast by the server that are not mined yet
+   * @param {string} address - Optional sender filter
+   * @returns {Promise<Array<Object>>}
+   */
+  async listPending(address) {
+    const pending = [];
+    for (const account of this.accounts.values()) {
+      if (address && account.address !== getAddress(address)) {
+        continue;
+      }
+      try {
+        await this.refresh(account);
+      } catch (error) {
+        defaultLogger.warn(`Could not refresh pending transactions of ${account.address}: ${error.message}`);
+      }
+      pending.push(...account.pending.values());
+    }
+    return pending.sort((a, b) => a.from.localeCompare(b.from) || a.nonce - b.nonce);
+  }
+}
+
+module.exports = {
+  NonceManager,
+  isNonceTooLow,
+  isReplacementUnderpriced,
+};
@@ -4,14 +4,37 @@ const {
   Contract,
   formatUnits,
   parseUnits,
-  isAddress
+  isAddress,
+  isHexString,
+  getAddress,
+  getCreateAddress,
+  keccak256,
+  toUtf8Bytes,
+  VoidSigner,
+  Wallet
 } = require('ethers');
 const { MaticPOSClient } = require('@maticnetwork/maticjs');
-const { Server: McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
 const { TransactionSimulator } = require('./transaction-simulation');
 const { ContractTemplates } = require('./contract-templates');
 const { PolygonBridge } = require('./bridge-operations'); // Import PolygonBridge
+const { DeFiProtocols } = require('./defi-interactions');
+const { startHttpTransport } = require('./http-transport');
+const { AccountManager, parseAccountSpec } = require('./account-manager');
+const { KeystoreDirectory, readPassphrase } = require('./keystore');
+const { RemoteSigner } = require('./remote-signer');
+const { SigningPipeline } = require('./signing-pipeline');
+const { ApprovalManager, parseApprovalRules } = require('./approval-manager');
+const { SpendingPolicy } = require('./spending-policy');
+const { TransactionReplacer, MIN_FEE_BUMP_PERCENT } = require('./transaction-replacement');
+const { TransactionTracker } = require('./transaction-tracker');
+const { FeeStrategy, SPEED_PERCENTILES } = require('./fee-strategy');
+const { GasOracle } = require('./gas-oracle');
+const { Multicall } = require('./multicall');
+const { TokenRegistry } = require('./token-registry');
+const { TokenResolver, loadTokenList } = require('./token-lists');
+const { TokenDiscovery } = require('./token-discovery');
 const { ErrorCodes, createWalletError, createTransactionError } = require('./errors'); // Removed createBridgeError
 const { z } = require('zod');
 const { defaultLogger } = require('./logger');
@@ -25,6 +48,11 @@ const {
   // DEFAULT_TOKEN_ADDRESSES // Removed unused import
 } = require('./common/constants');
 
+// Serialize tool results, converting BigInt values (e.g. contract call results) to strings
+function stringifyResult(result) {
+  return JSON.stringify(result, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+}
+
 class PolygonMCPServer {
   constructor() { // Remove config parameter, use getConfig instead
     // Get configuration using the centralized manager
@@ -35,12 +63,6 @@ class PolygonMCPServer {
     this.explorerApiKey = config.explorerApiKey;
     this.tokenAddresses = config.tokenAddresses; // Already includes defaults via getConfig
 
-    // Initialize MCP Server
-    this.mcpServer = new McpServer({
-      name: 'polygon-mcp-server',
-      version: '1.0.0'
-    });
-    
     // Initialize providers using config
     this.provider = new JsonRpcProvider(this.rpcUrl);
     this.parentProvider = new JsonRpcProvider(config.parentRpcUrl);
@@ -66,8 +88,80 @@ class PolygonMCPServer {
       maticDefaultOptions: { confirmations: 2 }
     });
 
+    // Gas limits and EIP-1559 fees for every transaction: FEE_SPEED tier (slow, standard or fast)
+    // from eth_feeHistory percentiles, capped at MAX_FEE_PER_GAS_GWEI
+    this.fees = new FeeStrategy({
+      speed: process.env.FEE_SPEED,
+      maxFeeGwei: process.env.MAX_FEE_PER_GAS_GWEI,
+      gasLimitBufferPercent: parseInt(process.env.GAS_LIMIT_BUFFER_PERCENT, 10) || undefined,
+      historyBlocks: parseInt(process.env.FEE_HISTORY_BLOCKS, 10) || undefined
+    });
+
+    // Batched reads (balances, token metadata) through Multicall3
+    this.multicall = new Multicall({
+      provider: this.provider,
+      address: process.env.MULTICALL3_ADDRESS
+    });
+
+    // Token metadata, cached in TOKEN_REGISTRY_FILE (default ./token-registry.json); configured tokens are verified
+    this.tokens = new TokenRegistry({
+      provider: this.provider,
+      multicall: this.multicall,
+      file: process.env.TOKEN_REGISTRY_FILE
+    });
+    this.tokens.registerConfigured(this.tokenAddresses);
+
+    // Symbols resolve against the configured tokens plus the TOKEN_LISTS files (comma-separated
+    // Uniswap Token List JSON); a symbol shared by several tokens on the chain needs an address
+    this.tokenResolver = new TokenResolver({
+      chainId: this.networkName === 'mumbai' ? 80001 : 137,
+      tokenAddresses: this.tokenAddresses,
+      fallback: (token) => commonResolveTokenAddress(token, this.tokenAddresses)
+    });
+    for (const file of (process.env.TOKEN_LISTS || '').split(',').map(entry => entry.trim()).filter(Boolean)) {
+      const list = loadTokenList(file);
+      this.tokenResolver.addList(list, file);
+      this.tokens.register(list.tokens, { verified: true, source: list.name });
+    }
+
+    // Tokens an address has received, found by list-balances { discover: true } from its Transfer logs.
+    // Scans resume from DISCOVERY_CHECKPOINT_FILE (default ./token-discovery.json)
+    this.discovery = new TokenDiscovery({
+      provider: this.provider,
+      multicall: this.multicall,
+      tokens: this.tokens,
+      checkpointFile: process.env.DISCOVERY_CHECKPOINT_FILE,
+      startBlock: parseInt(process.env.DISCOVERY_START_BLOCK, 10) || undefined,
+      chunkSize: parseInt(process.env.DISCOVERY_BLOCK_RANGE, 10) || undefined,
+      maxBlocks: parseInt(process.env.DISCOVERY_MAX_BLOCKS, 10) || undefined,
+      maxScanMs: (parseFloat(process.env.DISCOVERY_MAX_SECONDS) || 0) * 1000
+    });
+
+    // Rolling fee history for get-gas-forecast, sampled every GAS_ORACLE_INTERVAL seconds once started
+    this.gasOracle = new GasOracle({
+      provider: this.provider,
+      sampleIntervalMs: process.env.GAS_ORACLE_INTERVAL !== undefined
+        ? (parseInt(process.env.GAS_ORACLE_INTERVAL, 10) || 0) * 1000
+        : undefined,
+      retentionMs: (parseFloat(process.env.GAS_ORACLE_RETENTION_HOURS) || 0) * 60 * 60 * 1000,
+      historyFile: process.env.GAS_ORACLE_HISTORY_FILE
+    });
+
+    // Dry-run mode (DRY_RUN or READ_ONLY): write tools simulate every transaction they would send and return them unsigned
+    this.dryRun = ['true', '1'].includes(String(process.env.DRY_RUN || process.env.READ_ONLY).toLowerCase());
+    if (this.dryRun) {
+      defaultLogger.info('Dry-run mode: transactions are simulated and never signed');
+    }
+    const captureDryRun = this.dryRun
+      ? (tx, context, network) => this.captureDryRun(tx, context, network)
+      : null;
+
     // Initialize PolygonBridge using config
     this.bridge = new PolygonBridge({
+      prepare: (tx, provider) => this.fees.apply(tx, provider, { speed: this.signing.getContext().speed }),
+      dryRun: captureDryRun && ((tx, network) => captureDryRun(tx, this.signing.getContext(), network)),
+      onBroadcast: (tx, network) => this.reportBridgeBroadcast(tx, this.signing.getContext(), network),
+      getAddress: this.dryRun ? () => this.getCallAddress() : null,
       rootRpcUrl: config.parentRpcUrl,
       childRpcUrl: config.rpcUrl,
       posRootChainManager: config.posRootChainManager,
@@ -80,29 +174,394 @@ class PolygonMCPServer {
     // Initialize transaction simulator using config
     this.simulator = new TransactionSimulator({
       rpcUrl: this.rpcUrl,
+      tokenRegistry: this.tokens,
+      tokenResolver: this.tokenResolver,
       explorerApiKey: this.explorerApiKey,
-      tokenAddresses: this.tokenAddresses
+      tokenAddresses: this.tokenAddresses,
+      getDefaultFrom: () => this.getDefaultAddress(),
+      simulationBackend: process.env.SIMULATION_BACKEND,
+      fork: {
+        url: process.env.FORK_RPC_URL,
+        command: process.env.FORK_COMMAND,
+        port: process.env.FORK_PORT,
+        blockNumber: process.env.FORK_BLOCK_NUMBER,
+        maxAgeMs: process.env.FORK_MAX_AGE !== undefined ? (parseInt(process.env.FORK_MAX_AGE, 10) || 0) * 1000 : undefined
+      }
+    });
+
+    // Broadcast transactions are tracked for get-transaction-status; write tools wait for
+    // TX_CONFIRMATIONS confirmations (default 1)
+    this.transactions = new TransactionTracker({
+      provider: this.provider,
+      confirmations: parseInt(process.env.TX_CONFIRMATIONS, 10) || undefined,
+      // Settles the daily cap spends of a nonce once it is seen which of its broadcasts was mined
+      onMined: (mined) => this.policy?.settle(mined)
     });
+    // Every transaction is checked by the signing pipeline before it reaches the signer of the tool
+    // call's account (the selected account outside tool calls). Dry runs sign nothing, so they get a
+    // signer for the account's address and work for locked accounts too
+    this.signing = new SigningPipeline({
+      getWallet: (network) => {
+        const provider = network === 'ethereum' ? this.parentProvider : this.provider;
+        return this.dryRun
+          ? new VoidSigner(this.getCallAddress(), provider)
+          : this.accounts.getSigner(this.signing.getContext().account, provider);
+      },
+      tracker: this.transactions,
+      fees: this.fees,
+      dryRun: captureDryRun
+    });
+    // Spending policy (SPENDING_POLICY_FILE) runs first so a blocked transaction never reaches approval
+    this.policy = process.env.SPENDING_POLICY_FILE
+      ? SpendingPolicy.fromFile(process.env.SPENDING_POLICY_FILE, { simulator: this.simulator })
+      : null;
+    if (this.policy) {
+      this.signing.use(
+        'policy',
+        (tx, context, network) => this.policy.check(tx, context, network),
+        (tx, context, network) => this.policy.signed(tx, context, network),
+        (tx, context) => this.policy.release(tx, context)
+      );
+    }
+    // Human approval for the tools listed in APPROVAL_REQUIRED ("tool[:minAmount[:token]],..."); dry runs sign nothing and skip it
+    this.approvals = new ApprovalManager({
+      rules: parseApprovalRules(process.env.APPROVAL_REQUIRED),
+      mode: process.env.APPROVAL_MODE,
+      ttlMs: (parseInt(process.env.APPROVAL_TTL, 10) || 0) * 1000,
+      simulator: this.simulator,
+      resolveToken: (token) => this.resolveTokenAddress(token)
+    });
+    if (!this.dryRun) {
+      this.signing.use('approval', (tx, context) => this.approvals.check(tx, context));
+    }
+    // Speed-up and cancellation of pending transactions (same nonce, higher fees)
+    this.replacer = new TransactionReplacer({
+      provider: this.provider,
+      nonces: this.signing.nonces,
+      getSigner: (network) => this.signing.getSigner(network),
+      tracker: this.transactions
+    });
+
     // Initialize contract templates using config
     this.contractTemplates = new ContractTemplates({
       rpcUrl: this.rpcUrl,
       explorerApiKey: this.explorerApiKey,
-      networkName: this.networkName // Pass network name
+      networkName: this.networkName, // Pass network name
+      getSigner: (network) => this.signing.getSigner(network)
+    });
+    // Initialize DeFi protocols using config (signing goes through the signing pipeline)
+    this.defi = new DeFiProtocols({
+      getSigner: (network) => this.signing.getSigner(network),
+      tokens: this.tokens,
+      tokenResolver: this.tokenResolver,
+      rpcUrl: this.rpcUrl,
+      quickswapRouter: config.quickswapRouter,
+      uniswapRouter: config.uniswapRouter,
+      uniswapV2Router: config.uniswapV2Router,
+      polymarketFactory: config.polymarketFactory,
+      tokenAddresses: this.tokenAddresses,
+      defaultSlippage: config.defaultSlippage,
+      deadlineMinutes: config.deadlineMinutes
+    });
+
+    // Named accounts; selecting one connects its key to the wallet manager.
+    // Keystore accounts are decrypted with KEYSTORE_PASSPHRASE, KEYSTORE_PASSPHRASE_FILE or a terminal prompt
+    this.accounts = new AccountManager({
+      activate: (privateKey) => this.connectWallet(privateKey),
+      activateSigner: () => this.connectSigner(),
+      deactivate: () => this.disconnectWallet(),
+      keystore: new KeystoreDirectory(process.env.KEYSTORE_DIR),
+      passphrase: (options) => readPassphrase(process.env, options),
+      idleTimeoutMs: (parseInt(process.env.KEYSTORE_IDLE_TIMEOUT, 10) || 0) * 1000
+    });
+
+    // Initialize MCP Server (stdio transport; HTTP sessions create their own)
+    this.mcpServer = this.createMcpServer();
+  }
+
+  // Create an MCP server instance with all tools registered
+  createMcpServer() {
+    const mcpServer = new McpServer({
+      name: 'polygon-mcp-server',
+      version: '1.0.0'
+    });
+    this.registerMCPTools(mcpServer);
+    return mcpServer;
+  }
+
+  // Register a tool that signs transactions: adds optional `account`, `wait` and `confirmations`
+  // arguments and runs the handler in that account's queue with the account unlocked.
+  // options.signsDirectly marks handlers that sign outside the signing pipeline (the maticjs bridge);
+  // the account is then selected in the wallet manager and the pipeline checks run once on the tool call itself,
+  // with options.spend(args) => { token, amount } declaring what the call spends (for approval thresholds,
+  // and for the spending policy of tools that sign directly)
+  registerWriteTool(mcpServer, name, schema, handler, options = {}) {
+    mcpServer.tool(
+      name,
+      {
+        ...schema,
+        account: z.string().optional().describe('Named account or address to send from (defaults to the selected account)'),
+        wait: z.boolean().optional()
+          .describe('false returns as soon as the first transaction is broadcast, with its hash and a job ID for get-transaction-status'),
+        confirmations: z.number().int().min(1).max(64).optional()
+          .describe('Confirmations to wait for (defaults to TX_CONFIRMATIONS)'),
+        speed: z.enum(Object.keys(SPEED_PERCENTILES)).optional()
+          .describe('Fee tier (defaults to FEE_SPEED)')
+      },
+      async ({ account, wait, confirmations, speed, ...args }, extra) => this.runWriteTool(
+        {
+          tool: name,
+          account,
+          args,
+          mcpServer,
+          extra,
+          signsDirectly: options.signsDirectly,
+          spend: options.spend ? options.spend(args) : null,
+          wait,
+          confirmations,
+          speed
+        },
+        handler
+      )
+    );
+  }
+
+  // Run a write tool handler inside a signing pipeline context
+  async runWriteTool(call, handler) {
+    const context = {
+      tool: call.tool,
+      args: call.args,
+      account: call.account ? this.accounts.resolve(call.account).name : this.accounts.activeName,
+      mcpServer: call.mcpServer,
+      extra: call.extra,
+      approved: Boolean(call.approved),
+      confirmations: call.confirmations || null,
+      speed: call.speed || null,
+      spend: call.spend || null,
+      progress: this.createProgressReporter(call.extra)
+    };
+    // Re-run the same call once a queued approval is granted
+    context.rerun = () => this.runWriteTool({ ...call, account: context.account, approved: true }, handler);
+
+    const run = () => this.accounts.withAccount(context.account, (release) => this.signing.run(context, async () => {
+      context.releaseAccount = release;
+      if (!this.dryRun) {
+        await this.accounts.ensureUnlocked(context.account);
+      }
+      if (!call.signsDirectly) {
+        return await handler(call.args, call.extra);
+      }
+      // A call that ends without broadcasting releases the spend it reserved
+      const runDirect = async () => {
+        await this.signing.check(null, 'polygon');
+        try {
+          return await handler(call.args, call.extra);
+        } finally {
+          await this.signing.release(null, 'polygon');
+        }
+      };
+      // In dry runs the bridge builds the transactions for the account's address, so nothing is selected
+      if (this.dryRun) {
+        return await runDirect();
+      }
+      if (this.accounts.resolve(context.account).source === 'remote') {
+        throw createWalletError(
+          ErrorCodes.NOT_IMPLEMENTED,
+          `${call.tool} signs through maticjs and needs a private key; account "${context.account}" uses an external signer`,
+          { tool: call.tool, account: context.account }
+        );
+      }
+      // The spend is recorded and the account released once maticjs broadcasts (reportBridgeBroadcast)
+      return await this.accounts.withSelected(context.account, async (releaseSelection) => {
+        context.releaseSelection = releaseSelection;
+        return await runDirect();
+      });
+    }));
+
+    try {
+      if (call.wait !== false) {
+        const result = await run();
+        return context.dryRunResult ? await this.simulateDryRun(context.dryRunResult) : result;
+      }
+      // Answer once the first transaction is broadcast; the handler keeps running in the background
+      const { job, result } = await this.transactions.runInBackground(context, run);
+      if (!job) {
+        return context.dryRunResult ? await this.simulateDryRun(context.dryRunResult) : result;
+      }
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ status: 'submitted', jobId: job.id, transactionHash: job.hashes[0], tool: job.tool })
+        }]
+      };
+    } catch (error) {
+      // Modules wrap signer errors, so dry runs and queued approvals are detected from the context.
+      // A dry-run tool may fail on a receipt stand-in after its transactions were captured
+      if (context.dryRunResult) {
+        return await this.simulateDryRun(context.dryRunResult);
+      }
+      if (context.pendingApproval) {
+        const { id, expiresAt, summary } = context.pendingApproval;
+        return {
+          content: [{
+            type: 'text',
+            text: stringifyResult({ status: 'pending_approval', approvalId: id, expiresAt, summary })
+          }]
+        };
+      }
+      throw error;
+    }
+  }
+
+  // Send MCP progress notifications when the client asked for them (a progressToken in the request)
+  createProgressReporter(extra) {
+    const progressToken = extra?._meta?.progressToken;
+    if (progressToken === undefined || !extra.sendNotification) {
+      return null;
+    }
+    return (progress, total, message) => {
+      extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress, total, message }
+      }).catch(error => defaultLogger.debug(`Progress notification failed: ${error.message}`));
+    };
+  }
+
+  // A bridge tool's transaction was broadcast by maticjs: record its declared spend, release the
+  // selection and the account, and report it to the tracker so wait: false answers now
+  async reportBridgeBroadcast(tx, context, network) {
+    const provider = network === 'ethereum' ? this.parentProvider : this.provider;
+    try {
+      await this.signing.signed(null, network);
+      const hash = tx.hash ?? await tx.getTransactionHash();
+      const sent = await provider.getTransaction(hash).catch(() => null);
+      this.transactions.record(hash, context, network, {
+        from: this.accounts.resolve(context.account).address,
+        nonce: sent?.nonce ?? null,
+        provider
+      });
+    } catch (error) {
+      // The transaction is out; failing to report it must not fail the tool call
+      defaultLogger.warn(`Could not report ${context.tool} transaction: ${error.message}`);
+    } finally {
+      context.releaseSelection?.();
+      context.releaseAccount?.();
+    }
+  }
+
+  // Dry-run mode: record a transaction a tool call would send and return a stand-in for its response,
+  // so tools that send several transactions (an approval, then the swap) carry on and every one is
+  // captured. The captured transactions are simulated together when the tool call ends
+  async captureDryRun(tx, context, network = 'polygon') {
+    const result = context.dryRunResult ||= {
+      dryRun: true,
+      tool: context.tool,
+      account: context.account,
+      args: context.args,
+      network,
+      transactions: [],
+      simulation: null
+    };
+    // maticjs builds transactions with hex strings or BN values
+    const toBigInt = (value) => (value != null ? BigInt(value.toString()) : null);
+    const from = getAddress(tx.from);
+    const provider = network === 'ethereum' ? this.parentProvider : this.provider;
+    const transaction = {
+      from,
+      to: tx.to ? getAddress(tx.to) : null,
+      value: toBigInt(tx.value) ?? 0n,
+      // Later transactions of the call follow the earlier captured ones
+      nonce: tx.nonce != null ? Number(tx.nonce) : await provider.getTransactionCount(from, 'pending') + result.transactions.length,
+      gasLimit: toBigInt(tx.gasLimit ?? tx.gas),
+      type: tx.type ?? null,
+      maxFeePerGas: toBigInt(tx.maxFeePerGas),
+      maxPriorityFeePerGas: toBigInt(tx.maxPriorityFeePerGas),
+      gasPrice: toBigInt(tx.gasPrice),
+      chainId: toBigInt(tx.chainId)
+    };
+    const data = tx.data || '0x';
+    result.transactions.push({
+      network,
+      transaction,
+      calldata: { data, call: this.simulator.functionDecoder.decode(data, { to: transaction.to }) }
     });
 
-    // Register MCP tools
-    this.registerMCPTools();
+    // Never mined: a stand-in hash, and wait() resolves at once to a receipt without a block
+    const hash = keccak256(toUtf8Bytes(`dry-run:${network}:${from}:${transaction.nonce}`));
+    const receipt = {
+      hash,
+      transactionHash: hash,
+      blockNumber: null,
+      blockHash: null,
+      index: 0,
+      from,
+      to: transaction.to,
+      contractAddress: transaction.to ? null : getCreateAddress({ from, nonce: transaction.nonce }),
+      status: 1,
+      logs: [],
+      gasUsed: 0n,
+      cumulativeGasUsed: 0n
+    };
+    return { ...transaction, data, hash, wait: async () => receipt };
+  }
+
+  // Simulate the transactions a dry-run tool call captured: one on its own, several as a bundle so each
+  // runs on the state the previous ones leave (the swap after its approval). Bridge deposits are sent on
+  // Ethereum, where they are only checked with eth_estimateGas
+  async simulateDryRun(result) {
+    const transactions = result.transactions.map(({ transaction, calldata }) => ({
+      label: calldata.call?.name,
+      from: transaction.from,
+      to: transaction.to,
+      data: calldata.data,
+      value: transaction.value,
+      gasLimit: transaction.gasLimit ?? undefined
+    }));
+
+    if (result.network === 'ethereum') {
+      const estimate = ({ label, ...tx }) => this.parentProvider.estimateGas(tx).then(
+        gasEstimate => ({ label, success: true, gasEstimate }),
+        error => ({ label, success: false, errorMessage: error.message })
+      );
+      result.simulation = await Promise.all(transactions.map(estimate));
+    } else if (transactions.length === 1) {
+      const [{ from, to, data, value, gasLimit }] = transactions;
+      result.simulation = await this.simulator.simulateTransaction({ from, to, data, value, gasLimit });
+    } else {
+      result.simulation = await this.simulator.simulateBundle(transactions);
+    }
+    return {
+      content: [{
+        type: 'text',
+        text: stringifyResult(result)
+      }]
+    };
   }
 
   // Register MCP tools
-  registerMCPTools() {
+  registerMCPTools(mcpServer) {
     // Wallet tools
-    this.mcpServer.tool(
+    this.registerAccountTools(mcpServer);
+
+    mcpServer.tool(
       'get-address',
-      {},
-      async () => {
-        this.checkWalletConnected();
-        const address = walletManager.getAddress('polygon');
+      {
+        account: z.string().optional().describe('Named account or address (defaults to the selected account)')
+      },
+      async ({ account }) => {
+        if (account) {
+          const { name, address } = this.accounts.resolve(account);
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({ account: name, address })
+            }]
+          };
+        }
+        const address = this.getDefaultAddress();
+        if (!address) {
+          throw createWalletError(ErrorCodes.WALLET_NOT_CONNECTED, 'No account selected', { context: 'get-address' });
+        }
         return {
           content: [{
             type: 'text',
@@ -112,13 +571,13 @@ class PolygonMCPServer {
       }
     );
     
-    this.mcpServer.tool(
+    mcpServer.tool(
       'get-testnet-matic',
       {
         address: z.string().optional().describe('Address to receive testnet MATIC (defaults to wallet address)')
       },
       async ({ address }) => {
-        const recipient = address || (walletManager.isWalletConnected('polygon') ? walletManager.getAddress('polygon') : null);
+        const recipient = address || this.getDefaultAddress();
         
         if (!recipient) {
           throw createWalletError(
@@ -134,327 +593,1170 @@ class PolygonMCPServer {
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify({
-              status: 'success',
-              message: `Requested testnet MATIC for ${recipient}`,
-              txHash: '0x' + Array(64).fill(0).map(() => Math.floor(Math.random() * 16).toString(16)).join('')
-            })
+            text: JSON.stringify({
+              status: 'success',
+              message: `Requested testnet MATIC for ${recipient}`,
+              txHash: '0x' + Array(64).fill(0).map(() => Math.floor(Math.random() * 16).toString(16)).join('')
+            })
+          }]
+        };
+      }
+    );
+    
+    mcpServer.tool(
+      'list-balances',
+      {
+        address: z.string().optional().describe('Address to check balances for (defaults to wallet address)'),
+        addresses: z.array(z.string()).optional().describe('Several addresses to check in one batch'),
+        discover: z.boolean().optional().describe('Also report every ERC20, ERC721 and ERC1155 token the address has received (scans its Transfer logs)'),
+        fromBlock: z.number().int().min(0).optional().describe('First block to scan when an address has not been scanned before')
+      },
+      async ({ address, addresses, discover, fromBlock }) => {
+        const checkAddress = address || this.getDefaultAddress();
+        const owners = addresses?.length ? addresses : [checkAddress];
+
+        if (!owners[0]) {
+          throw createWalletError(
+            ErrorCodes.WALLET_NOT_CONNECTED,
+            'Wallet not connected and no address provided',
+            { context: 'list-balances' }
+          );
+        }
+        const invalid = owners.find(owner => !isAddress(owner));
+        if (invalid) {
+          throw createTransactionError(ErrorCodes.INVALID_ADDRESS, `Invalid address: ${invalid}`, { context: 'list-balances' });
+        }
+
+        // Native and known token balances of every address in one batched read (decimals from the token registry)
+        const tokenEntries = Object.entries(this.tokenAddresses);
+        const tokenList = tokenEntries.map(([, tokenAddress]) => tokenAddress);
+        const tokens = await this.tokens.getMany(tokenList);
+        const { native, balances } = await this.multicall.getBalances(owners, tokenList, { fields: [] });
+
+        const results = await Promise.all(owners.map(async (owner) => {
+          const tokenBalances = {};
+          for (const [symbol, tokenAddress] of tokenEntries) {
+            const balance = balances.get(owner).get(tokenAddress);
+            if (balance === null) {
+              defaultLogger.warn(`Failed to get balance for ${symbol}`);
+              tokenBalances[symbol] = 'Error';
+            } else {
+              const { decimals } = tokens.get(getAddress(tokenAddress));
+              tokenBalances[symbol] = decimals === null
+                ? { rawBalance: balance.toString(), decimals: 'unknown' }
+                : formatUnits(balance, decimals);
+            }
+          }
+          return {
+            address: owner,
+            nativeBalance: formatUnits(native.get(owner), 18),
+            tokens: tokenBalances,
+            ...(discover ? { discovered: await this.discovery.discover(owner, { fromBlock }) } : {})
+          };
+        }));
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(addresses?.length ? { balances: results } : results[0])
+          }]
+        };
+      }
+    );
+    
+    this.registerWriteTool(
+      mcpServer,
+      'transfer-funds',
+      {
+        to: z.string().describe('Recipient address'),
+        amount: z.string().describe('Amount to send'),
+        token: z.string().optional().describe('Token symbol or address (omit for native POL)')
+      },
+      async ({ to, amount, token }) => {
+        this.checkWalletConnected();
+        
+        let txHash;
+        if (!token) {
+          // Transfer native token (POL)
+          const amountWei = parseUnits(amount, 18);
+          const wallet = this.signing.getSigner('polygon');
+          const tx = await wallet.sendTransaction({
+            to,
+            value: amountWei
+          });
+          
+          await tx.wait();
+          txHash = tx.hash;
+          
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: true,
+                txHash,
+                from: await wallet.getAddress(),
+                to,
+                amount,
+                token: 'POL (native)'
+              })
+            }]
+          };
+        } else {
+          // Transfer ERC20 token
+          const tokenAddress = this.resolveTokenAddress(token);
+          const tokenContract = this.createERC20(tokenAddress);
+          const tokenInfo = await this.tokens.get(tokenAddress);
+          const decimals = await this.tokens.getDecimals(tokenAddress);
+          const tokenSymbol = tokenInfo.symbol ?? token;
+          
+          const amountInTokenUnits = parseUnits(amount, decimals);
+          const wallet = this.signing.getSigner('polygon');
+          const tokenContractWithSigner = tokenContract.connect(wallet);
+          
+          const tx = await tokenContractWithSigner.transfer(to, amountInTokenUnits);
+          await tx.wait();
+          txHash = tx.hash;
+          
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: true,
+                txHash,
+                from: await wallet.getAddress(),
+                to,
+                amount,
+                token: tokenSymbol,
+                tokenAddress
+              })
+            }]
+          };
+        }
+      },
+      // Approval thresholds apply to the token sent
+      { spend: ({ amount, token }) => ({ token, amount }) }
+    );
+    
+    // Bridge operations tools
+    this.registerWriteTool(
+      mcpServer,
+      'deposit-eth',
+      {
+        amount: z.string().describe('Amount of ETH to deposit')
+      },
+      async ({ amount }) => {
+        // Call the bridge class method
+        const result = await this.bridge.depositETH(amount);
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(result)
+          }]
+        };
+      },
+      // Deposited ETH arrives as WETH on Polygon and counts against its spending cap
+      { signsDirectly: true, spend: ({ amount }) => ({ token: 'WETH', amount }) }
+    );
+
+    this.registerWriteTool(
+      mcpServer,
+      'withdraw-eth',
+      {
+        amount: z.string().describe('Amount of ETH to withdraw')
+      },
+      async ({ amount }) => {
+        // Call the bridge class method
+        // Note: withdrawETH might be named withdrawPOL or withdrawMATIC in bridge class
+        const result = await this.bridge.withdrawPOL(amount); // Assuming withdrawPOL is the correct method name
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(result)
+          }]
+        };
+      },
+      { signsDirectly: true, spend: ({ amount }) => ({ amount }) }
+    );
+
+    this.registerWriteTool(
+      mcpServer,
+      'deposit-token',
+      {
+        token: z.string().describe('Token symbol or address'),
+        amount: z.string().describe('Amount to deposit')
+      },
+      async ({ token, amount }) => {
+        const tokenAddress = this.resolveTokenAddress(token);
+        // Call the bridge class method
+        const result = await this.bridge.depositERC20(tokenAddress, amount);
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(result)
+          }]
+        };
+      },
+      { signsDirectly: true, spend: ({ token, amount }) => ({ token, amount }) }
+    );
+
+    this.registerWriteTool(
+      mcpServer,
+      'withdraw-token',
+      {
+        token: z.string().describe('Token symbol or address'),
+        amount: z.string().describe('Amount to withdraw')
+      },
+      async ({ token, amount }) => {
+        const tokenAddress = this.resolveTokenAddress(token);
+        // Call the bridge class method
+        const result = await this.bridge.withdrawERC20(tokenAddress, amount);
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(result)
+          }]
+        };
+      },
+      { signsDirectly: true, spend: ({ token, amount }) => ({ token, amount }) }
+    );
+
+    // Token operations tools
+    mcpServer.tool(
+      'get-token-info',
+      {
+        token: z.string().describe('Token symbol or address')
+      },
+      async ({ token }) => {
+        const info = await this.tokens.get(this.resolveTokenAddress(token));
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(info)
+          }]
+        };
+      }
+    );
+
+    mcpServer.tool(
+      'list-tokens',
+      {
+        collisionsOnly: z.boolean().optional().describe('Only report symbols shared by more than one token')
+      },
+      async ({ collisionsOnly }) => {
+        const collisions = await this.tokens.collisions();
+        // Symbols that only resolve by address, and the token lists they come from
+        const ambiguousSymbols = this.tokenResolver.ambiguousSymbols();
+        const tokenLists = this.tokenResolver.lists;
+        const result = collisionsOnly
+          ? { collisions, ambiguousSymbols }
+          : { tokens: await this.tokens.list(), collisions, ambiguousSymbols, tokenLists };
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(result)
+          }]
+        };
+      }
+    );
+
+    mcpServer.tool(
+      'get-token-balance',
+      {
+        token: z.string().describe('Token symbol or address'),
+        address: z.string().describe('Address to check balance for')
+      },
+      async ({ token, address }) => {
+        const tokenAddress = this.resolveTokenAddress(token);
+        if (!isAddress(address)) {
+          throw createTransactionError(ErrorCodes.INVALID_ADDRESS, `Invalid address: ${address}`, { token, address });
+        }
+
+        // Decimals and symbol come from the token registry (read from the chain once)
+        const [balance, tokenInfo] = await Promise.all([
+          this.getTokenBalance(tokenAddress, address),
+          this.tokens.get(tokenAddress)
+        ]);
+        const { decimals } = tokenInfo;
+        const symbol = tokenInfo.symbol ?? token;
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              token: symbol,
+              tokenAddress,
+              address,
+              // Without decimals only the raw balance is known
+              balance: decimals === null ? null : formatUnits(balance, decimals),
+              rawBalance: balance.toString(),
+              decimals: decimals ?? 'unknown'
+            })
+          }]
+        };
+      }
+    );
+
+    // Transaction simulation tools
+    const stateOverridesSchema = z.record(z.object({
+      balance: z.string().optional().describe('Native balance in wei (decimal or hex)'),
+      nonce: z.union([z.number(), z.string()]).optional(),
+      code: z.string().optional().describe('Runtime bytecode to place at the address'),
+      state: z.record(z.string()).optional().describe('Full storage replacement: slot -> value'),
+      stateDiff: z.record(z.string()).optional().describe('Individual storage slots to set: slot -> value')
+    })).optional().describe('Per-address state overrides applied before simulating');
+    const tokenBalancesSchema = z.array(z.object({
+      token: z.string().describe('Token symbol or address'),
+      holder: z.string().optional().describe('Account to credit (defaults to the sender)'),
+      amount: z.string().describe('Balance in token units, e.g. "1000"')
+    })).optional().describe('ERC20 balances to pretend accounts hold (the balance storage slot is located automatically)');
+    const backendSchema = z.enum(['rpc', 'fork']).optional()
+      .describe('Simulate against the RPC node (eth_call) or execute on a local anvil/hardhat fork (defaults to SIMULATION_BACKEND)');
+
+    mcpServer.tool(
+      'simulate-transaction',
+      {
+        transaction: z.object({
+          from: z.string().optional(),
+          to: z.string().optional(),
+          value: z.string().optional(),
+          data: z.string().optional(),
+          gasLimit: z.string().optional(),
+          gasPrice: z.string().optional(),
+          maxFeePerGas: z.string().optional(),
+          maxPriorityFeePerGas: z.string().optional()
+        }).describe('Transaction parameters'),
+        stateOverrides: stateOverridesSchema,
+        tokenBalances: tokenBalancesSchema,
+        backend: backendSchema
+      },
+      async ({ transaction, stateOverrides, tokenBalances, backend }) => {
+        const result = await this.simulateTransaction(transaction, { stateOverrides, tokenBalances, backend });
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(result)
+          }]
+        };
+      }
+    );
+
+    mcpServer.tool(
+      'simulate-bundle',
+      {
+        transactions: z.array(z.object({
+          label: z.string().optional().describe('Name echoed back in the step result (e.g. "approve")'),
+          from: z.string().optional(),
+          to: z.string().optional(),
+          value: z.string().optional(),
+          data: z.string().optional(),
+          gasLimit: z.string().optional(),
+          gasPrice: z.string().optional(),
+          maxFeePerGas: z.string().optional(),
+          maxPriorityFeePerGas: z.string().optional()
+        })).min(1).describe('Transactions to simulate in order; each step sees the state left by the previous ones'),
+        stopOnFailure: z.boolean().optional().describe('Skip the remaining steps after a failed step (default true)'),
+        stateOverrides: stateOverridesSchema,
+        tokenBalances: tokenBalancesSchema,
+        backend: backendSchema
+      },
+      async ({ transactions, stopOnFailure, stateOverrides, tokenBalances, backend }) => {
+        const result = await this.simulateBundle(transactions, { stopOnFailure, stateOverrides, tokenBalances, backend });
+        return {
+          content: [{
+            type: 'text',
+            text: stringifyResult(result)
+          }]
+        };
+      }
+    );
+
+    mcpServer.tool(
+      'register-abi',
+      {
+        abi: z.union([z.array(z.any()), z.string()]).describe('Contract ABI (JSON array, JSON string or human-readable fragments)'),
+        address: z.string().optional().describe('Contract address the ABI belongs to'),
+        name: z.string().optional().describe('Label for the contract')
+      },
+      async ({ abi, address, name }) => {
+        if (address && !isAddress(address)) {
+          throw createWalletError(
+            ErrorCodes.INVALID_ADDRESS,
+            `Invalid address: ${address}`,
+            { context: 'register-abi' }
+          );
+        }
+        const errorCount = this.simulator.registerAbi(abi, { address, name });
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({ registered: true, address: address || null, name: name || null, errorCount })
+          }]
+        };
+      }
+    );
+
+    mcpServer.tool(
+      'analyze-transaction',
+      {
+        txHash: z.string().describe('Transaction hash')
+      },
+      async ({ txHash }) => {
+        if (!isHexString(txHash, 32)) {
+          throw createTransactionError(
+            ErrorCodes.INVALID_PARAMETERS,
+            `Invalid transaction hash: ${txHash}`,
+            { context: 'analyze-transaction' }
+          );
+        }
+        const result = await this.analyzeTransaction(txHash);
+        return {
+          content: [{
+            type: 'text',
+            text: stringifyResult(result)
+          }]
+        };
+      }
+    );
+
+    mcpServer.tool(
+      'predict-contract-address',
+      {
+        deployer: z.string().optional().describe('CREATE: deploying account (defaults to the connected wallet)'),
+        nonce: z.number().int().nonnegative().optional().describe('CREATE: deployment nonce (defaults to the next nonce)'),
+        factory: z.string().optional().describe('CREATE2: factory contract (defaults to the deterministic deployment proxy)'),
+        salt: z.string().optional().describe('CREATE2: bytes32 salt, or any string to hash into one'),
+        initCode: z.string().optional().describe('CREATE2: creation bytecode including constructor arguments'),
+        initCodeHash: z.string().optional().describe('CREATE2: keccak256 of the init code')
+      },
+      async (params) => {
+        const result = await this.simulator.predictContractAddress(params);
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(result)
+          }]
+        };
+      }
+    );
+
+    // Gas tools
+    mcpServer.tool(
+      'get-gas-price',
+      {},
+      async () => {
+        const feeData = await this.provider.getFeeData();
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              gasPrice: formatUnits(feeData.gasPrice, 'gwei'),
+              maxFeePerGas: feeData.maxFeePerGas ? formatUnits(feeData.maxFeePerGas, 'gwei') : null,
+              maxPriorityFeePerGas: feeData.maxPriorityFeePerGas ? formatUnits(feeData.maxPriorityFeePerGas, 'gwei') : null,
+              gasPrice_wei: feeData.gasPrice.toString(),
+              maxFeePerGas_wei: feeData.maxFeePerGas ? feeData.maxFeePerGas.toString() : null,
+              maxPriorityFeePerGas_wei: feeData.maxPriorityFeePerGas ? feeData.maxPriorityFeePerGas.toString() : null,
+              // Tiers and ceiling the server applies to its own transactions
+              feeStrategy: await this.fees.describe(this.provider)
+            })
+          }]
+        };
+      }
+    );
+
+    mcpServer.tool(
+      'get-gas-forecast',
+      {
+        minutes: z.number().int().min(5).max(24 * 60).optional()
+          .describe('Forecast horizon in minutes for the cheapest time to send (default 60)')
+      },
+      async ({ minutes }) => {
+        const report = await this.gasOracle.report({ minutes });
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(report)
+          }]
+        };
+      }
+    );
+
+    // Contract tools
+    mcpServer.tool(
+      'list-contract-templates',
+      {},
+      async () => {
+        const templates = await this.contractTemplates.listTemplates();
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(templates)
+          }]
+        };
+      }
+    );
+
+    this.registerWriteTool(
+      mcpServer,
+      'deploy-contract',
+      {
+        templateId: z.string().describe('Template ID to deploy'),
+        params: z.record(z.any()).describe('Template parameters'),
+        constructorArgs: z.array(z.any()).optional().describe('Constructor arguments')
+      },
+      async ({ templateId, params, constructorArgs }) => {
+        this.checkWalletConnected();
+
+        const result = await this.contractTemplates.deployFromTemplate(
+          templateId,
+          params,
+          constructorArgs || []
+        );
+
+        // Make the deployed contract's custom errors decodable in simulations
+        this.simulator.registerAbi(result.abi, { address: result.address, name: result.contractName });
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(result)
+          }]
+        };
+      }
+    );
+
+    // Approval queue tools
+    this.registerApprovalTools(mcpServer);
+
+    mcpServer.tool(
+      'list-pending-transactions',
+      {
+        account: z.string().optional().describe('Named account or address (defaults to every account)')
+      },
+      async ({ account }) => {
+        const address = account ? this.accounts.resolve(account).address : undefined;
+        const pending = await this.signing.nonces.listPending(address);
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({ count: pending.length, pending })
+          }]
+        };
+      }
+    );
+
+    mcpServer.tool(
+      'get-transaction-status',
+      {
+        jobId: z.string().optional().describe('Job ID returned by a write tool called with wait: false'),
+        hash: z.string().optional().describe('Transaction hash')
+      },
+      async ({ jobId, hash }) => {
+        if (!jobId && !hash) {
+          throw createTransactionError(ErrorCodes.INVALID_PARAMETERS, 'Provide a jobId or a transaction hash');
+        }
+        const status = jobId
+          ? await this.transactions.getJobStatus(jobId)
+          : await this.transactions.getTransactionStatus(hash);
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(status)
+          }]
+        };
+      }
+    );
+
+    // Speed-up and cancel tools
+    this.registerReplacementTools(mcpServer);
+
+    // DeFi tools
+    this.registerDeFiTools(mcpServer);
+  }
+
+  // Register tools that replace a pending transaction by rebroadcasting its nonce with higher fees.
+  // They run as write tools from the transaction's sender, so policy, dry-run and approval apply
+  registerReplacementTools(mcpServer) {
+    const schema = {
+      hash: z.string().describe('Hash of the pending transaction (or of an earlier speed-up of it)'),
+      feeBumpPercent: z.number().min(MIN_FEE_BUMP_PERCENT).optional()
+        .describe(`Fee increase in percent over the pending transaction (default and minimum ${MIN_FEE_BUMP_PERCENT})`),
+      waitSeconds: z.number().min(0).max(600).optional()
+        .describe('Wait up to this long for the original or the replacement to be mined (default 60, 0 returns at once)')
+    };
+    const replace = (tool, cancel) => async ({ hash, feeBumpPercent, waitSeconds }, extra) => {
+      const pending = await this.replacer.findPending(hash);
+      return await this.runWriteTool(
+        { tool, account: pending.from, args: { hash, feeBumpPercent, waitSeconds }, mcpServer, extra },
+        async () => {
+          const result = await this.replacer.replace(hash, {
+            cancel,
+            bumpPercent: feeBumpPercent,
+            waitSeconds: waitSeconds ?? 60
+          });
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify(result)
+            }]
+          };
+        }
+      );
+    };
+
+    mcpServer.tool('speed-up-transaction', schema, replace('speed-up-transaction', false));
+    mcpServer.tool('cancel-transaction', schema, replace('cancel-transaction', true));
+  }
+
+  // Register tools for the pending-approval queue and the spending policy
+  registerApprovalTools(mcpServer) {
+    mcpServer.tool(
+      'get-spending-policy',
+      {},
+      async () => {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(this.policy ? await this.policy.describe() : { enabled: false })
+          }]
+        };
+      }
+    );
+
+    mcpServer.tool(
+      'list-pending-approvals',
+      {},
+      async () => {
+        return {
+          content: [{
+            type: 'text',
+            text: stringifyResult({ pending: this.approvals.list() })
+          }]
+        };
+      }
+    );
+
+    mcpServer.tool(
+      'approve-pending',
+      {
+        id: z.string().describe('Approval ID returned by the tool call')
+      },
+      async ({ id }) => {
+        // Runs the original tool call and returns its result
+        return await this.approvals.approve(id);
+      }
+    );
+
+    mcpServer.tool(
+      'reject-pending',
+      {
+        id: z.string().describe('Approval ID returned by the tool call'),
+        reason: z.string().optional().describe('Why the transaction was rejected')
+      },
+      async ({ id, reason }) => {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(this.approvals.reject(id, reason))
+          }]
+        };
+      }
+    );
+  }
+
+  // Register account tools (list, derive, select, label, keystores)
+  registerAccountTools(mcpServer) {
+    mcpServer.tool(
+      'list-accounts',
+      {},
+      async () => {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              active: this.accounts.getActive(),
+              accounts: this.accounts.list(),
+              canDerive: Boolean(this.accounts.mnemonic)
+            })
+          }]
+        };
+      }
+    );
+
+    mcpServer.tool(
+      'derive-account',
+      {
+        name: z.string().describe('Name for the new account (e.g. "ops")'),
+        index: z.number().int().nonnegative().optional().describe("BIP-44 address index, m/44'/60'/0'/0/index (defaults to the next unused index)"),
+        path: z.string().optional().describe('Full derivation path (overrides index)'),
+        label: z.string().optional().describe('Free-form description')
+      },
+      async ({ name, index, path, label }) => {
+        const account = this.accounts.derive({ name, index, path, label });
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(account)
+          }]
+        };
+      }
+    );
+
+    mcpServer.tool(
+      'select-account',
+      {
+        account: z.string().describe('Account name or address to make active')
+      },
+      async ({ account }) => {
+        // Wait for in-flight write tools so they finish on the account they started with
+        const selected = await this.accounts.withAccount(null, () => this.accounts.select(account));
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(selected)
+          }]
+        };
+      }
+    );
+
+    mcpServer.tool(
+      'label-account',
+      {
+        account: z.string().describe('Account name or address'),
+        label: z.string().describe('New label (empty to clear)')
+      },
+      async ({ account, label }) => {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(this.accounts.setLabel(account, label))
+          }]
+        };
+      }
+    );
+
+    mcpServer.tool(
+      'create-keystore-account',
+      {
+        name: z.string().describe('Name for the new account (also the keystore file name)'),
+        label: z.string().optional().describe('Free-form description')
+      },
+      async ({ name, label }) => {
+        // Encrypted with the configured keystore passphrase; the key never leaves the server
+        const account = await this.accounts.createKeystore({ name, label });
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(account)
+          }]
+        };
+      }
+    );
+
+    mcpServer.tool(
+      'unlock-account',
+      {
+        account: z.string().describe('Keystore account name or address')
+      },
+      async ({ account }) => {
+        const unlocked = await this.accounts.unlock(account);
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(unlocked)
+          }]
+        };
+      }
+    );
+
+    mcpServer.tool(
+      'lock-account',
+      {
+        account: z.string().optional().describe('Keystore account name or address (locks every keystore account when omitted)')
+      },
+      async ({ account }) => {
+        // Wait for the accounts' in-flight write tools to sign before discarding keys
+        const names = account
+          ? [this.accounts.resolve(account).name]
+          : this.accounts.list().filter(entry => entry.source === 'keystore').map(entry => entry.name);
+        const locked = await Promise.all(names.map(name => this.accounts.withAccount(name, () => this.accounts.lock(name))));
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({ locked })
+          }]
+        };
+      }
+    );
+  }
+
+  // Register DeFi tools (QuickSwap, Uniswap V2/V3, Polymarket)
+  registerDeFiTools(mcpServer) {
+    // QuickSwap tools
+    mcpServer.tool(
+      'get-quickswap-quote',
+      {
+        fromToken: z.string().describe('Token to swap from (symbol or address)'),
+        toToken: z.string().describe('Token to swap to (symbol or address)'),
+        amount: z.string().describe('Amount of fromToken to swap'),
+        intermediateTokens: z.array(z.string()).optional().describe('Intermediate tokens for a multi-hop route')
+      },
+      async ({ fromToken, toToken, amount, intermediateTokens }) => {
+        const quote = intermediateTokens && intermediateTokens.length > 0
+          ? await this.defi.getQuickSwapQuoteMulti(fromToken, toToken, amount, intermediateTokens)
+          : await this.defi.getQuickSwapQuote(fromToken, toToken, amount);
+        return {
+          content: [{
+            type: 'text',
+            text: stringifyResult(quote)
+          }]
+        };
+      }
+    );
+
+    this.registerWriteTool(
+      mcpServer,
+      'quickswap-swap',
+      {
+        fromToken: z.string().describe('Token to swap from (symbol or address)'),
+        toToken: z.string().describe('Token to swap to (symbol or address)'),
+        amount: z.string().describe('Amount of fromToken to swap'),
+        slippage: z.number().min(0).max(100).optional().describe('Slippage tolerance in percent (defaults to configured slippage)'),
+        intermediateTokens: z.array(z.string()).optional().describe('Intermediate tokens for a multi-hop route')
+      },
+      async ({ fromToken, toToken, amount, slippage, intermediateTokens }) => {
+        this.checkWalletConnected();
+        const slippagePercent = slippage ?? this.defi.defaultSlippage;
+        const result = intermediateTokens && intermediateTokens.length > 0
+          ? await this.defi.quickSwapTokensMulti(fromToken, toToken, amount, intermediateTokens, slippagePercent)
+          : await this.defi.quickSwapTokens(fromToken, toToken, amount, slippagePercent);
+        return {
+          content: [{
+            type: 'text',
+            text: stringifyResult(result)
+          }]
+        };
+      },
+      { spend: ({ fromToken, amount }) => ({ token: fromToken, amount }) }
+    );
+
+    this.registerWriteTool(
+      mcpServer,
+      'quickswap-add-liquidity',
+      {
+        tokenA: z.string().describe('First token of the pair (symbol or address)'),
+        tokenB: z.string().describe('Second token of the pair (symbol or address)'),
+        amountA: z.string().describe('Desired amount of tokenA'),
+        amountB: z.string().describe('Desired amount of tokenB'),
+        slippage: z.number().min(0).max(100).optional().describe('Slippage tolerance in percent (defaults to configured slippage)')
+      },
+      async ({ tokenA, tokenB, amountA, amountB, slippage }) => {
+        this.checkWalletConnected();
+        const result = await this.defi.addQuickSwapLiquidity(
+          tokenA,
+          tokenB,
+          amountA,
+          amountB,
+          slippage ?? this.defi.defaultSlippage
+        );
+        return {
+          content: [{
+            type: 'text',
+            text: stringifyResult(result)
+          }]
+        };
+      }
+    );
+
+    // Uniswap V3 tools
+    mcpServer.tool(
+      'get-uniswap-v3-quote',
+      {
+        fromToken: z.string().describe('Token to swap from (symbol or address)'),
+        toToken: z.string().describe('Token to swap to (symbol or address)'),
+        amount: z.string().describe('Amount of fromToken to swap'),
+        fee: z.number().int().optional().describe('Pool fee tier for a single-hop quote (default 3000)'),
+        intermediateTokens: z.array(z.string()).optional().describe('Intermediate tokens for a multi-hop route'),
+        fees: z.array(z.number().int()).optional().describe('Pool fee tiers for each hop of a multi-hop route')
+      },
+      async ({ fromToken, toToken, amount, fee, intermediateTokens, fees }) => {
+        const quote = intermediateTokens && intermediateTokens.length > 0
+          ? await this.defi.getUniswapV3QuoteMulti(fromToken, toToken, amount, intermediateTokens, fees || [])
+          : await this.defi.getUniswapV3QuoteSingle(fromToken, toToken, amount, fee ?? 3000);
+        return {
+          content: [{
+            type: 'text',
+            text: stringifyResult(quote)
           }]
         };
       }
     );
-    
-    this.mcpServer.tool(
-      'list-balances',
+
+    this.registerWriteTool(
+      mcpServer,
+      'uniswap-v3-swap',
       {
-        address: z.string().optional().describe('Address to check balances for (defaults to wallet address)')
+        fromToken: z.string().describe('Token to swap from (symbol or address)'),
+        toToken: z.string().describe('Token to swap to (symbol or address)'),
+        amount: z.string().describe('Amount of fromToken to swap'),
+        slippage: z.number().min(0).max(100).optional().describe('Slippage tolerance in percent (defaults to configured slippage)'),
+        fee: z.number().int().optional().describe('Pool fee tier for a single-hop swap (default 3000)'),
+        intermediateTokens: z.array(z.string()).optional().describe('Intermediate tokens for a multi-hop route'),
+        fees: z.array(z.number().int()).optional().describe('Pool fee tiers for each hop of a multi-hop route')
       },
-      async ({ address }) => {
-        const checkAddress = address || (walletManager.isWalletConnected('polygon') ? walletManager.getAddress('polygon') : null);
-
-        if (!checkAddress) {
-          throw createWalletError(
-            ErrorCodes.WALLET_NOT_CONNECTED,
-            'Wallet not connected and no address provided',
-            { context: 'list-balances' }
-          );
-        }
-        
-        // Get native token balance
-        const nativeBalance = await this.provider.getBalance(checkAddress);
-        
-        // Get balances for known tokens
-        const tokenBalances = {};
-        for (const [symbol, tokenAddress] of Object.entries(this.tokenAddresses)) {
-          try {
-            const balance = await this.getTokenBalance(tokenAddress, checkAddress);
-            const contract = this.createERC20(tokenAddress);
-            const decimals = await contract.decimals().catch(() => 18);
-            tokenBalances[symbol] = formatUnits(balance, decimals);
-          } catch (error) {
-            defaultLogger.warn(`Failed to get balance for ${symbol}: ${error.message}`);
-            tokenBalances[symbol] = 'Error';
-          }
-        }
-
+      async ({ fromToken, toToken, amount, slippage, fee, intermediateTokens, fees }) => {
+        this.checkWalletConnected();
+        const slippagePercent = slippage ?? this.defi.defaultSlippage;
+        const result = intermediateTokens && intermediateTokens.length > 0
+          ? await this.defi.uniswapV3SwapMulti(fromToken, toToken, amount, intermediateTokens, fees || [], slippagePercent)
+          : await this.defi.uniswapV3SwapSingle(fromToken, toToken, amount, slippagePercent, fee ?? 3000);
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify({
-              address: checkAddress,
-              nativeBalance: formatUnits(nativeBalance, 18),
-              tokens: tokenBalances
-            })
+            text: stringifyResult(result)
           }]
         };
-      }
+      },
+      { spend: ({ fromToken, amount }) => ({ token: fromToken, amount }) }
     );
-    
-    this.mcpServer.tool(
-      'transfer-funds',
+
+    // Uniswap V2 tools
+    mcpServer.tool(
+      'get-uniswap-v2-quote',
       {
-        to: z.string().describe('Recipient address'),
-        amount: z.string().describe('Amount to send'),
-        token: z.string().optional().describe('Token symbol or address (omit for native POL)')
+        fromToken: z.string().describe('Token to swap from (symbol or address)'),
+        toToken: z.string().describe('Token to swap to (symbol or address)'),
+        amount: z.string().describe('Amount of fromToken to swap')
       },
-      async ({ to, amount, token }) => {
-        this.checkWalletConnected();
-        
-        let txHash;
-        if (!token) {
-          // Transfer native token (POL)
-          const amountWei = parseUnits(amount, 18);
-          const wallet = walletManager.getWallet('polygon');
-          const tx = await wallet.sendTransaction({
-            to,
-            value: amountWei,
-            gasLimit: 21000
-          });
-          
-          await tx.wait();
-          txHash = tx.hash;
-          
-          return {
-            content: [{
-              type: 'text',
-              text: JSON.stringify({
-                success: true,
-                txHash,
-                from: walletManager.getAddress('polygon'),
-                to,
-                amount,
-                token: 'POL (native)'
-              })
-            }]
-          };
-        } else {
-          // Transfer ERC20 token
-          const tokenAddress = this.resolveTokenAddress(token);
-          const tokenContract = this.createERC20(tokenAddress);
-          const decimals = await tokenContract.decimals().catch(() => 18);
-          const tokenSymbol = await tokenContract.symbol().catch(() => token);
-          
-          const amountInTokenUnits = parseUnits(amount, decimals);
-          const wallet = walletManager.getWallet('polygon');
-          const tokenContractWithSigner = tokenContract.connect(wallet);
-          
-          const tx = await tokenContractWithSigner.transfer(to, amountInTokenUnits);
-          await tx.wait();
-          txHash = tx.hash;
-          
-          return {
-            content: [{
-              type: 'text',
-              text: JSON.stringify({
-                success: true,
-                txHash,
-                from: walletManager.getAddress('polygon'),
-                to,
-                amount,
-                token: tokenSymbol,
-                tokenAddress
-              })
-            }]
-          };
-        }
+      async ({ fromToken, toToken, amount }) => {
+        const quote = await this.defi.getUniswapV2Quote(fromToken, toToken, amount);
+        return {
+          content: [{
+            type: 'text',
+            text: stringifyResult(quote)
+          }]
+        };
       }
     );
-    
-    // Bridge operations tools
-    this.mcpServer.tool(
-      'deposit-eth',
+
+    this.registerWriteTool(
+      mcpServer,
+      'uniswap-v2-swap',
       {
-        amount: z.string().describe('Amount of ETH to deposit')
+        fromToken: z.string().describe('Token to swap from (symbol or address)'),
+        toToken: z.string().describe('Token to swap to (symbol or address)'),
+        amount: z.string().describe('Amount of fromToken to swap'),
+        slippage: z.number().min(0).max(100).optional().describe('Slippage tolerance in percent (defaults to configured slippage)')
       },
-      async ({ amount }) => {
-        // Call the bridge class method
-        const result = await this.bridge.depositETH(amount);
+      async ({ fromToken, toToken, amount, slippage }) => {
+        this.checkWalletConnected();
+        const result = await this.defi.uniswapV2Swap(
+          fromToken,
+          toToken,
+          amount,
+          slippage ?? this.defi.defaultSlippage
+        );
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify(result)
+            text: stringifyResult(result)
           }]
         };
-      }
+      },
+      { spend: ({ fromToken, amount }) => ({ token: fromToken, amount }) }
     );
 
-    this.mcpServer.tool(
-      'withdraw-eth',
+    this.registerWriteTool(
+      mcpServer,
+      'uniswap-v2-add-liquidity',
       {
-        amount: z.string().describe('Amount of ETH to withdraw')
+        tokenA: z.string().describe('First token of the pair (symbol or address)'),
+        tokenB: z.string().describe('Second token of the pair (symbol or address)'),
+        amountA: z.string().describe('Desired amount of tokenA'),
+        amountB: z.string().describe('Desired amount of tokenB'),
+        slippage: z.number().min(0).max(100).optional().describe('Slippage tolerance in percent (defaults to configured slippage)')
       },
-      async ({ amount }) => {
-        // Call the bridge class method
-        // Note: withdrawETH might be named withdrawPOL or withdrawMATIC in bridge class
-        const result = await this.bridge.withdrawPOL(amount); // Assuming withdrawPOL is the correct method name
+      async ({ tokenA, tokenB, amountA, amountB, slippage }) => {
+        this.checkWalletConnected();
+        const result = await this.defi.addUniswapV2Liquidity(
+          tokenA,
+          tokenB,
+          amountA,
+          amountB,
+          slippage ?? this.defi.defaultSlippage
+        );
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify(result)
+            text: stringifyResult(result)
           }]
         };
       }
     );
 
-    this.mcpServer.tool(
-      'deposit-token',
+    this.registerWriteTool(
+      mcpServer,
+      'uniswap-v2-remove-liquidity',
       {
-        token: z.string().describe('Token symbol or address'),
-        amount: z.string().describe('Amount to deposit')
+        tokenA: z.string().describe('First token of the pair (symbol or address)'),
+        tokenB: z.string().describe('Second token of the pair (symbol or address)'),
+        liquidity: z.string().describe('Amount of LP tokens to burn'),
+        slippage: z.number().min(0).max(100).optional().describe('Slippage tolerance in percent (defaults to configured slippage)')
       },
-      async ({ token, amount }) => {
-        const tokenAddress = this.resolveTokenAddress(token);
-        // Call the bridge class method
-        const result = await this.bridge.depositERC20(tokenAddress, amount);
+      async ({ tokenA, tokenB, liquidity, slippage }) => {
+        this.checkWalletConnected();
+        const result = await this.defi.removeUniswapV2Liquidity(
+          tokenA,
+          tokenB,
+          liquidity,
+          slippage ?? this.defi.defaultSlippage
+        );
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify(result)
+            text: stringifyResult(result)
           }]
         };
       }
     );
 
-    this.mcpServer.tool(
-      'withdraw-token',
+    // Polymarket tools
+    mcpServer.tool(
+      'get-polymarket-info',
       {
-        token: z.string().describe('Token symbol or address'),
-        amount: z.string().describe('Amount to withdraw')
+        marketAddress: z.string().describe('Polymarket market contract address')
       },
-      async ({ token, amount }) => {
-        const tokenAddress = this.resolveTokenAddress(token);
-        // Call the bridge class method
-        const result = await this.bridge.withdrawERC20(tokenAddress, amount);
+      async ({ marketAddress }) => {
+        const info = await this.defi.getPolymarketInfo(marketAddress);
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify(result)
+            text: stringifyResult(info)
           }]
         };
       }
     );
 
-    // Token operations tools
-    this.mcpServer.tool(
-      'get-token-balance',
+    mcpServer.tool(
+      'get-polymarket-outcomes',
       {
-        token: z.string().describe('Token symbol or address'),
-        address: z.string().describe('Address to check balance for')
+        marketAddress: z.string().describe('Polymarket market contract address')
       },
-      async ({ token, address }) => {
-        const tokenAddress = this.resolveTokenAddress(token);
-        const balance = await this.getTokenBalance(tokenAddress, address);
-
-        const tokenContract = this.createERC20(tokenAddress);
-        const decimals = await tokenContract.decimals().catch(() => 18);
-        const symbol = await tokenContract.symbol().catch(() => token);
-
+      async ({ marketAddress }) => {
+        const outcomes = await this.defi.getPolymarketOutcomes(marketAddress);
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify({
-              token: symbol,
-              tokenAddress,
-              address,
-              balance: formatUnits(balance, decimals),
-              rawBalance: balance.toString()
-            })
+            text: stringifyResult(outcomes)
           }]
         };
       }
     );
 
-    // Transaction simulation tools
-    this.mcpServer.tool(
-      'simulate-transaction',
+    mcpServer.tool(
+      'get-polymarket-position-price',
       {
-        transaction: z.object({
-          to: z.string().optional(),
-          value: z.string().optional(),
-          data: z.string().optional(),
-          gasLimit: z.string().optional(),
-          gasPrice: z.string().optional(),
-          maxFeePerGas: z.string().optional(),
-          maxPriorityFeePerGas: z.string().optional()
-        }).describe('Transaction parameters')
+        marketAddress: z.string().describe('Polymarket market contract address'),
+        outcomeIndex: z.number().int().min(0).describe('Index of the outcome (0-based)')
       },
-      async ({ transaction }) => {
-        const result = await this.simulateTransaction(transaction);
+      async ({ marketAddress, outcomeIndex }) => {
+        const price = await this.defi.getPolymarketPositionPrice(marketAddress, outcomeIndex);
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify(result)
+            text: stringifyResult(price)
           }]
         };
       }
     );
 
-    // Gas tools
-    this.mcpServer.tool(
-      'get-gas-price',
-      {},
-      async () => {
-        const feeData = await this.provider.getFeeData();
-
+    mcpServer.tool(
+      'get-polymarket-positions',
+      {
+        marketAddress: z.string().describe('Polymarket market contract address')
+      },
+      async ({ marketAddress }) => {
+        this.checkWalletConnected();
+        const positions = await this.defi.getPolymarketPositions(marketAddress);
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify({
-              gasPrice: formatUnits(feeData.gasPrice, 'gwei'),
-              maxFeePerGas: feeData.maxFeePerGas ? formatUnits(feeData.maxFeePerGas, 'gwei') : null,
-              maxPriorityFeePerGas: feeData.maxPriorityFeePerGas ? formatUnits(feeData.maxPriorityFeePerGas, 'gwei') : null,
-              gasPrice_wei: feeData.gasPrice.toString(),
-              maxFeePerGas_wei: feeData.maxFeePerGas ? feeData.maxFeePerGas.toString() : null,
-              maxPriorityFeePerGas_wei: feeData.maxPriorityFeePerGas ? feeData.maxPriorityFeePerGas.toString() : null
-            })
+            text: stringifyResult(positions)
           }]
         };
       }
     );
 
-    // Contract tools
-    this.mcpServer.tool(
-      'list-contract-templates',
-      {},
-      async () => {
-        const templates = await this.contractTemplates.listTemplates();
+    this.registerWriteTool(
+      mcpServer,
+      'place-polymarket-bet',
+      {
+        marketAddress: z.string().describe('Polymarket market contract address'),
+        outcomeIndex: z.number().int().min(0).describe('Index of the outcome to bet on (0-based)'),
+        amount: z.string().describe('Amount of position tokens to buy')
+      },
+      async ({ marketAddress, outcomeIndex, amount }) => {
+        this.checkWalletConnected();
+        const result = await this.defi.placePolymarketBet(marketAddress, outcomeIndex, amount);
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify(templates)
+            text: stringifyResult(result)
           }]
         };
       }
     );
 
-    this.mcpServer.tool(
-      'deploy-contract',
+    this.registerWriteTool(
+      mcpServer,
+      'sell-polymarket-position',
       {
-        templateId: z.string().describe('Template ID to deploy'),
-        params: z.record(z.any()).describe('Template parameters'),
-        constructorArgs: z.array(z.any()).optional().describe('Constructor arguments')
+        marketAddress: z.string().describe('Polymarket market contract address'),
+        outcomeIndex: z.number().int().min(0).describe('Index of the outcome to sell (0-based)'),
+        amount: z.string().describe('Amount of position tokens to sell')
       },
-      async ({ templateId, params, constructorArgs }) => {
+      async ({ marketAddress, outcomeIndex, amount }) => {
         this.checkWalletConnected();
-
-        const result = await this.contractTemplates.deployFromTemplate(
-          templateId,
-          params,
-          constructorArgs || []
-        );
-
+        const result = await this.defi.sellPolymarketPosition(marketAddress, outcomeIndex, amount);
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify(result)
+            text: stringifyResult(result)
           }]
         };
       }
     );
   }
 
-  // Start MCP server
-  async start() {
+  /**
+   * Start the MCP server
+   * @param {Object} options - Transport options
+   * @param {string} options.transport - 'stdio' (default) or 'http' (streamable HTTP plus legacy SSE)
+   * @param {string} options.host - HTTP bind address
+   * @param {number} options.port - HTTP port
+   * @param {string} options.authToken - Bearer token required by the HTTP transport
+   * @param {string} options.allowedOrigins - Browser origins allowed to call the HTTP transport (comma-separated)
+   * @param {number} options.sessionIdleTimeout - Milliseconds after which idle HTTP sessions are closed
+   */
+  async start(options = {}) {
+    const transportType = (options.transport || 'stdio').toLowerCase();
+    this.gasOracle.start();
+
+    if (transportType === 'http') {
+      this.httpTransport = await startHttpTransport(() => this.createMcpServer(), {
+        host: options.host,
+        port: options.port,
+        authToken: options.authToken,
+        allowedOrigins: options.allowedOrigins,
+        sessionIdleTimeout: options.sessionIdleTimeout
+      });
+      return;
+    }
+
+    if (transportType !== 'stdio') {
+      throw new Error(`Unknown transport: ${options.transport}. Use 'stdio' or 'http'.`);
+    }
+
     const transport = new StdioServerTransport();
     await this.mcpServer.connect(transport);
   }
@@ -469,22 +1771,43 @@ class PolygonMCPServer {
       );
     }
 
-    // Connect wallets to both networks
+    // Connect wallets to both networks (the maticjs bridge signs with the wallet manager's wallet)
     walletManager.connectToMultipleNetworks(privateKey, ['polygon', 'ethereum']);
-    
-    // Connect to simulator (will modify transaction-simulation.js later to use wallet manager)
-    this.simulator.connectWallet(privateKey);
-
-    // Also connect wallet to contract templates
-    this.contractTemplates.connectWallet(privateKey); // This method still exists internally for now
 
-    // Connect wallet in bridge class
+    // Connect wallet in bridge class (rebuilds its MaticPOSClient with the new addresses)
     this.bridge.connectWallet(privateKey);
 
     // Update MaticPOSClient with wallet addresses (This method is now redundant as bridge class handles its own client)
     // this.updateMaticClientWalletAddresses(); // Remove this call
   }
 
+  // Drop the selected account's key from the wallet manager and the bridge once it is locked.
+  // The wallet manager has no disconnect, so a throwaway key takes its place
+  disconnectWallet() {
+    this.connectWallet(Wallet.createRandom().privateKey);
+  }
+
+  // Address of the selected account (also while it is locked), or null
+  getDefaultAddress() {
+    return this.accounts.getActive()?.address || null;
+  }
+
+  // Address of the tool call's account (the selected account outside tool calls), locked or not
+  getCallAddress() {
+    const { account } = this.signing.getContext();
+    if (!account && !this.accounts.activeName) {
+      throw createWalletError(ErrorCodes.WALLET_NOT_CONNECTED, 'No account selected');
+    }
+    return this.accounts.resolve(account || this.accounts.activeName).address;
+  }
+
+  // Select an external signer account (e.g. RemoteSigner). Its transactions are signed through the
+  // signing pipeline (AccountManager.getSigner); the wallet manager and the bridge only take private
+  // keys, so the previous account's key is dropped from them
+  connectSigner() {
+    this.disconnectWallet();
+  }
+
   // Removed updateMaticClientWalletAddresses method as bridge class handles its client
   /*
   // Update MaticPOSClient with wallet addresses
@@ -512,31 +1835,141 @@ class PolygonMCPServer {
   }
   */
 
-  // Check if wallet is connected
+  /**
+   * Load accounts from the environment: named accounts derived from WALLET_MNEMONIC
+   * (WALLET_ACCOUNTS, e.g. "treasury:0,ops:1"), encrypted keystores in KEYSTORE_DIR,
+   * accounts of the external signer at REMOTE_SIGNER_URL and PRIVATE_KEY as a raw key account.
+   * WALLET_DEFAULT_ACCOUNT picks the active account (otherwise the first one unlocked).
+   * @param {Object} env - Environment variables
+   */
+  async loadAccounts(env = process.env) {
+    if (env.WALLET_MNEMONIC) {
+      this.accounts.loadMnemonic(env.WALLET_MNEMONIC, env.WALLET_MNEMONIC_PASSPHRASE || '');
+      const specs = parseAccountSpec(env.WALLET_ACCOUNTS);
+      for (const spec of specs.length > 0 ? specs : [{ name: 'default', index: 0 }]) {
+        this.accounts.derive(spec);
+      }
+    }
+
+    await this.loadKeystores(env);
+    await this.loadRemoteSigner(env);
+
+    if (env.PRIVATE_KEY) {
+      defaultLogger.warn('PRIVATE_KEY is stored in plain text; prefer an encrypted keystore in KEYSTORE_DIR');
+      try {
+        this.accounts.addPrivateKey(this.accounts.accounts.has('default') ? 'private-key' : 'default', env.PRIVATE_KEY);
+      } catch (error) {
+        // Typically the key is also derived from the mnemonic
+        defaultLogger.warn(`PRIVATE_KEY not loaded: ${error.message}`);
+      }
+    }
+
+    if (env.WALLET_DEFAULT_ACCOUNT) {
+      this.accounts.select(env.WALLET_DEFAULT_ACCOUNT);
+    }
+  }
+
+  // Register the keystore files in KEYSTORE_DIR and unlock them with the startup passphrase
+  async loadKeystores(env = process.env) {
+    const files = this.accounts.keystore.list();
+    if (files.length === 0) {
+      return;
+    }
+
+    for (const { file, name, address } of files) {
+      const accountName = /^[A-Za-z0-9_.-]{1,32}$/.test(name) && !this.accounts.accounts.has(name)
+        ? name
+        : `keystore-${address.slice(2, 10).toLowerCase()}`;
+      try {
+        this.accounts.addKeystore({ name: accountName, address, file });
+      } catch (error) {
+        defaultLogger.warn(`Keystore ${file} not loaded: ${error.message}`);
+      }
+    }
+
+    const passphrase = await readPassphrase(env);
+    if (!passphrase) {
+      defaultLogger.warn('No keystore passphrase available; keystore accounts stay locked until unlock-account');
+      return;
+    }
+    for (const account of this.accounts.list().filter(entry => entry.source === 'keystore')) {
+      try {
+        await this.accounts.unlock(account.name, { passphrase });
+      } catch (error) {
+        defaultLogger.warn(error.message);
+      }
+    }
+  }
+
+  // Register the accounts of an external signer. REMOTE_SIGNER_ACCOUNTS names them as
+  // "name:address" pairs; otherwise every account the signer reports is added
+  async loadRemoteSigner(env = process.env) {
+    if (!env.REMOTE_SIGNER_URL) {
+      return;
+    }
+    const options = {
+      url: env.REMOTE_SIGNER_URL,
+      authToken: env.REMOTE_SIGNER_AUTH_TOKEN,
+      timeoutMs: env.REMOTE_SIGNER_TIMEOUT ? parseInt(env.REMOTE_SIGNER_TIMEOUT, 10) * 1000 : undefined
+    };
+
+    let specs;
+    if (env.REMOTE_SIGNER_ACCOUNTS) {
+      specs = env.REMOTE_SIGNER_ACCOUNTS.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [name, address] = entry.split(':');
+        return { name, address };
+      });
+    } else {
+      try {
+        specs = (await RemoteSigner.listAccounts(options)).map((address, i) => ({
+          name: i === 0 ? 'remote' : `remote-${i}`,
+          address
+        }));
+      } catch (error) {
+        defaultLogger.warn(`Remote signer accounts not loaded: ${error.message}`);
+        return;
+      }
+    }
+
+    for (const { name, address } of specs) {
+      try {
+        await this.accounts.addSigner({ name, signer: new RemoteSigner({ ...options, address }) });
+      } catch (error) {
+        defaultLogger.warn(`Remote signer account "${name}" not loaded: ${error.message}`);
+      }
+    }
+  }
+
+  // Check the tool call's account (the selected account outside tool calls) can sign
   checkWalletConnected() {
-    if (!walletManager.isWalletConnected('polygon')) {
+    try {
+      this.signing.getSigner('polygon');
+    } catch (error) {
       throw createWalletError(
         ErrorCodes.WALLET_NOT_CONNECTED,
-        'Wallet not connected',
+        `Wallet not connected: ${error.message}`,
         { context: 'PolygonMCPServer' }
       );
     }
     return true;
   }
 
-  // Use the centralized resolveTokenAddress function
+  // Configured tokens and token lists first, then the centralized resolveTokenAddress function
   resolveTokenAddress(token) {
-    // Pass the tokenAddresses map from this instance's config
-    return commonResolveTokenAddress(token, this.tokenAddresses);
+    return this.tokenResolver.resolve(token);
   }
 
   // Removed direct bridge operations - now handled by this.bridge instance
 
   // Transaction simulation and analysis
-  async simulateTransaction(transaction) {
-    return await this.simulator.simulateTransaction(transaction);
+  async simulateTransaction(transaction, options = {}) {
+    return await this.simulator.simulateTransaction(transaction, options);
   }
   
+  async simulateBundle(transactions, options = {}) {
+    return await this.simulator.simulateBundle(transactions, options);
+  }
+
   async analyzeTransaction(txHash) {
     return await this.simulator.analyzeTransaction(txHash);
   }
@@ -783,10 +2216,13 @@ class PolygonMCPServer {
         );
       }
       
-      const multiTokenContract = this.createERC1155(address);
-      return await Promise.all(
-        tokenIds.map(tokenId => multiTokenContract.balanceOf(account, tokenId))
-      );
+      // One batched read for every token ID
+      const balances = await this.multicall.getERC1155Balances(address, account, tokenIds);
+      const failed = tokenIds.filter((tokenId, index) => balances[index] === null);
+      if (failed.length > 0) {
+        throw new Error(`balanceOf failed for token IDs ${failed.join(', ')}`);
+      }
+      return balances;
     } catch (error) {
       if (error.code && error.name) {
         throw error;  // Re-throw our custom errors
@@ -803,6 +2239,35 @@ class PolygonMCPServer {
 
 module.exports = { PolygonMCPServer };
 
+// Parse command line flags (--transport, --host, --port), falling back to environment variables
+function parseCliOptions(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) {
+      continue;
+    }
+    if (match[2] !== undefined) {
+      flags[match[1]] = match[2];
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      flags[match[1]] = argv[++i];
+    } else {
+      flags[match[1]] = 'true';
+    }
+  }
+
+  return {
+    transport: flags.transport || process.env.MCP_TRANSPORT || 'stdio',
+    host: flags.host || process.env.MCP_HTTP_HOST,
+    port: flags.port || process.env.MCP_HTTP_PORT,
+    authToken: process.env.MCP_AUTH_TOKEN,
+    allowedOrigins: process.env.MCP_ALLOWED_ORIGINS,
+    sessionIdleTimeout: process.env.MCP_SESSION_IDLE_TIMEOUT !== undefined
+      ? (parseInt(process.env.MCP_SESSION_IDLE_TIMEOUT, 10) || 0) * 1000
+      : undefined
+  };
+}
+
 // Only run if this file is executed directly
 if (require.main === module) {
   // No need for dotenv here, config-manager handles it
@@ -815,12 +2280,8 @@ if (require.main === module) {
   // Start server (constructor now uses getConfig internally)
   const server = new PolygonMCPServer();
 
-  // Connect wallet if private key provided
-  if (process.env.PRIVATE_KEY) { // Still need process.env for the key itself
-    server.connectWallet(process.env.PRIVATE_KEY);
-  }
-  
-  server.start().catch(err => {
+  // Connect accounts from WALLET_MNEMONIC / KEYSTORE_DIR / PRIVATE_KEY (env is still needed for key material)
+  server.loadAccounts(process.env).then(() => server.start(parseCliOptions(process.argv.slice(2)))).catch(err => {
     console.error('Failed to start server:', err);
     process.exit(1);
   });
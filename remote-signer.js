@@ -0,0 +1,164 @@
+// remote-signer.js - ethers Signer that delegates signing to an external JSON-RPC signer (Clef, web3signer)
+const axios = require('axios');
+const {
+  AbstractSigner,
+  Transaction,
+  TypedDataEncoder,
+  getAddress,
+  hexlify,
+  toQuantity,
+  toUtf8Bytes
+} = require('ethers');
+const { ErrorCodes, createWalletError, createNetworkError } = require('./errors');
+const { defaultLogger } = require('./logger');
+
+const DEFAULT_SIGNER_TIMEOUT_MS = 60000;
+
+// Convert an ethers transaction request into the JSON-RPC form expected by eth_signTransaction
+function toRpcTransaction(tx) {
+  const rpcTx = {};
+  for (const key of ['from', 'to']) {
+    if (tx[key] != null) rpcTx[key] = getAddress(tx[key]);
+  }
+  if (tx.data != null) rpcTx.data = hexlify(tx.data);
+  if (tx.gasLimit != null) rpcTx.gas = toQuantity(tx.gasLimit);
+  for (const key of ['value', 'nonce', 'chainId', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas']) {
+    if (tx[key] != null) rpcTx[key] = toQuantity(tx[key]);
+  }
+  if (tx.type != null) rpcTx.type = toQuantity(tx.type);
+  if (tx.accessList != null) rpcTx.accessList = tx.accessList;
+  return rpcTx;
+}
+
+class RemoteSigner extends AbstractSigner {
+  /**
+   * @param {Object} options - Signer options
+   * @param {string} options.url - JSON-RPC endpoint of the external signer
+   * @param {string} options.address - Account held by the signer
+   * @param {string} options.authToken - Optional bearer token sent with every request
+   * @param {number} options.timeoutMs - Request timeout; external signers may wait for manual approval
+   * @param {Provider} provider - Provider used to populate and broadcast transactions
+   */
+  constructor(options = {}, provider = null) {
+    super(provider);
+    if (!options.url) {
+      throw createWalletError(ErrorCodes.INVALID_PARAMETERS, 'Remote signer URL is required');
+    }
+    this.url = options.url;
+    this.address = options.address ? getAddress(options.address) : null;
+    this.authToken = options.authToken || null;
+    this.timeoutMs = options.timeoutMs || DEFAULT_SIGNER_TIMEOUT_MS;
+    this.requestId = 0;
+  }
+
+  /**
+   * List the accounts an external signer holds
+   * @param {Object} options - Same options as the constructor (address is ignored)
+   * @returns {Promise<Array<string>>} Checksummed addresses
+   */
+  static async listAccounts(options) {
+    const signer = new RemoteSigner(options);
+    const accounts = await signer.request('eth_accounts', []);
+    return (accounts || []).map(address => getAddress(address));
+  }
+
+  // Send a JSON-RPC request to the external signer
+  async request(method, params) {
+    let response;
+    try {
+      response = await axios.post(
+        this.url,
+        { jsonrpc: '2.0', id: ++this.requestId, method, params },
+        {
+          timeout: this.timeoutMs,
+          headers: this.authToken ? { Authorization: `Bearer ${this.authToken}` } : {}
+        }
+      );
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 401 || status === 403) {
+        throw createWalletError(ErrorCodes.UNAUTHORIZED, `Remote signer rejected credentials for ${method}`, { url: this.url, method });
+      }
+      throw createNetworkError(
+        ErrorCodes.NETWORK_ERROR,
+        `Remote signer request ${method} failed: ${error.message}`,
+        { url: this.url, method }
+      );
+    }
+
+    const { result, error } = response.data || {};
+    if (error) {
+      // Clef reports a denied request as an error response
+      throw createWalletError(
+        ErrorCodes.TRANSACTION_REJECTED,
+        `Remote signer refused ${method}: ${error.message}`,
+        { url: this.url, method, code: error.code }
+      );
+    }
+    return result;
+  }
+
+  connect(provider) {
+    return new RemoteSigner({
+      url: this.url,
+      address: this.address,
+      authToken: this.authToken,
+      timeoutMs: this.timeoutMs
+    }, provider);
+  }
+
+  async getAddress() {
+    if (!this.address) {
+      const [address] = await RemoteSigner.listAccounts(this);
+      if (!address) {
+        throw createWalletError(ErrorCodes.WALLET_NOT_CONNECTED, `Remote signer at ${this.url} has no accounts`);
+      }
+      this.address = address;
+    }
+    return this.address;
+  }
+
+  /**
+   * Sign a transaction with eth_signTransaction
+   * @param {Object} tx - Transaction request (populated from the provider when fields are missing)
+   * @returns {Promise<string>} Serialized signed transaction
+   */
+  async signTransaction(tx) {
+    const address = await this.getAddress();
+    const populated = this.provider ? await this.populateTransaction(tx) : { ...tx };
+    const rpcTx = toRpcTransaction({ ...populated, from: address });
+
+    defaultLogger.debug(`Requesting remote signature for transaction to ${rpcTx.to || 'contract creation'}`, { signer: this.url });
+    const result = await this.request('eth_signTransaction', [rpcTx]);
+    // web3signer returns the raw transaction, Clef returns { raw, tx }
+    const raw = typeof result === 'string' ? result : result?.raw;
+    if (!raw) {
+      throw createWalletError(ErrorCodes.TRANSACTION_REJECTED, 'Remote signer returned no signed transaction', { url: this.url });
+    }
+
+    const signed = Transaction.from(raw);
+    if (signed.from !== address) {
+      throw createWalletError(
+        ErrorCodes.TRANSACTION_REJECTED,
+        `Remote signer signed with ${signed.from} instead of ${address}`,
+        { url: this.url }
+      );
+    }
+    return signed.serialized;
+  }
+
+  async signMessage(message) {
+    const data = typeof message === 'string' ? toUtf8Bytes(message) : message;
+    return await this.request('eth_sign', [await this.getAddress(), hexlify(data)]);
+  }
+
+  async signTypedData(domain, types, value) {
+    const payload = TypedDataEncoder.getPayload(domain, types, value);
+    return await this.request('eth_signTypedData_v4', [await this.getAddress(), JSON.stringify(payload)]);
+  }
+}
+
+module.exports = {
+  RemoteSigner,
+  toRpcTransaction,
+};
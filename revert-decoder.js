@@ -0,0 +1,285 @@
+// revert-decoder.js - Revert reason and custom error decoding
+const {
+  AbiCoder,
+  dataSlice,
+  getAddress,
+  isAddress,
+  isHexString
+} = require('ethers');
+const { defaultLogger } = require('./logger');
+const { parseAbi, formatArgs } = require('./abi-utils');
+
+// Selectors of the errors built into Solidity
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+// Solidity panic codes (https://docs.soliditylang.org/en/latest/control-structures.html#panic-via-assert-and-error-via-require)
+const PANIC_CODES = {
+  0x00: 'Generic compiler inserted panic',
+  0x01: 'Assertion failed',
+  0x11: 'Arithmetic overflow or underflow',
+  0x12: 'Division or modulo by zero',
+  0x21: 'Invalid enum value',
+  0x22: 'Incorrectly encoded storage byte array',
+  0x31: 'pop() on an empty array',
+  0x32: 'Array index out of bounds',
+  0x41: 'Out of memory (allocation too large)',
+  0x51: 'Call to a zero-initialized internal function'
+};
+
+// Custom errors of widely used contracts, so reverts decode without a registered ABI
+const KNOWN_ERROR_ABIS = {
+  // OpenZeppelin v5 draft-IERC6093 token errors
+  ERC20: [
+    'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+    'error ERC20InvalidSender(address sender)',
+    'error ERC20InvalidReceiver(address receiver)',
+    'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+    'error ERC20InvalidApprover(address approver)',
+    'error ERC20InvalidSpender(address spender)'
+  ],
+  ERC721: [
+    'error ERC721InvalidOwner(address owner)',
+    'error ERC721NonexistentToken(uint256 tokenId)',
+    'error ERC721IncorrectOwner(address sender, uint256 tokenId, address owner)',
+    'error ERC721InvalidSender(address sender)',
+    'error ERC721InvalidReceiver(address receiver)',
+    'error ERC721InsufficientApproval(address operator, uint256 tokenId)',
+    'error ERC721InvalidApprover(address approver)',
+    'error ERC721InvalidOperator(address operator)'
+  ],
+  ERC1155: [
+    'error ERC1155InsufficientBalance(address sender, uint256 balance, uint256 needed, uint256 tokenId)',
+    'error ERC1155InvalidSender(address sender)',
+    'error ERC1155InvalidReceiver(address receiver)',
+    'error ERC1155MissingApprovalForAll(address operator, address owner)',
+    'error ERC1155InvalidApprover(address approver)',
+    'error ERC1155InvalidOperator(address operator)',
+    'error ERC1155InvalidArrayLength(uint256 idsLength, uint256 valuesLength)'
+  ],
+  // OpenZeppelin v5 access control and utilities (used by the contract templates)
+  OpenZeppelin: [
+    'error OwnableUnauthorizedAccount(address account)',
+    'error OwnableInvalidOwner(address owner)',
+    'error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)',
+    'error AccessControlBadConfirmation()',
+    'error ReentrancyGuardReentrantCall()',
+    'error EnforcedPause()',
+    'error ExpectedPause()',
+    'error SafeERC20FailedOperation(address token)',
+    'error SafeERC20FailedDecreaseAllowance(address spender, uint256 currentAllowance, uint256 requestedDecrease)',
+    'error AddressEmptyCode(address target)',
+    'error AddressInsufficientBalance(address account)',
+    'error FailedInnerCall()',
+    'error InsufficientBalance(uint256 balance, uint256 needed)',
+    'error FailedCall()',
+    'error ECDSAInvalidSignature()',
+    'error ECDSAInvalidSignatureLength(uint256 length)',
+    'error ECDSAInvalidSignatureS(bytes32 s)'
+  ],
+  // Uniswap Universal Router and Permit2
+  UniswapRouter: [
+    'error TransactionDeadlinePassed()',
+    'error ExecutionFailed(uint256 commandIndex, bytes message)',
+    'error InvalidCommandType(uint256 commandType)',
+    'error LengthMismatch()',
+    'error InsufficientToken()',
+    'error InsufficientETH()',
+    'error InvalidBips()',
+    'error V2TooLittleReceived()',
+    'error V2TooMuchRequested()',
+    'error V2InvalidPath()',
+    'error V3InvalidSwap()',
+    'error V3TooLittleReceived()',
+    'error V3TooMuchRequested()',
+    'error V3InvalidAmountOut()',
+    'error V3InvalidCaller()',
+    'error AllowanceExpired(uint256 deadline)',
+    'error InsufficientAllowance(uint256 amount)',
+    'error ExcessiveInvalidation()',
+    'error InvalidNonce()',
+    'error InvalidSignature()',
+    'error InvalidSigner()',
+    'error SignatureExpired(uint256 signatureDeadline)'
+  ]
+};
+
+/**
+ * Pull raw revert data out of an ethers or JSON-RPC error
+ * @param {Error} error - Error thrown by eth_call / eth_estimateGas
+ * @returns {string|null} Hex revert data, or null if the node returned none
+ */
+function extractRevertData(error) {
+  const candidates = [
+    error?.data,
+    error?.info?.error?.data,
+    error?.error?.data,
+    error?.info?.error?.data?.data,
+    error?.error?.error?.data
+  ];
+
+  for (const candidate of candidates) {
+    if (typeof candidate === 'string' && isHexString(candidate)) {
+      return candidate;
+    }
+    if (candidate && typeof candidate.data === 'string' && isHexString(candidate.data)) {
+      return candidate.data;
+    }
+  }
+
+  return null;
+}
+
+class RevertDecoder {
+  constructor() {
+    // selector -> [{ fragment, source, address }]
+    this.errorsBySelector = new Map();
+
+    for (const [source, abi] of Object.entries(KNOWN_ERROR_ABIS)) {
+      this.registerAbi(abi, { name: source });
+    }
+  }
+
+  /**
+   * Register the custom errors of an ABI
+   * @param {Array|string} abi - ABI as JSON array, JSON string or human-readable fragments
+   * @param {Object} options - Registration options
+   * @param {string} options.address - Contract address the ABI belongs to (preferred when decoding its reverts)
+   * @param {string} options.name - Label reported as the error source
+   * @returns {number} Number of error fragments registered
+   */
+  registerAbi(abi, options = {}) {
+    const { address, name } = options;
+    const iface = parseAbi(abi);
+    const contractAddress = address && isAddress(address) ? getAddress(address) : null;
+    let count = 0;
+
+    for (const fragment of iface.fragments) {
+      if (fragment.type !== 'error') {
+        continue;
+      }
+
+      const entries = this.errorsBySelector.get(fragment.selector) || [];
+      const signature = fragment.format('sighash');
+      const existing = entries.find(entry => entry.fragment.format('sighash') === signature && entry.address === contractAddress);
+      if (!existing) {
+        entries.push({ fragment, source: name || contractAddress || 'custom', address: contractAddress });
+        this.errorsBySelector.set(fragment.selector, entries);
+      }
+      count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Decode revert data into a readable reason
+   * @param {string} data - Hex revert data
+   * @param {Object} options - Decoding options
+   * @param {string} options.to - Address of the called contract, used to prefer its registered ABI
+   * @returns {Object} Decoded revert: type ('Error' | 'Panic' | 'CustomError' | 'Unknown' | 'Empty'), reason, and details
+   */
+  decode(data, options = {}) {
+    if (!data || data === '0x') {
+      return {
+        type: 'Empty',
+        reason: 'Reverted without a reason'
+      };
+    }
+
+    const selector = data.slice(0, 10).toLowerCase();
+    const coder = AbiCoder.defaultAbiCoder();
+
+    try {
+      if (selector === ERROR_STRING_SELECTOR) {
+        const [message] = coder.decode(['string'], dataSlice(data, 4));
+        return {
+          type: 'Error',
+          selector,
+          signature: 'Error(string)',
+          reason: message
+        };
+      }
+
+      if (selector === PANIC_SELECTOR) {
+        const [code] = coder.decode(['uint256'], dataSlice(data, 4));
+        const description = PANIC_CODES[Number(code)] || 'Unknown panic code';
+        return {
+          type: 'Panic',
+          selector,
+          signature: 'Panic(uint256)',
+          panicCode: `0x${code.toString(16).padStart(2, '0')}`,
+          reason: `Panic: ${description}`
+        };
+      }
+    } catch (error) {
+      defaultLogger.debug(`Failed to decode builtin revert: ${error.message}`);
+    }
+
+    const entries = this.errorsBySelector.get(selector) || [];
+    const target = options.to && isAddress(options.to) ? getAddress(options.to) : null;
+    // Prefer errors registered for the called contract, then global ones
+    const ordered = [
+      ...entries.filter(entry => target && entry.address === target),
+      ...entries.filter(entry => !entry.address),
+      ...entries.filter(entry => entry.address && entry.address !== target)
+    ];
+
+    for (const { fragment, source } of ordered) {
+      try {
+        const values = coder.decode(fragment.inputs, dataSlice(data, 4));
+        const args = formatArgs(fragment.inputs, values);
+        const argList = Object.entries(args).map(([key, value]) => `${key}=${JSON.stringify(value)}`).join(', ');
+        return {
+          type: 'CustomError',
+          selector,
+          name: fragment.name,
+          signature: fragment.format('sighash'),
+          source,
+          args,
+          reason: `${fragment.name}(${argList})`
+        };
+      } catch (error) {
+        // Selector collision with a different parameter layout; try the next candidate
+      }
+    }
+
+    return {
+      type: 'Unknown',
+      selector,
+      data,
+      reason: `Unknown custom error ${selector}; register the contract ABI to decode it`
+    };
+  }
+
+  /**
+   * Decode the revert carried by an ethers / JSON-RPC error
+   * @param {Error} error - Error thrown by eth_call / eth_estimateGas
+   * @param {Object} options - Decoding options (see decode)
+   * @returns {Object|null} Decoded revert, or null if the error carries no revert information
+   */
+  decodeError(error, options = {}) {
+    const data = extractRevertData(error);
+    if (data) {
+      return this.decode(data, options);
+    }
+
+    // Some nodes only return the reason inside the message
+    const message = error?.info?.error?.message || error?.error?.message || error?.shortMessage || error?.message || '';
+    const match = /execution reverted(?::\s*(.+))?/i.exec(message);
+    if (match) {
+      return match[1]
+        ? { type: 'Error', signature: 'Error(string)', reason: match[1].trim() }
+        : { type: 'Empty', reason: 'Reverted without a reason' };
+    }
+
+    return null;
+  }
+}
+
+module.exports = {
+  RevertDecoder,
+  extractRevertData,
+  PANIC_CODES,
+  KNOWN_ERROR_ABIS,
+};
@@ -0,0 +1,234 @@
+// signing-pipeline.js - Checks applied to every transaction before it reaches a signer
+const { AsyncLocalStorage } = require('async_hooks');
+const { AbstractSigner, Transaction, resolveAddress } = require('ethers');
+const { NonceManager } = require('./nonce-manager');
+const { defaultLogger } = require('./logger');
+
+// Wraps the tool call account's signer so every transaction runs through the pipeline first
+class GuardedSigner extends AbstractSigner {
+  constructor(signer, pipeline, network) {
+    super(pipeline.dryRun ? pipeline.dryRunProvider(signer.provider) : signer.provider);
+    this.signer = signer;
+    this.pipeline = pipeline;
+    this.network = network;
+  }
+
+  // Address of the wrapped wallet (ethers Wallet exposes it synchronously)
+  get address() {
+    return this.signer.address;
+  }
+
+  connect(provider) {
+    return new GuardedSigner(this.signer.connect(provider), this.pipeline, this.network);
+  }
+
+  async getAddress() {
+    return await this.signer.getAddress();
+  }
+
+  async signTransaction(tx) {
+    const populated = await this.signer.populateTransaction(await this.pipeline.prepare(tx, this));
+    await this.pipeline.check(populated, this.network);
+    let signed;
+    try {
+      signed = await this.signer.signTransaction(populated);
+    } catch (error) {
+      await this.pipeline.release(populated, this.network);
+      throw error;
+    }
+    await this.pipeline.signed({ ...populated, hash: Transaction.from(signed).hash }, this.network);
+    return signed;
+  }
+
+  // Sends from one account run one at a time with a nonce assigned by the nonce manager
+  async sendTransaction(tx) {
+    if (this.pipeline.dryRun) {
+      return await this.sendDryRun(tx);
+    }
+    const { nonces } = this.pipeline;
+    const address = await this.getAddress();
+    const prepared = await this.pipeline.prepare(tx, this);
+    // The stages run before the nonce lock is taken, so an approval a human takes minutes to answer
+    // does not hold up other sends from the account. Only an explicit nonce is known at this point
+    const checked = { ...await this.signer.populateTransaction(prepared), nonce: prepared.nonce ?? null };
+    await this.pipeline.check(checked, this.network);
+    return await nonces.runExclusive(this.network, address, this.provider, async (account) => {
+      const explicitNonce = prepared.nonce != null;
+      let populated;
+      let response;
+      try {
+        const nonce = explicitNonce ? prepared.nonce : await nonces.reserve(account);
+        populated = await this.signer.populateTransaction({ ...prepared, nonce });
+        response = await nonces.send(
+          account,
+          populated,
+          (request) => this.signer.sendTransaction(request),
+          { explicitNonce, tool: this.pipeline.getContext().tool }
+        );
+      } catch (error) {
+        await this.pipeline.release(checked, this.network);
+        throw error;
+      }
+      await this.pipeline.signed({ ...populated, hash: response.hash }, this.network);
+      // The tool call keeps its account until its handler returns, since a tool may send another
+      // transaction once this one is mined (a swap after its approval)
+      const { tracker } = this.pipeline;
+      return tracker ? tracker.watch(response, this.pipeline.getContext(), this.network) : response;
+    });
+  }
+
+  // Dry-run mode: check the transaction and hand it to the dry-run callback unsigned. Gas and fees are
+  // left to the simulation, since a transaction that depends on an earlier captured one (a swap after
+  // its approval) cannot be estimated against the chain
+  async sendDryRun(tx) {
+    const populated = {
+      ...tx,
+      from: await this.getAddress(),
+      to: tx.to != null ? await resolveAddress(tx.to, this.provider) : null
+    };
+    await this.pipeline.check(populated, this.network);
+    // Nothing is signed, so what the checks reserved (spends under the policy caps) is released
+    await this.pipeline.release(populated, this.network);
+    const context = this.pipeline.getContext();
+    const response = await this.pipeline.dryRun(populated, context, this.network);
+    (context.dryRunResponses ||= new Map()).set(response.hash, response);
+    return response;
+  }
+
+  async signMessage(message) {
+    return await this.signer.signMessage(message);
+  }
+
+  async signTypedData(domain, types, value) {
+    return await this.signer.signTypedData(domain, types, value);
+  }
+}
+
+class SigningPipeline {
+  /**
+   * @param {Object} options - Pipeline options
+   * @param {Function} options.getWallet - Returns the signer connected for a network (e.g. the tool call account's)
+   * @param {NonceManager} options.nonceManager - Shared nonce manager (a new one by default)
+   * @param {TransactionTracker} options.tracker - Optional tracker that records broadcast transactions
+   * @param {FeeStrategy} options.fees - Optional fee strategy filling in gas limits and fees
+   * @param {Function} options.dryRun - Optional async (tx, context, network) => stand-in response; when set,
+   *   transactions pass the stages and go to it instead of being signed
+   */
+  constructor(options = {}) {
+    this.getWallet = options.getWallet;
+    this.nonces = options.nonceManager || new NonceManager();
+    this.tracker = options.tracker || null;
+    this.fees = options.fees || null;
+    this.dryRun = options.dryRun || null;
+    // [{ name, check: async (tx, context, network) => void, signed, release }], run in order; a check throws to stop the transaction
+    this.stages = [];
+    // Tool call context ({ tool, args, account, mcpServer, extra, ... }) for the transactions a tool sends
+    this.storage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Add a check run before every transaction is signed
+   * @param {string} name - Stage name (used in logs)
+   * @param {Function} check - async (tx, context, network) => void; tx is null for tools that sign
+   *   outside the pipeline. context is the tool call context and may be annotated by checks
+   * @param {Function} signed - Optional async (tx, context, network) => void run after the transaction is signed
+   * @param {Function} release - Optional async (tx, context, network) => void run when a checked transaction
+   *   is not signed or broadcast (a later check, the signer or the broadcast failed)
+   */
+  use(name, check, signed, release) {
+    this.stages.push({ name, check, signed, release });
+  }
+
+  /**
+   * Run fn with a tool call context visible to the checks of every transaction it sends
+   * @param {Object} context - Tool call context
+   * @param {Function} fn - Async work to run
+   * @returns {Promise<*>} The result of fn
+   */
+  run(context, fn) {
+    return this.storage.run(context, fn);
+  }
+
+  getContext() {
+    return this.storage.getStore() || {};
+  }
+
+  // Signer for a network whose transactions go through the pipeline
+  getSigner(network) {
+    return new GuardedSigner(this.getWallet(network), this, network);
+  }
+
+  // Provider that answers receipt lookups for the tool call's dry-run stand-ins (contracts wait
+  // for their transactions through the provider rather than the response)
+  dryRunProvider(provider) {
+    if (!provider) {
+      return provider;
+    }
+    return new Proxy(provider, {
+      get: (target, property) => {
+        if (property === 'getTransactionReceipt') {
+          return async (hash) => {
+            const response = this.getContext().dryRunResponses?.get(hash);
+            return response ? await response.wait() : await target.getTransactionReceipt(hash);
+          };
+        }
+        const value = Reflect.get(target, property, target);
+        return typeof value === 'function' ? value.bind(target) : value;
+      }
+    });
+  }
+
+  // Fill in the gas limit and fees with the fee strategy (at the tool call's speed)
+  async prepare(tx, signer) {
+    if (!this.fees) {
+      return tx;
+    }
+    return await this.fees.apply(tx, signer.provider, {
+      from: await signer.getAddress(),
+      speed: this.getContext().speed
+    });
+  }
+
+  /**
+   * Run every stage for a transaction
+   * @param {Object|null} tx - Populated transaction, or null for a tool call that signs outside the pipeline
+   * @param {string} network - Network the transaction is sent on
+   */
+  async check(tx, network) {
+    const context = this.getContext();
+    try {
+      for (const { name, check } of this.stages) {
+        defaultLogger.debug(`Signing pipeline stage ${name}`, { tool: context.tool || null, network });
+        await check(tx, context, network);
+      }
+    } catch (error) {
+      await this.release(tx, network);
+      throw error;
+    }
+  }
+
+  // Run the release hooks of every stage for a transaction that was checked but will not be signed
+  async release(tx, network) {
+    const context = this.getContext();
+    for (const { release } of this.stages) {
+      if (release) {
+        await release(tx, context, network);
+      }
+    }
+  }
+
+  // Run the post-signing hooks of every stage
+  async signed(tx, network) {
+    const context = this.getContext();
+    for (const { signed } of this.stages) {
+      if (signed) {
+        await signed(tx, context, network);
+      }
+    }
+  }
+}
+
+module.exports = {
+  SigningPipeline,
+  GuardedSigner,
+};
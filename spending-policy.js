@@ -0,0 +1,420 @@
+// spending-policy.js - Declarative spending policy enforced before transactions are signed
+const fs = require('fs');
+const path = require('path');
+const { Contract, formatUnits, getAddress, isAddress, parseUnits } = require('ethers');
+const { ErrorCodes, createTransactionError } = require('./errors');
+const { defaultLogger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NATIVE = 'native';
+const NATIVE_SYMBOLS = ['POL', 'MATIC', 'NATIVE'];
+// Decoded call arguments that name where value goes (recipients, spenders and operators)
+const COUNTERPARTY_ARGS = ['to', 'recipient', 'spender', 'operator'];
+
+const DECIMALS_ABI = ['function decimals() view returns (uint8)'];
+
+const max = (a, b) => (a > b ? a : b);
+// Ledger key shared by every broadcast of one nonce (a transaction and its speed-ups or cancel)
+const nonceKeyOf = (network, from, nonce) => `${network}:${getAddress(from)}:${nonce}`;
+
+/*
+ * Policy file (JSON):
+ * {
+ *   "blockedTools": ["deploy-contract"],
+ *   "maxGasPriceGwei": 500,
+ *   "recipients": { "allow": ["0x..."], "deny": ["0x..."] },
+ *   "contracts": { "0xRouter": ["swapExactTokensForTokens", "approve(address,uint256)"], "*": ["transfer"] },
+ *   "limits": { "POL": { "perTransaction": "10", "perDay": "50" }, "USDC": { "perDay": "1000" } }
+ * }
+ */
+
+// Collect counterparty addresses from decoded call arguments (including struct arguments)
+function collectCounterparties(args, found = new Set()) {
+  for (const [name, value] of Object.entries(args || {})) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      collectCounterparties(value, found);
+    } else if (COUNTERPARTY_ARGS.includes(name) && typeof value === 'string' && isAddress(value)) {
+      found.add(getAddress(value));
+    }
+  }
+  return found;
+}
+
+class SpendingPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {Object} options.policy - Parsed policy (see the file format above)
+   * @param {string} options.stateFile - JSON file recording spends for the per-day caps
+   * @param {TransactionSimulator} options.simulator - Decodes calls, resolves token symbols and simulates balance changes
+   */
+  constructor(options = {}) {
+    this.policy = options.policy || {};
+    this.stateFile = options.stateFile || null;
+    this.simulator = options.simulator || null;
+    this.decimals = new Map([[NATIVE, 18]]);
+    // [{ token, amount, at, nonceKey, hash, reserved }] spends of the last 24 hours. nonceKey ("network:from:nonce")
+    // and hash are set for pipeline transactions, so the broadcasts of a nonce count once until one is mined;
+    // reserved marks spends of transactions checked but not signed yet (never saved)
+    this.ledger = this.loadLedger();
+    // Checks of the caps and the reservations they make run one at a time
+    this.queue = Promise.resolve();
+    this.normalize();
+  }
+
+  /**
+   * Load a policy file
+   * @param {string} file - Policy JSON file
+   * @param {Object} options - Other constructor options; the spend ledger defaults to <file>.state.json
+   * @returns {SpendingPolicy}
+   */
+  static fromFile(file, options = {}) {
+    let policy;
+    try {
+      policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw createTransactionError(ErrorCodes.INVALID_PARAMETERS, `Could not load spending policy ${file}: ${error.message}`);
+    }
+    const stateFile = options.stateFile || path.join(path.dirname(file), `${path.basename(file, '.json')}.state.json`);
+    defaultLogger.info(`Spending policy loaded from ${file}`);
+    return new SpendingPolicy({ ...options, policy, stateFile });
+  }
+
+  // Resolve addresses and token symbols in the policy once
+  normalize() {
+    const { recipients = {}, contracts, limits = {} } = this.policy;
+    this.allow = recipients.allow ? new Set(recipients.allow.map(address => getAddress(address))) : null;
+    this.deny = new Set((recipients.deny || []).map(address => getAddress(address)));
+    this.blockedTools = new Set(this.policy.blockedTools || []);
+    this.maxGasPrice = this.policy.maxGasPriceGwei != null
+      ? parseUnits(String(this.policy.maxGasPriceGwei), 'gwei')
+      : null;
+
+    this.contracts = null;
+    if (contracts) {
+      this.contracts = new Map();
+      for (const [contract, methods] of Object.entries(contracts)) {
+        this.contracts.set(contract === '*' ? '*' : this.resolveToken(contract), methods);
+      }
+    }
+
+    // token key (native or address) -> { label, perTransaction, perDay } with amounts as decimal strings
+    this.limits = new Map();
+    for (const [token, limit] of Object.entries(limits)) {
+      this.limits.set(this.resolveToken(token), { label: token, ...limit });
+    }
+  }
+
+  resolveToken(token) {
+    if (NATIVE_SYMBOLS.includes(token.toUpperCase())) {
+      return NATIVE;
+    }
+    if (isAddress(token)) {
+      return getAddress(token);
+    }
+    if (!this.simulator) {
+      throw createTransactionError(ErrorCodes.INVALID_PARAMETERS, `Unknown token in spending policy: ${token}`);
+    }
+    return getAddress(this.simulator.resolveTokenAddress(token));
+  }
+
+  loadLedger() {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) {
+      return [];
+    }
+    try {
+      return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    } catch (error) {
+      defaultLogger.warn(`Could not read spending ledger ${this.stateFile}: ${error.message}`);
+      return [];
+    }
+  }
+
+  saveLedger() {
+    if (this.stateFile) {
+      fs.writeFileSync(this.stateFile, JSON.stringify(this.ledger.filter(entry => !entry.reserved), null, 2));
+    }
+  }
+
+  // Run fn once the previous cap check has finished
+  runExclusive(fn) {
+    const run = this.queue.then(fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // Spends (and reservations) of a token over the last 24 hours, leaving out those of one nonce. The
+  // broadcasts of a nonce count once, at the largest spend, since only one of them can be mined
+  spentToday(token, except = null) {
+    const since = Date.now() - DAY_MS;
+    this.ledger = this.ledger.filter(entry => entry.at > since);
+    let total = 0n;
+    const byNonce = new Map();
+    for (const entry of this.ledger) {
+      if (entry.token !== token || (except && entry.nonceKey === except)) {
+        continue;
+      }
+      if (entry.nonceKey) {
+        byNonce.set(entry.nonceKey, max(byNonce.get(entry.nonceKey) ?? 0n, BigInt(entry.amount)));
+      } else {
+        total += BigInt(entry.amount);
+      }
+    }
+    return [...byNonce.values()].reduce((sum, amount) => sum + amount, total);
+  }
+
+  // Largest spend of a token among the broadcasts of one nonce
+  heldFor(token, nonceKey) {
+    return this.ledger
+      .filter(entry => entry.token === token && entry.nonceKey === nonceKey)
+      .reduce((held, entry) => max(held, BigInt(entry.amount)), 0n);
+  }
+
+  // Decimals of a limited token; a token that does not report them cannot be checked against its caps
+  async getDecimals(token) {
+    if (!this.decimals.has(token)) {
+      const contract = new Contract(token, DECIMALS_ABI, this.simulator.provider);
+      try {
+        this.decimals.set(token, Number(await contract.decimals()));
+      } catch (error) {
+        throw createTransactionError(
+          ErrorCodes.CONTRACT_ERROR,
+          `Token ${token} does not report its decimals, so it cannot be checked against the spending policy: ${error.message}`,
+          { token }
+        );
+      }
+    }
+    return this.decimals.get(token);
+  }
+
+  violation(rule, message, details = {}) {
+    defaultLogger.warn(`Spending policy rule ${rule} blocked a transaction: ${message}`);
+    return createTransactionError(
+      ErrorCodes.UNAUTHORIZED,
+      `Blocked by spending policy rule "${rule}": ${message}`,
+      { rule, ...details }
+    );
+  }
+
+  /**
+   * Amounts a transaction takes out of the sender's balance, per token. Direct transfers come from the
+   * calldata; indirect ones (router pulls, wraps) from the simulated balance changes.
+   * @param {Object} tx - Populated transaction
+   * @param {Object} call - Decoded call (FunctionDecoder.decode)
+   * @returns {Promise<Map>} token key (native or address) -> amount in base units
+   */
+  async computeSpends(tx, call) {
+    const spends = new Map();
+    const add = (token, amount) => {
+      if (amount > 0n && amount > (spends.get(token) || 0n)) {
+        spends.set(token, amount);
+      }
+    };
+
+    add(NATIVE, BigInt(tx.value || 0));
+    const sender = getAddress(tx.from);
+    if (tx.to && call?.args) {
+      if (call.name === 'transfer' && call.args.amount != null) {
+        add(getAddress(tx.to), BigInt(call.args.amount));
+      } else if (call.name === 'transferFrom' && call.args.amount != null && getAddress(call.args.from) === sender) {
+        add(getAddress(tx.to), BigInt(call.args.amount));
+      }
+    }
+
+    if (this.limits.size > 0 && this.simulator) {
+      const simulation = await this.simulator.simulateTransaction({ from: tx.from, to: tx.to, data: tx.data, value: tx.value });
+      const account = simulation.balanceChanges?.accounts.find(entry => entry.isSender);
+      if (account?.native && BigInt(account.native.net) < 0n) {
+        add(NATIVE, -BigInt(account.native.net));
+      }
+      for (const token of account?.tokens || []) {
+        if (token.standard === 'ERC20' && BigInt(token.net) < 0n) {
+          add(getAddress(token.token), -BigInt(token.net));
+        }
+      }
+    }
+    return spends;
+  }
+
+  /**
+   * Amount a tool that signs outside the pipeline (the maticjs bridge) declares it spends
+   * @param {Object} spend - { token: symbol or address (omitted for the native token), amount: decimal string }
+   * @returns {Promise<Map>} token key (native or address) -> amount in base units
+   */
+  async computeDeclaredSpends(spend) {
+    const spends = new Map();
+    if (spend && this.limits.size > 0) {
+      const token = spend.token ? this.resolveToken(spend.token) : NATIVE;
+      spends.set(token, parseUnits(String(spend.amount), await this.getDecimals(token)));
+    }
+    return spends;
+  }
+
+  /**
+   * Signing pipeline stage: throw an UNAUTHORIZED error naming the rule a transaction breaks
+   * @param {Object|null} tx - Populated transaction, or null for tools that sign outside the pipeline
+   *   (checked against the spend in context.spend)
+   * @param {Object} context - Tool call context
+   * @param {string} network - Network the transaction is sent on
+   */
+  async check(tx, context, network = 'polygon') {
+    if (context.tool && this.blockedTools.has(context.tool)) {
+      throw this.violation('blockedTools', `${context.tool} is blocked`, { tool: context.tool });
+    }
+    if (!tx) {
+      // Their transactions are never seen, so a contract allowlist cannot be applied to them
+      if (this.contracts) {
+        throw this.violation('contracts', `${context.tool} signs outside the signing pipeline and cannot be checked`, { tool: context.tool });
+      }
+      await this.checkLimits(await this.computeDeclaredSpends(context.spend), context);
+      return;
+    }
+
+    const feePerGas = tx.maxFeePerGas ?? tx.gasPrice;
+    if (this.maxGasPrice !== null && feePerGas != null && BigInt(feePerGas) > this.maxGasPrice) {
+      throw this.violation(
+        'maxGasPriceGwei',
+        `gas price ${formatUnits(feePerGas, 'gwei')} gwei exceeds ${this.policy.maxGasPriceGwei} gwei`
+      );
+    }
+
+    const hasCalldata = tx.data && tx.data !== '0x';
+    const call = hasCalldata && this.simulator ? this.simulator.functionDecoder.decode(tx.data, { to: tx.to }) : null;
+
+    if (this.contracts && hasCalldata && tx.to) {
+      const to = getAddress(tx.to);
+      const methods = this.contracts.get(to) || this.contracts.get('*') || [];
+      const selector = tx.data.slice(0, 10).toLowerCase();
+      const allowed = methods.some(method => [call?.name, call?.signature, selector].includes(method));
+      if (!allowed) {
+        throw this.violation('contracts', `${call?.signature || selector} on ${to} is not allowlisted`, { contract: to, selector });
+      }
+    }
+
+    const counterparties = collectCounterparties(call?.args);
+    if (tx.to && !hasCalldata) {
+      counterparties.add(getAddress(tx.to));
+    }
+    counterparties.delete(getAddress(tx.from));
+    for (const address of counterparties) {
+      if (this.deny.has(address)) {
+        throw this.violation('recipients.deny', `${address} is denylisted`, { recipient: address });
+      }
+      if (this.allow && !this.allow.has(address)) {
+        throw this.violation('recipients.allow', `${address} is not allowlisted`, { recipient: address });
+      }
+    }
+
+    // Only replacements (speed-up or cancel) have their nonce before they are signed
+    const nonceKey = tx.nonce != null ? nonceKeyOf(network, tx.from, tx.nonce) : null;
+    await this.checkLimits(await this.computeSpends(tx, call), context, nonceKey);
+  }
+
+  // Check spends against the per-transaction and daily caps and reserve them in the ledger. Checks run
+  // one at a time, so two tool calls cannot both fit under a cap that only has room for one; the
+  // reservation is kept once the transaction is signed and dropped when it is not (release)
+  async checkLimits(spends, context, nonceKey = null) {
+    await this.runExclusive(async () => {
+      const entries = [];
+      for (const [token, amount] of spends) {
+        const limit = this.limits.get(token);
+        if (!limit) {
+          continue;
+        }
+        const decimals = await this.getDecimals(token);
+        if (limit.perTransaction != null && amount > parseUnits(String(limit.perTransaction), decimals)) {
+          throw this.violation(
+            `limits.${limit.label}.perTransaction`,
+            `${formatUnits(amount, decimals)} ${limit.label} exceeds the per-transaction cap of ${limit.perTransaction}`,
+            { token, amount: amount.toString() }
+          );
+        }
+        // A replacement only adds what it spends beyond the largest broadcast of its nonce
+        const spent = this.spentToday(token, nonceKey);
+        const total = spent + max(amount, nonceKey ? this.heldFor(token, nonceKey) : 0n);
+        if (limit.perDay != null && total > parseUnits(String(limit.perDay), decimals)) {
+          throw this.violation(
+            `limits.${limit.label}.perDay`,
+            `${formatUnits(total, decimals)} ${limit.label} in 24 hours would exceed the daily cap of ${limit.perDay}`,
+            { token, amount: amount.toString(), spentToday: spent.toString() }
+          );
+        }
+        entries.push({ token, amount: amount.toString(), at: Date.now(), reserved: true, ...(nonceKey ? { nonceKey } : {}) });
+      }
+      this.ledger.push(...entries);
+      context.policyReservation = { entries };
+    });
+  }
+
+  // Signing pipeline hook: keep the reserved spends of a signed transaction against the daily caps,
+  // under its nonce and hash so the broadcasts of the nonce can be settled once one is mined
+  signed(tx, context, network = 'polygon') {
+    const reservation = context.policyReservation;
+    context.policyReservation = null;
+    if (!reservation || reservation.entries.length === 0) {
+      return;
+    }
+    for (const entry of reservation.entries) {
+      delete entry.reserved;
+      if (tx?.nonce != null) {
+        entry.nonceKey = nonceKeyOf(network, tx.from, tx.nonce);
+      }
+      if (tx?.hash) {
+        entry.hash = tx.hash;
+      }
+    }
+    this.saveLedger();
+  }
+
+  /**
+   * Tracker hook: a transaction took one of our nonces. The spends of the other broadcasts of that
+   * nonce (the original of a mined speed-up or cancel, or the replacement of a mined original) are dropped
+   * @param {Object} mined - { hash (null when a transaction sent elsewhere used the nonce), network, from, nonce }
+   */
+  settle({ hash, network, from, nonce }) {
+    const nonceKey = nonceKeyOf(network, from, nonce);
+    const ledger = this.ledger.filter(entry =>
+      entry.nonceKey !== nonceKey || entry.reserved || !entry.hash || entry.hash === hash);
+    if (ledger.length !== this.ledger.length) {
+      this.ledger = ledger;
+      this.saveLedger();
+    }
+  }
+
+  // Signing pipeline hook: drop the reserved spends of a transaction that was not signed or broadcast
+  release(tx, context) {
+    const reservation = context.policyReservation;
+    context.policyReservation = null;
+    if (reservation) {
+      this.ledger = this.ledger.filter(entry => !reservation.entries.includes(entry));
+    }
+  }
+
+  /**
+   * Describe the policy and the spends counted against the daily caps
+   * @returns {Promise<Object>}
+   */
+  async describe() {
+    const limits = [];
+    for (const [token, limit] of this.limits) {
+      const decimals = await this.getDecimals(token);
+      limits.push({
+        token: limit.label,
+        address: token === NATIVE ? null : token,
+        perTransaction: limit.perTransaction ?? null,
+        perDay: limit.perDay ?? null,
+        spentLast24h: formatUnits(this.spentToday(token), decimals)
+      });
+    }
+    return {
+      blockedTools: [...this.blockedTools],
+      maxGasPriceGwei: this.policy.maxGasPriceGwei ?? null,
+      recipients: { allow: this.allow ? [...this.allow] : null, deny: [...this.deny] },
+      contracts: this.contracts ? Object.fromEntries(this.contracts) : null,
+      limits
+    };
+  }
+}
+
+module.exports = {
+  SpendingPolicy,
+};
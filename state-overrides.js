@@ -0,0 +1,211 @@
+// state-overrides.js - eth_call state overrides and ERC20 balance slot helpers
+const {
+  Contract,
+  AbiCoder,
+  getAddress,
+  isAddress,
+  isHexString,
+  keccak256,
+  toQuantity,
+  toBeHex,
+  parseUnits
+} = require('ethers');
+const { ErrorCodes, createSimulationError } = require('./errors');
+const { defaultLogger } = require('./logger');
+
+const BALANCE_OF_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function decimals() view returns (uint8)'
+];
+
+// Plain mapping slots tried when locating the balances mapping (covers OpenZeppelin, solmate and most forks)
+const MAX_PROBED_SLOT = 20;
+
+// OpenZeppelin v5 upgradeable ERC20 namespaced storage (ERC-7201 "openzeppelin.storage.ERC20"); _balances is its first field
+const OZ_ERC20_STORAGE_SLOT = '0x52c63247e1f47db19d5ce0460030c497f067ca4cebf71ba98eeadabe20bace00';
+
+// Value written while probing; unlikely to be anyone's real balance
+const PROBE_VALUE = 0x1337c0de1337c0den;
+
+// Storage slot of mapping[key] for a mapping declared at `slot` (Solidity: keccak256(key . slot), Vyper: keccak256(slot . key))
+function mappingSlot(key, slot, layout = 'solidity') {
+  const coder = AbiCoder.defaultAbiCoder();
+  const encoded = layout === 'vyper'
+    ? coder.encode(['uint256', 'address'], [slot, key])
+    : coder.encode(['address', 'uint256'], [key, slot]);
+  return keccak256(encoded);
+}
+
+// Format a quantity (number, bigint, decimal or hex string) as an RPC quantity
+function toRpcQuantity(value, field, address) {
+  try {
+    return toQuantity(typeof value === 'string' && !isHexString(value) ? BigInt(value) : value);
+  } catch (error) {
+    throw createSimulationError(
+      ErrorCodes.INVALID_PARAMETERS,
+      `Invalid ${field} override for ${address}: ${value}`,
+      { address, field }
+    );
+  }
+}
+
+// Format a storage slot or value (hex or decimal) as a 32-byte word
+function toStorageWord(value, field, address) {
+  try {
+    return toBeHex(BigInt(value), 32);
+  } catch (error) {
+    throw createSimulationError(
+      ErrorCodes.INVALID_PARAMETERS,
+      `Invalid ${field} in state override for ${address}: ${value}`,
+      { address, field }
+    );
+  }
+}
+
+/**
+ * Validate state overrides and convert them to the RPC format used by eth_call / eth_estimateGas
+ * @param {Object} overrides - address -> { balance, nonce, code, state, stateDiff }; balance and nonce accept
+ *   decimal strings, numbers or hex, storage slots and values accept hex or decimal
+ * @returns {Object|undefined} RPC state overrides keyed by checksummed address, undefined when empty
+ */
+function normalizeStateOverrides(overrides) {
+  if (!overrides || Object.keys(overrides).length === 0) {
+    return undefined;
+  }
+
+  const normalized = {};
+  for (const [address, override] of Object.entries(overrides)) {
+    if (!isAddress(address)) {
+      throw createSimulationError(ErrorCodes.INVALID_ADDRESS, `Invalid address in state overrides: ${address}`);
+    }
+    if (override.state && override.stateDiff) {
+      throw createSimulationError(
+        ErrorCodes.INVALID_PARAMETERS,
+        `State override for ${address} cannot set both state and stateDiff`,
+        { address }
+      );
+    }
+
+    const entry = {};
+    if (override.balance !== undefined) entry.balance = toRpcQuantity(override.balance, 'balance', address);
+    if (override.nonce !== undefined) entry.nonce = toRpcQuantity(override.nonce, 'nonce', address);
+    if (override.code !== undefined) {
+      if (!isHexString(override.code)) {
+        throw createSimulationError(ErrorCodes.INVALID_PARAMETERS, `Code override for ${address} must be hex`, { address });
+      }
+      entry.code = override.code;
+    }
+    for (const field of ['state', 'stateDiff']) {
+      if (override[field]) {
+        entry[field] = {};
+        for (const [slot, value] of Object.entries(override[field])) {
+          entry[field][toStorageWord(slot, 'slot', address)] = toStorageWord(value, 'storage value', address);
+        }
+      }
+    }
+
+    normalized[getAddress(address)] = entry;
+  }
+  return normalized;
+}
+
+class StateOverrideHelper {
+  /**
+   * @param {JsonRpcProvider} provider - Provider used to probe token storage
+   */
+  constructor(provider) {
+    this.provider = provider;
+    // token address -> { slot, layout } of its balances mapping
+    this.balanceSlots = new Map();
+  }
+
+  /**
+   * Locate the storage slot of a token's balances mapping by overriding candidate slots
+   * and checking which one balanceOf reads back
+   * @param {string} token - ERC20 token address
+   * @returns {Promise<Object>} { slot, layout } where slot is the mapping's declaration slot
+   */
+  async findBalanceSlot(token) {
+    const tokenAddress = getAddress(token);
+    if (this.balanceSlots.has(tokenAddress)) {
+      return this.balanceSlots.get(tokenAddress);
+    }
+
+    // The probe overwrites the holder's slot, so any holder works
+    const holder = '0x000000000000000000000000000000000000dEaD';
+    const contract = new Contract(tokenAddress, BALANCE_OF_ABI, this.provider);
+    const data = contract.interface.encodeFunctionData('balanceOf', [holder]);
+    const probeWord = toBeHex(PROBE_VALUE, 32);
+
+    const candidates = [{ slot: OZ_ERC20_STORAGE_SLOT, layout: 'solidity' }];
+    for (let slot = 0; slot <= MAX_PROBED_SLOT; slot++) {
+      candidates.push({ slot: toQuantity(slot), layout: 'solidity' }, { slot: toQuantity(slot), layout: 'vyper' });
+    }
+
+    for (const candidate of candidates) {
+      const storageSlot = mappingSlot(holder, candidate.slot, candidate.layout);
+      try {
+        const result = await this.provider.send('eth_call', [
+          { to: tokenAddress, data },
+          'latest',
+          { [tokenAddress]: { stateDiff: { [storageSlot]: probeWord } } }
+        ]);
+        if (BigInt(result) === PROBE_VALUE) {
+          this.balanceSlots.set(tokenAddress, candidate);
+          defaultLogger.debug(`Found balances mapping of ${tokenAddress} at slot ${candidate.slot} (${candidate.layout})`);
+          return candidate;
+        }
+      } catch (error) {
+        // Nodes without state override support fail every probe the same way
+        throw createSimulationError(
+          ErrorCodes.SIMULATION_FAILED,
+          `State overrides not supported by RPC node: ${error.message}`,
+          { token: tokenAddress }
+        );
+      }
+    }
+
+    throw createSimulationError(
+      ErrorCodes.SIMULATION_FAILED,
+      `Could not locate the balances mapping of token ${tokenAddress}`,
+      { token: tokenAddress }
+    );
+  }
+
+  /**
+   * Build the override making `holder` hold `amount` of an ERC20 token
+   * @param {string} token - ERC20 token address
+   * @param {string} holder - Account to credit
+   * @param {string} amount - Amount in token units (e.g. "1000" for 1000 USDC)
+   * @returns {Promise<Object>} State override for the token contract
+   */
+  async erc20BalanceOverride(token, holder, amount) {
+    if (!isAddress(holder)) {
+      throw createSimulationError(ErrorCodes.INVALID_ADDRESS, `Invalid holder address: ${holder}`);
+    }
+    const tokenAddress = getAddress(token);
+    const contract = new Contract(tokenAddress, BALANCE_OF_ABI, this.provider);
+    const decimals = await contract.decimals().catch(() => {
+      throw createSimulationError(
+        ErrorCodes.CONTRACT_ERROR,
+        `Token ${tokenAddress} does not report its decimals, so ${amount} cannot be converted to a balance`,
+        { token: tokenAddress }
+      );
+    });
+    const { slot, layout } = await this.findBalanceSlot(tokenAddress);
+
+    return {
+      [tokenAddress]: {
+        stateDiff: {
+          [mappingSlot(getAddress(holder), slot, layout)]: toBeHex(parseUnits(String(amount), decimals), 32)
+        }
+      }
+    };
+  }
+}
+
+module.exports = {
+  StateOverrideHelper,
+  normalizeStateOverrides,
+  mappingSlot,
+};
@@ -0,0 +1,255 @@
+// token-discovery.js - Finds the ERC20, ERC721 and ERC1155 tokens an address has received from its Transfer logs
+const fs = require('fs');
+const { Interface, getAddress, id, zeroPadValue, formatUnits } = require('ethers');
+const { defaultLogger } = require('./logger');
+
+const DEFAULT_CHECKPOINT_FILE = './token-discovery.json';
+// Blocks per eth_getLogs request (halved when a node rejects the range, grown back after successes)
+const DEFAULT_CHUNK_SIZE = 10000;
+// Blocks and time spent scanning per discovery call, so the client is answered before it times
+// out; later calls resume from the checkpoint
+const DEFAULT_MAX_BLOCKS = 200000;
+const DEFAULT_MAX_SCAN_MS = 15000;
+// The checkpoint file is written at most this often during a scan, and once when it stops
+const CHECKPOINT_SAVE_INTERVAL_MS = 5000;
+
+// ERC20 and ERC721 share the Transfer event; ERC721 indexes the token ID as a fourth topic
+const TRANSFER_TOPIC = id('Transfer(address,address,uint256)');
+const TRANSFER_SINGLE_TOPIC = id('TransferSingle(address,address,address,uint256,uint256)');
+const TRANSFER_BATCH_TOPIC = id('TransferBatch(address,address,address,uint256[],uint256[])');
+
+const erc1155EventInterface = new Interface([
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)'
+]);
+const erc721Interface = new Interface([
+  'function ownerOf(uint256 tokenId) view returns (address)'
+]);
+
+class TokenDiscovery {
+  /**
+   * @param {Object} options - Discovery options
+   * @param {Provider} options.provider - Provider of the network
+   * @param {Multicall} options.multicall - Batches the balance and metadata reads
+   * @param {TokenRegistry} options.tokens - Token registry (ERC20 metadata)
+   * @param {string} options.checkpointFile - JSON file the scan progress is kept in (false disables it)
+   * @param {number} options.startBlock - First block scanned for a new address (default 0)
+   * @param {number} options.chunkSize - Blocks per eth_getLogs request
+   * @param {number} options.maxBlocks - Blocks scanned per discovery call
+   * @param {number} options.maxScanMs - Time spent scanning per discovery call
+   */
+  constructor(options = {}) {
+    this.provider = options.provider;
+    this.multicall = options.multicall;
+    this.tokens = options.tokens;
+    this.checkpointFile = options.checkpointFile === false ? null : (options.checkpointFile || DEFAULT_CHECKPOINT_FILE);
+    this.startBlock = options.startBlock || 0;
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.maxBlocks = options.maxBlocks || DEFAULT_MAX_BLOCKS;
+    this.maxScanMs = options.maxScanMs || DEFAULT_MAX_SCAN_MS;
+    // "chainId:owner" -> { scannedTo, erc20: [address], erc721: { contract: [tokenId] }, erc1155: { contract: [tokenId] } }
+    this.checkpoints = this.loadCheckpoints();
+    // "chainId:owner" -> running scan, so concurrent calls share one scan
+    this.scans = new Map();
+  }
+
+  loadCheckpoints() {
+    if (!this.checkpointFile || !fs.existsSync(this.checkpointFile)) {
+      return {};
+    }
+    try {
+      return JSON.parse(fs.readFileSync(this.checkpointFile, 'utf8'));
+    } catch (error) {
+      defaultLogger.warn(`Could not read token discovery checkpoints ${this.checkpointFile}: ${error.message}`);
+      return {};
+    }
+  }
+
+  // A failed write is logged; the scan carries on from the checkpoints in memory
+  saveCheckpoints() {
+    if (!this.checkpointFile) {
+      return;
+    }
+    try {
+      fs.writeFileSync(this.checkpointFile, JSON.stringify(this.checkpoints, null, 2));
+    } catch (error) {
+      defaultLogger.warn(`Could not write token discovery checkpoints ${this.checkpointFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Scan the Transfer, TransferSingle and TransferBatch logs received by an address, resuming
+   * from its checkpoint, for at most maxBlocks blocks and maxScanMs milliseconds
+   * @param {string} owner - Address
+   * @param {Object} options - { fromBlock: first block when the address has no checkpoint yet }
+   * @returns {Promise<Object>} { fromBlock, scannedTo, latestBlock, complete }
+   */
+  async scan(owner, options = {}) {
+    const address = getAddress(owner);
+    const key = `${await this.tokens.getChainId()}:${address}`;
+    if (!this.scans.has(key)) {
+      this.scans.set(key, this.runScan(key, address, options).finally(() => this.scans.delete(key)));
+    }
+    return this.scans.get(key);
+  }
+
+  async runScan(key, owner, options) {
+    const checkpoint = this.checkpoints[key] ||= {
+      scannedTo: (options.fromBlock ?? this.startBlock) - 1,
+      erc20: [],
+      erc721: {},
+      erc1155: {}
+    };
+    const latestBlock = await this.provider.getBlockNumber();
+    const fromBlock = checkpoint.scannedTo + 1;
+    const lastBlock = Math.min(latestBlock, checkpoint.scannedTo + this.maxBlocks);
+    const ownerTopic = zeroPadValue(owner, 32);
+
+    const deadline = Date.now() + this.maxScanMs;
+    let savedAt = Date.now();
+    let chunkSize = this.chunkSize;
+    try {
+      while (checkpoint.scannedTo < lastBlock && Date.now() < deadline) {
+        const start = checkpoint.scannedTo + 1;
+        const end = Math.min(start + chunkSize - 1, lastBlock);
+        let logs;
+        try {
+          logs = [
+            ...await this.provider.getLogs({ fromBlock: start, toBlock: end, topics: [TRANSFER_TOPIC, null, ownerTopic] }),
+            ...await this.provider.getLogs({
+              fromBlock: start,
+              toBlock: end,
+              topics: [[TRANSFER_SINGLE_TOPIC, TRANSFER_BATCH_TOPIC], null, null, ownerTopic]
+            })
+          ];
+        } catch (error) {
+          // Nodes cap the block range or the number of results; retry the range in smaller chunks
+          if (chunkSize === 1) {
+            throw error;
+          }
+          chunkSize = Math.max(1, Math.floor(chunkSize / 2));
+          defaultLogger.debug(`eth_getLogs failed for blocks ${start}-${end} (${error.message}); retrying with ${chunkSize} blocks`);
+          continue;
+        }
+
+        for (const log of logs) {
+          this.record(checkpoint, log);
+        }
+        checkpoint.scannedTo = end;
+        if (Date.now() - savedAt >= CHECKPOINT_SAVE_INTERVAL_MS) {
+          this.saveCheckpoints();
+          savedAt = Date.now();
+        }
+        chunkSize = Math.min(this.chunkSize, chunkSize * 2);
+      }
+    } finally {
+      this.saveCheckpoints();
+    }
+
+    return { fromBlock, scannedTo: checkpoint.scannedTo, latestBlock, complete: checkpoint.scannedTo >= latestBlock };
+  }
+
+  // Add the token (and token IDs) a log transferred to the checkpoint
+  record(checkpoint, log) {
+    const contract = getAddress(log.address);
+    const add = (collection, tokenId) => {
+      const ids = collection[contract] ||= [];
+      if (!ids.includes(tokenId)) {
+        ids.push(tokenId);
+      }
+    };
+
+    if (log.topics[0] === TRANSFER_TOPIC) {
+      if (log.topics.length === 4) {
+        add(checkpoint.erc721, BigInt(log.topics[3]).toString());
+      } else if (!checkpoint.erc20.includes(contract)) {
+        checkpoint.erc20.push(contract);
+      }
+      return;
+    }
+    try {
+      const event = erc1155EventInterface.parseLog(log);
+      const ids = event.name === 'TransferSingle' ? [event.args.id] : [...event.args.ids];
+      ids.forEach(tokenId => add(checkpoint.erc1155, tokenId.toString()));
+    } catch (error) {
+      defaultLogger.debug(`Skipping undecodable ERC1155 log in ${log.transactionHash}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Every token an address has received, with its current non-zero balances and metadata
+   * @param {string} owner - Address
+   * @param {Object} options - { fromBlock: first block when the address has no checkpoint yet }
+   * @returns {Promise<Object>} { scan, erc20: [...], erc721: [...], erc1155: [...] }
+   */
+  async discover(owner, options = {}) {
+    const address = getAddress(owner);
+    const scan = await this.scan(address, options);
+    const checkpoint = this.checkpoints[`${await this.tokens.getChainId()}:${address}`];
+
+    // ERC20: balances in one batch, metadata from the token registry
+    const { balances } = await this.multicall.getBalances([address], checkpoint.erc20, { fields: [] });
+    const held = checkpoint.erc20.filter(token => balances.get(address).get(token) > 0n);
+    const metadata = await this.tokens.getMany(held);
+    const erc20 = held.map(token => {
+      const { symbol, name, decimals, verified, logoURI } = metadata.get(token);
+      return {
+        address: token,
+        symbol,
+        name,
+        decimals,
+        verified,
+        logoURI,
+        // Tokens that do not report their decimals only have a raw balance
+        balance: decimals === null ? null : formatUnits(balances.get(address).get(token), decimals),
+        rawBalance: balances.get(address).get(token).toString()
+      };
+    });
+
+    // NFTs: ownership of every received ID and the collection names in one batch
+    const erc721Calls = Object.entries(checkpoint.erc721).flatMap(([contract, tokenIds]) =>
+      tokenIds.map(tokenId => ({ target: contract, iface: erc721Interface, method: 'ownerOf', args: [tokenId], contract, tokenId })));
+    const owners = await this.multicall.aggregate(erc721Calls);
+    const ownedNfts = {};
+    erc721Calls.forEach((call, index) => {
+      if (owners[index].value && getAddress(owners[index].value) === address) {
+        (ownedNfts[call.contract] ||= []).push(call.tokenId);
+      }
+    });
+
+    const erc1155Holdings = {};
+    for (const [contract, tokenIds] of Object.entries(checkpoint.erc1155)) {
+      const amounts = await this.multicall.getERC1155Balances(contract, address, tokenIds);
+      tokenIds.forEach((tokenId, index) => {
+        if (amounts[index] > 0n) {
+          (erc1155Holdings[contract] ||= []).push({ tokenId, balance: amounts[index].toString() });
+        }
+      });
+    }
+
+    const collections = [...new Set([...Object.keys(ownedNfts), ...Object.keys(erc1155Holdings)])];
+    const { tokens: names } = await this.multicall.getBalances([], collections, { fields: ['name', 'symbol'] });
+
+    return {
+      scan,
+      erc20,
+      erc721: Object.entries(ownedNfts).map(([contract, tokenIds]) => ({
+        contract,
+        name: names.get(contract).name,
+        symbol: names.get(contract).symbol,
+        tokenIds
+      })),
+      erc1155: Object.entries(erc1155Holdings).map(([contract, tokens]) => ({
+        contract,
+        name: names.get(contract).name,
+        symbol: names.get(contract).symbol,
+        tokens
+      }))
+    };
+  }
+}
+
+module.exports = {
+  TokenDiscovery,
+  DEFAULT_CHECKPOINT_FILE,
+};
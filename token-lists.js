@@ -0,0 +1,154 @@
+// token-lists.js - Token lists (Uniswap Token List schema) merged with configured tokens for symbol resolution
+const fs = require('fs');
+const { getAddress, isAddress } = require('ethers');
+const { ErrorCodes, createTransactionError } = require('./errors');
+const { defaultLogger } = require('./logger');
+
+/**
+ * Load a token list file (https://tokenlists.org schema)
+ * @param {string} file - JSON file path
+ * @returns {Object} { name, version, tokens: [{ chainId, address, symbol, name, decimals, logoURI }] }
+ */
+function loadTokenList(file) {
+  let list;
+  try {
+    list = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw createTransactionError(ErrorCodes.INVALID_PARAMETERS, `Could not load token list ${file}: ${error.message}`);
+  }
+  if (!list || !Array.isArray(list.tokens)) {
+    throw createTransactionError(ErrorCodes.INVALID_PARAMETERS, `Token list ${file} has no tokens array`);
+  }
+
+  const tokens = [];
+  for (const token of list.tokens) {
+    if (!Number.isInteger(token.chainId) || !isAddress(token.address) || typeof token.symbol !== 'string' ||
+        !Number.isInteger(token.decimals)) {
+      defaultLogger.warn(`Skipping invalid token list entry in ${file}: ${JSON.stringify(token)}`);
+      continue;
+    }
+    tokens.push({
+      chainId: token.chainId,
+      address: getAddress(token.address),
+      symbol: token.symbol,
+      name: token.name || null,
+      decimals: token.decimals,
+      logoURI: token.logoURI || null
+    });
+  }
+  const version = list.version ? `${list.version.major}.${list.version.minor}.${list.version.patch}` : null;
+  return { name: list.name || file, version, tokens };
+}
+
+class TokenResolver {
+  /**
+   * @param {Object} options - Resolver options
+   * @param {number} options.chainId - Chain symbols are resolved on
+   * @param {Object} options.tokenAddresses - Configured symbol -> address map
+   * @param {Function} options.fallback - (token) => address for symbols found nowhere else
+   */
+  constructor(options = {}) {
+    this.chainId = options.chainId;
+    this.configured = new Map();
+    for (const [symbol, address] of Object.entries(options.tokenAddresses || {})) {
+      if (isAddress(address)) {
+        this.configured.set(symbol.toUpperCase(), getAddress(address));
+      }
+    }
+    this.fallback = options.fallback || null;
+    // chainId -> symbol (upper case) -> Map(address -> { address, symbol, name, list })
+    this.symbols = new Map();
+    // [{ name, version, file, tokens }] loaded lists (token counts only)
+    this.lists = [];
+  }
+
+  /**
+   * Add a token list's tokens to the symbol index
+   * @param {Object} list - Loaded list (see loadTokenList)
+   * @param {string} file - Source file (for reporting)
+   */
+  addList(list, file) {
+    for (const token of list.tokens) {
+      if (!this.symbols.has(token.chainId)) {
+        this.symbols.set(token.chainId, new Map());
+      }
+      const bySymbol = this.symbols.get(token.chainId);
+      const symbol = token.symbol.toUpperCase();
+      if (!bySymbol.has(symbol)) {
+        bySymbol.set(symbol, new Map());
+      }
+      bySymbol.get(symbol).set(token.address, { address: token.address, symbol: token.symbol, name: token.name, list: list.name });
+    }
+    this.lists.push({ name: list.name, version: list.version, file, tokens: list.tokens.length });
+    defaultLogger.info(`Token list ${list.name} loaded from ${file} (${list.tokens.length} tokens)`);
+  }
+
+  /**
+   * Tokens a symbol can mean on a chain: the configured token and every list token with that symbol
+   * @param {string} symbol - Token symbol
+   * @param {number} chainId - Chain ID (defaults to the server's chain)
+   * @returns {Array<Object>} [{ address, symbol, name, list }]
+   */
+  candidates(symbol, chainId = this.chainId) {
+    const wanted = symbol.toUpperCase();
+    const tokens = new Map(this.symbols.get(chainId)?.get(wanted) || []);
+    // Configured tokens only apply to the server's chain; a list entry for the same address is the same token
+    if (chainId === this.chainId && this.configured.has(wanted)) {
+      const address = this.configured.get(wanted);
+      tokens.set(address, tokens.get(address) || { address, symbol, name: null, list: 'configured' });
+    }
+    return [...tokens.values()];
+  }
+
+  /**
+   * Resolve a token symbol or address to an address on the server's chain
+   * @param {string} token - Symbol or address
+   * @returns {string} Checksummed address
+   */
+  resolve(token) {
+    if (isAddress(token)) {
+      return getAddress(token);
+    }
+    const candidates = this.candidates(token);
+    if (candidates.length === 1) {
+      return candidates[0].address;
+    }
+    if (candidates.length > 1) {
+      const options = candidates.map(candidate => `${candidate.address} (${candidate.name || candidate.symbol}, ${candidate.list})`);
+      throw createTransactionError(
+        ErrorCodes.INVALID_PARAMETERS,
+        `Token symbol ${token} is ambiguous on chain ${this.chainId}: ${options.join(', ')}. Pass the token address instead`,
+        { token, chainId: this.chainId, candidates }
+      );
+    }
+    if (this.fallback) {
+      return this.fallback(token);
+    }
+    throw createTransactionError(ErrorCodes.INVALID_PARAMETERS, `Unknown token: ${token}`, { token, chainId: this.chainId });
+  }
+
+  /**
+   * Symbols that map to more than one token on a chain (these only resolve by address)
+   * @param {number} chainId - Chain ID (defaults to the server's chain)
+   * @returns {Object} symbol -> candidates
+   */
+  ambiguousSymbols(chainId = this.chainId) {
+    const symbols = new Set(this.symbols.get(chainId)?.keys() || []);
+    if (chainId === this.chainId) {
+      this.configured.forEach((address, symbol) => symbols.add(symbol));
+    }
+    const ambiguous = {};
+    for (const symbol of symbols) {
+      const candidates = this.candidates(symbol, chainId);
+      if (candidates.length > 1) {
+        ambiguous[symbol] = candidates;
+      }
+    }
+    return ambiguous;
+  }
+}
+
+module.exports = {
+  TokenResolver,
+  loadTokenList,
+};
@@ -0,0 +1,245 @@
+// token-registry.js - Token metadata (name, symbol, decimals, logo) cached on disk
+const fs = require('fs');
+const { getAddress, isAddress } = require('ethers');
+const { ErrorCodes, createTransactionError } = require('./errors');
+const { defaultLogger } = require('./logger');
+
+const DEFAULT_REGISTRY_FILE = './token-registry.json';
+
+class TokenRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {Provider} options.provider - Provider of the network (its chain ID scopes the entries)
+   * @param {Multicall} options.multicall - Batches the metadata reads of unknown tokens
+   * @param {string} options.file - JSON cache file (false disables the cache)
+   */
+  constructor(options = {}) {
+    this.provider = options.provider;
+    this.multicall = options.multicall;
+    this.file = options.file === false ? null : (options.file || DEFAULT_REGISTRY_FILE);
+    this.chainId = null;
+    // "chainId:address" -> { address, chainId, name, symbol, decimals, logoURI, verified, source, fetchedAt, updatedAt }
+    this.entries = new Map();
+    // address -> symbol of tokens configured for this server (trusted on the server's chain)
+    this.configured = new Map();
+    this.load();
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) {
+      return;
+    }
+    try {
+      const { tokens = [] } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      for (const entry of tokens) {
+        this.entries.set(`${entry.chainId}:${entry.address}`, entry);
+      }
+    } catch (error) {
+      defaultLogger.warn(`Could not read token registry ${this.file}: ${error.message}`);
+    }
+  }
+
+  // A failed write (e.g. a read-only working directory) is logged; the registry keeps working in memory
+  save() {
+    if (!this.file) {
+      return;
+    }
+    try {
+      fs.writeFileSync(this.file, JSON.stringify({ tokens: [...this.entries.values()] }, null, 2));
+    } catch (error) {
+      defaultLogger.warn(`Could not write token registry ${this.file}: ${error.message}`);
+    }
+  }
+
+  async getChainId() {
+    if (this.chainId === null) {
+      this.chainId = Number((await this.provider.getNetwork()).chainId);
+    }
+    return this.chainId;
+  }
+
+  /**
+   * Mark the server's configured tokens (symbol -> address) as verified
+   * @param {Object} tokenAddresses - Symbol -> address map from the config
+   */
+  registerConfigured(tokenAddresses = {}) {
+    for (const [symbol, address] of Object.entries(tokenAddresses)) {
+      if (isAddress(address)) {
+        this.configured.set(getAddress(address), symbol);
+      }
+    }
+  }
+
+  /**
+   * Add or update tokens from a trusted source (e.g. a token list)
+   * @param {Array<Object>} tokens - [{ address, chainId, name, symbol, decimals, logoURI }]
+   * @param {Object} options - { verified, source }
+   */
+  register(tokens, options = {}) {
+    const updatedAt = new Date().toISOString();
+    for (const token of tokens) {
+      const address = getAddress(token.address);
+      const key = `${token.chainId}:${address}`;
+      const existing = this.entries.get(key) || {};
+      this.entries.set(key, {
+        ...existing,
+        address,
+        chainId: Number(token.chainId),
+        name: token.name ?? existing.name ?? null,
+        symbol: token.symbol ?? existing.symbol ?? null,
+        decimals: token.decimals ?? existing.decimals ?? null,
+        logoURI: token.logoURI ?? existing.logoURI ?? null,
+        verified: Boolean(options.verified || existing.verified),
+        source: options.source || existing.source || null,
+        updatedAt
+      });
+    }
+    this.save();
+  }
+
+  /**
+   * Metadata of several tokens on the server's chain; unknown tokens are read in one batch and cached
+   * @param {Array<string>} addresses - Token addresses
+   * @returns {Promise<Map>} address (checksummed) -> entry
+   */
+  async getMany(addresses) {
+    const chainId = await this.getChainId();
+    const wanted = [...new Set(addresses.map(address => getAddress(address)))];
+    // Tokens still lacking a symbol or decimals are read again, so a failed read is retried
+    const missing = wanted.filter(address => {
+      const entry = this.entries.get(`${chainId}:${address}`);
+      return !entry || entry.decimals === null || entry.symbol === null;
+    });
+
+    if (missing.length > 0) {
+      const { tokens } = await this.multicall.getBalances([], missing, { fields: ['decimals', 'symbol', 'name'] });
+      const updatedAt = new Date().toISOString();
+      let read = false;
+      for (const address of missing) {
+        const key = `${chainId}:${address}`;
+        const existing = this.entries.get(key) || {};
+        const onChain = tokens.get(address);
+        read ||= [onChain.name, onChain.symbol, onChain.decimals].some(value => value !== null);
+        this.entries.set(key, {
+          address,
+          chainId,
+          name: existing.name ?? onChain.name,
+          symbol: existing.symbol ?? onChain.symbol,
+          decimals: existing.decimals ?? onChain.decimals,
+          logoURI: existing.logoURI ?? null,
+          verified: Boolean(existing.verified),
+          source: existing.source || 'chain',
+          fetchedAt: updatedAt,
+          updatedAt
+        });
+      }
+      // Nothing to keep when every read failed
+      if (read) {
+        this.save();
+      }
+    }
+
+    const result = new Map();
+    for (const address of wanted) {
+      result.set(address, this.describe(this.entries.get(`${chainId}:${address}`)));
+    }
+    return result;
+  }
+
+  /**
+   * Metadata of one token on the server's chain
+   * @param {string} address - Token address
+   * @returns {Promise<Object>} { address, chainId, name, symbol, decimals, logoURI, verified, collidesWith }
+   */
+  async get(address) {
+    if (!isAddress(address)) {
+      throw createTransactionError(ErrorCodes.INVALID_ADDRESS, `Invalid token address: ${address}`, { address });
+    }
+    return (await this.getMany([address])).get(getAddress(address));
+  }
+
+  // Decimals of a token, for converting amounts that are sent. Throws when the token does not report
+  // them, since a guess would send the wrong amount
+  async getDecimals(address) {
+    const { decimals } = await this.get(address);
+    if (decimals === null) {
+      throw createTransactionError(
+        ErrorCodes.CONTRACT_ERROR,
+        `Token ${getAddress(address)} does not report its decimals, so amounts of it cannot be converted`,
+        { token: getAddress(address) }
+      );
+    }
+    return decimals;
+  }
+
+  // Entry as reported: configured tokens count as verified, and same-symbol tokens are listed
+  describe(entry) {
+    const configuredSymbol = entry.chainId === this.chainId ? this.configured.get(entry.address) : undefined;
+    return {
+      ...entry,
+      verified: entry.verified || configuredSymbol !== undefined,
+      collidesWith: this.findBySymbol(entry.symbol, entry.chainId)
+        .map(other => other.address)
+        .filter(address => address !== entry.address)
+    };
+  }
+
+  /**
+   * Registry entries with a symbol (case-insensitive)
+   * @param {string} symbol - Token symbol
+   * @param {number} chainId - Chain ID
+   * @returns {Array<Object>}
+   */
+  findBySymbol(symbol, chainId) {
+    if (!symbol) {
+      return [];
+    }
+    const wanted = symbol.toUpperCase();
+    return [...this.entries.values()].filter(entry =>
+      entry.chainId === chainId && entry.symbol?.toUpperCase() === wanted
+    );
+  }
+
+  /**
+   * Symbols shared by more than one token on the server's chain
+   * @returns {Promise<Object>} symbol -> [{ address, name, verified }]
+   */
+  async collisions() {
+    const chainId = await this.getChainId();
+    const bySymbol = new Map();
+    for (const entry of this.entries.values()) {
+      if (entry.chainId !== chainId || !entry.symbol) {
+        continue;
+      }
+      const symbol = entry.symbol.toUpperCase();
+      bySymbol.set(symbol, [...(bySymbol.get(symbol) || []), entry]);
+    }
+    const collisions = {};
+    for (const [symbol, entries] of bySymbol) {
+      if (entries.length > 1) {
+        collisions[symbol] = entries.map(entry => {
+          const { address, name, verified } = this.describe(entry);
+          return { address, name, verified };
+        });
+      }
+    }
+    return collisions;
+  }
+
+  /**
+   * Every token known on the server's chain
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    const chainId = await this.getChainId();
+    return [...this.entries.values()]
+      .filter(entry => entry.chainId === chainId)
+      .map(entry => this.describe(entry))
+      .sort((a, b) => (a.symbol || '').localeCompare(b.symbol || ''));
+  }
+}
+
+module.exports = {
+  TokenRegistry,
+  DEFAULT_REGISTRY_FILE,
+};
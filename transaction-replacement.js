@@ -0,0 +1,199 @@
+// transaction-replacement.js - Speed up or cancel pending transactions by rebroadcasting their nonce
+const { formatUnits, getAddress, isHexString } = require('ethers');
+const { ErrorCodes, createTransactionError } = require('./errors');
+const { defaultLogger } = require('./logger');
+
+// Nodes reject replacements that raise fees by less than 10%
+const MIN_FEE_BUMP_PERCENT = 10;
+const RECEIPT_POLL_INTERVAL_MS = 2000;
+const CANCEL_GAS_LIMIT = 21000n;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const max = (a, b) => (a > b ? a : b);
+
+class TransactionReplacer {
+  /**
+   * @param {Object} options - Replacer options
+   * @param {Provider} options.provider - Provider of the network the transactions were sent on
+   * @param {NonceManager} options.nonces - Nonce manager tracking the server's pending transactions
+   * @param {Function} options.getSigner - Returns the signer (through the signing pipeline) for a network
+   * @param {TransactionTracker} options.tracker - Optional tracker told which broadcast was mined
+   * @param {string} options.network - Network name (default 'polygon')
+   */
+  constructor(options = {}) {
+    this.provider = options.provider;
+    this.nonces = options.nonces;
+    this.getSigner = options.getSigner;
+    this.tracker = options.tracker || null;
+    this.network = options.network || 'polygon';
+  }
+
+  /**
+   * Find a pending transaction: the latest broadcast for its nonce when the server sent it,
+   * otherwise the node's copy
+   * @param {string} hash - Hash of the transaction (or of an earlier broadcast with the same nonce)
+   * @returns {Promise<Object>} Pending transaction fields plus hashes of every broadcast with that nonce
+   */
+  async findPending(hash) {
+    if (!isHexString(hash, 32)) {
+      throw createTransactionError(ErrorCodes.INVALID_PARAMETERS, `Invalid transaction hash: ${hash}`);
+    }
+
+    for (const account of this.nonces.accounts.values()) {
+      for (const entry of account.pending.values()) {
+        if (entry.hash === hash || entry.replaces.includes(hash)) {
+          const tx = { ...entry, hashes: [...entry.replaces, entry.hash] };
+          return await this.ensurePending(tx);
+        }
+      }
+    }
+
+    const tx = await this.provider.getTransaction(hash);
+    if (!tx) {
+      throw createTransactionError(ErrorCodes.INVALID_PARAMETERS, `Transaction ${hash} not found (it may have been dropped)`, { hash });
+    }
+    return await this.ensurePending({
+      hash: tx.hash,
+      nonce: tx.nonce,
+      from: getAddress(tx.from),
+      to: tx.to,
+      value: tx.value.toString(),
+      data: tx.data,
+      gasLimit: tx.gasLimit.toString(),
+      maxFeePerGas: tx.maxFeePerGas != null ? tx.maxFeePerGas.toString() : null,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas != null ? tx.maxPriorityFeePerGas.toString() : null,
+      gasPrice: tx.maxFeePerGas == null && tx.gasPrice != null ? tx.gasPrice.toString() : null,
+      chainId: tx.chainId.toString(),
+      hashes: [tx.hash]
+    });
+  }
+
+  // Fail when the nonce has already been mined
+  async ensurePending(tx) {
+    const mined = await this.provider.getTransactionCount(tx.from, 'latest');
+    if (tx.nonce < mined) {
+      throw createTransactionError(
+        ErrorCodes.INVALID_PARAMETERS,
+        `Nonce ${tx.nonce} of ${tx.from} is already mined; nothing to replace`,
+        { hash: tx.hash, nonce: tx.nonce }
+      );
+    }
+    return tx;
+  }
+
+  /**
+   * Fees for a replacement: the previous fees raised by bumpPercent, and at least what the
+   * network currently asks for
+   * @param {Object} previous - Pending transaction (see findPending)
+   * @param {number} bumpPercent - Fee increase in percent (at least 10)
+   * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice }
+   */
+  async bumpFees(previous, bumpPercent = MIN_FEE_BUMP_PERCENT) {
+    const percent = BigInt(Math.ceil(Math.max(bumpPercent, MIN_FEE_BUMP_PERCENT)));
+    const bump = (value) => (BigInt(value) * (100n + percent) + 99n) / 100n;
+    const feeData = await this.provider.getFeeData();
+
+    if (previous.maxFeePerGas != null) {
+      const block = await this.provider.getBlock('latest');
+      const priority = max(bump(previous.maxPriorityFeePerGas), feeData.maxPriorityFeePerGas ?? 0n);
+      const maxFee = max(bump(previous.maxFeePerGas), (block.baseFeePerGas ?? 0n) * 2n + priority);
+      return { maxFeePerGas: maxFee, maxPriorityFeePerGas: priority };
+    }
+    return { gasPrice: max(bump(previous.gasPrice), feeData.gasPrice ?? 0n) };
+  }
+
+  /**
+   * Rebroadcast a pending transaction's nonce with higher fees
+   * @param {string} hash - Pending transaction hash
+   * @param {Object} options - Replacement options
+   * @param {boolean} options.cancel - Replace with a zero-value send to self instead of the same call
+   * @param {number} options.bumpPercent - Fee increase in percent (at least 10)
+   * @param {number} options.waitSeconds - Wait up to this long for one of the broadcasts to be mined (0 returns at once)
+   * @returns {Promise<Object>} Replacement details and, when waiting, which broadcast was mined
+   */
+  async replace(hash, options = {}) {
+    const previous = await this.findPending(hash);
+    const fees = await this.bumpFees(previous, options.bumpPercent);
+    const replacement = options.cancel
+      ? { to: previous.from, value: 0n, data: '0x', gasLimit: CANCEL_GAS_LIMIT }
+      : { to: previous.to, value: BigInt(previous.value), data: previous.data, gasLimit: BigInt(previous.gasLimit) };
+
+    const response = await this.getSigner(this.network).sendTransaction({
+      ...replacement,
+      ...fees,
+      nonce: previous.nonce,
+      chainId: BigInt(previous.chainId)
+    });
+    defaultLogger.info(`${options.cancel ? 'Cancel' : 'Speed-up'} broadcast for nonce ${previous.nonce}`, {
+      replaced: previous.hash,
+      replacement: response.hash
+    });
+
+    const hashes = [...new Set([...previous.hashes, response.hash])];
+    const result = {
+      action: options.cancel ? 'cancel' : 'speed-up',
+      from: previous.from,
+      nonce: previous.nonce,
+      replacedHash: previous.hash,
+      replacementHash: response.hash,
+      previousFees: this.describeFees(previous),
+      newFees: this.describeFees(fees),
+      hashes,
+      mined: null
+    };
+
+    if (options.waitSeconds > 0) {
+      result.mined = await this.waitForAny(previous.from, previous.nonce, hashes, options.waitSeconds * 1000);
+      if (result.mined) {
+        result.mined.isReplacement = result.mined.hash === response.hash;
+        this.tracker?.reportMined(result.mined.hash, response.hash);
+      }
+    }
+    return result;
+  }
+
+  describeFees(fees) {
+    const gwei = (value) => (value != null ? formatUnits(value, 'gwei') : null);
+    return fees.maxFeePerGas != null
+      ? { maxFeePerGasGwei: gwei(fees.maxFeePerGas), maxPriorityFeePerGasGwei: gwei(fees.maxPriorityFeePerGas) }
+      : { gasPriceGwei: gwei(fees.gasPrice) };
+  }
+
+  /**
+   * Wait until one broadcast of a nonce is mined
+   * @param {string} from - Sender
+   * @param {number} nonce - Nonce shared by the broadcasts
+   * @param {Array<string>} hashes - Every broadcast of that nonce
+   * @param {number} timeoutMs - Give up after this long
+   * @returns {Promise<Object|null>} { hash, blockNumber, status } (hash null when another transaction used the nonce),
+   *   or null on timeout
+   */
+  async waitForAny(from, nonce, hashes, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      for (const hash of hashes) {
+        const receipt = await this.provider.getTransactionReceipt(hash);
+        if (receipt) {
+          return { hash, blockNumber: receipt.blockNumber, status: receipt.status === 1 ? 'success' : 'failed' };
+        }
+      }
+      if (await this.provider.getTransactionCount(from, 'latest') > nonce) {
+        // Mined between the receipt checks above, or used by a transaction sent elsewhere
+        for (const hash of hashes) {
+          const receipt = await this.provider.getTransactionReceipt(hash);
+          if (receipt) {
+            return { hash, blockNumber: receipt.blockNumber, status: receipt.status === 1 ? 'success' : 'failed' };
+          }
+        }
+        return { hash: null, blockNumber: null, status: 'nonce used by another transaction' };
+      }
+      await sleep(RECEIPT_POLL_INTERVAL_MS);
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  TransactionReplacer,
+  MIN_FEE_BUMP_PERCENT,
+};
@@ -6,10 +6,26 @@ const {
   formatUnits,
   formatEther,
   parseUnits,
-  isAddress
+  getAddress,
+  isAddress,
+  toQuantity
 } = require('ethers');
-const { ErrorCodes, createTransactionError, createWalletError } = require('./errors');
+const { ErrorCodes, createTransactionError, createWalletError, createSimulationError } = require('./errors');
 const { defaultLogger } = require('./logger');
+const { RevertDecoder } = require('./revert-decoder');
+const { EventDecoder } = require('./event-decoder');
+const { CallTracer, mergeStateOverrides } = require('./call-tracer');
+const { BalanceChangeSet } = require('./balance-changes');
+const { FunctionDecoder } = require('./function-decoder');
+const { BundleSimulator } = require('./bundle-simulation');
+const { StateOverrideHelper, normalizeStateOverrides } = require('./state-overrides');
+const { ForkSimulationBackend } = require('./fork-backend');
+const {
+  predictCreateAddress,
+  predictCreate2Address,
+  parseDeterministicDeployment,
+  DETERMINISTIC_DEPLOYER
+} = require('./contract-address');
 const walletManager = require('./common/wallet-manager');
 const { resolveTokenAddress: commonResolveTokenAddress } = require('./common/utils'); // Import centralized util
 const { ERC20_ABI, ERC20_TRANSFER_SIGNATURE } = require('./common/constants');
@@ -19,16 +35,58 @@ class TransactionSimulator {
     this.rpcUrl = config.rpcUrl;
     this.explorerApiKey = config.explorerApiKey;
     this.tokenAddresses = config.tokenAddresses;
+    // Optional TokenRegistry caching token symbols and decimals
+    this.tokenRegistry = config.tokenRegistry || null;
+    // Optional TokenResolver (configured tokens plus token lists)
+    this.tokenResolver = config.tokenResolver || null;
+    // Sender of calls that name none: the server's selected account (falls back to the wallet manager)
+    this.getDefaultFrom = config.getDefaultFrom ||
+      (() => (walletManager.isWalletConnected('polygon') ? walletManager.getAddress('polygon') : undefined));
     
     // Initialize provider
     this.provider = new JsonRpcProvider(this.rpcUrl);
+
+    // Decoders for revert reasons, custom errors and events (known ABIs plus registered ones)
+    this.revertDecoder = new RevertDecoder();
+    this.eventDecoder = new EventDecoder();
+    this.functionDecoder = new FunctionDecoder();
+
+    // Call tracing via debug_traceCall (disable with useDebugTrace: false)
+    this.useDebugTrace = config.useDebugTrace !== false;
+    this.callTracer = new CallTracer(this.provider, {
+      eventDecoder: this.eventDecoder,
+      revertDecoder: this.revertDecoder
+    });
+
+    // Simulation backend: 'rpc' (eth_call / debug_traceCall against the RPC) or 'fork' (local anvil/hardhat fork)
+    this.backend = config.simulationBackend || 'rpc';
+    // The fork is only started (or attached to) on first use
+    this.forkBackend = new ForkSimulationBackend({
+      ...config.fork,
+      upstreamRpcUrl: this.rpcUrl,
+      callTracer: this.callTracer
+    });
+
+    // Locates ERC20 balance slots for token balance overrides
+    this.stateOverrideHelper = new StateOverrideHelper(this.provider);
+
+    // Ordered multi-transaction simulation on top of this simulator
+    this.bundleSimulator = new BundleSimulator(this);
+  }
+
+  // Register a contract ABI so its custom errors and events can be decoded
+  registerAbi(abi, options = {}) {
+    const errorCount = this.revertDecoder.registerAbi(abi, options);
+    this.eventDecoder.registerAbi(abi, options);
+    this.functionDecoder.registerAbi(abi, options);
+    return errorCount;
   }
 
   // Removed redundant connectWallet method - relies on central walletManager
 
-  // Check if wallet is connected using walletManager
+  // Check an account is selected
   checkWalletConnected() {
-    if (!walletManager.isWalletConnected('polygon')) {
+    if (!this.getDefaultFrom()) {
       throw createWalletError(
         ErrorCodes.WALLET_NOT_CONNECTED,
         'Wallet not connected',
@@ -38,27 +96,45 @@ class TransactionSimulator {
     return true;
   }
 
-  // Use the centralized resolveTokenAddress function
+  // Use the token resolver when set, the centralized resolveTokenAddress function otherwise
   resolveTokenAddress(token) {
+    if (this.tokenResolver) {
+      return this.tokenResolver.resolve(token);
+    }
     // Pass the tokenAddresses map from this instance's config
     return commonResolveTokenAddress(token, this.tokenAddresses);
   }
 
-  // Simulate a transaction using eth_call
-  async simulateTransaction(transaction) {
+  /**
+   * Simulate a transaction using eth_call
+   * @param {Object} transaction - Transaction request (ethers format)
+   * @param {Object} options - Simulation options
+   * @param {Object} options.stateOverrides - address -> { balance, nonce, code, state, stateDiff } applied before the call
+   * @param {Array<Object>} options.tokenBalances - [{ token, holder, amount }] ERC20 balances to pretend an account holds
+   * @param {string} options.backend - 'rpc' or 'fork' (defaults to the configured backend)
+   * @returns {Promise<Object>} Simulation result
+   */
+  async simulateTransaction(transaction, options = {}) {
     try {
       // Clone the transaction to avoid modifying the original
       const txToSimulate = { ...transaction };
       
-      // If from address is not provided, use the connected wallet
-      if (!txToSimulate.from && walletManager.isWalletConnected('polygon')) {
-        txToSimulate.from = walletManager.getAddress('polygon');
+      // If from address is not provided, use the selected account
+      if (!txToSimulate.from) {
+        txToSimulate.from = this.getDefaultFrom() || undefined;
+      }
+
+      // State overrides apply to every call below (eth_call, eth_estimateGas and the trace)
+      const stateOverrides = await this.buildStateOverrides(options, txToSimulate.from);
+
+      if ((options.backend || this.backend) === 'fork') {
+        return await this.simulateOnFork(txToSimulate, stateOverrides);
       }
       
       // If gas limit is not provided, estimate it
       if (!txToSimulate.gasLimit) {
         try {
-          const gasEstimate = await this.provider.estimateGas(txToSimulate);
+          const gasEstimate = await this.estimateGasWithOverrides(txToSimulate, stateOverrides);
           // Convert to BigInt if it's not already
           const gasEstimateBigInt = BigInt(gasEstimate);
           // Add 20% buffer
@@ -89,7 +165,12 @@ class TransactionSimulator {
         tokenTransfers: [],
         contractInteractions: [],
         errorMessage: null,
-        stateChanges: []
+        revert: null,
+        stateChanges: [],
+        balanceChanges: null,
+        callTrace: null,
+        traceSource: 'eth_call',
+        stateOverrides: stateOverrides || null
       };
       
       // Get the current block number for state comparison
@@ -101,7 +182,7 @@ class TransactionSimulator {
         const callTx = { ...txToSimulate };
         
         // Execute the transaction via eth_call
-        await this.provider.call(callTx, blockNumber);
+        await this.callWithOverrides(callTx, blockNumber, stateOverrides);
         
         // If we get here, the call was successful
         simulationResult.success = true;
@@ -110,58 +191,52 @@ class TransactionSimulator {
         simulationResult.success = false;
         simulationResult.errorMessage = error.message;
         
-        // Check if this is a revert with a reason
-        if (error.data) {
-          try {
-            // Try to decode the revert reason
-            const decodedError = error.data.toString();
-            if (decodedError.includes('revert')) {
-              simulationResult.errorMessage = `Transaction would revert: ${decodedError}`;
-            }
-          } catch (decodeError) {
-            // Ignore decoding errors
-          }
+        // Check if this is a revert and decode the reason
+        const revert = this.revertDecoder.decodeError(error, { to: txToSimulate.to });
+        if (revert) {
+          simulationResult.revert = revert;
+          simulationResult.errorMessage = `Transaction would revert: ${revert.reason}`;
         }
       }
       
+      // Trace the call for internal calls, emitted events and state diffs when the node supports it
+      let trace = null;
+      if (this.useDebugTrace) {
+        trace = await this.callTracer.trace(txToSimulate, blockNumber, { stateOverrides });
+        if (trace) {
+          simulationResult.traceSource = 'debug_traceCall';
+          simulationResult.callTrace = trace.callTrace;
+          simulationResult.logs = trace.logs;
+          simulationResult.stateChanges = trace.stateChanges;
+          simulationResult.contractInteractions.push(...this.collectContractInteractions(trace.callTrace));
+        }
+      }
+
       // Estimate gas usage more accurately
       try {
-        const gasEstimate = await this.provider.estimateGas(txToSimulate);
+        const gasEstimate = await this.estimateGasWithOverrides(txToSimulate, stateOverrides, blockNumber);
         simulationResult.gasUsed = gasEstimate.toString();
       } catch (error) {
         // If gas estimation fails, the transaction would likely fail
         simulationResult.gasUsed = txToSimulate.gasLimit?.toString() || '0';
         if (!simulationResult.errorMessage) {
-          simulationResult.errorMessage = `Gas estimation failed: ${error.message}`;
+          const revert = this.revertDecoder.decodeError(error, { to: txToSimulate.to });
+          simulationResult.revert = revert;
+          simulationResult.errorMessage = revert
+            ? `Gas estimation failed, transaction would revert: ${revert.reason}`
+            : `Gas estimation failed: ${error.message}`;
         }
       }
       
-      // Detect token transfers and contract interactions
-      await this.detectTokenTransfers(txToSimulate, simulationResult);
-      
-      // If this is a contract creation, add it to the contract interactions
-      if (!txToSimulate.to && txToSimulate.data) {
-        // This is a contract creation
-        const creationCode = txToSimulate.data;
-        
-        // Calculate the contract address that would be created
-        // This uses a simplified version of the address calculation
-        const nonce = await this.provider.getTransactionCount(txToSimulate.from);
-        const addressBuffer = Buffer.from(
-          this.provider.network.chainId + txToSimulate.from.slice(2).toLowerCase() + nonce.toString(16).padStart(64, '0'),
-          'hex'
-        );
-        
-        // Use keccak256 hash of the buffer and take the last 20 bytes
-        const estimatedAddress = '0x' + addressBuffer.slice(-20).toString('hex');
-        
-        simulationResult.contractInteractions.push({
-          type: 'creation',
-          bytecode: creationCode.length > 64 ? creationCode.substring(0, 64) + '...' : creationCode,
-          estimatedAddress,
-          constructorArgs: this.extractConstructorArgs(creationCode)
-        });
+      // Detect token transfers (from emitted logs when traced, otherwise from calldata)
+      // and summarize the resulting balance changes
+      if (!trace) {
+        await this.detectTokenTransfers(txToSimulate, simulationResult);
       }
+      simulationResult.balanceChanges = await this.buildBalanceChanges(txToSimulate, simulationResult, trace);
+      
+      // Predict the address of any contract this transaction deploys
+      simulationResult.contractInteractions.push(...await this.predictDeployments(txToSimulate, trace));
       
       // Add gas cost estimation
       const gasPrice = txToSimulate.gasPrice || txToSimulate.maxFeePerGas || parseUnits('50', 'gwei');
@@ -186,7 +261,317 @@ class TransactionSimulator {
     }
   }
   
-  // Analyze a transaction hash
+  /**
+   * Combine raw state overrides with ERC20 balance overrides into RPC format
+   * @param {Object} options - { stateOverrides, tokenBalances } (see simulateTransaction)
+   * @param {string} defaultHolder - Holder used when a token balance entry names none
+   * @returns {Promise<Object|undefined>} RPC state overrides, undefined when none were requested
+   */
+  async buildStateOverrides({ stateOverrides, tokenBalances } = {}, defaultHolder) {
+    let overrides = normalizeStateOverrides(stateOverrides);
+
+    for (const { token, holder, amount } of tokenBalances || []) {
+      const account = holder || defaultHolder;
+      if (!account) {
+        throw createSimulationError(
+          ErrorCodes.INVALID_PARAMETERS,
+          `No holder given for the ${token} balance override and no wallet connected`
+        );
+      }
+      const tokenOverride = await this.stateOverrideHelper.erc20BalanceOverride(this.resolveTokenAddress(token), account, amount);
+      overrides = mergeStateOverrides(overrides, tokenOverride);
+    }
+
+    return overrides;
+  }
+
+  // eth_call with optional state overrides (ethers' provider.call cannot pass them)
+  async callWithOverrides(transaction, blockTag, stateOverrides) {
+    if (!stateOverrides) {
+      return await this.provider.call({ ...transaction, blockTag });
+    }
+    return await this.provider.send('eth_call', [
+      this.provider.getRpcTransaction(transaction),
+      typeof blockTag === 'number' ? toQuantity(blockTag) : blockTag,
+      stateOverrides
+    ]);
+  }
+
+  // eth_estimateGas with optional state overrides
+  async estimateGasWithOverrides(transaction, stateOverrides, blockTag = 'latest') {
+    if (!stateOverrides) {
+      return await this.provider.estimateGas(transaction);
+    }
+    const estimate = await this.provider.send('eth_estimateGas', [
+      this.provider.getRpcTransaction(transaction),
+      typeof blockTag === 'number' ? toQuantity(blockTag) : blockTag,
+      stateOverrides
+    ]);
+    return BigInt(estimate);
+  }
+
+  // Simulate dependent transactions in order, carrying state from step to step
+  async simulateBundle(transactions, options = {}) {
+    return await this.bundleSimulator.simulateBundle(transactions, options);
+  }
+
+  // Execute the transaction on the local fork and report its real receipt, logs and gas
+  async simulateOnFork(transaction, stateOverrides) {
+    const [result] = await this.forkBackend.execute([transaction], { stateOverrides });
+
+    const simulationResult = {
+      success: result.success,
+      gasUsed: result.gasUsed,
+      logs: result.logs,
+      tokenTransfers: [],
+      contractInteractions: result.callTrace ? this.collectContractInteractions(result.callTrace) : [],
+      errorMessage: result.errorMessage,
+      revert: result.revert,
+      stateChanges: [],
+      balanceChanges: null,
+      callTrace: result.callTrace,
+      traceSource: 'fork',
+      stateOverrides: stateOverrides || null,
+      receipt: result.receipt
+    };
+
+    if (result.receipt && result.receipt.contractAddress) {
+      simulationResult.contractInteractions.unshift({
+        type: 'creation',
+        scheme: 'CREATE',
+        deployer: transaction.from,
+        deployedAddress: result.receipt.contractAddress
+      });
+    }
+
+    simulationResult.balanceChanges = await this.buildBalanceChanges(transaction, simulationResult, {
+      callTrace: result.callTrace,
+      logs: result.logs
+    });
+
+    const gasPrice = result.receipt?.effectiveGasPrice || transaction.gasPrice || transaction.maxFeePerGas || parseUnits('50', 'gwei');
+    const gasCost = BigInt(simulationResult.gasUsed) * BigInt(gasPrice);
+    simulationResult.gasCost = {
+      wei: gasCost.toString(),
+      gwei: formatUnits(gasCost, 'gwei'),
+      ether: formatEther(gasCost)
+    };
+
+    return simulationResult;
+  }
+
+  // Build the per-address balance change preview for a simulated transaction
+  async buildBalanceChanges(transaction, simulationResult, trace, source = trace ? 'trace' : 'calldata') {
+    const changes = new BalanceChangeSet();
+
+    if (trace) {
+      if (trace.callTrace) {
+        changes.addCallTrace(trace.callTrace);
+      } else if (simulationResult.success && transaction.value && transaction.to) {
+        // Receipt logs only: the top-level value is the one native movement we know of
+        changes.addNative(transaction.from, transaction.to, transaction.value);
+      }
+      changes.addLogs(trace.logs);
+    } else if (simulationResult.success) {
+      // Without logs only the top-level value and a direct ERC20 transfer are known
+      if (transaction.value && transaction.to) {
+        changes.addNative(transaction.from, transaction.to, transaction.value);
+      }
+      for (const transfer of simulationResult.tokenTransfers) {
+        changes.addFungible('ERC20', transfer.token, null, transfer.from, transfer.to, transfer.rawAmount);
+      }
+    }
+
+    const tokenInfo = await this.getTokenInfo(changes.getTokenAddresses());
+
+    if (trace) {
+      simulationResult.tokenTransfers = this.tokenTransfersFromLogs(trace.logs, tokenInfo);
+    }
+
+    return changes.toJSON({
+      sender: transaction.from,
+      tokenInfo,
+      source
+    });
+  }
+
+  // Fetch symbol and decimals for token contracts (null when a token does not report them)
+  async getTokenInfo(tokenAddresses) {
+    if (this.tokenRegistry) {
+      const tokens = await this.tokenRegistry.getMany(tokenAddresses);
+      return Object.fromEntries(tokenAddresses.map(tokenAddress => {
+        const { symbol, decimals } = tokens.get(getAddress(tokenAddress));
+        return [tokenAddress, { symbol, decimals: decimals ?? null }];
+      }));
+    }
+    const entries = await Promise.all(tokenAddresses.map(async (tokenAddress) => {
+      const tokenContract = new Contract(tokenAddress, ERC20_ABI, this.provider);
+      const [symbol, decimals] = await Promise.all([
+        tokenContract.symbol().catch(() => null),
+        tokenContract.decimals().catch(() => null)
+      ]);
+      return [tokenAddress, { symbol, decimals: decimals === null ? null : Number(decimals) }];
+    }));
+    return Object.fromEntries(entries);
+  }
+
+  // List token transfers found in decoded logs
+  tokenTransfersFromLogs(logs, tokenInfo) {
+    const transfers = [];
+
+    for (const log of logs) {
+      if (!log.event) {
+        continue;
+      }
+      const values = Object.values(log.event.args);
+      const info = tokenInfo[getAddress(log.address)] || {};
+      const base = { token: log.address, symbol: info.symbol || 'Unknown' };
+
+      switch (log.event.signature) {
+        case 'Transfer(address,address,uint256)':
+          if (log.topics.length === 4) {
+            transfers.push({ ...base, from: values[0], to: values[1], tokenId: values[2], type: 'ERC721' });
+          } else {
+            transfers.push({
+              ...base,
+              from: values[0],
+              to: values[1],
+              amount: info.decimals == null ? null : formatUnits(values[2], info.decimals),
+              rawAmount: values[2],
+              type: 'ERC20'
+            });
+          }
+          break;
+        case 'TransferSingle(address,address,address,uint256,uint256)':
+          transfers.push({ ...base, from: values[1], to: values[2], tokenId: values[3], rawAmount: values[4], type: 'ERC1155' });
+          break;
+        case 'TransferBatch(address,address,address,uint256[],uint256[])':
+          values[3].forEach((id, index) => {
+            transfers.push({ ...base, from: values[1], to: values[2], tokenId: id, rawAmount: values[4][index], type: 'ERC1155' });
+          });
+          break;
+        default:
+          break;
+      }
+    }
+
+    return transfers;
+  }
+
+  // Contract creations made directly by the transaction: plain CREATE deployments and
+  // CREATE2 deployments through the deterministic deployment proxy
+  async predictDeployments(transaction, trace) {
+    const bytecodePreview = (code) => (code.length > 64 ? code.substring(0, 64) + '...' : code);
+
+    if (!transaction.to && transaction.data) {
+      const creation = {
+        type: 'creation',
+        scheme: 'CREATE',
+        deployer: transaction.from || null,
+        nonce: null,
+        predictedAddress: null,
+        bytecode: bytecodePreview(transaction.data),
+        constructorArgs: this.extractConstructorArgs(transaction.data)
+      };
+
+      if (transaction.from) {
+        // The deployment would use the next unused nonce unless one was given
+        creation.nonce = transaction.nonce ?? await this.provider.getTransactionCount(transaction.from, 'pending');
+        creation.predictedAddress = predictCreateAddress(transaction.from, creation.nonce);
+      }
+      // The traced top-level frame reports the address the node actually assigned
+      if (trace && trace.callTrace.to) {
+        creation.tracedAddress = getAddress(trace.callTrace.to);
+      }
+      return [creation];
+    }
+
+    const deterministic = parseDeterministicDeployment(transaction.to, transaction.data);
+    if (deterministic) {
+      const prediction = predictCreate2Address(DETERMINISTIC_DEPLOYER, deterministic.salt, { initCode: deterministic.initCode });
+      return [{
+        type: 'creation',
+        scheme: 'CREATE2',
+        deployer: DETERMINISTIC_DEPLOYER,
+        salt: prediction.salt,
+        initCodeHash: prediction.initCodeHash,
+        predictedAddress: prediction.address,
+        bytecode: bytecodePreview(deterministic.initCode)
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Predict the address of a contract deployment
+   * @param {Object} params - Prediction parameters
+   * @param {string} params.deployer - CREATE: deploying account (defaults to the connected wallet)
+   * @param {number} params.nonce - CREATE: deployment nonce (defaults to the deployer's next nonce)
+   * @param {string} params.factory - CREATE2: contract executing CREATE2 (defaults to the deterministic deployer)
+   * @param {string} params.salt - CREATE2: bytes32 salt, or any string to hash into one
+   * @param {string} params.initCode - CREATE2: creation bytecode including constructor arguments
+   * @param {string} params.initCodeHash - CREATE2: keccak256 of the init code
+   * @returns {Promise<Object>} Predicted address, inputs used and whether code already exists there
+   */
+  async predictContractAddress(params = {}) {
+    const { deployer, nonce, factory, salt, initCode, initCodeHash } = params;
+    let result;
+
+    if (factory || salt !== undefined || initCode || initCodeHash) {
+      const factoryAddress = factory || DETERMINISTIC_DEPLOYER;
+      const prediction = predictCreate2Address(factoryAddress, salt, { initCode, initCodeHash });
+      result = {
+        scheme: 'CREATE2',
+        factory: getAddress(factoryAddress),
+        salt: prediction.salt,
+        initCodeHash: prediction.initCodeHash,
+        address: prediction.address
+      };
+    } else {
+      let from = deployer;
+      if (!from) {
+        this.checkWalletConnected();
+        from = this.getDefaultFrom();
+      }
+      if (!isAddress(from)) {
+        throw createSimulationError(ErrorCodes.INVALID_ADDRESS, `Invalid deployer address: ${from}`);
+      }
+      const deploymentNonce = nonce ?? await this.provider.getTransactionCount(from, 'pending');
+      result = {
+        scheme: 'CREATE',
+        deployer: getAddress(from),
+        nonce: Number(deploymentNonce),
+        address: predictCreateAddress(from, deploymentNonce)
+      };
+    }
+
+    // A CREATE/CREATE2 to an address that already holds code fails, so flag it up front
+    const code = await this.provider.getCode(result.address);
+    result.alreadyDeployed = code !== '0x';
+    return result;
+  }
+
+  // Flatten a call trace into the list of contracts called (excluding the top-level frame)
+  collectContractInteractions(frame, depth = 0, interactions = []) {
+    if (depth > 0) {
+      interactions.push({
+        type: frame.type.toLowerCase(),
+        from: frame.from,
+        to: frame.to,
+        selector: frame.selector,
+        value: frame.value,
+        depth,
+        success: !frame.error
+      });
+    }
+    for (const call of frame.calls) {
+      this.collectContractInteractions(call, depth + 1, interactions);
+    }
+    return interactions;
+  }
+
+  // Analyze a transaction hash: timing, fees, decoded call and events, token movements and revert reason
   async analyzeTransaction(txHash) {
     try {
       // Get transaction details
@@ -195,40 +580,61 @@ class TransactionSimulator {
         throw new Error(`Transaction not found: ${txHash}`);
       }
       
-      // Get transaction receipt
+      // Get transaction receipt and the block it was mined in
       const receipt = await this.provider.getTransactionReceipt(txHash);
-      
-      // For a real implementation, this would analyze the transaction logs
-      // to extract token transfers, contract interactions, etc.
-      
-      // For demonstration, we'll return basic transaction details
+      const block = receipt ? await this.provider.getBlock(receipt.blockNumber) : null;
+      const success = receipt ? receipt.status === 1 : null;
+
       const result = {
         hash: txHash,
         from: tx.from,
         to: tx.to || 'Contract Creation',
+        contractAddress: receipt ? receipt.contractAddress : null,
+        nonce: tx.nonce,
         value: {
           wei: tx.value.toString(),
           ether: formatEther(tx.value)
         },
-        gasUsed: receipt ? receipt.gasUsed.toString() : 'Pending',
-        gasPrice: {
-          wei: tx.gasPrice.toString(),
-          gwei: formatUnits(tx.gasPrice, 'gwei')
-        },
-        status: receipt ? (receipt.status ? 'Success' : 'Failed') : 'Pending',
+        status: receipt ? (success ? 'Success' : 'Failed') : 'Pending',
         blockNumber: receipt ? receipt.blockNumber : 'Pending',
-        timestamp: 'Unknown', // Would get block timestamp in real implementation
-        logs: receipt ? receipt.logs.length : 0
+        timestamp: block ? block.timestamp : null,
+        time: block ? new Date(block.timestamp * 1000).toISOString() : null,
+        confirmations: receipt ? await receipt.confirmations() : 0,
+        gasLimit: tx.gasLimit.toString(),
+        gasUsed: receipt ? receipt.gasUsed.toString() : 'Pending',
+        ...this.describeFees(tx, receipt, block),
+        functionCall: this.functionDecoder.decode(tx.data, { to: tx.to }),
+        events: [],
+        tokenTransfers: [],
+        balanceChanges: null,
+        internalCalls: [],
+        revert: null,
+        errorMessage: null
       };
-      
-      // Calculate gas cost
-      if (receipt) {
-        const gasCost = BigInt(receipt.gasUsed) * BigInt(tx.gasPrice);
-        result.gasCost = {
-          wei: gasCost.toString(),
-          gwei: formatUnits(gasCost, 'gwei'),
-          ether: formatEther(gasCost)
-        };
+
+      if (!receipt) {
+        return result;
+      }
+
+      // The call trace adds internal calls, internal value transfers and exact revert data when available
+      const trace = this.useDebugTrace ? await this.callTracer.traceTransaction(txHash) : null;
+      if (trace) {
+        result.internalCalls = this.collectContractInteractions(trace.callTrace);
+      }
+
+      result.events = receipt.logs.map(log => ({ logIndex: log.index, ...this.callTracer.formatLog(log) }));
+      const movements = { success, tokenTransfers: [] };
+      result.balanceChanges = await this.buildBalanceChanges(
+        tx,
+        movements,
+        { callTrace: trace ? trace.callTrace : null, logs: result.events },
+        trace ? 'trace' : 'receipt'
+      );
+      result.tokenTransfers = movements.tokenTransfers;
+
+      if (!success) {
+        result.revert = await this.findRevertReason(tx, receipt, trace);
+        result.errorMessage = result.revert ? `Transaction reverted: ${result.revert.reason}` : 'Transaction reverted';
       }
       
       return result;
@@ -240,6 +646,73 @@ class TransactionSimulator {
       );
     }
   }
+
+  // Effective gas price, fee caps and total cost for legacy and EIP-1559 transactions
+  describeFees(tx, receipt, block) {
+    // Receipts carry the price actually paid; pending EIP-1559 transactions only have their caps
+    const effectiveGasPrice = receipt?.gasPrice ?? tx.gasPrice ?? tx.maxFeePerGas ?? 0n;
+    const fees = {
+      type: tx.maxFeePerGas !== null && tx.maxFeePerGas !== undefined ? 'eip1559' : 'legacy'
+    };
+
+    if (fees.type === 'eip1559') {
+      fees.maxFeePerGas = formatUnits(tx.maxFeePerGas, 'gwei');
+      fees.maxPriorityFeePerGas = formatUnits(tx.maxPriorityFeePerGas, 'gwei');
+    }
+    if (block && block.baseFeePerGas !== null && block.baseFeePerGas !== undefined) {
+      fees.baseFeePerGas = formatUnits(block.baseFeePerGas, 'gwei');
+      if (receipt) {
+        fees.priorityFeePerGas = formatUnits(effectiveGasPrice - block.baseFeePerGas, 'gwei');
+      }
+    }
+
+    const result = {
+      gasPrice: {
+        wei: effectiveGasPrice.toString(),
+        gwei: formatUnits(effectiveGasPrice, 'gwei'),
+        effective: Boolean(receipt)
+      },
+      fees
+    };
+    if (receipt) {
+      const gasCost = BigInt(receipt.gasUsed) * BigInt(effectiveGasPrice);
+      result.gasCost = {
+        wei: gasCost.toString(),
+        gwei: formatUnits(gasCost, 'gwei'),
+        ether: formatEther(gasCost)
+      };
+    }
+    return result;
+  }
+
+  // Work out why a mined transaction failed: from the trace, or by replaying it on the parent block
+  async findRevertReason(tx, receipt, trace) {
+    if (trace && trace.callTrace.error) {
+      return trace.callTrace.revert || { type: 'Error', reason: trace.callTrace.error };
+    }
+
+    try {
+      // Earlier transactions in the same block are not replayed, so the result is a best effort
+      await this.provider.call({
+        from: tx.from,
+        to: tx.to,
+        data: tx.data,
+        value: tx.value,
+        gasLimit: tx.gasLimit,
+        blockTag: receipt.blockNumber - 1
+      });
+    } catch (error) {
+      const revert = this.revertDecoder.decodeError(error, { to: tx.to });
+      if (revert) {
+        return revert;
+      }
+    }
+
+    if (receipt.gasUsed === tx.gasLimit) {
+      return { type: 'OutOfGas', reason: 'Out of gas' };
+    }
+    return null;
+  }
   
   // Extract constructor arguments from contract creation bytecode
   extractConstructorArgs(bytecode) {
@@ -295,12 +768,12 @@ class TransactionSimulator {
         
         // Get token details
         let symbol = 'Unknown';
-        let decimals = 18;
+        let decimals = null;
         
         try {
-          const tokenContract = new Contract(tokenAddress, ERC20_ABI, this.provider);
-          symbol = await tokenContract.symbol().catch(() => 'Unknown');
-          decimals = await tokenContract.decimals().catch(() => 18);
+          const info = (await this.getTokenInfo([tokenAddress]))[tokenAddress];
+          symbol = info.symbol ?? 'Unknown';
+          decimals = info.decimals;
         } catch (error) {
           defaultLogger.warn(`Failed to get token details: ${error.message}`);
         }
@@ -310,7 +783,7 @@ class TransactionSimulator {
           symbol,
           from: transaction.from,
           to,
-          amount: formatUnits(amount, decimals),
+          amount: decimals === null ? null : formatUnits(amount, decimals),
           rawAmount: amount.toString(),
           type: 'ERC20'
         });
@@ -343,7 +816,7 @@ class TransactionSimulator {
         const tokenContract = new Contract(tokenAddress, ERC20_ABI, this.provider);
         
         // Get token decimals
-        const decimals = await tokenContract.decimals().catch(() => 18);
+        const { decimals } = (await this.getTokenInfo([tokenAddress]))[tokenAddress];
         
         // Create filter for Transfer events where the address is sender or receiver
         const filterFrom = tokenContract.filters.Transfer(address, null);
@@ -368,11 +841,12 @@ class TransactionSimulator {
         
         // Only add tokens with changes
         if (totalChange !== 0n) {
-          const changeFormatted = formatUnits(totalChange, decimals);
           changes.push({
             token: tokenAddress,
             symbol,
-            change: changeFormatted,
+            // Without decimals only the raw change is known
+            change: decimals === null ? null : formatUnits(totalChange, decimals),
+            rawChange: totalChange.toString(),
             changeType: totalChange > 0n ? 'increase' : 'decrease',
             fromBlock,
             toBlock,
@@ -401,9 +875,9 @@ class TransactionSimulator {
       // Clone the transaction to avoid modifying the original
       const txToEstimate = { ...transaction };
       
-      // If from address is not provided, use the connected wallet
-      if (!txToEstimate.from && walletManager.isWalletConnected('polygon')) {
-        txToEstimate.from = walletManager.getAddress('polygon');
+      // If from address is not provided, use the selected account
+      if (!txToEstimate.from) {
+        txToEstimate.from = this.getDefaultFrom() || undefined;
       }
       
       // Estimate gas
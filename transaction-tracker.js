@@ -0,0 +1,300 @@
+// transaction-tracker.js - Confirmation waits, background tool calls and status of sent transactions
+const { randomUUID } = require('crypto');
+const { getAddress } = require('ethers');
+const { ErrorCodes, createTransactionError } = require('./errors');
+const { defaultLogger } = require('./logger');
+
+const DEFAULT_CONFIRMATIONS = 1;
+const POLL_INTERVAL_MS = 2000;
+// Finished jobs and sent transactions are kept this long for get-transaction-status
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Tool results are MCP responses; keep the parsed JSON payload for status reports
+function unwrapToolResult(result) {
+  const text = result?.content?.[0]?.text;
+  if (typeof text !== 'string') {
+    return result ?? null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+class TransactionTracker {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {Provider} options.provider - Provider used for transactions the server did not send
+   * @param {number} options.confirmations - Confirmations write tools wait for by default
+   * @param {number} options.pollIntervalMs - Delay between confirmation checks
+   * @param {Function} options.onMined - Optional ({ hash, network, from, nonce }) => void, called when it is seen
+   *   which transaction took the nonce of a recorded one (hash null when one sent elsewhere did)
+   */
+  constructor(options = {}) {
+    this.provider = options.provider;
+    this.confirmations = options.confirmations || DEFAULT_CONFIRMATIONS;
+    this.pollIntervalMs = options.pollIntervalMs || POLL_INTERVAL_MS;
+    this.onMined = options.onMined || null;
+    // hash -> { hash, network, from, nonce, tool, jobId, sentAt, provider }
+    this.transactions = new Map();
+    // id -> { id, tool, account, state, hashes, result, error, createdAt, finishedAt, sent }
+    this.jobs = new Map();
+  }
+
+  /**
+   * Signing pipeline hook for a broadcast transaction: record it, attach it to the tool call's
+   * job and make its wait() honour the configured confirmations with progress notifications
+   * @param {TransactionResponse} response - Broadcast transaction
+   * @param {Object} context - Tool call context ({ tool, job, confirmations, progress })
+   * @param {string} network - Network name
+   * @returns {TransactionResponse} The same response
+   */
+  watch(response, context, network) {
+    this.record(response.hash, context, network, { from: response.from, nonce: response.nonce, provider: response.provider });
+
+    const wait = response.wait.bind(response);
+    response.wait = (confirms, timeout) => this.waitFor(
+      response,
+      Math.max(confirms ?? 1, context.confirmations || this.confirmations),
+      context.progress,
+      (blocks) => wait(blocks, timeout)
+    );
+    return response;
+  }
+
+  /**
+   * Record a broadcast transaction and attach it to the tool call's job. Bridge tools call it
+   * directly, since maticjs broadcasts their transactions outside the signing pipeline
+   * @param {string} hash - Transaction hash
+   * @param {Object} context - Tool call context ({ tool, job })
+   * @param {string} network - Network name
+   * @param {Object} sender - { from, nonce (null when unknown), provider }
+   */
+  record(hash, context, network, { from, nonce = null, provider = null }) {
+    this.prune();
+    this.transactions.set(hash, {
+      hash,
+      network,
+      from: getAddress(from),
+      nonce,
+      tool: context.tool || null,
+      jobId: context.job?.id || null,
+      sentAt: new Date().toISOString(),
+      provider
+    });
+
+    if (context.job) {
+      context.job.hashes.push(hash);
+      context.job.sent(hash);
+    }
+  }
+
+  /**
+   * Wait for a transaction to reach a number of confirmations, reporting progress on the way
+   * @param {TransactionResponse} response - Broadcast transaction
+   * @param {number} confirmations - Confirmations to wait for
+   * @param {Function} progress - Optional (progress, total, message) => void
+   * @param {Function} wait - The response's own wait (it detects replacements and reverts)
+   * @returns {Promise<TransactionReceipt>}
+   */
+  async waitFor(response, confirmations, progress, wait) {
+    progress?.(0, confirmations, `Broadcast ${response.hash}, waiting for it to be mined`);
+    let receipt;
+    try {
+      receipt = await wait(1);
+    } catch (error) {
+      // Another transaction with the nonce was mined (ethers reports its receipt)
+      if (error.code === 'TRANSACTION_REPLACED') {
+        this.reportMined(error.receipt?.hash ?? null, response.hash);
+      }
+      throw error;
+    }
+    if (!receipt) {
+      return receipt;
+    }
+    this.reportMined(receipt.hash, response.hash);
+
+    let confirmed = await receipt.confirmations();
+    progress?.(Math.min(confirmed, confirmations), confirmations, `Mined in block ${receipt.blockNumber}`);
+    while (confirmed < confirmations) {
+      await sleep(this.pollIntervalMs);
+      const current = await receipt.confirmations();
+      if (current > confirmed) {
+        confirmed = current;
+        progress?.(Math.min(confirmed, confirmations), confirmations, `${confirmed} of ${confirmations} confirmations`);
+      }
+    }
+    return receipt;
+  }
+
+  /**
+   * Run a tool call in the background: resolves with the job once its first transaction is broadcast,
+   * or with the tool result if it finishes without broadcasting anything
+   * @param {Object} context - Tool call context (gets the job attached)
+   * @param {Function} run - async () => tool result
+   * @returns {Promise<Object>} { job } or { result }
+   */
+  runInBackground(context, run) {
+    const job = {
+      id: randomUUID(),
+      tool: context.tool,
+      account: context.account || null,
+      state: 'running',
+      hashes: [],
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      sent: () => {}
+    };
+    context.job = job;
+
+    return new Promise((resolve, reject) => {
+      let broadcast = false;
+      job.sent = () => {
+        if (!broadcast) {
+          broadcast = true;
+          this.jobs.set(job.id, job);
+          // The MCP request is answered; later confirmations are reported through get-transaction-status
+          context.progress = null;
+          resolve({ job });
+        }
+      };
+
+      run().then((result) => {
+        job.state = 'completed';
+        job.result = unwrapToolResult(result);
+        job.finishedAt = new Date().toISOString();
+        if (!broadcast) {
+          resolve({ result });
+        }
+      }, (error) => {
+        job.state = 'failed';
+        job.error = { message: error.message, code: error.code || null };
+        job.finishedAt = new Date().toISOString();
+        if (broadcast) {
+          defaultLogger.warn(`Background ${job.tool} (job ${job.id}) failed: ${error.message}`);
+        } else {
+          reject(error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Report which transaction took the nonce of a recorded one to the onMined hook
+   * @param {string|null} hash - Mined transaction (null when one sent elsewhere used the nonce)
+   * @param {string} sentHash - Recorded transaction with that nonce
+   */
+  reportMined(hash, sentHash) {
+    const sent = this.transactions.get(sentHash);
+    if (!this.onMined || !sent || sent.nonce === null) {
+      return;
+    }
+    try {
+      this.onMined({ hash, network: sent.network, from: sent.from, nonce: sent.nonce });
+    } catch (error) {
+      defaultLogger.warn(`Could not report mined transaction ${hash}: ${error.message}`);
+    }
+  }
+
+  // Drop finished jobs and transactions older than the retention window
+  prune() {
+    const cutoff = Date.now() - RETENTION_MS;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+    for (const [hash, tx] of this.transactions) {
+      if (Date.parse(tx.sentAt) < cutoff) {
+        this.transactions.delete(hash);
+      }
+    }
+  }
+
+  /**
+   * Status of a transaction: pending, mined (with confirmations), failed, replaced (another
+   * transaction with its nonce was mined) or dropped (no longer known to the node)
+   * @param {string} hash - Transaction hash
+   * @returns {Promise<Object>}
+   */
+  async getTransactionStatus(hash) {
+    const known = this.transactions.get(hash);
+    const provider = known?.provider || this.provider;
+
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) {
+      this.reportMined(hash, hash);
+      return {
+        hash,
+        status: receipt.status === 1 ? 'mined' : 'failed',
+        blockNumber: receipt.blockNumber,
+        confirmations: await receipt.confirmations(),
+        gasUsed: receipt.gasUsed.toString()
+      };
+    }
+
+    const tx = await provider.getTransaction(hash);
+    if (tx) {
+      return { hash, status: 'pending', from: tx.from, nonce: tx.nonce, confirmations: 0 };
+    }
+    if (!known) {
+      throw createTransactionError(ErrorCodes.INVALID_PARAMETERS, `Transaction ${hash} not found`, { hash });
+    }
+    if (known.nonce === null) {
+      // A bridge transaction the node had not returned yet when it was recorded
+      return { hash, status: 'unknown', from: known.from, nonce: null, confirmations: 0 };
+    }
+
+    const mined = await provider.getTransactionCount(known.from, 'latest');
+    if (known.nonce >= mined) {
+      return { hash, status: 'dropped', from: known.from, nonce: known.nonce, confirmations: 0 };
+    }
+    // The nonce was used: by one of our other broadcasts (speed-up or cancel) or by a transaction sent elsewhere
+    for (const other of this.transactions.values()) {
+      if (other.hash !== hash && other.from === known.from && other.nonce === known.nonce) {
+        const replacement = await provider.getTransactionReceipt(other.hash);
+        if (replacement) {
+          this.reportMined(other.hash, hash);
+          return { hash, status: 'replaced', from: known.from, nonce: known.nonce, replacedBy: other.hash, confirmations: 0 };
+        }
+      }
+    }
+    this.reportMined(null, hash);
+    return { hash, status: 'replaced', from: known.from, nonce: known.nonce, replacedBy: null, confirmations: 0 };
+  }
+
+  /**
+   * Status of a background tool call and each transaction it sent
+   * @param {string} id - Job ID
+   * @returns {Promise<Object>}
+   */
+  async getJobStatus(id) {
+    this.prune();
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw createTransactionError(ErrorCodes.INVALID_PARAMETERS, `No job ${id} (it may have expired)`, { id });
+    }
+    const transactions = await Promise.all(job.hashes.map(hash => this.getTransactionStatus(hash)));
+    return {
+      jobId: job.id,
+      tool: job.tool,
+      account: job.account,
+      state: job.state,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      transactions,
+      result: job.result,
+      error: job.error
+    };
+  }
+}
+
+module.exports = {
+  TransactionTracker,
+  DEFAULT_CONFIRMATIONS,
+};